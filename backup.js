@@ -0,0 +1,362 @@
+(function () {
+  /**
+   * Q&A 게시판 내보내기 / 가져오기 형식
+   *
+   * 저장소에 접근하지 않는 순수 변환 함수만 모아 둔 파일입니다.
+   * script.js가 질문/답변을 불러와 넘기면 파일 내용(문자열)을 만들고,
+   * 가져올 JSONL 백업을 검사해서 저장할 레코드로 돌려줍니다.
+   *
+   * 레코드: script.js의 Question 필드 + answers(Answer 배열). 시각(createdAt, editedAt)은 밀리초 숫자
+   *
+   * 형식:
+   * - JSON      { format, version, exportedAt, questions: [레코드...] } (사람이 읽기 쉽게 들여쓰기)
+   * - JSONL     첫 줄은 { format, version, exportedAt }, 다음 줄부터 질문 하나당 한 줄 (가져오기 가능한 백업)
+   * - CSV       질문/답변 한 행씩 (질문 다음에 그 답변들), Excel에서 한글이 깨지지 않도록 BOM 포함
+   * - Markdown  질문마다 하나의 문서 (제목, 정보, 본문, 답변), 질문 ID로 이름 붙인 .md 파일들을 zip 하나로 묶음
+   *
+   * 사용법:
+   * - const records = window.qnaBackup.toRecords(questions, answers)
+   * - window.qnaBackup.toJSON(records, exportedAt) / toJSONL(...) / toCSV(records)
+   * - window.qnaBackup.toZip(window.qnaBackup.toMarkdownFiles(records), exportedAt) → zip 파일 내용(Uint8Array)
+   * - window.qnaBackup.parseJSONL(text) → { records, errors } (errors가 있으면 아무것도 가져오지 않아야 함)
+   */
+
+  const FORMAT = 'qna-backup';
+  const VERSION = 1;
+
+  // 파일에 들어가는 안내 문구와 검사 메시지는 현재 언어로 (i18n.js)
+  const t = (key, params) => window.qnaI18n.t(key, params);
+
+  // 레코드에 담을 필드 (script.js Question / Answer 타입 정의와 같게 유지)
+  const QUESTION_FIELDS = [
+    'id', 'title', 'body', 'author', 'authorId', 'createdAt', 'editedAt', 'answerCount', 'score',
+    'acceptedAnswerId', 'tags', 'attachments', 'hidden', 'locked', 'pinned'
+  ];
+  const ANSWER_FIELDS = [
+    'id', 'questionId', 'body', 'author', 'authorId', 'createdAt', 'editedAt', 'score', 'attachments', 'hidden'
+  ];
+
+  const CSV_COLUMNS = [
+    'type', 'id', 'questionId', 'title', 'body', 'author', 'authorId', 'createdAt', 'editedAt',
+    'score', 'answerCount', 'acceptedAnswerId', 'tags'
+  ];
+
+  // ========================================
+  // 레코드 만들기
+  // ========================================
+
+  /**
+   * 정해진 필드만 골라 복사 (값이 없는 필드는 뺌)
+   * @param {Object} doc - 문서
+   * @param {string[]} fields - 남길 필드
+   * @returns {Object}
+   */
+  const pick = (doc, fields) => {
+    const result = {};
+    for (const field of fields) {
+      if (doc[field] !== undefined && doc[field] !== null) result[field] = doc[field];
+    }
+    return result;
+  };
+
+  /**
+   * 질문과 답변을 내보낼 레코드로 묶음 (질문은 작성 순서, 답변은 질문 안에서 작성 순서)
+   * @param {Array} questions - 질문 문서 (시각은 밀리초)
+   * @param {Array} answers - 답변 문서 (시각은 밀리초)
+   * @returns {Array} 레코드 배열
+   */
+  function toRecords(questions, answers) {
+    const byCreated = (a, b) => (a.createdAt || 0) - (b.createdAt || 0);
+    const answersByQuestion = new Map();
+    for (const answer of answers) {
+      if (!answersByQuestion.has(answer.questionId)) answersByQuestion.set(answer.questionId, []);
+      answersByQuestion.get(answer.questionId).push(pick(answer, ANSWER_FIELDS));
+    }
+
+    return [...questions].sort(byCreated).map((question) => ({
+      ...pick(question, QUESTION_FIELDS),
+      answers: (answersByQuestion.get(question.id) || []).sort(byCreated)
+    }));
+  }
+
+  // ========================================
+  // 내보내기 형식
+  // ========================================
+
+  const header = (exportedAt) => ({ format: FORMAT, version: VERSION, exportedAt });
+
+  const toISO = (millis) => (Number.isFinite(millis) ? new Date(millis).toISOString() : '');
+
+  /**
+   * JSON (전체를 하나의 객체로)
+   * @param {Array} records
+   * @param {number} exportedAt - 내보낸 시각 (밀리초)
+   * @returns {string}
+   */
+  function toJSON(records, exportedAt) {
+    return JSON.stringify({ ...header(exportedAt), questions: records }, null, 2);
+  }
+
+  /**
+   * JSONL (첫 줄 머리글, 질문 하나당 한 줄)
+   * @param {Array} records
+   * @param {number} exportedAt - 내보낸 시각 (밀리초)
+   * @returns {string}
+   */
+  function toJSONL(records, exportedAt) {
+    return [header(exportedAt), ...records].map((line) => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * CSV 칸 하나 (쉼표/따옴표/줄바꿈이 있으면 따옴표로 감싸고,
+   * 스프레드시트가 수식으로 실행하지 않도록 =, +, -, @로 시작하는 값 앞에 ' 추가)
+   * @param {*} value
+   * @returns {string}
+   */
+  const csvCell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  /**
+   * CSV (질문 한 행, 이어서 그 질문의 답변 한 행씩)
+   * @param {Array} records
+   * @returns {string}
+   */
+  function toCSV(records) {
+    const rows = [CSV_COLUMNS];
+    for (const q of records) {
+      rows.push([
+        'question', q.id, '', q.title, q.body, q.author, q.authorId, toISO(q.createdAt), toISO(q.editedAt),
+        q.score || 0, q.answerCount || 0, q.acceptedAnswerId || '', (q.tags || []).join(' ')
+      ]);
+      for (const a of q.answers) {
+        rows.push([
+          'answer', a.id, q.id, '', a.body, a.author, a.authorId, toISO(a.createdAt), toISO(a.editedAt),
+          a.score || 0, '', '', ''
+        ]);
+      }
+    }
+    return '\uFEFF' + rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 질문 하나를 Markdown 문서로 (본문은 원래 Markdown 그대로)
+   * @param {Object} record - 레코드
+   * @returns {string}
+   */
+  function questionToMarkdown(record) {
+    const info = [
+      `- ${t('backup.md.author')}: ${record.author || ''} (${record.authorId})`,
+      `- ${t('backup.md.createdAt')}: ${toISO(record.createdAt)}`
+    ];
+    if (record.tags?.length) info.push(`- ${t('backup.md.tags')}: ${record.tags.join(', ')}`);
+    const summary = t('backup.md.summary', { score: record.score || 0, count: record.answers.length });
+    info.push(`- ${summary}${record.acceptedAnswerId ? ` · ${t('status.solved')}` : ''}`);
+
+    const attachmentLines = (attachments) =>
+      (attachments || []).map((file) => `- [${file.name}](${file.url})`);
+
+    const parts = [`# ${record.title}`, info.join('\n'), record.body];
+    if (record.attachments?.length) parts.push([t('backup.md.attachments'), ...attachmentLines(record.attachments)].join('\n'));
+
+    record.answers.forEach((answer, i) => {
+      const accepted = answer.id === record.acceptedAnswerId ? ` ✔ ${t('backup.md.accepted')}` : '';
+      parts.push(`## ${t('backup.md.answer', { number: i + 1 })}${accepted}`);
+      parts.push(`- ${answer.author || ''} (${answer.authorId}) · ${toISO(answer.createdAt)} · ${t('backup.md.score', { score: answer.score || 0 })}`);
+      parts.push(answer.body);
+      if (answer.attachments?.length) parts.push([t('backup.md.attachments'), ...attachmentLines(answer.attachments)].join('\n'));
+    });
+    return parts.join('\n\n') + '\n';
+  }
+
+  /**
+   * 질문마다 Markdown 파일 하나 (파일 이름은 질문 ID라서 겹치지 않음)
+   * @param {Array} records
+   * @returns {Array<{name: string, text: string}>}
+   */
+  function toMarkdownFiles(records) {
+    return records.map((record) => ({ name: `${record.id}.md`, text: questionToMarkdown(record) }));
+  }
+
+  // ========================================
+  // zip 묶기 (압축하지 않고 저장만 하는 zip, 외부 라이브러리 없이)
+  // ========================================
+
+  // CRC-32 표 (zip 형식이 파일마다 요구하는 검사값)
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * 텍스트 파일들을 zip 하나로 묶음 (파일 이름과 내용은 UTF-8)
+   * @param {Array<{name: string, text: string}>} files
+   * @param {number} at - 파일 수정 시각 (밀리초)
+   * @returns {Uint8Array}
+   */
+  function toZip(files, at) {
+    const encoder = new TextEncoder();
+    const date = new Date(at);
+    // MS-DOS 형식 시각/날짜 (zip 헤더에 들어가는 형식, 1980년부터)
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    // 헤더 공통 부분: 버전, 플래그(0x0800 = 이름이 UTF-8), 압축 안 함, 시각, CRC, 크기, 이름 길이
+    const entryHeader = (view, start, entry) => {
+      view.setUint16(start, 20, true);
+      view.setUint16(start + 2, 0x0800, true);
+      view.setUint16(start + 4, 0, true);
+      view.setUint16(start + 6, dosTime, true);
+      view.setUint16(start + 8, dosDate, true);
+      view.setUint32(start + 10, entry.crc, true);
+      view.setUint32(start + 14, entry.data.length, true);
+      view.setUint32(start + 18, entry.data.length, true);
+      view.setUint16(start + 22, entry.name.length, true);
+    };
+
+    const entries = files.map((file) => {
+      const data = encoder.encode(file.text);
+      return { name: encoder.encode(file.name), data, crc: crc32(data), offset: 0 };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+
+    // ===== 1단계: 파일마다 로컬 헤더 + 내용 =====
+    for (const entry of entries) {
+      entry.offset = pos;
+      view.setUint32(pos, 0x04034B50, true);
+      entryHeader(view, pos + 4, entry);
+      bytes.set(entry.name, pos + 30);
+      bytes.set(entry.data, pos + 30 + entry.name.length);
+      pos += 30 + entry.name.length + entry.data.length;
+    }
+
+    // ===== 2단계: 중앙 디렉터리 (파일 목록) =====
+    for (const entry of entries) {
+      view.setUint32(pos, 0x02014B50, true);
+      view.setUint16(pos + 4, 20, true);
+      entryHeader(view, pos + 6, entry);
+      view.setUint32(pos + 42, entry.offset, true);
+      bytes.set(entry.name, pos + 46);
+      pos += 46 + entry.name.length;
+    }
+
+    // ===== 3단계: 끝 레코드 (파일 수, 중앙 디렉터리 위치) =====
+    view.setUint32(pos, 0x06054B50, true);
+    view.setUint16(pos + 8, entries.length, true);
+    view.setUint16(pos + 10, entries.length, true);
+    view.setUint32(pos + 12, centralSize, true);
+    view.setUint32(pos + 16, localSize, true);
+    return bytes;
+  }
+
+  // ========================================
+  // 가져오기 (JSONL 검사)
+  // ========================================
+
+  const isText = (value) => typeof value === 'string';
+  const isId = (value) => isText(value) && value.length > 0 && !value.includes('/');
+  const isTime = (value) => Number.isFinite(value) && value > 0;
+
+  /**
+   * 질문/답변 레코드 하나 검사
+   * @param {Object} item - 레코드
+   * @param {'question'|'answer'} type
+   * @returns {string[]} 문제 목록 (없으면 빈 배열)
+   */
+  function validateItem(item, type) {
+    const problems = [];
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return [t('backup.problem.notObject')];
+    if (!isId(item.id)) problems.push(t('backup.problem.id'));
+    if (!isId(item.authorId)) problems.push(t('backup.problem.authorId'));
+    if (!isText(item.body)) problems.push(t('backup.problem.body'));
+    if (item.author !== undefined && !isText(item.author)) problems.push(t('backup.problem.author'));
+    if (!isTime(item.createdAt)) problems.push(t('backup.problem.createdAt'));
+    if (item.editedAt !== undefined && !isTime(item.editedAt)) problems.push(t('backup.problem.editedAt'));
+    if (item.score !== undefined && !Number.isInteger(item.score)) problems.push(t('backup.problem.score'));
+    if (item.attachments !== undefined && !Array.isArray(item.attachments)) problems.push(t('backup.problem.attachments'));
+
+    if (type === 'question') {
+      if (!isText(item.title) || !item.title.trim()) problems.push(t('backup.problem.title'));
+      if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(isText))) problems.push(t('backup.problem.tags'));
+      if (item.answers !== undefined && !Array.isArray(item.answers)) problems.push(t('backup.problem.answers'));
+    }
+    return problems;
+  }
+
+  /**
+   * JSONL 백업을 읽고 검사
+   * 첫 줄 머리글(형식/버전), 줄마다 질문 레코드, 답변의 questionId, 파일 안의 중복 ID를 확인
+   * @param {string} text - 파일 내용
+   * @returns {{records: Array, errors: string[]}} 문제가 하나라도 있으면 records는 빈 배열
+   */
+  function parseJSONL(text) {
+    const errors = [];
+    const records = [];
+    const seen = new Set();
+    const lines = String(text || '').split(/\r?\n/);
+
+    let headerChecked = false;
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      const at = t('backup.line', { line: index + 1 });
+
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (e) {
+        errors.push(`${at}: ${t('backup.problem.json')}`);
+        return;
+      }
+
+      if (!headerChecked) {
+        headerChecked = true;
+        if (value?.format !== FORMAT || value?.version !== VERSION) {
+          errors.push(`${at}: ${t('backup.problem.header', { format: FORMAT, version: VERSION })}`);
+        }
+        return;
+      }
+
+      const problems = validateItem(value, 'question').map((problem) => `${at}: ${problem}`);
+      (Array.isArray(value?.answers) ? value.answers : []).forEach((answer, i) => {
+        const where = t('backup.lineAnswer', { line: index + 1, number: i + 1 });
+        validateItem(answer, 'answer').forEach((problem) => problems.push(`${where}: ${problem}`));
+        if (answer?.questionId !== undefined && answer.questionId !== value.id) {
+          problems.push(`${where}: ${t('backup.problem.questionId')}`);
+        }
+        if (seen.has(`answer/${answer?.id}`)) problems.push(`${where}: ${t('backup.problem.duplicateAnswer')}`);
+        seen.add(`answer/${answer?.id}`);
+      });
+      if (seen.has(`question/${value?.id}`)) problems.push(`${at}: ${t('backup.problem.duplicateQuestion')}`);
+      seen.add(`question/${value?.id}`);
+
+      if (problems.length > 0) {
+        errors.push(...problems);
+      } else {
+        records.push({
+          ...pick(value, QUESTION_FIELDS),
+          answers: (value.answers || []).map((answer) => ({ ...pick(answer, ANSWER_FIELDS), questionId: value.id }))
+        });
+      }
+    });
+
+    if (!headerChecked) errors.push(t('backup.problem.empty'));
+    return { records: errors.length > 0 ? [] : records, errors };
+  }
+
+  // 전역 변수로 내보내기/가져오기 함수 제공 (script.js에서 사용)
+  window.qnaBackup = { toRecords, toJSON, toJSONL, toCSV, toMarkdownFiles, questionToMarkdown, toZip, parseJSONL };
+})();
@@ -0,0 +1,1035 @@
+(function () {
+  /**
+   * Q&A 게시판 다국어 지원 (한국어 / 영어)
+   *
+   * 화면에 보이는 문구는 모두 이 파일의 메시지 목록(MESSAGES)에서 가져옵니다.
+   * - 메시지 키는 '영역.이름' 형식 (예: 'answer.empty')
+   * - 문구 안의 {이름} 자리에 값을 채움 (숫자는 현재 언어의 자릿수 구분으로 표시)
+   * - 복수형은 { one, other } 객체로 정의하고 count 값으로 고름 (Intl.PluralRules)
+   * - 현재 언어에 없는 메시지는 기본 언어(ko)로, 기본 언어에도 없으면 키 그대로 표시
+   *
+   * 언어 선택:
+   * - localStorage 'qna-locale'에 저장한 언어 → 브라우저 언어 → 기본 언어(ko)
+   * - 이 파일을 불러오면 바로 <html lang>과 정적 HTML을 현재 언어로 바꿈
+   * - setLocale()은 저장 후 정적 HTML과 시각 표시만 다시 번역 (화면을 다시 그리는 건 script.js)
+   *
+   * 시각 표시:
+   * - formatRelative(millis) → "3분 전" / "3 minutes ago" (Intl.RelativeTimeFormat)
+   * - formatAbsolute(millis) → 전체 날짜와 시각 (Intl.DateTimeFormat)
+   * - createTime(millis) → 상대 시각을 표시하고 마우스를 올리면 전체 시각이 보이는 <time> 요소
+   * - refreshTimes() → 화면의 <time> 요소를 지금 기준으로 다시 계산
+   *
+   * 정적 HTML 번역:
+   * - data-i18n="키" → 글자, data-i18n-placeholder / data-i18n-title / data-i18n-aria-label="키" → 해당 속성
+   * - data-i18n-args='{"count":5}' → 문구에 채울 값
+   * - localize(element, key, params) → 스크립트로 만든 요소에 위 속성을 붙이고 번역
+   *   (다시 그리지 않는 요소도 언어를 바꾸면 함께 번역됨)
+   *
+   * 사용법:
+   * - window.qnaI18n.t('question.answerCount', { count: 3 }) → '답변 3' / '3 answers'
+   */
+
+  const LOCALE_KEY = 'qna-locale';   // 선택한 언어 (localStorage)
+  const DEFAULT_LOCALE = 'ko';
+
+  // 언어 선택 목록에 표시할 이름 (각 언어 자신의 이름)
+  const LOCALES = { ko: '한국어', en: 'English' };
+
+  // 번역할 속성 (data-i18n-* → 요소 속성)
+  const ATTRIBUTES = { placeholder: 'placeholder', title: 'title', ariaLabel: 'aria-label' };
+
+  // ========================================
+  // 메시지 목록
+  // ========================================
+
+  const MESSAGES = {
+    ko: {
+      'app.title': 'Q&A 게시판',
+      'app.subtitle': '질문을 올리고 서로 답변해 보세요',
+      'app.description': '질문을 올리고 서로 답변하는 간단한 Q&A 게시판',
+      'locale.label': '언어',
+
+      'common.edit': '수정',
+      'common.delete': '삭제',
+      'common.save': '저장',
+      'common.cancel': '취소',
+      'common.close': '닫기',
+      'common.back': '← 뒤로',
+      'common.backToList': '← 목록으로',
+      'common.edited': '수정됨',
+      'common.noAuthor': '작성자 없음',
+      'common.question': '질문',
+      'common.answer': '답변',
+
+      'time.none': '날짜 없음',
+      'time.justNow': '방금 전',
+
+      'status.solved': '해결됨',
+      'status.accepted': '채택됨',
+      'status.hidden': '숨김',
+      'status.locked': '잠김',
+      'status.pinned': '고정',
+
+      'auth.login': '로그인',
+      'auth.logout': '로그아웃',
+      'auth.welcome': '님 환영합니다',
+      'auth.myProfile': '내 프로필',
+      'auth.defaultName': '사용자',
+      'auth.required': '로그인이 필요합니다.',
+      'auth.localPrompt': '로컬 모드입니다. 사용할 이름을 입력하세요.',
+      'auth.google': 'Google로 로그인',
+      'auth.emailDivider': '또는 이메일로',
+      'auth.email': '이메일',
+      'auth.password': '비밀번호 (6자 이상)',
+      'auth.signUpName': '이름 (계정을 만들 때)',
+      'auth.signUp': '계정 만들기',
+      'auth.guestHint': '로그인하지 않아도 작성자 이름을 적으면 게스트로 글을 올릴 수 있습니다.',
+      'auth.guestBadge': '게스트',
+      'auth.linkGoogle': 'Google 계정 연결',
+      'auth.linkGoogleTitle': '게스트로 쓴 글을 Google 계정으로 옮겨 계속 관리합니다',
+      'auth.linkDone': 'Google 계정이 연결되었습니다. 게스트로 쓴 글을 계속 관리할 수 있습니다.',
+      'auth.confirmGuestSignOut': '게스트 계정은 로그아웃하면 다시 로그인할 수 없어 지금까지 쓴 글을 수정하거나 삭제할 수 없게 됩니다. 먼저 "Google 계정 연결"을 하면 글을 계속 관리할 수 있습니다.\n그래도 로그아웃하시겠습니까?',
+      'auth.error.failed': '로그인에 실패했습니다.',
+      'auth.error.unauthorizedDomain': '현재 도메인에서 로그인이 허용되지 않습니다. Firebase 콘솔에서 도메인을 승인해주세요.',
+      'auth.error.notConfigured': 'Firebase Authentication이 설정되지 않았습니다.',
+      'auth.error.popupBlocked': '팝업이 차단되었습니다. 브라우저에서 팝업을 허용해주세요.',
+      'auth.error.cancelled': '로그인이 취소되었습니다.',
+      'auth.error.network': '네트워크 연결을 확인하고 다시 시도해주세요.',
+      'auth.error.methodDisabled': '이 로그인 방법이 사용 설정되지 않았습니다. Firebase 콘솔의 Authentication에서 로그인 방법을 켜주세요.',
+      'auth.error.wrongPassword': '이메일 또는 비밀번호가 올바르지 않습니다.',
+      'auth.error.invalidEmail': '이메일 주소 형식이 올바르지 않습니다.',
+      'auth.error.emailInUse': '이미 가입된 이메일입니다. 로그인해주세요.',
+      'auth.error.weakPassword': '비밀번호는 6자 이상이어야 합니다.',
+      'auth.error.tooManyRequests': '시도가 너무 많습니다. 잠시 후 다시 시도해주세요.',
+      'auth.error.credentialInUse': '이 Google 계정은 이미 가입되어 있어 게스트 계정을 연결할 수 없습니다. 게스트로 쓴 글은 이 브라우저의 게스트 계정에 남아 있습니다.',
+      'auth.error.other': '로그인 오류: {message}',
+      'auth.error.signOut': '로그아웃에 실패했습니다: {message}',
+
+      'header.moderation': '신고 관리',
+      'header.reconcile': '데이터 점검',
+
+      'notification.label': '알림',
+      'notification.unreadLabel': '알림 (읽지 않음 {count}개)',
+      'notification.readAll': '모두 읽음',
+      'notification.empty': '새 알림이 없습니다.',
+      'notification.someone': '누군가',
+      'notification.answered': '{name}님이 "{title}" 질문에 답변했습니다.',
+      'notification.error.read': '알림을 읽음으로 표시하지 못했습니다: {message}',
+
+      'sync.dismiss': '확인',
+      'sync.offline': '오프라인 상태입니다. 마지막으로 불러온 질문 목록을 보여줍니다.',
+      'sync.offlinePending': '오프라인 상태입니다. 전송 대기 중인 글 {count}건은 연결되면 자동으로 전송됩니다.',
+      'sync.pending': '전송 대기 중인 글 {count}건이 있습니다.',
+      'sync.failed': '일부 글을 전송하지 못했습니다.',
+      'sync.pendingBadge': '전송 대기',
+      'sync.pendingBadgeTitle': '연결되면 자동으로 전송됩니다',
+      'sync.conflict.question': '질문 "{title}": {reason}',
+      'sync.conflict.answer': '답변 "{body}": {reason}',
+      'sync.conflict.otherAccount': '다른 계정으로 작성한 글입니다. 작성한 계정으로 로그인하면 전송됩니다.',
+      'sync.conflict.questionDeleted': '오프라인 동안 원래 질문이 삭제되어 답변을 등록하지 못했습니다.',
+
+      'ask.heading': '질문 올리기',
+      'ask.author': '작성자',
+      'ask.authorPlaceholder': '이름 또는 닉네임',
+      'ask.title': '제목',
+      'ask.body': '내용',
+      'ask.bodyPlaceholder': '질문 내용을 입력하세요 (Markdown 지원)',
+      'ask.tags': '태그',
+      'ask.tagsPlaceholder': '쉼표로 구분 (예: javascript, firebase)',
+      'ask.submit': '질문 등록',
+
+      'duplicate.heading': '비슷한 질문이 있나요?',
+      'duplicate.confirm': '비슷한 질문이 이미 있습니다.\n{list}\n\n이 중에 원하는 답이 있었나요?\n[확인] 등록하지 않고 비슷한 질문 보기 / [취소] 그래도 질문 등록',
+
+      'draft.heading': '내 임시 저장글',
+      'draft.question': '질문: {title}',
+      'draft.answer': '답변: {title}',
+      'draft.untitled': '제목 없음',
+      'draft.untitledQuestion': '제목 없는 질문',
+      'draft.saved': '저장',
+      'draft.resume': '이어 쓰기',
+      'draft.confirmDelete': '이 임시 저장글을 삭제하시겠습니까?',
+
+      'list.heading': '질문 목록',
+      'list.searchPlaceholder': '검색 (예: 로그인 author:kim is:unanswered)',
+      'list.searchHelp': '제목/내용/작성자/태그/답변 검색. 연산자: "정확한 문구", author:이름, tag:태그, is:unanswered|answered|solved|unsolved, before:YYYY-MM-DD, after:YYYY-MM-DD',
+      'list.status': '상태',
+      'list.status.all': '전체',
+      'list.status.unanswered': '답변 없음',
+      'list.status.unsolved': '미해결',
+      'list.status.solved': '해결됨',
+      'list.sort': '정렬',
+      'list.sort.relevance': '관련도순',
+      'list.sort.newest': '최신순',
+      'list.sort.oldest': '오래된순',
+      'list.sort.mostAnswers': '답변 많은순',
+      'list.sort.votes': '추천순',
+      'list.tagFilter': '태그 필터:',
+      'list.tagFilterClear': '필터 해제',
+      'list.empty': '등록된 질문이 없습니다. 첫 질문을 남겨보세요!',
+      'feed.loadMore': '더 보기',
+      'feed.loading': '불러오는 중...',
+
+      'tag.heading': '태그 목록',
+      'tag.empty': '아직 등록된 태그가 없습니다.',
+      'tag.questionCount': '{count}개 질문',
+
+      'question.missing': '질문을 찾을 수 없습니다. 삭제되었거나 잘못된 주소입니다.',
+      'question.by': '작성자',
+      'question.answerCount': '답변 {count}',
+      'question.expand': '내용 보기',
+      'question.collapse': '내용 닫기',
+      'question.titlePlaceholder': '질문 제목',
+      'question.bodyPlaceholder': '질문 내용 (Markdown 지원)',
+      'question.lockedNote': '모더레이터가 잠근 질문입니다. 새 답변을 달 수 없습니다.',
+      'question.confirmDelete': '정말 이 질문을 삭제하시겠습니까?',
+      'question.error.create': '질문 등록에 실패했습니다: {message}',
+      'question.error.update': '질문 수정에 실패했습니다: {message}',
+      'question.error.delete': '질문 삭제에 실패했습니다: {message}',
+      'question.error.notFound': '질문을 찾을 수 없습니다.',
+      'question.error.tooManyRelated': '연관된 글이 너무 많아 한 번에 삭제할 수 없습니다 ({count}개). 관리자에게 문의하세요.',
+
+      'answer.heading': '답변 ({count})',
+      'answer.loading': '답변을 불러오는 중...',
+      'answer.empty': '아직 답변이 없습니다.',
+      'answer.hiddenByModerator': '모더레이터가 숨긴 답변입니다.',
+      'answer.noBody': '내용 없음',
+      'answer.permalink': '링크',
+      'answer.permalinkTitle': '이 답변의 고유 주소',
+      'answer.accepted': '채택된 답변',
+      'answer.accept': '채택',
+      'answer.unaccept': '채택 취소',
+      'answer.authorPlaceholder': '작성자',
+      'answer.bodyPlaceholder': '답변 내용 (Markdown 지원)',
+      'answer.submit': '답변 등록',
+      'answer.confirmDelete': '정말 이 답변을 삭제하시겠습니까?',
+      'answer.error.create': '답변 등록에 실패했습니다: {message}',
+      'answer.error.update': '답변 수정에 실패했습니다: {message}',
+      'answer.error.delete': '답변 삭제에 실패했습니다: {message}',
+      'answer.error.accept': '답변 채택에 실패했습니다: {message}',
+      'answer.error.notFound': '답변을 찾을 수 없습니다.',
+      'answer.error.questionDeleted': '답변할 질문이 삭제되었습니다.',
+
+      'presence.viewing': '다른 사람 {count}명이 보는 중',
+      'presence.typing': '누군가 답변을 작성하는 중…',
+
+      'history.button': '수정 기록',
+      'history.loading': '수정 기록을 불러오는 중...',
+      'history.empty': '수정 기록이 없습니다.',
+      'history.heading': '수정 기록 ({count})',
+      'history.original': '원본',
+      'history.rollback': '이 버전으로 되돌리기',
+      'history.compareFrom': '비교 기준 기록',
+      'history.compareTo': '비교 대상 기록',
+      'history.confirmRollback': '#{number} 버전으로 되돌리시겠습니까? 현재 내용은 수정 기록에 남아 있습니다.',
+      'history.error.rollback': '되돌리기에 실패했습니다: {message}',
+
+      'comment.open': '댓글 달기',
+      'comment.placeholder': '짧은 댓글 (질문 보충, 확인 요청 등)',
+      'comment.submit': '등록',
+      'comment.delete': '댓글 삭제',
+      'comment.showMore': '댓글 {count}개 더 보기',
+      'comment.loginRequired': '댓글을 작성하려면 로그인이 필요합니다.',
+      'comment.confirmDelete': '이 댓글을 삭제하시겠습니까?',
+      'comment.error.create': '댓글 등록에 실패했습니다: {message}',
+      'comment.error.delete': '댓글 삭제에 실패했습니다: {message}',
+
+      'vote.up': '추천',
+      'vote.down': '비추천',
+      'vote.score': '추천 {count}',
+      'vote.loginRequired': '투표하려면 로그인이 필요합니다.',
+      'vote.error.failed': '투표에 실패했습니다: {message}',
+      'vote.error.notFound': '투표할 글을 찾을 수 없습니다.',
+
+      'editor.write': '작성',
+      'editor.preview': '미리보기',
+      'editor.previewEmpty': '미리 볼 내용이 없습니다.',
+      'editor.hint': 'Markdown 지원: **굵게**, `코드`, ```언어 코드 블록```, - 목록, > 인용, [링크](https://...)',
+
+      'attachment.pick': '📎 파일 첨부',
+      'attachment.hint': '이미지, PDF, 텍스트, ZIP · 파일당 {size}, 최대 {count}개 · 끌어다 놓거나 붙여넣어도 됩니다',
+      'attachment.remove': '{name} 빼기',
+      'attachment.enlarge': '{name} 크게 보기',
+      'attachment.lightbox': '이미지 보기',
+      'attachment.error.type': '이미지(PNG, JPEG, GIF, WebP), PDF, 텍스트, ZIP 파일만 첨부할 수 있습니다.',
+      'attachment.error.size': '파일 크기는 {size} 이하여야 합니다.',
+      'attachment.error.tooMany': '첨부 파일은 최대 {count}개까지 올릴 수 있습니다.',
+      'attachment.error.offline': '첨부 파일은 온라인 상태에서만 올릴 수 있습니다. 연결된 뒤 다시 등록하거나 첨부 파일을 빼고 등록하세요.',
+
+      'profile.loading': '프로필을 불러오는 중...',
+      'profile.loadFailed': '프로필을 불러오지 못했습니다.',
+      'profile.notFound': '사용자를 찾을 수 없습니다.',
+      'profile.unknownUser': '알 수 없는 사용자',
+      'profile.joined': '가입일',
+      'profile.joinedUnknown': '가입일 정보 없음',
+      'profile.mine': '내 프로필',
+      'profile.stats.reputation': '평판',
+      'profile.stats.questions': '질문',
+      'profile.stats.answers': '답변',
+      'profile.stats.accepted': '채택',
+      'profile.reputationHelp': '평판: 질문 {question}, 답변 {answer}, 질문 추천 1점당 {questionVote}, 답변 추천 1점당 {answerVote}, 채택 {accepted}',
+      'profile.questions': '질문 ({count})',
+      'profile.answers': '답변 ({count})',
+      'profile.deletedQuestion': '삭제된 질문',
+      'profile.activityEmpty': '아직 없습니다.',
+
+      'role.moderator': '모더레이터',
+      'role.admin': '관리자',
+      'role.none': '일반 사용자',
+      'role.grantModerator': '모더레이터로 지정',
+      'role.revoke': '{role} 해제',
+      'role.confirmChange': "이 사용자의 역할을 '{role}'(으)로 바꾸시겠습니까?",
+      'role.error.failed': '역할 변경에 실패했습니다: {message}',
+      'role.error.neverSignedIn': '한 번도 로그인하지 않은 사용자입니다.',
+
+      'report.button': '신고',
+      'report.prompt': '신고 사유를 입력하세요 (예: 스팸, 욕설, 개인정보 노출)',
+      'report.reasonRequired': '신고 사유를 입력해주세요.',
+      'report.done': '신고가 접수되었습니다. 모더레이터가 확인합니다.',
+      'report.error.failed': '신고에 실패했습니다: {message}',
+      'report.error.notFound': '신고할 글을 찾을 수 없습니다.',
+      'report.error.duplicate': '이미 신고한 글입니다.',
+
+      'moderation.title': '신고 관리',
+      'moderation.forbidden': '모더레이터만 볼 수 있는 화면입니다.',
+      'moderation.loading': '신고 목록을 불러오는 중...',
+      'moderation.loadFailed': '신고 목록을 불러오지 못했습니다.',
+      'moderation.reportedHeading': '신고된 글 ({count})',
+      'moderation.noReports': '처리할 신고가 없습니다.',
+      'moderation.deletedTarget': '삭제된 글',
+      'moderation.reportCount': '신고 {count}건',
+      'moderation.anonymous': '익명',
+      'moderation.close': '신고 닫기',
+      'moderation.logHeading': '최근 관리 기록 (최대 {count}개)',
+      'moderation.logEmpty': '아직 관리 기록이 없습니다.',
+      'moderation.userProfile': '사용자 프로필',
+      'moderation.reasonPrompt': '{action} 사유 (선택, 관리 기록에 남습니다)',
+      'moderation.action.hide': '숨김',
+      'moderation.action.unhide': '숨김 해제',
+      'moderation.action.lock': '잠금',
+      'moderation.action.unlock': '잠금 해제',
+      'moderation.action.pin': '고정',
+      'moderation.action.unpin': '고정 해제',
+      'moderation.action.dismiss': '신고 기각',
+      'moderation.action.role': '역할 변경',
+      'moderation.button.hide': '숨기기',
+      'moderation.button.unhide': '숨김 해제',
+      'moderation.button.lock': '잠금',
+      'moderation.button.unlock': '잠금 해제',
+      'moderation.button.pin': '상단 고정',
+      'moderation.button.unpin': '고정 해제',
+      'moderation.error.failed': '관리 작업에 실패했습니다: {message}',
+      'moderation.error.unknownAction': '알 수 없는 관리 작업입니다: {action}',
+      'moderation.error.questionOnly': '잠금/고정은 질문에만 적용할 수 있습니다.',
+      'moderation.error.notFound': '대상 글을 찾을 수 없습니다.',
+      'moderation.error.tooManyReports': '열린 신고가 너무 많아 한 번에 처리할 수 없습니다.',
+
+      'reconcile.confirm': '모든 질문의 답변 수와 태그별 질문 수를 다시 계산하고, 질문이 없는 답변과 댓글을 삭제합니다. 계속하시겠습니까?',
+      'reconcile.done': '데이터 점검 완료 (질문 {questions}개 확인)\n- 답변 수 수정: {countsFixed}개\n- 태그별 질문 수 수정: {tagsFixed}개\n- 채택 해제: {acceptedCleared}개\n- 고아 답변 삭제: {orphanAnswers}개\n- 고아 댓글 삭제: {orphanComments}개',
+      'reconcile.error.failed': '데이터 점검에 실패했습니다: {message}',
+
+      'backup.heading': '백업',
+      'backup.formatLabel': '내보낼 형식',
+      'backup.format.json': 'JSON',
+      'backup.format.csv': 'CSV',
+      'backup.format.markdown': 'Markdown (질문별 파일, zip)',
+      'backup.format.jsonl': 'JSONL (가져오기용 백업)',
+      'backup.export': '내보내기',
+      'backup.import': 'JSONL 백업 가져오기',
+      'backup.importHint': '원래 작성자와 작성 시각을 유지하며, 이미 있는 질문/답변은 건너뜁니다.',
+      'backup.questionCount': '질문 {count}개',
+      'backup.answerCount': '답변 {count}개',
+      'backup.confirmImport': '{questions}, {answers}를 가져옵니다. 이미 있는 글은 건너뜁니다. 계속하시겠습니까?',
+      'backup.importDone': '가져오기 완료\n- 추가한 질문: {questions}개\n- 추가한 답변: {answers}개\n- 이미 있어서 건너뛴 글: {skipped}개',
+      'backup.invalidFile': '백업 파일에 문제가 있어 가져오지 않았습니다.\n{errors}',
+      'backup.moreErrors': '... 외 {count}개',
+      'backup.error.export': '내보내기에 실패했습니다: {message}',
+      'backup.error.import': '가져오기에 실패했습니다: {message}',
+      'backup.md.author': '작성자',
+      'backup.md.createdAt': '작성일',
+      'backup.md.tags': '태그',
+      'backup.md.summary': '추천 {score} · 답변 {count}개',
+      'backup.md.answer': '답변 {number}',
+      'backup.md.accepted': '채택',
+      'backup.md.score': '추천 {score}',
+      'backup.md.attachments': '첨부 파일:',
+      'backup.line': '{line}번째 줄',
+      'backup.lineAnswer': '{line}번째 줄 답변 {number}',
+      'backup.problem.notObject': '객체가 아닙니다.',
+      'backup.problem.id': 'id가 올바르지 않습니다.',
+      'backup.problem.authorId': 'authorId가 없습니다.',
+      'backup.problem.body': 'body가 없습니다.',
+      'backup.problem.author': 'author는 문자열이어야 합니다.',
+      'backup.problem.createdAt': 'createdAt은 밀리초 숫자여야 합니다.',
+      'backup.problem.editedAt': 'editedAt은 밀리초 숫자여야 합니다.',
+      'backup.problem.score': 'score는 정수여야 합니다.',
+      'backup.problem.attachments': 'attachments는 배열이어야 합니다.',
+      'backup.problem.title': 'title이 없습니다.',
+      'backup.problem.tags': 'tags는 문자열 배열이어야 합니다.',
+      'backup.problem.answers': 'answers는 배열이어야 합니다.',
+      'backup.problem.json': 'JSON 형식이 아닙니다.',
+      'backup.problem.header': '{format} 버전 {version} 백업 파일이 아닙니다.',
+      'backup.problem.questionId': 'questionId가 질문 id와 다릅니다.',
+      'backup.problem.duplicateAnswer': '같은 id의 답변이 이미 있습니다.',
+      'backup.problem.duplicateQuestion': '같은 id의 질문이 이미 있습니다.',
+      'backup.problem.empty': '빈 파일입니다.',
+
+      'policy.question.edit': '자신이 작성한 질문만 수정할 수 있습니다.',
+      'policy.question.delete': '자신이 작성한 질문만 삭제할 수 있습니다.',
+      'policy.question.accept': '질문 작성자만 답변을 채택할 수 있습니다.',
+      'policy.question.answer': '잠긴 질문에는 답변할 수 없습니다.',
+      'policy.question.vote': '자신의 글에는 투표할 수 없습니다.',
+      'policy.question.report': '자신의 글은 신고할 수 없습니다.',
+      'policy.question.moderate': '모더레이터만 사용할 수 있습니다.',
+      'policy.answer.edit': '자신이 작성한 답변만 수정할 수 있습니다.',
+      'policy.answer.delete': '자신이 작성한 답변만 삭제할 수 있습니다.',
+      'policy.answer.vote': '자신의 글에는 투표할 수 없습니다.',
+      'policy.answer.report': '자신의 글은 신고할 수 없습니다.',
+      'policy.answer.moderate': '모더레이터만 사용할 수 있습니다.',
+      'policy.comment.delete': '자신이 작성한 댓글만 삭제할 수 있습니다.',
+      'policy.user.setRole': '관리자만 다른 사용자의 역할을 지정할 수 있습니다.',
+      'policy.board.reconcile': '관리자만 실행할 수 있습니다.',
+      'policy.board.moderate': '모더레이터만 사용할 수 있습니다.',
+      'policy.board.export': '모더레이터만 내보낼 수 있습니다.',
+      'policy.board.import': '관리자만 백업을 가져올 수 있습니다.',
+      'policy.denied': '권한이 없습니다.',
+      'policy.memberRequired': '게스트는 사용할 수 없습니다. Google 계정을 연결하거나 로그인해주세요.',
+
+      'storage.error.init': '데이터 저장소를 불러오지 못했습니다: {message}',
+      'footer.firestoreNote': 'Firebase Firestore에 저장되며 실시간으로 동기화됩니다.',
+      'footer.localNote': '로컬 모드: 이 브라우저(IndexedDB)에만 저장됩니다.'
+    },
+
+    en: {
+      'app.title': 'Q&A Board',
+      'app.subtitle': 'Ask questions and answer each other',
+      'app.description': 'A simple Q&A board for asking and answering questions',
+      'locale.label': 'Language',
+
+      'common.edit': 'Edit',
+      'common.delete': 'Delete',
+      'common.save': 'Save',
+      'common.cancel': 'Cancel',
+      'common.close': 'Close',
+      'common.back': '← Back',
+      'common.backToList': '← Back to list',
+      'common.edited': 'edited',
+      'common.noAuthor': 'Unknown author',
+      'common.question': 'Question',
+      'common.answer': 'Answer',
+
+      'time.none': 'No date',
+      'time.justNow': 'just now',
+
+      'status.solved': 'Solved',
+      'status.accepted': 'Accepted',
+      'status.hidden': 'Hidden',
+      'status.locked': 'Locked',
+      'status.pinned': 'Pinned',
+
+      'auth.login': 'Sign in',
+      'auth.logout': 'Sign out',
+      'auth.welcome': ', welcome',
+      'auth.myProfile': 'My profile',
+      'auth.defaultName': 'User',
+      'auth.required': 'You need to sign in.',
+      'auth.localPrompt': 'Local mode. Enter the name you want to use.',
+      'auth.google': 'Sign in with Google',
+      'auth.emailDivider': 'or with email',
+      'auth.email': 'Email',
+      'auth.password': 'Password (6+ characters)',
+      'auth.signUpName': 'Name (when creating an account)',
+      'auth.signUp': 'Create account',
+      'auth.guestHint': 'You can also post as a guest without signing in: just fill in the author name.',
+      'auth.guestBadge': 'Guest',
+      'auth.linkGoogle': 'Link Google account',
+      'auth.linkGoogleTitle': 'Move your guest posts to a Google account so you can keep managing them',
+      'auth.linkDone': 'Your Google account is linked. You can keep managing the posts you wrote as a guest.',
+      'auth.confirmGuestSignOut': 'Guest accounts cannot sign in again after signing out, so you will no longer be able to edit or delete your posts. Use "Link Google account" first to keep them.\nSign out anyway?',
+      'auth.error.failed': 'Sign-in failed.',
+      'auth.error.unauthorizedDomain': 'Sign-in is not allowed on this domain. Authorize the domain in the Firebase console.',
+      'auth.error.notConfigured': 'Firebase Authentication is not configured.',
+      'auth.error.popupBlocked': 'The pop-up was blocked. Allow pop-ups in your browser.',
+      'auth.error.cancelled': 'Sign-in was cancelled.',
+      'auth.error.network': 'Check your network connection and try again.',
+      'auth.error.methodDisabled': 'This sign-in method is not enabled. Turn it on under Authentication in the Firebase console.',
+      'auth.error.wrongPassword': 'The email or password is incorrect.',
+      'auth.error.invalidEmail': 'The email address is not valid.',
+      'auth.error.emailInUse': 'This email is already registered. Sign in instead.',
+      'auth.error.weakPassword': 'Passwords must be at least 6 characters.',
+      'auth.error.tooManyRequests': 'Too many attempts. Try again later.',
+      'auth.error.credentialInUse': 'This Google account is already registered, so the guest account cannot be linked to it. Your guest posts stay with the guest account in this browser.',
+      'auth.error.other': 'Sign-in error: {message}',
+      'auth.error.signOut': 'Sign-out failed: {message}',
+
+      'header.moderation': 'Reports',
+      'header.reconcile': 'Check data',
+
+      'notification.label': 'Notifications',
+      'notification.unreadLabel': {
+        one: 'Notifications ({count} unread)',
+        other: 'Notifications ({count} unread)'
+      },
+      'notification.readAll': 'Mark all read',
+      'notification.empty': 'No new notifications.',
+      'notification.someone': 'Someone',
+      'notification.answered': '{name} answered your question "{title}".',
+      'notification.error.read': 'Could not mark the notification as read: {message}',
+
+      'sync.dismiss': 'OK',
+      'sync.offline': 'You are offline. Showing the last loaded questions.',
+      'sync.offlinePending': {
+        one: 'You are offline. {count} pending post will be sent automatically when you reconnect.',
+        other: 'You are offline. {count} pending posts will be sent automatically when you reconnect.'
+      },
+      'sync.pending': {
+        one: '{count} post is waiting to be sent.',
+        other: '{count} posts are waiting to be sent.'
+      },
+      'sync.failed': 'Some posts could not be sent.',
+      'sync.pendingBadge': 'Pending',
+      'sync.pendingBadgeTitle': 'Will be sent automatically when you reconnect',
+      'sync.conflict.question': 'Question "{title}": {reason}',
+      'sync.conflict.answer': 'Answer "{body}": {reason}',
+      'sync.conflict.otherAccount': 'Written with another account. It will be sent when you sign in with that account.',
+      'sync.conflict.questionDeleted': 'The question was deleted while you were offline, so the answer could not be posted.',
+
+      'ask.heading': 'Ask a question',
+      'ask.author': 'Author',
+      'ask.authorPlaceholder': 'Name or nickname',
+      'ask.title': 'Title',
+      'ask.body': 'Details',
+      'ask.bodyPlaceholder': 'Describe your question (Markdown supported)',
+      'ask.tags': 'Tags',
+      'ask.tagsPlaceholder': 'Comma separated (e.g. javascript, firebase)',
+      'ask.submit': 'Post question',
+
+      'duplicate.heading': 'Is one of these your question?',
+      'duplicate.confirm': 'Similar questions already exist.\n{list}\n\nDid one of them answer your question?\n[OK] Show the similar questions instead / [Cancel] Post my question anyway',
+
+      'draft.heading': 'My drafts',
+      'draft.question': 'Question: {title}',
+      'draft.answer': 'Answer: {title}',
+      'draft.untitled': 'untitled',
+      'draft.untitledQuestion': 'untitled question',
+      'draft.saved': 'Saved',
+      'draft.resume': 'Continue',
+      'draft.confirmDelete': 'Delete this draft?',
+
+      'list.heading': 'Questions',
+      'list.searchPlaceholder': 'Search (e.g. login author:kim is:unanswered)',
+      'list.searchHelp': 'Searches titles, bodies, authors, tags and answers. Operators: "exact phrase", author:name, tag:tag, is:unanswered|answered|solved|unsolved, before:YYYY-MM-DD, after:YYYY-MM-DD',
+      'list.status': 'Status',
+      'list.status.all': 'All',
+      'list.status.unanswered': 'Unanswered',
+      'list.status.unsolved': 'Unsolved',
+      'list.status.solved': 'Solved',
+      'list.sort': 'Sort',
+      'list.sort.relevance': 'Relevance',
+      'list.sort.newest': 'Newest',
+      'list.sort.oldest': 'Oldest',
+      'list.sort.mostAnswers': 'Most answers',
+      'list.sort.votes': 'Most votes',
+      'list.tagFilter': 'Tag filter:',
+      'list.tagFilterClear': 'Clear filter',
+      'list.empty': 'No questions yet. Be the first to ask!',
+      'feed.loadMore': 'Load more',
+      'feed.loading': 'Loading...',
+
+      'tag.heading': 'Tags',
+      'tag.empty': 'No tags yet.',
+      'tag.questionCount': {
+        one: '{count} question',
+        other: '{count} questions'
+      },
+
+      'question.missing': 'Question not found. It was deleted or the address is wrong.',
+      'question.by': 'by',
+      'question.answerCount': {
+        one: '{count} answer',
+        other: '{count} answers'
+      },
+      'question.expand': 'Show',
+      'question.collapse': 'Hide',
+      'question.titlePlaceholder': 'Question title',
+      'question.bodyPlaceholder': 'Question details (Markdown supported)',
+      'question.lockedNote': 'A moderator locked this question. New answers are not allowed.',
+      'question.confirmDelete': 'Delete this question?',
+      'question.error.create': 'Could not post the question: {message}',
+      'question.error.update': 'Could not edit the question: {message}',
+      'question.error.delete': 'Could not delete the question: {message}',
+      'question.error.notFound': 'Question not found.',
+      'question.error.tooManyRelated': 'This question has too many related posts to delete at once ({count}). Contact an administrator.',
+
+      'answer.heading': 'Answers ({count})',
+      'answer.loading': 'Loading answers...',
+      'answer.empty': 'No answers yet.',
+      'answer.hiddenByModerator': 'A moderator hid this answer.',
+      'answer.noBody': 'No content',
+      'answer.permalink': 'Link',
+      'answer.permalinkTitle': 'Permanent link to this answer',
+      'answer.accepted': 'Accepted answer',
+      'answer.accept': 'Accept',
+      'answer.unaccept': 'Unaccept',
+      'answer.authorPlaceholder': 'Author',
+      'answer.bodyPlaceholder': 'Your answer (Markdown supported)',
+      'answer.submit': 'Post answer',
+      'answer.confirmDelete': 'Delete this answer?',
+      'answer.error.create': 'Could not post the answer: {message}',
+      'answer.error.update': 'Could not edit the answer: {message}',
+      'answer.error.delete': 'Could not delete the answer: {message}',
+      'answer.error.accept': 'Could not accept the answer: {message}',
+      'answer.error.notFound': 'Answer not found.',
+      'answer.error.questionDeleted': 'The question you are answering was deleted.',
+
+      'presence.viewing': {
+        one: '{count} other person viewing',
+        other: '{count} other people viewing'
+      },
+      'presence.typing': 'Someone is writing an answer…',
+
+      'history.button': 'History',
+      'history.loading': 'Loading history...',
+      'history.empty': 'No edit history.',
+      'history.heading': 'Edit history ({count})',
+      'history.original': 'original',
+      'history.rollback': 'Roll back to this version',
+      'history.compareFrom': 'Compare from revision',
+      'history.compareTo': 'Compare to revision',
+      'history.confirmRollback': 'Roll back to version #{number}? The current content stays in the history.',
+      'history.error.rollback': 'Could not roll back: {message}',
+
+      'comment.open': 'Add a comment',
+      'comment.placeholder': 'Short comment (clarifications, follow-up questions)',
+      'comment.submit': 'Post',
+      'comment.delete': 'Delete comment',
+      'comment.showMore': {
+        one: 'Show {count} more comment',
+        other: 'Show {count} more comments'
+      },
+      'comment.loginRequired': 'Sign in to comment.',
+      'comment.confirmDelete': 'Delete this comment?',
+      'comment.error.create': 'Could not post the comment: {message}',
+      'comment.error.delete': 'Could not delete the comment: {message}',
+
+      'vote.up': 'Upvote',
+      'vote.down': 'Downvote',
+      'vote.score': {
+        one: '{count} vote',
+        other: '{count} votes'
+      },
+      'vote.loginRequired': 'Sign in to vote.',
+      'vote.error.failed': 'Could not vote: {message}',
+      'vote.error.notFound': 'The post you voted on was not found.',
+
+      'editor.write': 'Write',
+      'editor.preview': 'Preview',
+      'editor.previewEmpty': 'Nothing to preview.',
+      'editor.hint': 'Markdown: **bold**, `code`, ```lang code block```, - list, > quote, [link](https://...)',
+
+      'attachment.pick': '📎 Attach files',
+      'attachment.hint': {
+        one: 'Images, PDF, text, ZIP · {size} per file, up to {count} file · you can also drag and drop or paste',
+        other: 'Images, PDF, text, ZIP · {size} per file, up to {count} files · you can also drag and drop or paste'
+      },
+      'attachment.remove': 'Remove {name}',
+      'attachment.enlarge': 'Enlarge {name}',
+      'attachment.lightbox': 'Image viewer',
+      'attachment.error.type': 'Only images (PNG, JPEG, GIF, WebP), PDF, text and ZIP files can be attached.',
+      'attachment.error.size': 'Files must be {size} or smaller.',
+      'attachment.error.tooMany': {
+        one: 'You can attach up to {count} file.',
+        other: 'You can attach up to {count} files.'
+      },
+      'attachment.error.offline': 'Attachments can only be uploaded while online. Post again after reconnecting, or remove the attachments.',
+
+      'profile.loading': 'Loading profile...',
+      'profile.loadFailed': 'Could not load the profile.',
+      'profile.notFound': 'User not found.',
+      'profile.unknownUser': 'Unknown user',
+      'profile.joined': 'Joined',
+      'profile.joinedUnknown': 'Join date unknown',
+      'profile.mine': 'My profile',
+      'profile.stats.reputation': 'Reputation',
+      'profile.stats.questions': 'Questions',
+      'profile.stats.answers': 'Answers',
+      'profile.stats.accepted': 'Accepted',
+      'profile.reputationHelp': 'Reputation: question {question}, answer {answer}, per question vote {questionVote}, per answer vote {answerVote}, accepted {accepted}',
+      'profile.questions': 'Questions ({count})',
+      'profile.answers': 'Answers ({count})',
+      'profile.deletedQuestion': 'deleted question',
+      'profile.activityEmpty': 'Nothing yet.',
+
+      'role.moderator': 'Moderator',
+      'role.admin': 'Administrator',
+      'role.none': 'Regular user',
+      'role.grantModerator': 'Make moderator',
+      'role.revoke': 'Remove {role}',
+      'role.confirmChange': "Change this user's role to '{role}'?",
+      'role.error.failed': 'Could not change the role: {message}',
+      'role.error.neverSignedIn': 'This user has never signed in.',
+
+      'report.button': 'Report',
+      'report.prompt': 'Why are you reporting this? (e.g. spam, abuse, personal information)',
+      'report.reasonRequired': 'Enter a reason for the report.',
+      'report.done': 'Report received. A moderator will review it.',
+      'report.error.failed': 'Could not report: {message}',
+      'report.error.notFound': 'The post you reported was not found.',
+      'report.error.duplicate': 'You already reported this post.',
+
+      'moderation.title': 'Reports',
+      'moderation.forbidden': 'Only moderators can view this page.',
+      'moderation.loading': 'Loading reports...',
+      'moderation.loadFailed': 'Could not load reports.',
+      'moderation.reportedHeading': 'Reported posts ({count})',
+      'moderation.noReports': 'No reports to review.',
+      'moderation.deletedTarget': 'deleted post',
+      'moderation.reportCount': {
+        one: '{count} report',
+        other: '{count} reports'
+      },
+      'moderation.anonymous': 'Anonymous',
+      'moderation.close': 'Close reports',
+      'moderation.logHeading': 'Recent moderation log (last {count})',
+      'moderation.logEmpty': 'No moderation actions yet.',
+      'moderation.userProfile': 'User profile',
+      'moderation.reasonPrompt': 'Reason for "{action}" (optional, kept in the moderation log)',
+      'moderation.action.hide': 'Hide',
+      'moderation.action.unhide': 'Unhide',
+      'moderation.action.lock': 'Lock',
+      'moderation.action.unlock': 'Unlock',
+      'moderation.action.pin': 'Pin',
+      'moderation.action.unpin': 'Unpin',
+      'moderation.action.dismiss': 'Dismiss reports',
+      'moderation.action.role': 'Role change',
+      'moderation.button.hide': 'Hide',
+      'moderation.button.unhide': 'Unhide',
+      'moderation.button.lock': 'Lock',
+      'moderation.button.unlock': 'Unlock',
+      'moderation.button.pin': 'Pin to top',
+      'moderation.button.unpin': 'Unpin',
+      'moderation.error.failed': 'Moderation action failed: {message}',
+      'moderation.error.unknownAction': 'Unknown moderation action: {action}',
+      'moderation.error.questionOnly': 'Only questions can be locked or pinned.',
+      'moderation.error.notFound': 'The target post was not found.',
+      'moderation.error.tooManyReports': 'There are too many open reports to process at once.',
+
+      'reconcile.confirm': 'Recount answers and tag counts for every question and delete answers and comments whose question no longer exists. Continue?',
+      'reconcile.done': 'Data check complete ({questions} questions checked)\n- Answer counts fixed: {countsFixed}\n- Tag counts fixed: {tagsFixed}\n- Accepted answers cleared: {acceptedCleared}\n- Orphan answers deleted: {orphanAnswers}\n- Orphan comments deleted: {orphanComments}',
+      'reconcile.error.failed': 'Data check failed: {message}',
+
+      'backup.heading': 'Backup',
+      'backup.formatLabel': 'Export format',
+      'backup.format.json': 'JSON',
+      'backup.format.csv': 'CSV',
+      'backup.format.markdown': 'Markdown (one file per question, zip)',
+      'backup.format.jsonl': 'JSONL (backup for import)',
+      'backup.export': 'Export',
+      'backup.import': 'Import JSONL backup',
+      'backup.importHint': 'Keeps the original authors and dates, and skips questions and answers that already exist.',
+      'backup.questionCount': {
+        one: '{count} question',
+        other: '{count} questions'
+      },
+      'backup.answerCount': {
+        one: '{count} answer',
+        other: '{count} answers'
+      },
+      'backup.confirmImport': 'Import {questions} and {answers}? Posts that already exist will be skipped.',
+      'backup.importDone': 'Import complete\n- Questions added: {questions}\n- Answers added: {answers}\n- Skipped (already exist): {skipped}',
+      'backup.invalidFile': 'The backup file has problems and was not imported.\n{errors}',
+      'backup.moreErrors': '... and {count} more',
+      'backup.error.export': 'Export failed: {message}',
+      'backup.error.import': 'Import failed: {message}',
+      'backup.md.author': 'Author',
+      'backup.md.createdAt': 'Created',
+      'backup.md.tags': 'Tags',
+      'backup.md.summary': {
+        one: 'Score {score} · {count} answer',
+        other: 'Score {score} · {count} answers'
+      },
+      'backup.md.answer': 'Answer {number}',
+      'backup.md.accepted': 'Accepted',
+      'backup.md.score': 'Score {score}',
+      'backup.md.attachments': 'Attachments:',
+      'backup.line': 'Line {line}',
+      'backup.lineAnswer': 'Line {line} answer {number}',
+      'backup.problem.notObject': 'not an object.',
+      'backup.problem.id': 'invalid id.',
+      'backup.problem.authorId': 'missing authorId.',
+      'backup.problem.body': 'missing body.',
+      'backup.problem.author': 'author must be a string.',
+      'backup.problem.createdAt': 'createdAt must be a number of milliseconds.',
+      'backup.problem.editedAt': 'editedAt must be a number of milliseconds.',
+      'backup.problem.score': 'score must be an integer.',
+      'backup.problem.attachments': 'attachments must be an array.',
+      'backup.problem.title': 'missing title.',
+      'backup.problem.tags': 'tags must be an array of strings.',
+      'backup.problem.answers': 'answers must be an array.',
+      'backup.problem.json': 'not valid JSON.',
+      'backup.problem.header': 'not a {format} version {version} backup file.',
+      'backup.problem.questionId': 'questionId does not match the question id.',
+      'backup.problem.duplicateAnswer': 'an answer with the same id already appeared.',
+      'backup.problem.duplicateQuestion': 'a question with the same id already appeared.',
+      'backup.problem.empty': 'The file is empty.',
+
+      'policy.question.edit': 'You can only edit your own questions.',
+      'policy.question.delete': 'You can only delete your own questions.',
+      'policy.question.accept': 'Only the author of the question can accept an answer.',
+      'policy.question.answer': 'Locked questions cannot be answered.',
+      'policy.question.vote': 'You cannot vote on your own posts.',
+      'policy.question.report': 'You cannot report your own posts.',
+      'policy.question.moderate': 'Only moderators can do this.',
+      'policy.answer.edit': 'You can only edit your own answers.',
+      'policy.answer.delete': 'You can only delete your own answers.',
+      'policy.answer.vote': 'You cannot vote on your own posts.',
+      'policy.answer.report': 'You cannot report your own posts.',
+      'policy.answer.moderate': 'Only moderators can do this.',
+      'policy.comment.delete': 'You can only delete your own comments.',
+      'policy.user.setRole': "Only administrators can set other users' roles.",
+      'policy.board.reconcile': 'Only administrators can run this.',
+      'policy.board.moderate': 'Only moderators can do this.',
+      'policy.board.export': 'Only moderators can export.',
+      'policy.board.import': 'Only administrators can import backups.',
+      'policy.denied': 'You do not have permission.',
+      'policy.memberRequired': 'Guests cannot do this. Link a Google account or sign in.',
+
+      'storage.error.init': 'Could not load the data store: {message}',
+      'footer.firestoreNote': 'Stored in Firebase Firestore and synced in real time.',
+      'footer.localNote': 'Local mode: stored only in this browser (IndexedDB).'
+    }
+  };
+
+  // ========================================
+  // 언어 선택
+  // ========================================
+
+  /**
+   * 저장한 언어 → 브라우저 언어 → 기본 언어 순서로 처음 언어 결정
+   * @returns {string}
+   */
+  function detectLocale() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(LOCALE_KEY);
+    } catch (e) {
+      // 저장소를 쓸 수 없으면 브라우저 언어로
+    }
+    if (saved && MESSAGES[saved]) return saved;
+
+    for (const language of navigator.languages || [navigator.language]) {
+      const base = String(language || '').toLowerCase().split('-')[0];
+      if (MESSAGES[base]) return base;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  let locale = detectLocale();
+
+  // 언어별 Intl 포맷터 (언어가 바뀌면 새로 만듦)
+  let formatters = null;
+  function getFormatters() {
+    if (!formatters || formatters.locale !== locale) {
+      formatters = {
+        locale,
+        plural: new Intl.PluralRules(locale),
+        number: new Intl.NumberFormat(locale),
+        relative: new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }),
+        absolute: new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeStyle: 'short' })
+      };
+    }
+    return formatters;
+  }
+
+  // ========================================
+  // 메시지
+  // ========================================
+
+  /**
+   * 메시지 키가 있는지 확인 (기본 언어 기준)
+   * @param {string} key
+   * @returns {boolean}
+   */
+  function has(key) {
+    return Object.prototype.hasOwnProperty.call(MESSAGES[DEFAULT_LOCALE], key);
+  }
+
+  /**
+   * 현재 언어의 메시지
+   * @param {string} key - 메시지 키
+   * @param {Object} [params] - {이름} 자리에 채울 값 (count가 있으면 복수형 선택)
+   * @returns {string}
+   */
+  function t(key, params = {}) {
+    let message = MESSAGES[locale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    const { plural, number } = getFormatters();
+
+    if (typeof message === 'object') {
+      const category = typeof params.count === 'number' ? plural.select(params.count) : 'other';
+      message = message[category] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? number.format(value) : String(value);
+    });
+  }
+
+  // ========================================
+  // 시각 표시
+  // ========================================
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  // 큰 단위부터 확인 (1단위 이상이 되는 가장 큰 단위로 표시)
+  const RELATIVE_UNITS = [
+    ['year', 365 * DAY],
+    ['month', 30 * DAY],
+    ['week', 7 * DAY],
+    ['day', DAY],
+    ['hour', HOUR],
+    ['minute', MINUTE]
+  ];
+
+  /**
+   * 상대 시각 ("3분 전" / "3 minutes ago", 1분 미만은 "방금 전")
+   * @param {number} millis - 시각 (밀리초)
+   * @param {number} [nowMillis] - 기준 시각 (기본값: 지금)
+   * @returns {string}
+   */
+  function formatRelative(millis, nowMillis = Date.now()) {
+    const diff = millis - nowMillis;
+    const size = Math.abs(diff);
+    if (size < MINUTE) return t('time.justNow');
+
+    const [unit, unitSize] = RELATIVE_UNITS.find(([, length]) => size >= length);
+    return getFormatters().relative.format(Math.trunc(diff / unitSize), unit);
+  }
+
+  /**
+   * 전체 날짜와 시각 (현재 언어 형식)
+   * @param {number} millis
+   * @returns {string}
+   */
+  function formatAbsolute(millis) {
+    return getFormatters().absolute.format(new Date(millis));
+  }
+
+  /**
+   * 상대 시각을 표시하고 마우스를 올리면 전체 시각이 보이는 <time> 요소
+   * @param {number} millis
+   * @returns {HTMLTimeElement}
+   */
+  function createTime(millis) {
+    const time = document.createElement('time');
+    time.dateTime = new Date(millis).toISOString();
+    time.dataset.time = String(millis);
+    updateTime(time);
+    return time;
+  }
+
+  function updateTime(time) {
+    const millis = Number(time.dataset.time);
+    time.textContent = formatRelative(millis);
+    time.title = formatAbsolute(millis);
+  }
+
+  /**
+   * 화면의 <time> 요소를 지금 기준, 현재 언어로 다시 계산
+   * @param {ParentNode} [root]
+   */
+  function refreshTimes(root = document) {
+    root.querySelectorAll('time[data-time]').forEach(updateTime);
+  }
+
+  // ========================================
+  // 정적 HTML 번역
+  // ========================================
+
+  /**
+   * data-i18n 속성이 있는 요소의 글자와 속성을 현재 언어로 바꿈
+   * @param {ParentNode} [root]
+   */
+  function translateDocument(root = document) {
+    const selector = ['[data-i18n]', ...Object.keys(ATTRIBUTES).map((name) => `[data-i18n-${toKebab(name)}]`)].join(',');
+    root.querySelectorAll(selector).forEach((element) => {
+      const params = readArgs(element);
+      if (element.dataset.i18n) element.textContent = t(element.dataset.i18n, params);
+      for (const [name, attribute] of Object.entries(ATTRIBUTES)) {
+        const key = element.dataset[`i18n${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+        if (key) element.setAttribute(attribute, t(key, params));
+      }
+    });
+  }
+
+  const toKebab = (name) => name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+  function readArgs(element) {
+    try {
+      return element.dataset.i18nArgs ? JSON.parse(element.dataset.i18nArgs) : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * 스크립트로 만든 요소의 글자를 번역하고, 언어를 바꿀 때 다시 번역되도록 키를 기록
+   * @param {HTMLElement} element
+   * @param {string} key - 메시지 키
+   * @param {Object} [params] - 문구에 채울 값 (JSON으로 저장됨)
+   */
+  function localize(element, key, params) {
+    element.dataset.i18n = key;
+    if (params) {
+      element.dataset.i18nArgs = JSON.stringify(params);
+    } else {
+      delete element.dataset.i18nArgs;
+    }
+    element.textContent = t(key, params);
+  }
+
+  /**
+   * 문서 전체에 현재 언어 적용 (<html lang>, 정적 문구, 시각 표시)
+   */
+  function applyLocale() {
+    document.documentElement.lang = locale;
+    translateDocument(document);
+    refreshTimes(document);
+  }
+
+  /**
+   * 언어를 바꾸고 저장 (다음 방문에도 유지)
+   * @param {string} next - 언어 코드 (LOCALES 키)
+   */
+  function setLocale(next) {
+    if (!MESSAGES[next] || next === locale) return;
+    locale = next;
+    try {
+      localStorage.setItem(LOCALE_KEY, next);
+    } catch (e) {
+      // 저장하지 못해도 이번 방문 동안은 바뀐 언어 유지
+    }
+    applyLocale();
+  }
+
+  // 정적 HTML은 불러오자마자 번역 (defer 스크립트라 문서는 이미 파싱됨)
+  applyLocale();
+
+  // 전역 변수로 다국어 함수 제공 (policy.js, storage.js, backup.js, script.js에서 사용)
+  window.qnaI18n = {
+    LOCALES,
+    t,
+    has,
+    getLocale: () => locale,
+    setLocale,
+    formatRelative,
+    formatAbsolute,
+    createTime,
+    refreshTimes,
+    translateDocument,
+    localize
+  };
+})();
@@ -0,0 +1,408 @@
+(function () {
+  /**
+   * Q&A 게시판용 안전한 Markdown 렌더러
+   *
+   * 외부 라이브러리 없이 게시판에 필요한 문법만 지원합니다 (폐쇄망/로컬 모드에서도 동작).
+   *
+   * 지원 문법:
+   * - 코드 블록: ```언어 ... ``` (또는 ~~~), 언어별 구문 강조
+   * - 인라인 코드: `코드`
+   * - 목록: - / * / + 항목, 1. 번호 항목
+   * - 인용: > 인용문 (중첩 가능)
+   * - 링크: [텍스트](https://...), <https://...>, 본문 속 http(s) 주소
+   * - 강조: **굵게**, *기울임*, _기울임_, ~~취소선~~
+   * - 제목(#), 구분선(---)
+   *
+   * 보안:
+   * - 모든 사용자 텍스트는 HTML 이스케이프 후 렌더러가 만든 태그로만 감쌈
+   * - 링크는 http(s), mailto, 페이지 내부(#, /) 주소만 허용 (javascript: 등 차단)
+   * - 마지막으로 허용 목록 기반 sanitizer를 한 번 더 통과시켜 허용되지 않은 태그/속성 제거
+   *
+   * 사용법: window.qnaMarkdown.render(text) → 안전한 HTML 문자열
+   */
+
+  // ========================================
+  // 공통 유틸리티
+  // ========================================
+
+  /**
+   * HTML 특수문자 이스케이프 (속성값에도 안전하도록 따옴표 포함)
+   * @param {string} str
+   * @returns {string}
+   */
+  const escapeHTML = (str) => String(str).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  }[c]));
+
+  /**
+   * 링크 주소 검사: 허용된 형식이면 주소를, 아니면 null 반환
+   * @param {string} url - 사용자가 입력한 주소
+   * @returns {string|null}
+   */
+  const safeUrl = (url) => {
+    const trimmed = String(url || '').trim();
+    // 제어 문자/공백을 섞어 "java\nscript:"처럼 우회하는 경우 차단
+    if (/[\u0000-\u001f\u007f\s]/.test(trimmed)) return null;
+    if (/^(https?:\/\/|mailto:)/i.test(trimmed)) return trimmed;
+    if (/^#/.test(trimmed) || /^\/(?!\/)/.test(trimmed)) return trimmed;
+    return null;
+  };
+
+  /**
+   * 링크 태그 생성 (외부 링크는 새 탭 + opener 차단)
+   * @param {string} url - safeUrl()을 통과한 주소
+   * @param {string} labelHTML - 이미 이스케이프된 링크 텍스트
+   * @returns {string}
+   */
+  const linkHTML = (url, labelHTML) => {
+    const external = /^(https?:|mailto:)/i.test(url);
+    const attrs = external ? ' target="_blank" rel="noopener noreferrer nofollow"' : '';
+    return `<a href="${escapeHTML(url)}"${attrs}>${labelHTML}</a>`;
+  };
+
+  // ========================================
+  // 구문 강조
+  // ========================================
+
+  /**
+   * 언어 이름(코드 블록의 ```뒤 이름) → 문법 이름
+   */
+  const LANGUAGE_ALIASES = {
+    js: 'javascript', javascript: 'javascript', jsx: 'javascript', mjs: 'javascript',
+    ts: 'javascript', typescript: 'javascript', tsx: 'javascript',
+    py: 'python', python: 'python',
+    java: 'clike', c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike',
+    go: 'clike', kotlin: 'clike', kt: 'clike', swift: 'clike', rust: 'clike', rs: 'clike', dart: 'clike',
+    sh: 'shell', bash: 'shell', shell: 'shell', zsh: 'shell', console: 'shell',
+    sql: 'sql',
+    json: 'json',
+    css: 'css', scss: 'css',
+    html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup'
+  };
+
+  // 문자열 패턴 (이스케이프된 따옴표 허용)
+  const DOUBLE_QUOTED = '"(?:\\\\.|[^"\\\\\\n])*"';
+  const SINGLE_QUOTED = "'(?:\\\\.|[^'\\\\\\n])*'";
+  const BACKTICK_QUOTED = '`(?:\\\\.|[^`\\\\])*`';
+  const NUMBER = '\\b(?:0[xX][\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+  const WORD = '[A-Za-z_$][\\w$]*';
+
+  /**
+   * 문법 정의: [토큰 종류, 정규식 소스] 목록과 키워드
+   * 앞에 있는 패턴이 우선 (주석 안의 따옴표가 문자열로 처리되지 않도록 주석을 먼저 둠)
+   */
+  const GRAMMARS = {
+    javascript: {
+      tokens: [['comment', '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'], ['string', `${DOUBLE_QUOTED}|${SINGLE_QUOTED}|${BACKTICK_QUOTED}`], ['number', NUMBER], ['word', WORD]],
+      keywords: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof interface let new null of return static super switch this throw true try type typeof undefined var void while yield'
+    },
+    python: {
+      tokens: [['comment', '#[^\\n]*'], ['string', `"""[\\s\\S]*?"""|'''[\\s\\S]*?'''|${DOUBLE_QUOTED}|${SINGLE_QUOTED}`], ['number', NUMBER], ['word', WORD]],
+      keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+    },
+    clike: {
+      tokens: [['comment', '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'], ['string', `${DOUBLE_QUOTED}|${SINGLE_QUOTED}`], ['number', NUMBER], ['word', WORD]],
+      keywords: 'abstract auto bool boolean break byte case catch char class const continue default defer do double else enum extends false final finally float fn for func go if impl implements import int interface let long match mut namespace new nil null package private protected pub public return self short static struct super switch this throw throws true try typedef union unsigned use using val var void volatile when while'
+    },
+    shell: {
+      tokens: [['comment', '(?:^|\\s)#[^\\n]*'], ['string', `${DOUBLE_QUOTED}|${SINGLE_QUOTED}`], ['variable', '\\$\\{?[\\w@#?*!-]+\\}?'], ['word', '[A-Za-z_][\\w-]*']],
+      keywords: 'case do done echo elif else esac exit export fi for function if in local return set then unset until while cd sudo npm npx node git'
+    },
+    sql: {
+      tokens: [['comment', '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/'], ['string', SINGLE_QUOTED], ['number', NUMBER], ['word', WORD]],
+      keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union update values when where with',
+      ignoreCase: true
+    },
+    json: {
+      tokens: [['property', `${DOUBLE_QUOTED}(?=\\s*:)`], ['string', DOUBLE_QUOTED], ['number', '-?' + NUMBER], ['word', WORD]],
+      keywords: 'true false null'
+    },
+    css: {
+      tokens: [['comment', '\\/\\*[\\s\\S]*?\\*\\/'], ['string', `${DOUBLE_QUOTED}|${SINGLE_QUOTED}`], ['property', '[\\w-]+(?=\\s*:)'], ['number', '-?\\d+(?:\\.\\d+)?(?:px|em|rem|%|vh|vw|s|ms)?']],
+      keywords: ''
+    },
+    markup: {
+      tokens: [['comment', '<!--[\\s\\S]*?-->'], ['tag', '<\\/?[\\w:-]+|\\/?>'], ['string', `${DOUBLE_QUOTED}|${SINGLE_QUOTED}`], ['property', '[\\w:-]+(?==)']],
+      keywords: ''
+    }
+  };
+
+  // 문법별 정규식과 키워드 집합을 미리 만들어 둠
+  for (const grammar of Object.values(GRAMMARS)) {
+    const flags = grammar.ignoreCase ? 'gi' : 'g';
+    grammar.pattern = new RegExp(grammar.tokens.map(([, source]) => `(${source})`).join('|'), flags);
+    const words = grammar.keywords.split(' ').filter(Boolean);
+    grammar.keywordSet = new Set(grammar.ignoreCase ? words.map((w) => w.toLowerCase()) : words);
+  }
+
+  /**
+   * 코드에 구문 강조 적용
+   * 알 수 없는 언어는 이스케이프만 하여 그대로 표시
+   * @param {string} code - 코드 원문
+   * @param {string} lang - 언어 이름
+   * @returns {string} <span class="tok-종류">로 감싼 HTML
+   */
+  function highlight(code, lang) {
+    const grammar = GRAMMARS[LANGUAGE_ALIASES[String(lang || '').toLowerCase()]];
+    if (!grammar) return escapeHTML(code);
+
+    const { pattern, tokens, keywordSet, ignoreCase } = grammar;
+    let html = '';
+    let last = 0;
+    let match;
+    pattern.lastIndex = 0;
+
+    while ((match = pattern.exec(code))) {
+      if (match[0] === '') {
+        pattern.lastIndex++;
+        continue;
+      }
+
+      // 어떤 그룹이 일치했는지로 토큰 종류 결정
+      let type = tokens[match.slice(1).findIndex((group) => group !== undefined)][0];
+      if (type === 'word') {
+        const word = ignoreCase ? match[0].toLowerCase() : match[0];
+        type = keywordSet.has(word) ? 'keyword' : null;
+      }
+
+      html += escapeHTML(code.slice(last, match.index));
+      html += type ? `<span class="tok-${type}">${escapeHTML(match[0])}</span>` : escapeHTML(match[0]);
+      last = match.index + match[0].length;
+    }
+
+    return html + escapeHTML(code.slice(last));
+  }
+
+  // ========================================
+  // 인라인 문법
+  // ========================================
+
+  /**
+   * 한 줄(또는 문단) 안의 인라인 문법을 HTML로 변환
+   * 코드와 링크는 먼저 자리표시자로 떼어 내서 그 안에 강조 문법이 적용되지 않도록 함
+   * @param {string} text - 원문
+   * @returns {string} HTML
+   */
+  function renderInline(text) {
+    const slots = [];
+    const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+    const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[Number(i)]);
+
+    let out = String(text)
+      // ===== 1단계: 인라인 코드 =====
+      .replace(/`([^`\n]+)`/g, (_, code) => hold(`<code>${escapeHTML(code)}</code>`))
+      // ===== 2단계: [텍스트](주소) 링크 =====
+      // 텍스트 안의 인라인 코드는 1단계에서 이미 자리표시자가 되었으므로 링크 안에 미리 복원
+      .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (whole, label, url) => {
+        const safe = safeUrl(url);
+        return safe ? hold(linkHTML(safe, restore(escapeHTML(label)))) : whole;
+      })
+      // ===== 3단계: <주소> 자동 링크 및 본문 속 주소 =====
+      .replace(/<(https?:\/\/[^\s>]+)>/g, (whole, url) => hold(linkHTML(url, escapeHTML(url))))
+      .replace(/https?:\/\/[^\s<\u0000]+/g, (url) => {
+        // 문장 끝의 구두점은 주소에서 제외
+        const trimmed = url.replace(/[.,;:!?)\]'"]+$/, '');
+        return hold(linkHTML(trimmed, escapeHTML(trimmed))) + url.slice(trimmed.length);
+      });
+
+    // ===== 4단계: 나머지 텍스트 이스케이프 후 강조 문법 적용 =====
+    out = escapeHTML(out)
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+      .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+    // ===== 5단계: 자리표시자 복원 =====
+    return restore(out);
+  }
+
+  // ========================================
+  // 블록 문법
+  // ========================================
+
+  const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+  const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const QUOTE = /^\s{0,3}>\s?(.*)$/;
+  const BULLET = /^\s{0,3}[-*+]\s+(.*)$/;
+  const ORDERED = /^\s{0,3}(\d{1,9})[.)]\s+(.*)$/;
+
+  /**
+   * 새 블록이 시작되는 줄인지 확인 (문단/목록 항목 이어쓰기 종료 판단용)
+   */
+  const startsBlock = (line) =>
+    FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || BULLET.test(line) || ORDERED.test(line);
+
+  /**
+   * 여러 줄의 원문을 블록 단위 HTML로 변환
+   * @param {string[]} lines - 원문 줄 배열
+   * @param {number} depth - 인용문 중첩 깊이 (과도한 중첩 방지)
+   * @returns {string} HTML
+   */
+  function renderBlocks(lines, depth) {
+    let html = '';
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // ===== 빈 줄: 블록 구분 =====
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // ===== 코드 블록 =====
+      const fence = line.match(FENCE);
+      if (fence) {
+        const marker = fence[1];
+        const lang = fence[2];
+        // 여는 표시와 같은 문자로, 같은 길이 이상인 줄에서 코드 블록이 끝남
+        const closing = new RegExp(`^\\s{0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+        const code = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;  // 닫는 표시 건너뛰기 (없으면 문서 끝까지 코드)
+        const langClass = lang ? ` class="language-${escapeHTML(lang.toLowerCase())}"` : '';
+        html += `<pre><code${langClass}>${highlight(code.join('\n'), lang)}</code></pre>`;
+        continue;
+      }
+
+      // ===== 제목 (게시글 안에서는 h3부터 사용) =====
+      const heading = line.match(HEADING);
+      if (heading) {
+        const level = Math.min(heading[1].length + 2, 6);
+        html += `<h${level}>${renderInline(heading[2])}</h${level}>`;
+        i++;
+        continue;
+      }
+
+      // ===== 구분선 =====
+      if (RULE.test(line)) {
+        html += '<hr>';
+        i++;
+        continue;
+      }
+
+      // ===== 인용문 =====
+      if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].match(QUOTE)[1]);
+          i++;
+        }
+        html += depth < 5
+          ? `<blockquote>${renderBlocks(quoted, depth + 1)}</blockquote>`
+          : `<blockquote><p>${renderInline(quoted.join(' '))}</p></blockquote>`;
+        continue;
+      }
+
+      // ===== 목록 =====
+      const ordered = line.match(ORDERED);
+      if (ordered || BULLET.test(line)) {
+        const pattern = ordered ? ORDERED : BULLET;
+        const items = [];
+        while (i < lines.length && pattern.test(lines[i])) {
+          const match = lines[i].match(pattern);
+          const item = [ordered ? match[2] : match[1]];
+          i++;
+          // 들여쓴 다음 줄은 같은 항목의 이어지는 내용
+          while (i < lines.length && /^\s+\S/.test(lines[i]) && !startsBlock(lines[i])) {
+            item.push(lines[i].trim());
+            i++;
+          }
+          items.push(`<li>${item.map(renderInline).join('<br>')}</li>`);
+        }
+        const start = ordered && ordered[1] !== '1' ? ` start="${Number(ordered[1])}"` : '';
+        html += ordered ? `<ol${start}>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`;
+        continue;
+      }
+
+      // ===== 문단 (줄바꿈은 그대로 유지) =====
+      const paragraph = [];
+      do {
+        paragraph.push(lines[i]);
+        i++;
+      } while (i < lines.length && lines[i].trim() && !startsBlock(lines[i]));
+      html += `<p>${paragraph.map(renderInline).join('<br>')}</p>`;
+    }
+
+    return html;
+  }
+
+  // ========================================
+  // Sanitizer (허용 목록 방식)
+  // ========================================
+
+  // 허용하는 태그와 태그별 허용 속성
+  const ALLOWED = {
+    A: ['href', 'target', 'rel'],
+    P: [], BR: [], HR: [], STRONG: [], EM: [], DEL: [], BLOCKQUOTE: [],
+    UL: [], OL: ['start'], LI: [],
+    H3: [], H4: [], H5: [], H6: [],
+    PRE: [], CODE: ['class'], SPAN: ['class']
+  };
+
+  /**
+   * 렌더러가 만든 HTML을 한 번 더 검사하여 허용되지 않은 태그/속성 제거
+   * (렌더러에 버그가 있더라도 스크립트가 실행되지 않도록 하는 2차 방어선)
+   * @param {string} html
+   * @returns {string} 정리된 HTML
+   */
+  function sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const walk = (parent) => {
+      for (const node of [...parent.childNodes]) {
+        if (node.nodeType === Node.TEXT_NODE) continue;
+        if (node.nodeType !== Node.ELEMENT_NODE || !ALLOWED[node.tagName]) {
+          // 허용되지 않은 요소는 텍스트만 남김 (주석 등은 제거)
+          parent.replaceChild(document.createTextNode(node.nodeType === Node.ELEMENT_NODE ? node.textContent : ''), node);
+          continue;
+        }
+
+        for (const attr of [...node.attributes]) {
+          const allowed = ALLOWED[node.tagName].includes(attr.name);
+          const valid =
+            attr.name === 'href' ? safeUrl(attr.value) !== null :
+            attr.name === 'class' ? /^(language-[\w+#.-]+|tok-[a-z]+)$/.test(attr.value) :
+            attr.name === 'start' ? /^\d+$/.test(attr.value) :
+            true;
+          if (!allowed || !valid) node.removeAttribute(attr.name);
+        }
+        walk(node);
+      }
+    };
+
+    walk(template.content);
+    return template.innerHTML;
+  }
+
+  // ========================================
+  // 공개 API
+  // ========================================
+
+  /**
+   * Markdown 원문을 안전한 HTML로 변환
+   * @param {string} text - Markdown 원문
+   * @returns {string} sanitize를 거친 HTML
+   */
+  function render(text) {
+    const lines = String(text || '')
+      .replace(/\u0000/g, '')          // 자리표시자 문자와 충돌 방지
+      .replace(/\r\n?/g, '\n')
+      .split('\n');
+    return sanitize(renderBlocks(lines, 0));
+  }
+
+  // 전역 변수로 렌더러 제공 (script.js에서 사용)
+  window.qnaMarkdown = { render, highlight };
+})();
@@ -0,0 +1,129 @@
+(function () {
+  /**
+   * Q&A 게시판 권한 정책
+   *
+   * 누가 어떤 글을 만들고, 고치고, 지우고, 관리할 수 있는지를 한 곳에서 정의합니다.
+   * script.js의 화면(버튼 표시)과 데이터 함수(저장 전 확인)가 모두 이 정책을 사용하고,
+   * 같은 규칙을 firestore.rules가 서버에서 강제합니다. 규칙을 바꾸면 두 파일을 함께 고쳐야 합니다.
+   *
+   * 사용자(actor):
+   * - { uid, role, guest } 또는 로그아웃 상태면 null
+   * - guest: 게스트(익명 로그인) 사용자. 글/댓글은 쓸 수 있지만 투표와 신고는 계정 로그인 사용자만
+   * - role: 'admin' | 'moderator' | null (users/{uid}.role, 관리자 uid 목록은 script.js ADMIN_UIDS)
+   * - 관리자는 모더레이터 권한도 모두 가짐
+   *
+   * 대상(type)과 작업(action):
+   * - question: create, edit, delete, accept(답변 채택), answer(답변 달기), comment, vote, report, moderate
+   * - answer:   edit, delete, comment, vote, report, moderate
+   * - comment:  delete
+   * - user:     setRole (대상 = { id: uid })
+   * - board:    reconcile(데이터 점검), moderate(신고 관리 화면), viewHidden(숨긴 글 보기),
+   *             export(백업 내보내기), import(백업 가져오기: 다른 사람 이름과 원래 작성 시각으로 글 생성)
+   *
+   * 사용법:
+   * - window.qnaPolicy.can(actor, 'edit', 'question', question) → true / false
+   * - window.qnaPolicy.check(actor, 'edit', 'question', question) → 권한이 없으면 Error (code: 'permission-denied')
+   * - window.qnaPolicy.check({ uid, guest: true }, 'vote', ...) → 계정이면 허용되는 작업은 'policy.memberRequired' 메시지
+   */
+
+  // ========================================
+  // 사용자 조건
+  // ========================================
+
+  const isSignedIn = (actor) => Boolean(actor && actor.uid);
+  const isMember = (actor) => isSignedIn(actor) && !actor.guest;
+  const isAdmin = (actor) => isSignedIn(actor) && actor.role === 'admin';
+  const isModerator = (actor) => isAdmin(actor) || (isSignedIn(actor) && actor.role === 'moderator');
+  const isAuthor = (actor, item) => isSignedIn(actor) && Boolean(item) && item.authorId === actor.uid;
+  const isNotAuthor = (actor, item) => isSignedIn(actor) && Boolean(item) && item.authorId !== actor.uid;
+  const isMemberNotAuthor = (actor, item) => isMember(actor) && isNotAuthor(actor, item);
+
+  // ========================================
+  // 정책 표 (대상 → 작업 → 조건)
+  // ========================================
+
+  const RULES = {
+    question: {
+      create: isSignedIn,
+      edit: isAuthor,
+      delete: isAuthor,
+      accept: isAuthor,
+      answer: (actor, question) => isSignedIn(actor) && Boolean(question) && !question.locked,
+      comment: isSignedIn,
+      vote: isMemberNotAuthor,
+      report: isMemberNotAuthor,
+      moderate: isModerator
+    },
+    answer: {
+      edit: isAuthor,
+      delete: isAuthor,
+      comment: isSignedIn,
+      vote: isMemberNotAuthor,
+      report: isMemberNotAuthor,
+      moderate: isModerator
+    },
+    comment: {
+      delete: isAuthor
+    },
+    user: {
+      setRole: (actor, user) => isAdmin(actor) && Boolean(user) && user.id !== actor.uid
+    },
+    board: {
+      reconcile: isAdmin,
+      moderate: isModerator,
+      viewHidden: isModerator,
+      export: isModerator,
+      import: isAdmin
+    }
+  };
+
+  // 권한이 없을 때 보여줄 메시지는 i18n.js의 'policy.{대상}.{작업}' 키
+  // (키가 없으면 'policy.denied', 로그아웃 상태면 항상 'auth.required', 게스트라서 막혔으면 'policy.memberRequired')
+
+  // ========================================
+  // 공개 함수
+  // ========================================
+
+  /**
+   * 권한 확인
+   * @param {{uid:string, role?:string|null, guest?:boolean}|null} actor - 현재 사용자 (로그아웃 상태면 null)
+   * @param {string} action - 작업 이름
+   * @param {'question'|'answer'|'comment'|'user'|'board'} type - 대상 종류
+   * @param {Object} [target] - 대상 문서 (작성자 확인 등에 사용)
+   * @returns {boolean}
+   */
+  function can(actor, action, type, target) {
+    const rule = RULES[type] && RULES[type][action];
+    if (!rule) {
+      throw new Error(`정의되지 않은 권한입니다: ${type}.${action}`);
+    }
+    return rule(actor, target);
+  }
+
+  /**
+   * 권한이 없으면 예외 발생 (데이터 함수에서 저장 전에 사용)
+   * @param {{uid:string, role?:string|null, guest?:boolean}|null} actor - 현재 사용자
+   * @param {string} action - 작업 이름
+   * @param {string} type - 대상 종류
+   * @param {Object} [target] - 대상 문서
+   */
+  function check(actor, action, type, target) {
+    if (can(actor, action, type, target)) return;
+
+    const { t, has } = window.qnaI18n;
+    const key = `policy.${type}.${action}`;
+    let message;
+    if (!isSignedIn(actor)) {
+      message = t('auth.required');
+    } else if (actor.guest && can({ ...actor, guest: false }, action, type, target)) {
+      message = t('policy.memberRequired');
+    } else {
+      message = t(has(key) ? key : 'policy.denied');
+    }
+    const error = new Error(message);
+    error.code = 'permission-denied';  // Firestore 보안 규칙 거부와 같은 코드
+    throw error;
+  }
+
+  window.qnaPolicy = { can, check, isAdmin, isModerator };
+})();
@@ -3,40 +3,58 @@
    * Firebase Firestore + Auth 기반 Q&A 게시판
    * 
    * 주요 기능:
-   * - Google 로그인/로그아웃
-   * - 질문 작성, 조회, 삭제
-   * - 답변 작성, 조회
-   * - 실시간 데이터 동기화
-   * - 검색 및 정렬
+   * - 로그인: Google(팝업이 막히면 리다이렉트), 이메일/비밀번호, 게스트(익명 로그인, 작성자 이름으로 바로 글쓰기,
+   *   나중에 Google 계정을 연결하면 쓴 글이 그대로 옮겨짐). ?emulators 주소로 Auth 에뮬레이터에서 모두 확인 가능
+   * - 질문 작성, 조회, 수정, 삭제 (수정 기록 보기, 단어 단위 비교, 되돌리기)
+   * - 답변 작성, 조회, 수정, 삭제
+   * - 실시간 데이터 동기화 (바뀐 질문 항목만 다시 그려 펼침 상태, 작성/수정 중인 내용, 초점 유지)
+   * - 질문/답변 추천(▲)·비추천(▼) 투표 (사용자당 1표)
+   * - 답변 채택 (질문 작성자), 해결 상태 필터
+   * - 질문/답변에 짧은 댓글 (답변 수에 포함되지 않음)
+   * - 질문 태그, 태그 자동완성, 태그 필터, 태그 목록(질문 수)
+   * - 질문/답변 본문 Markdown 렌더링 (markdown.js, 코드 구문 강조), 작성 폼 미리보기 탭
+   * - 질문 목록 페이지 단위 실시간 구독 (무한 스크롤), 답변/댓글은 질문을 펼치거나 상세 화면을 열면 실시간 구독
+   *   (다른 사람이 단 새 답변은 잠깐 강조)
+   * - 함께 보는 사람: 열린 질문마다 "N명이 보는 중", "누군가 답변을 작성하는 중" 표시
+   *   (presence 컬렉션, 탭을 닫으면 지우고 남은 문서는 시간이 지나면 무시)
+   * - 해시 라우팅: 질문/답변 고유 주소(#/questions/:id, #answer-:aid), 목록 검색 조건 주소(#/?q=&sort=)
+   * - 검색 및 정렬 (불러온 질문 안에서, search.js: 한글 n-gram 색인, 답변 본문 포함, 관련도순, 연산자, 일치 부분 강조)
+   * - 중복 질문 추천: 질문 작성 중 비슷한 질문 표시, 비슷한 질문이 있으면 등록 전에 확인
+   * - 임시 저장: 작성 중인 질문/답변을 사용자·질문별로 계속 저장, 새로고침/로그인 후 복원, "내 임시 저장글" 목록
+   * - 첨부 파일: 질문/답변에 이미지·파일 첨부 (선택, 끌어다 놓기, 붙여넣기), 썸네일과 크게 보기, 크기/형식 제한
+   * - 오프라인 지원: 마지막 질문 목록 캐시, 오프라인 작성글 outbox 및 재연결 시 순차 전송
+   * - 답변 수는 일괄 쓰기 + increment로 원자적으로 갱신, 질문 삭제는 연관 데이터와 함께 전부 또는 전무
+   * - 관리자 데이터 점검: 답변 수 재계산, 고아 답변/댓글 정리
+   * - 백업(신고 관리 화면): 질문+답변 내보내기(JSON, CSV, Markdown, JSONL), JSONL 백업 가져오기(관리자, 이미 있는 글은 건너뜀)
+   * - 알림: 내 질문에 다른 사람이 답변하면 헤더 알림 목록에 실시간 표시 (모두 읽음 처리)
+   * - 사용자 프로필(#/users/:uid): 이름/사진, 가입일, 작성한 질문/답변, 활동 기반 평판 점수
+   * - 모더레이션: 질문/답변 신고, 모더레이터 역할(users/{uid}.role), 신고 관리 화면(#/moderation),
+   *   숨기기/잠금(새 답변 금지)/상단 고정, 모든 관리 작업의 기록
+   * - 다국어: 한국어/English (i18n.js, 선택한 언어 기억, 복수형), 상대 시각 표시 (마우스를 올리면 전체 시각)
+   * 
+   * 권한:
+   * - 누가 무엇을 할 수 있는지는 policy.js 한 곳에서 정의 (버튼 표시: can(), 저장 전 확인: checkPermission())
+   * - 서버에서는 firestore.rules가 같은 규칙을 강제함
+   * 
+   * 저장소:
+   * - 모든 데이터 접근은 storage.js의 저장소 인터페이스(store)를 통해 이루어짐
+   * - Firestore 백엔드(기본) 또는 로컬 백엔드(?backend=local)를 시작 시 선택
    * 
    * 데이터 모델:
-   * - Question: { id, title, body, author, authorId, createdAt, answerCount }
-   * - Answer: { id, body, author, authorId, createdAt, questionId }
-   */
-
-  // ========================================
-  // Firebase 모듈 가져오기
-  // ========================================
-  // window.firebaseApp에서 필요한 Firebase 함수들을 구조분해할당으로 가져옴
-  const { 
-    db,                    // Firestore 데이터베이스 인스턴스
-    auth,                  // Authentication 인스턴스
-    collection,            // 컬렉션 참조 생성
-    addDoc,                // 문서 추가
-    getDocs,               // 문서 조회
-    deleteDoc,             // 문서 삭제
-    doc,                   // 문서 참조 생성
-    updateDoc,             // 문서 업데이트
-    onSnapshot,            // 실시간 데이터 구독
-    query,                 // 쿼리 생성
-    orderBy,               // 정렬 조건
-    where,                 // 필터링 조건
-    serverTimestamp,       // 서버 타임스탬프
-    signInWithPopup,       // 팝업 로그인
-    GoogleAuthProvider,    // Google 인증 제공자
-    signOut,               // 로그아웃
-    onAuthStateChanged     // 인증 상태 변경 감지
-  } = window.firebaseApp;
+   * - Question: { id, title, body, author, authorId, createdAt, editedAt?, answerCount, score, acceptedAnswerId?, lastAnswerId?, tags, attachments? }
+   * - Tag: { id(=태그 이름), count, lastQuestionId? } (tags 컬렉션, 태그별 질문 수, 0 이하는 화면에서 숨김)
+   * - Revision: { id, title, body, editor, editorId, createdAt } (questions/{id}/revisions, 수정 시마다 추가되고 변경되지 않음)
+   * - Answer: { id, body, author, authorId, createdAt, editedAt?, questionId, score, attachments? }
+   * - Attachment: { path, url, name, type, size } (파일은 저장소 files, 경로 attachments/{질문 ID}/{uid}/{파일 ID}, 작성 후 변경되지 않음)
+   * - Vote: { uid, targetType, targetId, value } (문서 ID = targetType_targetId_uid → 사용자당 1표)
+   * - Comment: { id, body, author, authorId, createdAt, questionId, targetType, targetId } (comments 컬렉션)
+   * - Notification: { id, type, questionId, questionTitle, answerId, actorId, actorName, createdAt, read } (users/{uid}/notifications)
+   * - UserProfile: { id(=uid), displayName, photoURL, joinedAt, role? } (users 컬렉션, 처음 로그인할 때 생성, role: 'moderator' | 'admin')
+   * - Report: { id, targetType, targetId, questionId, reason, reporterId, reporterName, createdAt, status } (reports 컬렉션, 문서 ID = targetType_targetId_uid → 사용자당 1회)
+   * - ModerationLog: { id, action, targetType, targetId, questionId, reason, role?, moderatorId, moderatorName, createdAt } (moderationLog 컬렉션, 추가만 됨)
+   * - Presence: { id, questionId, session, uid, typing, updatedAt, expiresAt } (presence 컬렉션, 문서 ID = questionId_session → 탭마다 하나)
+   * - Question/Answer 관리 필드: hidden?(숨김), Question만 locked?(새 답변 금지), pinned?(목록 상단 고정)
+   */
 
   // ========================================
   // DOM 요소 참조
@@ -50,18 +68,68 @@
   const askTitleInput = document.getElementById('ask-title');   // 제목 입력 필드
   /** @type {HTMLTextAreaElement} */
   const askBodyInput = document.getElementById('ask-body');     // 내용 입력 필드
+  /** @type {HTMLInputElement} */
+  const askTagsInput = document.getElementById('ask-tags');     // 태그 입력 필드 (쉼표 구분)
+  /** @type {HTMLDataListElement} */
+  const tagSuggestions = document.getElementById('tag-suggestions'); // 태그 자동완성 목록
+  /** @type {HTMLElement} */
+  const duplicatePanel = document.getElementById('duplicate-panel'); // 비슷한 질문 추천 영역
+  /** @type {HTMLUListElement} */
+  const duplicateList = document.getElementById('duplicate-list');   // 비슷한 질문 목록
+  /** @type {HTMLElement} */
+  const draftsSection = document.getElementById('drafts-section');   // 내 임시 저장글 영역
+  /** @type {HTMLUListElement} */
+  const draftList = document.getElementById('draft-list');           // 임시 저장글 목록
   
   // 검색 및 정렬 관련 요소들
   /** @type {HTMLInputElement} */
   const searchInput = document.getElementById('search-input');   // 검색 입력 필드
   /** @type {HTMLSelectElement} */
   const sortSelect = document.getElementById('sort-select');     // 정렬 선택 드롭다운
+  /** @type {HTMLSelectElement} */
+  const statusSelect = document.getElementById('status-select'); // 해결 상태 필터 드롭다운
   
   // 질문 목록 표시 관련 요소들
   /** @type {HTMLUListElement} */
   const questionList = document.getElementById('question-list'); // 질문 목록 컨테이너
   /** @type {HTMLElement} */
   const emptyState = document.getElementById('empty-state');     // 빈 상태 메시지
+  /** @type {HTMLElement} */
+  const listView = document.getElementById('list-view');         // 목록 화면 (질문 작성 + 목록 + 태그)
+  /** @type {HTMLElement} */
+  const questionView = document.getElementById('question-view'); // 질문 상세 화면
+  /** @type {HTMLUListElement} */
+  const questionDetail = document.getElementById('question-detail'); // 상세 화면 질문 컨테이너
+  /** @type {HTMLElement} */
+  const questionMissing = document.getElementById('question-missing'); // 질문을 찾을 수 없을 때 안내
+  /** @type {HTMLButtonElement} */
+  const backToListBtn = document.getElementById('back-to-list'); // "목록으로" 버튼
+  /** @type {HTMLElement} */
+  const userView = document.getElementById('user-view');         // 사용자 프로필 화면
+  /** @type {HTMLElement} */
+  const userProfile = document.getElementById('user-profile');   // 프로필 내용 컨테이너
+  /** @type {HTMLButtonElement} */
+  const profileBackBtn = document.getElementById('profile-back'); // 프로필 화면 "뒤로" 버튼
+  /** @type {HTMLElement} */
+  const moderationViewEl = document.getElementById('moderation-view'); // 신고 관리 화면
+  /** @type {HTMLElement} */
+  const moderationContent = document.getElementById('moderation-content'); // 신고 목록 + 관리 기록 컨테이너
+  /** @type {HTMLElement} */
+  const feedMore = document.getElementById('feed-more');         // 목록 끝 "더 보기" 영역 (무한 스크롤 감지)
+  /** @type {HTMLButtonElement} */
+  const loadMoreBtn = document.getElementById('load-more-btn');  // 다음 페이지 불러오기 버튼
+  
+  // 태그 필터 및 태그 목록 관련 요소들
+  /** @type {HTMLElement} */
+  const tagFilter = document.getElementById('tag-filter');       // 현재 태그 필터 표시 영역
+  /** @type {HTMLElement} */
+  const tagFilterName = document.getElementById('tag-filter-name'); // 필터 중인 태그 이름
+  /** @type {HTMLButtonElement} */
+  const tagFilterClear = document.getElementById('tag-filter-clear'); // 태그 필터 해제 버튼
+  /** @type {HTMLUListElement} */
+  const tagIndex = document.getElementById('tag-index');         // 전체 태그 목록
+  /** @type {HTMLElement} */
+  const tagIndexEmpty = document.getElementById('tag-index-empty'); // 태그가 없을 때 메시지
   
   // 인증 상태 표시 관련 요소들
   /** @type {HTMLElement} */
@@ -70,22 +138,179 @@
   const userInfo = document.getElementById('user-info');        // 사용자 정보 표시 영역
   /** @type {HTMLElement} */
   const userName = document.getElementById('user-name');        // 사용자 이름 표시
+  /** @type {HTMLElement} */
+  const loginBox = document.getElementById('login');            // 로그인 버튼 + 로그인 방법 패널
+  /** @type {HTMLButtonElement} */
+  const loginBtn = document.getElementById('login-btn');        // 로그인 버튼 (로그인 방법 패널 열기)
+  /** @type {HTMLElement} */
+  const loginPanel = document.getElementById('login-panel');    // 로그인 방법 패널
+  /** @type {HTMLButtonElement} */
+  const googleLoginBtn = document.getElementById('google-login-btn'); // Google 로그인 버튼
+  /** @type {HTMLFormElement} */
+  const emailLoginForm = document.getElementById('email-login-form'); // 이메일/비밀번호 로그인 폼
+  /** @type {HTMLInputElement} */
+  const loginEmail = document.getElementById('login-email');    // 이메일 입력 필드
+  /** @type {HTMLInputElement} */
+  const loginPassword = document.getElementById('login-password'); // 비밀번호 입력 필드
+  /** @type {HTMLInputElement} */
+  const loginName = document.getElementById('login-name');      // 계정을 만들 때 쓸 이름
+  /** @type {HTMLButtonElement} */
+  const emailSignupBtn = document.getElementById('email-signup-btn'); // 계정 만들기 버튼
+  /** @type {HTMLElement} */
+  const guestBadge = document.getElementById('guest-badge');    // 게스트 표시
   /** @type {HTMLButtonElement} */
-  const loginBtn = document.getElementById('login-btn');        // 로그인 버튼
+  const linkGoogleBtn = document.getElementById('link-google-btn'); // 게스트 계정에 Google 계정 연결 버튼
   /** @type {HTMLButtonElement} */
   const logoutBtn = document.getElementById('logout-btn');      // 로그아웃 버튼
+  /** @type {HTMLButtonElement} */
+  const notifBtn = document.getElementById('notif-btn');         // 알림 버튼 (종 모양)
+  /** @type {HTMLElement} */
+  const notifCount = document.getElementById('notif-count');     // 읽지 않은 알림 개수 배지
+  /** @type {HTMLElement} */
+  const notifPanel = document.getElementById('notif-panel');     // 알림 목록 패널
+  /** @type {HTMLUListElement} */
+  const notifList = document.getElementById('notif-list');       // 알림 목록
+  /** @type {HTMLElement} */
+  const notifEmpty = document.getElementById('notif-empty');     // 알림이 없을 때 안내
+  /** @type {HTMLButtonElement} */
+  const notifReadAll = document.getElementById('notif-read-all'); // 모두 읽음 버튼
+  /** @type {HTMLButtonElement} */
+  const reconcileBtn = document.getElementById('reconcile-btn'); // 데이터 점검 버튼 (관리자 전용)
+  /** @type {HTMLAnchorElement} */
+  const moderationLink = document.getElementById('moderation-link'); // 신고 관리 화면 링크 (모더레이터 전용)
+  /** @type {HTMLElement} */
+  const storageNote = document.getElementById('storage-note');  // 하단 저장소 안내 문구
+  /** @type {HTMLSelectElement} */
+  const localeSelect = document.getElementById('locale-select'); // 언어 선택
+  
+  // 오프라인/동기화 상태 표시 관련 요소들
+  /** @type {HTMLElement} */
+  const syncStatus = document.getElementById('sync-status');    // 동기화 상태 컨테이너
+  /** @type {HTMLElement} */
+  const syncMessage = document.getElementById('sync-message');  // 상태 메시지
+  /** @type {HTMLUListElement} */
+  const syncConflicts = document.getElementById('sync-conflicts'); // 전송 충돌 목록
+  /** @type {HTMLButtonElement} */
+  const syncDismiss = document.getElementById('sync-dismiss');  // 충돌 목록 닫기 버튼
+  
+  // 첨부 이미지 크게 보기 관련 요소들
+  /** @type {HTMLElement} */
+  const lightbox = document.getElementById('lightbox');          // 크게 보기 오버레이
+  /** @type {HTMLImageElement} */
+  const lightboxImg = document.getElementById('lightbox-img');   // 크게 보는 이미지
+  /** @type {HTMLElement} */
+  const lightboxCaption = document.getElementById('lightbox-caption'); // 파일 이름
+  /** @type {HTMLButtonElement} */
+  const lightboxClose = document.getElementById('lightbox-close'); // 닫기 버튼
 
   // ========================================
   // TypeScript 타입 정의
   // ========================================
-  /** @typedef {{id:string,title:string,body:string,author:string,authorId:string,createdAt:number}} Question */
-  /** @typedef {{id:string,body:string,author:string,authorId:string,createdAt:number,questionId:string}} Answer */
+  /** @typedef {{id:string,title:string,body:string,author:string,authorId:string,createdAt:number,editedAt?:number,answerCount:number,score:number,acceptedAnswerId?:string|null,lastAnswerId?:string,tags?:string[],attachments?:Attachment[],hidden?:boolean,locked?:boolean,pinned?:boolean}} Question */
+  /** @typedef {{id:string,title:string,body:string,editor:string,editorId:string,createdAt:number}} Revision */
+  /** @typedef {{uid:string,targetType:'question'|'answer',targetId:string,value:1|-1}} Vote */
+  /** @typedef {{id:string,body:string,author:string,authorId:string,createdAt:number,questionId:string,targetType:'question'|'answer',targetId:string}} Comment */
+  /** @typedef {{id:string,body:string,author:string,authorId:string,createdAt:number,editedAt?:number,questionId:string,score:number,attachments?:Attachment[],hidden?:boolean}} Answer */
+  /** @typedef {{path:string,url:string,name:string,type:string,size:number}} Attachment */
+  /** @typedef {{id:string,type:'question'|'answer',questionId:string|null,data:Object,uid:string,queuedAt:number}} OutboxEntry */
+  /** @typedef {{owner:string,kind:'question'|'answer',questionId:string|null,questionTitle:string,fields:{title?:string,body:string,tags?:string},updatedAt:number}} Draft */
+  /** @typedef {{cursor:any,size:number,docs:Question[],hasMore:boolean,loaded:boolean,unsubscribe:Function|null}} FeedPage */
+  /** @typedef {{id:string,type:'answer',questionId:string,questionTitle:string,answerId:string,actorId:string,actorName:string,createdAt:number,read:boolean}} Notification */
+  /** @typedef {{id:string,displayName:string,photoURL:string|null,joinedAt:number,role?:'moderator'|'admin'}} UserProfile */
+  /** @typedef {{id:string,targetType:'question'|'answer',targetId:string,questionId:string,reason:string,reporterId:string,reporterName:string,createdAt:number,status:'open'|'resolved'}} Report */
+  /** @typedef {{id:string,action:string,targetType:'question'|'answer'|'user',targetId:string,questionId:string|null,reason:string,role?:string|null,moderatorId:string,moderatorName:string,createdAt:number}} ModerationLog */
+  /** @typedef {{id:string,questionId:string,session:string,uid:string,typing:boolean,updatedAt:number,expiresAt:number}} Presence */
+  /** @typedef {{answers:Answer[]|null,comments:Comment[]|null,presence:Presence[],presenceUid:string|null,unsubscribe:Function[]}} ThreadWatcher */
 
   // ========================================
   // 전역 상태 변수
   // ========================================
+  let store = null;                    // 저장소 인터페이스 (storage.js, init()에서 생성)
+  let askBodyEditor = null;            // 질문 작성 폼의 Markdown 편집기 (init()에서 생성)
+  let askAttachments = null;           // 질문 작성 폼의 첨부 파일 선택 영역 (init()에서 생성)
+  const answerFiles = new Map();       // 질문 ID → 답변 폼에서 고른 첨부 파일 (다시 렌더링해도 유지)
+  const previewUrls = new WeakMap();   // 고른 파일 → 미리보기 blob: URL (등록/제거 시 해제)
+  let lightboxReturnFocus = null;      // 크게 보기를 닫으면 초점을 돌려줄 요소
   let currentUser = null;              // 현재 로그인된 사용자 정보 (Firebase Auth User 객체)
-  let unsubscribeQuestions = null;     // 질문 데이터 실시간 구독 해제 함수 (메모리 누수 방지용)
+  let feedPages = [];                  // 구독 중인 질문 목록 페이지들 (FeedPage 배열, 최신 페이지부터)
+  const threads = new Map();           // 질문 ID → { answers, comments } (펼친 질문만 지연 로드)
+  const loadingThreads = new Set();    // 답변/댓글을 불러오는 중인 질문 ID (중복 요청 방지)
+  const threadWatchers = new Map();    // 질문 ID → ThreadWatcher (열려 있는 질문의 답변/댓글/presence 실시간 구독)
+  const newAnswerIds = new Set();      // 다른 사람이 방금 단 답변 ID (잠깐 강조)
+  const typingTimers = new Map();      // 질문 ID → 답변 입력이 멈췄다고 볼 타이머 (있으면 "작성 중")
+  const expandedQuestions = new Set(); // 펼쳐 둔 질문 ID (다시 렌더링해도 유지)
+  const searchIndex = window.qnaSearch.createIndex(); // 질문/답변 검색 색인 (search.js)
+  let lastSearchText = '';             // 직전 검색어 (검색 시작/종료 시 정렬 자동 전환용)
+  let route = null;                    // 현재 화면 (parseRoute 결과, 시작 전에는 null)
+  let detailQuestion = null;           // 상세 화면 질문 { id, doc, loaded, unsubscribe }
+  let scrollToAnswerId = null;         // 상세 화면에서 스크롤할 답변 ID (한 번 이동하면 null)
+  let enteredFromList = false;         // 목록에서 상세 화면으로 들어왔는지 여부 ("목록으로" = 뒤로 가기)
+  let listScrollY = 0;                 // 상세/프로필 화면으로 가기 전 목록 스크롤 위치
+  let profileView = null;              // 프로필 화면 상태 { uid, data, loaded, failed } (loadUserActivity 결과)
+  let profileFromApp = false;          // 앱 안에서 프로필 화면으로 이동해 왔는지 여부 ("뒤로" = 뒤로 가기)
+  let moderationView = null;           // 신고 관리 화면 상태 { data, loaded, failed } (loadModerationQueue 결과)
+  let currentRole = null;              // 현재 사용자의 역할 (users/{uid}.role, 실시간 구독)
+  let unsubscribeRole = null;          // 역할 구독 해제 함수
+  let pinnedQuestions = [];            // 상단 고정 질문 (페이지와 별도로 실시간 구독)
+  const searchAnswers = new Map();     // 질문 ID → { answerCount, bodies } (펼치지 않은 질문의 답변 본문, 검색용)
+  let loadingSearchAnswers = false;    // 검색용 답변을 불러오는 중인지 여부
+  let duplicateTimer = null;           // 비슷한 질문 찾기 지연 타이머 (입력 중에는 매번 찾지 않음)
+  let myVotes = new Map();             // 현재 사용자의 투표 (voteKey → 1 | -1)
+  let notifications = [];              // 최근 알림 (Notification 배열, 최신순, 실시간 구독)
+  let unreadNotificationIds = [];      // 읽지 않은 알림 ID 목록 (알림 개수 표시용)
+  let unsubscribeNotifications = [];   // 알림 구독 해제 함수들
+  let allTags = [];                    // 전체 태그 목록 ({id, count} 배열, 실시간 구독)
+  let activeTag = '';                  // 현재 필터링 중인 태그 ('' 이면 전체)
+  let outbox = [];                     // 오프라인에서 작성되어 전송 대기 중인 글 (OutboxEntry 배열, 작성 순서)
+  let syncConflictList = [];           // 재전송 중 발생한 충돌 메시지 목록
+  let flushingOutbox = false;          // outbox 전송 진행 중 여부 (중복 실행 방지)
+  let drafts = {};                     // 임시 저장글 (draftKey → Draft, localStorage에 계속 기록)
+  let draftOwnerShown = null;          // 질문 작성 폼에 임시 저장글을 채워 넣은 사용자 (draftOwner 값)
+  let resumeAnswerQuestionId = null;   // 이어 쓰기로 연 상세 화면에서 답변 입력창에 초점을 줄 질문 ID
+
+  const PAGE_SIZE = 20;                // 질문 목록 한 페이지의 질문 수
+  const COMMENT_PREVIEW_COUNT = 3;     // 접지 않고 보여줄 댓글 수
+  const MAX_TAGS = 5;                  // 질문당 최대 태그 수
+  const MAX_TAG_LENGTH = 20;           // 태그 최대 길이
+  const NOTIFICATION_LIMIT = 20;       // 알림 목록에 표시할 최근 알림 수
+  const MODERATION_LOG_LIMIT = 50;     // 신고 관리 화면에 표시할 최근 관리 기록 수
+  const DUPLICATE_DELAY = 300;         // 입력이 멈춘 뒤 비슷한 질문을 찾기까지 기다리는 시간 (ms)
+  const TIME_REFRESH_INTERVAL = 60 * 1000; // "3분 전" 같은 상대 시각을 다시 계산하는 간격 (ms)
+  const PRESENCE_HEARTBEAT = 30 * 1000;    // 열린 질문의 presence 문서를 다시 기록하는 간격 (ms)
+  const PRESENCE_TIMEOUT = 75 * 1000;      // 이 시간 동안 갱신되지 않은 presence는 떠난 것으로 봄 (탭이 비정상 종료된 경우)
+  const TYPING_IDLE = 5 * 1000;            // 답변 입력이 이 시간 동안 없으면 "작성 중" 해제 (ms)
+  const NEW_ANSWER_HIGHLIGHT = 4 * 1000;   // 새 답변 강조 시간 (style.css 애니메이션 길이와 같게 유지)
+  const DUPLICATE_CONFIRM_SIMILARITY = 0.7; // 이 유사도 이상인 질문이 있으면 등록 전에 확인
+  const ADMIN_UIDS = [];               // 관리자 Firebase Auth uid 목록
+  const MAX_ATTACHMENTS = 5;           // 질문/답변당 최대 첨부 파일 수 (firestore.rules와 같게 유지)
+  const ATTACHMENT_MAX_SIZE = 5 * 1024 * 1024; // 첨부 파일 최대 크기 (storage.rules와 같게 유지)
+  // 첨부할 수 있는 파일 형식 (storage.rules와 같게 유지, SVG는 스크립트를 담을 수 있어 제외)
+  const ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain', 'application/zip'];
+  
+  // 평판 점수 가중치 (computeReputation)
+  const REPUTATION = {
+    question: 1,      // 질문 작성
+    answer: 2,        // 답변 작성
+    questionVote: 5,  // 질문 추천 점수 1점당
+    answerVote: 10,   // 답변 추천 점수 1점당
+    accepted: 15      // 답변 채택
+  };
+
+  // 관리 작업 → 대상 글에 적용할 필드 (dismiss는 신고만 처리하고 글은 그대로)
+  const MODERATION_ACTIONS = {
+    hide: { hidden: true },
+    unhide: { hidden: false },
+    lock: { locked: true },
+    unlock: { locked: false },
+    pin: { pinned: true },
+    unpin: { pinned: false },
+    dismiss: null
+  };
+  
+  // localStorage 키
+  const SNAPSHOT_KEY = 'qna-last-snapshot';  // 마지막 질문 목록 스냅샷
+  const OUTBOX_KEY = 'qna-outbox';           // 전송 대기 중인 글 목록
+  const DRAFTS_KEY = 'qna-drafts';           // 작성 중인 질문/답변 임시 저장글
 
   // ========================================
   // 유틸리티 함수들
@@ -96,31 +321,70 @@
    * @returns {number} 현재 시간 (밀리초)
    */
   const now = () => Date.now();
-  
+
+  /**
+   * 현재 언어의 화면 문구 (i18n.js 메시지 목록)
+   * @param {string} key - 메시지 키 (예: 'answer.empty')
+   * @param {Object} [params] - {이름} 자리에 채울 값 (count는 복수형 선택에도 사용)
+   * @returns {string}
+   */
+  const t = (key, params) => window.qnaI18n.t(key, params);
+
+  /**
+   * 관리 작업 이름 (관리 기록, 사유 입력 창)
+   * @param {string} action - hide, unhide, lock, unlock, pin, unpin, dismiss, role
+   * @returns {string} 메시지가 없는 작업이면 작업 이름 그대로
+   */
+  const moderationLabel = (action) =>
+    window.qnaI18n.has(`moderation.action.${action}`) ? t(`moderation.action.${action}`) : action;
+
+  /**
+   * 역할 이름 (역할이 없으면 일반 사용자)
+   * @param {'moderator'|'admin'|null} role
+   * @returns {string}
+   */
+  const roleLabel = (role) => (window.qnaI18n.has(`role.${role || 'none'}`) ? t(`role.${role || 'none'}`) : role);
+
+  /**
+   * 기본 문서 제목 (상세 화면에서는 질문 제목을 앞에 붙임)
+   * @returns {string}
+   */
+  const baseTitle = () => t('app.title');
+
   /**
    * 정렬 함수들 - Array.sort()에서 사용
    */
   const byNewest = (a, b) => b.createdAt - a.createdAt;           // 최신순 정렬
   const byOldest = (a, b) => a.createdAt - b.createdAt;           // 오래된순 정렬
   const byMostAnswers = (a, b) => (b.answerCount || 0) - (a.answerCount || 0); // 답변 많은순 정렬
+  const byMostVotes = (a, b) => (b.score || 0) - (a.score || 0);                // 추천순 정렬
+  const byRelevance = (a, b) => (b.searchScore || 0) - (a.searchScore || 0);    // 검색 관련도순 정렬
   
   /**
-   * 타임스탬프를 읽기 쉬운 날짜 문자열로 변환
+   * 타임스탬프를 상대 시각 문자열로 변환 ("3분 전" / "3 minutes ago")
+   * 요소 안에 넣을 때는 전체 시각을 함께 보여주는 createTime()을 사용
    * @param {any} ts - 타임스탬프 (Date, Firestore Timestamp, number 등)
    * @returns {string} 포맷된 날짜 문자열
    */
   const formatDate = (ts) => {
-    if (!ts) return '날짜 없음';
-    
-    // Firestore serverTimestamp()가 아직 처리되지 않은 경우
-    if (ts.toDate) {
-      return ts.toDate().toLocaleString();
-    }
-    
-    // 일반 timestamp인 경우
-    return new Date(ts).toLocaleString();
+    const millis = toMillis(ts);
+    return Number.isFinite(millis) ? window.qnaI18n.formatRelative(millis) : t('time.none');
   };
-  
+
+  /**
+   * 상대 시각을 표시하고 마우스를 올리면 전체 시각이 보이는 <time> 요소
+   * (1분마다, 그리고 언어를 바꾸면 refreshTimes()로 다시 계산됨)
+   * @param {any} ts - 타임스탬프 (Date, Firestore Timestamp, number 등)
+   * @returns {HTMLElement}
+   */
+  const createTime = (ts) => {
+    const millis = toMillis(ts);
+    if (Number.isFinite(millis)) return window.qnaI18n.createTime(millis);
+    const span = document.createElement('span');
+    span.textContent = t('time.none');
+    return span;
+  };
+
   /**
    * 고유 ID 생성 (임시용)
    * @param {string} prefix - ID 접두사
@@ -128,6 +392,150 @@
    */
   const uid = (prefix) => `${prefix}_${Math.random().toString(36).slice(2, 8)}_${Date.now().toString(36)}`;
 
+  // 이 탭의 presence 문서 구분값 (같은 사용자가 여러 탭을 열어도 탭마다 따로 기록)
+  const presenceSession = uid('tab');
+  
+  /**
+   * 질문의 수정 기록 서브컬렉션 경로
+   * @param {string} questionId - 질문 ID
+   * @returns {string} 컬렉션 경로
+   */
+  const revisionsPath = (questionId) => `questions/${questionId}/revisions`;
+  
+  /**
+   * 사용자별 알림 컬렉션 경로
+   * @param {string} uid - 알림을 받을 사용자 uid
+   * @returns {string}
+   */
+  const notificationsPath = (uid) => `users/${uid}/notifications`;
+  
+  /**
+   * 질문 상세 화면 주소 (답변 ID가 있으면 해당 답변 위치까지)
+   * @param {string} questionId - 질문 ID
+   * @param {string} [answerId] - 답변 ID
+   * @returns {string} '#/questions/{id}' 또는 '#/questions/{id}#answer-{aid}'
+   */
+  const questionHash = (questionId, answerId) =>
+    `#/questions/${encodeURIComponent(questionId)}${answerId ? `#answer-${encodeURIComponent(answerId)}` : ''}`;
+  
+  /**
+   * 사용자 프로필 화면 주소
+   * @param {string} uid - 사용자 uid
+   * @returns {string} '#/users/{uid}'
+   */
+  const userHash = (uid) => `#/users/${encodeURIComponent(uid)}`;
+  
+  /**
+   * 투표 대상 키 (myVotes 맵의 키, 투표 문서 ID의 앞부분)
+   * @param {'question'|'answer'} targetType - 투표 대상 종류
+   * @param {string} targetId - 질문/답변 ID
+   * @returns {string}
+   */
+  const voteKey = (targetType, targetId) => `${targetType}_${targetId}`;
+  
+  /**
+   * 권한 정책(policy.js)에 넘길 현재 사용자 { uid, role, guest } (로그아웃 상태면 null)
+   * ADMIN_UIDS에 있으면 관리자, 로컬 백엔드에서는 'admin' 이름으로 로그인하면 관리자
+   * 그 밖에는 users/{uid}.role (역할은 로그인 후 subscribeToRole()로 구독)
+   * @returns {{uid:string, role:string|null, guest:boolean}|null}
+   */
+  const currentActor = () => {
+    if (!currentUser) return null;
+    const uid = currentUser.uid;
+    const builtInAdmin = ADMIN_UIDS.includes(uid) || (store?.kind === 'local' && uid === 'local:admin');
+    return { uid, role: builtInAdmin ? 'admin' : currentRole, guest: Boolean(currentUser.isAnonymous) };
+  };
+  
+  /**
+   * 현재 사용자가 작업을 할 수 있는지 확인 (화면에서 버튼 표시 여부 결정)
+   * @param {string} action - 작업 이름 (policy.js 참고)
+   * @param {string} type - 대상 종류
+   * @param {Object} [target] - 대상 문서
+   * @returns {boolean}
+   */
+  const can = (action, type, target) => window.qnaPolicy.can(currentActor(), action, type, target);
+  
+  /**
+   * 현재 사용자에게 권한이 없으면 예외 발생 (데이터 함수에서 저장 전에 확인)
+   * @param {string} action - 작업 이름 (policy.js 참고)
+   * @param {string} type - 대상 종류
+   * @param {Object} [target] - 대상 문서
+   */
+  const checkPermission = (action, type, target) => window.qnaPolicy.check(currentActor(), action, type, target);
+  
+  /**
+   * 쉼표로 구분된 태그 입력을 정규화된 태그 배열로 변환
+   * 소문자로 통일하고 '#'과 허용되지 않는 문자('/' 등)를 제거, 중복 제거 후 최대 MAX_TAGS개
+   * @param {string} text - 태그 입력 문자열
+   * @returns {string[]} 태그 배열
+   */
+  const parseTags = (text) => {
+    const tags = String(text || '')
+      .split(',')
+      .map((tag) => tag.trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-').replace(/[^\p{L}\p{N}+#._-]/gu, ''))
+      .filter((tag) => tag && tag.length <= MAX_TAG_LENGTH);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+  };
+
+  /**
+   * 타임스탬프를 밀리초 숫자로 변환 (스냅샷 캐시 저장용)
+   * @param {any} ts - 타임스탬프 (Firestore Timestamp, Date, number 등)
+   * @returns {number|null} 밀리초 (값이 없으면 null)
+   */
+  const toMillis = (ts) => {
+    if (!ts) return null;
+    if (ts.toMillis) return ts.toMillis();
+    return new Date(ts).getTime();
+  };
+
+  /**
+   * 긴 글을 한 줄 미리보기로 줄임 (공백 정리 후 max자 넘으면 '…')
+   * @param {string} text - 원문
+   * @param {number} max - 최대 글자 수
+   * @returns {string}
+   */
+  const truncate = (text, max) => {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    return line.length > max ? `${line.slice(0, max)}…` : line;
+  };
+
+  /**
+   * 파일 크기를 읽기 쉬운 단위로 표시 (예: 340 KB, 1.2 MB)
+   * @param {number} bytes
+   * @returns {string}
+   */
+  const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  /**
+   * 첨부 파일 저장 경로 (storage.rules: 올린 사람의 uid 경로에만 쓸 수 있음)
+   * @param {string} questionId - 질문 ID (답변 첨부 파일도 질문 ID 아래에 저장)
+   * @returns {string}
+   */
+  const attachmentPath = (questionId) => `attachments/${questionId}/${currentUser.uid}/${uid('f')}`;
+
+  const isImageType = (type) => /^image\//.test(type || '');
+
+  /**
+   * 문자열(또는 zip 같은 바이트)을 파일로 내려받기
+   * @param {string} filename - 파일 이름
+   * @param {string|Uint8Array} content - 파일 내용
+   * @param {string} type - MIME 형식
+   */
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
   // ========================================
   // 인증 관련 함수들
   // ========================================
@@ -142,19 +550,30 @@
     
     if (user) {
       // ===== 로그인된 상태 =====
-      // 사용자 정보 표시
+      // 사용자 정보 표시 (게스트는 표시와 함께 Google 계정 연결 버튼)
       userInfo.hidden = false;
-      loginBtn.hidden = true;
-      userName.textContent = user.displayName || user.email || '사용자';
+      loginBox.hidden = true;
+      closeLoginPanel();
+      userName.textContent = user.displayName || user.email || t('auth.defaultName');
+      userName.href = userHash(user.uid);  // 이름을 누르면 내 프로필
+      guestBadge.hidden = !user.isAnonymous;
+      linkGoogleBtn.hidden = !user.isAnonymous;
       
       // 질문 작성 폼의 작성자 필드 자동 설정
       askAuthorInput.value = user.displayName || user.email || '';
       askAuthorInput.readOnly = true;  // 로그인된 사용자는 작성자 변경 불가
+      
+      // 관리자/모더레이터에게만 관리 도구 표시
+      updateRoleUI();
+      notifBtn.hidden = false;
     } else {
       // ===== 로그아웃된 상태 =====
       // 사용자 정보 숨김
       userInfo.hidden = true;
-      loginBtn.hidden = false;
+      loginBox.hidden = false;
+      updateRoleUI();
+      notifBtn.hidden = true;
+      closeNotificationPanel();
       
       // 질문 작성 폼 초기화
       askAuthorInput.value = '';
@@ -162,65 +581,186 @@
     }
   }
 
+  /**
+   * 역할에 따라 관리 도구 표시 (데이터 점검: 관리자, 신고 관리: 모더레이터)
+   * 역할은 로그인 후 따로 구독하므로 역할이 바뀔 때도 호출됨
+   */
+  function updateRoleUI() {
+    if (reconcileBtn) reconcileBtn.hidden = !can('reconcile', 'board');
+    if (moderationLink) moderationLink.hidden = !can('moderate', 'board');
+  }
+
+  /**
+   * 로그인 오류를 사용자에게 보여줄 메시지로 변환 (모든 로그인 방법과 계정 연결에서 공통)
+   * @param {Error} error - Firebase Auth 오류 (로컬 백엔드도 같은 code 사용)
+   * @returns {string}
+   */
+  function authErrorMessage(error) {
+    switch (error.code) {
+      case 'auth/unauthorized-domain':
+        return t('auth.error.unauthorizedDomain');
+      case 'auth/configuration-not-found':
+        return t('auth.error.notConfigured');
+      case 'auth/operation-not-allowed':
+      case 'auth/admin-restricted-operation':
+        return t('auth.error.methodDisabled');
+      case 'auth/popup-blocked':
+        return t('auth.error.popupBlocked');
+      case 'auth/cancelled-popup-request':
+      case 'auth/popup-closed-by-user':
+        return t('auth.error.cancelled');
+      case 'auth/network-request-failed':
+        return t('auth.error.network');
+      case 'auth/invalid-credential':
+      case 'auth/invalid-login-credentials':
+      case 'auth/wrong-password':
+      case 'auth/user-not-found':
+        return t('auth.error.wrongPassword');
+      case 'auth/invalid-email':
+        return t('auth.error.invalidEmail');
+      case 'auth/email-already-in-use':
+        return t('auth.error.emailInUse');
+      case 'auth/weak-password':
+        return t('auth.error.weakPassword');
+      case 'auth/too-many-requests':
+        return t('auth.error.tooManyRequests');
+      case 'auth/credential-already-in-use':
+        return t('auth.error.credentialInUse');
+      default:
+        return t('auth.error.other', { message: error.message });
+    }
+  }
+
   /**
    * Google 계정으로 로그인
-   * Firebase Auth의 팝업 방식 로그인 사용
+   * Firestore 백엔드는 Firebase Auth 팝업 로그인(막히면 리다이렉트), 로컬 백엔드는 이름 입력으로 로그인
    */
   async function signInWithGoogle() {
     try {
-      // Google 인증 제공자 생성
-      const provider = new GoogleAuthProvider();
-      
-      // 팝업으로 로그인 시도
-      await signInWithPopup(auth, provider);
+      // 저장소 백엔드의 로그인 방식으로 로그인 시도
+      await store.auth.signInWithGoogle();
       
       // 성공 시 updateAuthUI()가 자동으로 호출됨 (onAuthStateChanged에서)
       
     } catch (error) {
       console.error('Google 로그인 실패:', error);
-      
-      // ===== 사용자 친화적인 에러 메시지 제공 =====
-      let errorMessage = '로그인에 실패했습니다.';
-      
-      switch (error.code) {
-        case 'auth/unauthorized-domain':
-          errorMessage = '현재 도메인에서 로그인이 허용되지 않습니다. Firebase 콘솔에서 도메인을 승인해주세요.';
-          break;
-        case 'auth/configuration-not-found':
-          errorMessage = 'Firebase Authentication이 설정되지 않았습니다.';
-          break;
-        case 'auth/popup-blocked':
-          errorMessage = '팝업이 차단되었습니다. 브라우저에서 팝업을 허용해주세요.';
-          break;
-        case 'auth/cancelled-popup-request':
-          errorMessage = '로그인이 취소되었습니다.';
-          break;
-        case 'auth/network-request-failed':
-          errorMessage = '네트워크 연결을 확인하고 다시 시도해주세요.';
-          break;
-        default:
-          errorMessage = `로그인 오류: ${error.message}`;
-      }
-      
-      // 사용자에게 에러 메시지 표시
-      alert(errorMessage);
+      alert(authErrorMessage(error));
+    }
+  }
+
+  /**
+   * 이메일/비밀번호 로그인 폼 제출 처리
+   * @param {Event} e - 폼 제출 이벤트
+   */
+  async function onEmailSignIn(e) {
+    e.preventDefault();
+    try {
+      await store.auth.signInWithEmail(loginEmail.value.trim(), loginPassword.value);
+      emailLoginForm.reset();
+    } catch (error) {
+      console.error('이메일 로그인 실패:', error);
+      alert(authErrorMessage(error));
+    }
+  }
+
+  /**
+   * 이메일/비밀번호로 계정 만들기 (이름을 비워 두면 이메일 @ 앞부분을 이름으로 사용)
+   * 글에 이메일 주소가 작성자로 드러나지 않도록 항상 이름을 정해서 만듦
+   */
+  async function onEmailSignUp() {
+    if (!emailLoginForm.reportValidity()) return;
+    const email = loginEmail.value.trim();
+    const name = loginName.value.trim() || email.split('@')[0];
+
+    try {
+      const user = await store.auth.signUpWithEmail(email, loginPassword.value, name);
+      emailLoginForm.reset();
+      // 계정이 만들어진 직후(이름을 정하기 전)에 로그인 상태가 먼저 바뀌므로 이름을 정한 뒤 다시 반영
+      updateAuthUI(user);
+      saveUserProfile(user).catch(() => {});
+    } catch (error) {
+      console.error('계정 만들기 실패:', error);
+      alert(authErrorMessage(error));
+    }
+  }
+
+  /**
+   * 로그인하지 않은 사용자가 글을 올리면 작성자 이름(닉네임)으로 게스트 로그인 (Firebase 익명 로그인)
+   * 이미 로그인되어 있으면 아무것도 하지 않음
+   * @param {string} nickname - 작성자 입력 필드에 적은 이름
+   * @returns {Promise<boolean>} 글을 올릴 수 있으면 true
+   */
+  async function ensureSignedIn(nickname) {
+    if (currentUser) return true;
+
+    try {
+      const user = await store.auth.signInAsGuest(nickname);
+      // 익명 로그인 직후(닉네임을 정하기 전)에 로그인 상태가 먼저 바뀌므로 닉네임을 정한 뒤 다시 반영
+      updateAuthUI(user);
+      saveUserProfile(user).catch(() => {});
+      return true;
+    } catch (error) {
+      console.error('게스트 로그인 실패:', error);
+      alert(authErrorMessage(error));
+      return false;
+    }
+  }
+
+  /**
+   * 게스트 계정에 Google 계정 연결
+   * uid가 그대로 유지되므로 게스트로 쓴 글/투표/알림이 모두 그 Google 계정으로 옮겨짐
+   */
+  async function onLinkGoogle() {
+    try {
+      const user = await store.auth.linkGuestToGoogle();
+      if (!user) return;  // 리다이렉트로 Google 로그인 화면으로 이동하는 중
+
+      // 계정 연결은 로그인 상태 변경 알림이 오지 않으므로 직접 반영 (투표/신고 버튼 다시 표시)
+      updateAuthUI(user);
+      renderFeed();
+      alert(t('auth.linkDone'));
+    } catch (error) {
+      console.error('Google 계정 연결 실패:', error);
+      alert(authErrorMessage(error));
     }
   }
 
+  /**
+   * 로그인 방법 패널 열기/닫기
+   */
+  function toggleLoginPanel() {
+    loginPanel.hidden = !loginPanel.hidden;
+    loginBtn.setAttribute('aria-expanded', String(!loginPanel.hidden));
+  }
+
+  /**
+   * 로그인 방법 패널 닫기 (바깥 클릭, Esc, 로그인 완료 시)
+   */
+  function closeLoginPanel() {
+    loginPanel.hidden = true;
+    loginBtn.setAttribute('aria-expanded', 'false');
+  }
+
   /**
    * 사용자 로그아웃
    * Firebase Auth에서 로그아웃 처리
    */
   async function signOutUser() {
+    // 게스트 계정은 로그아웃하면 다시 로그인할 방법이 없으므로 먼저 확인
+    if (currentUser?.isAnonymous && !confirm(t('auth.confirmGuestSignOut'))) return;
+
     try {
-      // Firebase Auth에서 로그아웃
-      await signOut(auth);
+      // 로그아웃하면 presence 문서를 지울 권한이 없어지므로 먼저 지움
+      threadWatchers.forEach((watcher, questionId) => leavePresence(questionId));
+
+      // 저장소 백엔드에서 로그아웃
+      await store.auth.signOut();
       
       // 성공 시 updateAuthUI()가 자동으로 호출됨 (onAuthStateChanged에서)
       
     } catch (error) {
       console.error('로그아웃 실패:', error);
-      alert('로그아웃에 실패했습니다: ' + error.message);
+      alert(t('auth.error.signOut', { message: error.message }));
     }
   }
 
@@ -234,27 +774,13 @@
    */
   async function loadQuestions() {
     try {
-      // questions 컬렉션 참조 생성
-      const questionsRef = collection(db, 'questions');
-      
-      // 생성일 기준 내림차순 정렬 쿼리 생성
-      const q = query(questionsRef, orderBy('createdAt', 'desc'));
-      
-      // 쿼리 실행하여 스냅샷 가져오기
-      const snapshot = await getDocs(q);
-      
-      // 스냅샷을 배열로 변환
-      const questions = [];
-      snapshot.forEach((doc) => {
-        const data = doc.data();
-        questions.push({
-          id: doc.id,                    // 문서 ID
-          ...data,                       // 모든 필드 데이터
-          answerCount: data.answerCount || 0  // 답변 수 (기본값 0)
-        });
-      });
+      // 생성일 기준 내림차순으로 questions 컬렉션 조회
+      const docs = await store.queryDocs('questions', { orderBy: ['createdAt', 'desc'] });
       
-      return questions;
+      return docs.map((q) => ({
+        ...q,                          // 문서 ID와 모든 필드 데이터
+        answerCount: q.answerCount || 0  // 답변 수 (기본값 0)
+      }));
       
     } catch (e) {
       console.error('Failed to load questions', e);
@@ -264,147 +790,595 @@
 
   /**
    * 새로운 질문을 Firestore에 저장
+   * 첨부 파일이 있으면 질문 ID를 먼저 정해서 파일을 올린 뒤 질문을 저장
    * @param {Object} questionData - 질문 데이터 {author, title, body}
+   * @param {File[]} [files] - 첨부 파일
    * @returns {Promise<string>} 생성된 질문의 문서 ID
    */
-  async function saveQuestion(questionData) {
+  async function saveQuestion(questionData, files = []) {
+    let attachments = [];
     try {
-      // 로그인 상태 확인
-      if (!currentUser) {
-        throw new Error('로그인이 필요합니다.');
-      }
+      // 권한 확인 (로그인 필요)
+      checkPermission('create', 'question');
 
-      // questions 컬렉션에 새 문서 추가
-      const questionsRef = collection(db, 'questions');
-      const docRef = await addDoc(questionsRef, {
-        ...questionData,                    // 사용자 입력 데이터 (author, title, body)
-        authorId: currentUser.uid,          // 현재 로그인한 사용자의 고유 ID
-        createdAt: serverTimestamp(),       // 서버에서 생성된 타임스탬프 (정확한 시간)
-        answerCount: 0                      // 초기 답변 수는 0
-      });
+      // 첨부 파일 업로드 (질문 ID 경로 아래)
+      const id = store.newId('questions');
+      attachments = await uploadAttachments(id, files);
+
+      // questions 컬렉션에 새 문서 추가, 태그별 질문 수 증가를 한 번의 일괄 쓰기로 처리
+      const tags = questionData.tags || [];
+      await store.batch([
+        {
+          type: 'set',
+          path: 'questions',
+          id,
+          data: {
+            ...questionData,                    // 사용자 입력 데이터 (author, title, body)
+            authorId: currentUser.uid,          // 현재 로그인한 사용자의 고유 ID
+            createdAt: store.serverTimestamp(), // 서버에서 생성된 타임스탬프 (정확한 시간)
+            answerCount: 0,                     // 초기 답변 수는 0
+            score: 0,                           // 초기 투표 점수는 0
+            acceptedAnswerId: null,             // 채택된 답변 없음
+            tags,                               // 태그 배열
+            attachments                         // 첨부 파일 (없으면 빈 배열)
+          }
+        },
+        ...tagCountWrites(id, tags, 1)
+      ]);
+      attachments = [];                     // 저장 성공: 아래 오류 처리에서 지우지 않음
       
-      return docRef.id;  // 생성된 문서의 ID 반환
+      return id;  // 생성된 문서의 ID 반환
       
     } catch (e) {
       console.error('Failed to save question', e);
+      await removeAttachments(attachments);  // 질문이 저장되지 않았으면 올린 파일도 정리
       throw e;  // 에러를 상위로 전파하여 UI에서 처리
     }
   }
 
   /**
-   * 질문과 관련된 모든 답변을 삭제
-   * @param {string} questionId - 삭제할 질문의 ID
+   * 첨부할 파일 검사 (형식, 크기)
+   * @param {File} file
+   * @returns {string|null} 첨부할 수 없으면 이유, 괜찮으면 null
    */
-  async function deleteQuestion(questionId) {
-    try {
-      // 로그인 상태 확인
-      if (!currentUser) {
-        throw new Error('로그인이 필요합니다.');
-      }
+  function validateAttachment(file) {
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+      return t('attachment.error.type');
+    }
+    if (file.size > ATTACHMENT_MAX_SIZE) {
+      return t('attachment.error.size', { size: formatFileSize(ATTACHMENT_MAX_SIZE) });
+    }
+    return null;
+  }
 
-      // ===== 권한 확인: 자신이 작성한 질문만 삭제 가능 =====
-      const questionRef = doc(db, 'questions', questionId);
-      
-      // 질문 데이터를 조회하여 작성자 확인
-      const questionDoc = await getDocs(query(collection(db, 'questions'), where('__name__', '==', questionId)));
-      
-      if (!questionDoc.empty) {
-        const questionData = questionDoc.docs[0].data();
-        if (questionData.authorId !== currentUser.uid) {
-          throw new Error('자신이 작성한 질문만 삭제할 수 있습니다.');
-        }
-      }
+  /**
+   * 첨부 파일을 저장소에 순서대로 올림
+   * 중간에 실패하면 이미 올린 파일을 지우고 에러를 던짐 (일부만 첨부되지 않도록)
+   * @param {string} questionId - 질문 ID (답변 첨부 파일도 질문 ID 아래에 저장)
+   * @param {File[]} files - 올릴 파일
+   * @returns {Promise<Attachment[]>} 문서에 저장할 첨부 파일 정보
+   */
+  async function uploadAttachments(questionId, files) {
+    if (files.length === 0) return [];
+    if (files.length > MAX_ATTACHMENTS) {
+      throw new Error(t('attachment.error.tooMany', { count: MAX_ATTACHMENTS }));
+    }
 
-      // ===== 연관 데이터 삭제: 질문과 관련된 모든 답변 삭제 =====
-      const answersRef = collection(db, 'answers');
-      const answersQuery = query(answersRef, where('questionId', '==', questionId));
-      const answersSnapshot = await getDocs(answersQuery);
-      
-      // 모든 답변을 병렬로 삭제 (Promise.all 사용)
-      const deletePromises = answersSnapshot.docs.map(doc => deleteDoc(doc.ref));
-      await Promise.all(deletePromises);
+    const uploaded = [];
+    try {
+      for (const file of files) {
+        const problem = validateAttachment(file);
+        if (problem) throw new Error(`${file.name}: ${problem}`);
 
-      // 마지막으로 질문 자체 삭제
-      await deleteDoc(questionRef);
-      
+        const path = attachmentPath(questionId);
+        const url = await store.files.upload(path, file);
+        uploaded.push({ path, url, name: file.name, type: file.type, size: file.size });
+      }
+      return uploaded;
     } catch (e) {
-      console.error('Failed to delete question', e);
+      console.error('Failed to upload attachments', e);
+      await removeAttachments(uploaded);
       throw e;
     }
   }
 
   /**
-   * 새로운 답변을 Firestore에 추가
-   * 답변은 별도의 'answers' 컬렉션에 저장하여 serverTimestamp() 사용 가능
-   * @param {string} questionId - 답변이 속한 질문의 ID
-   * @param {Object} answerData - 답변 데이터 {author, body}
+   * 첨부 파일 삭제 (글을 지운 뒤 정리하는 용도라 실패해도 에러를 던지지 않고 기록만 남김)
+   * @param {Attachment[]} attachments - 지울 첨부 파일
    */
-  async function addAnswer(questionId, answerData) {
+  async function removeAttachments(attachments) {
     try {
-      // 로그인 상태 확인
-      if (!currentUser) {
-        throw new Error('로그인이 필요합니다.');
-      }
-
-      // ===== 1단계: 답변을 별도 컬렉션에 저장 =====
-      const answersRef = collection(db, 'answers');
-      const newAnswer = {
-        ...answerData,                    // 사용자 입력 데이터 (author, body)
-        questionId: questionId,           // 어떤 질문에 대한 답변인지 연결
-        authorId: currentUser.uid,        // 답변 작성자의 고유 ID
-        createdAt: serverTimestamp()      // 서버에서 생성된 타임스탬프 (정확한 시간)
-      };
-      
-      // answers 컬렉션에 새 문서 추가
-      await addDoc(answersRef, newAnswer);
-
-      // ===== 2단계: 질문의 답변 수 업데이트 =====
-      const questionRef = doc(db, 'questions', questionId);
-      
-      // 현재 질문 데이터 조회
-      const questionDoc = await getDocs(query(collection(db, 'questions'), where('__name__', '==', questionId)));
-      
-      if (!questionDoc.empty) {
-        const questionData = questionDoc.docs[0].data();
-        const currentAnswerCount = questionData.answerCount || 0;
-        
-        // 답변 수를 1 증가시켜 업데이트
-        await updateDoc(questionRef, { answerCount: currentAnswerCount + 1 });
+      const results = await Promise.allSettled(attachments.map(async (a) => store.files.remove(a.path)));
+      const failed = results.filter((result) => result.status === 'rejected');
+      if (failed.length > 0) {
+        console.error('Failed to remove attachments', failed.map((result) => result.reason));
       }
-
-      // ===== 3단계: 화면 즉시 업데이트 =====
-      // 답변 추가 후 실시간 데이터 구독을 재시작하여 화면에 반영
-      subscribeToQuestions();
-      
     } catch (e) {
-      console.error('Failed to add answer', e);
-      throw e;
+      console.error('Failed to remove attachments', e);
     }
   }
 
   /**
-   * 특정 질문에 대한 모든 답변을 Firestore에서 로드
+   * 태그별 질문 수 증감 쓰기 목록 (질문 저장/삭제와 같은 일괄 쓰기에 넣음)
+   * 읽지 않고 increment로 바꾸므로 동시에 질문이 올라와도 누락되지 않음
+   * lastQuestionId: 보안 규칙이 수 변경과 함께 만들거나 지운 질문을 확인하는 데 사용
+   * @param {string} questionId - 저장/삭제하는 질문 ID
+   * @param {string[]} tags - 그 질문의 태그들
+   * @param {number} delta - 증감값 (+1 또는 -1)
+   * @returns {Object[]} store.batch() 쓰기 항목
+   */
+  function tagCountWrites(questionId, tags, delta) {
+    return tags.map((tag) => ({
+      type: 'merge',
+      path: 'tags',
+      id: tag,
+      data: { count: store.increment(delta), lastQuestionId: questionId }
+    }));
+  }
+
+  /**
+   * 태그 목록을 실시간으로 구독 (태그 목록, 자동완성에 사용)
+   * 질문이 모두 지워진 태그는 질문 수 0으로 남으므로 목록에서 뺌
+   */
+  function subscribeToTags() {
+    store.subscribe('tags', { orderBy: ['count', 'desc'] }, (docs) => {
+      allTags = docs.filter((tag) => tag.count > 0);
+      renderTagIndex();
+      updateTagSuggestions();
+    }, (error) => {
+      console.error('❌ 태그 구독 실패:', error);
+    });
+  }
+
+  /**
+   * 질문 제목/내용 수정
+   * 저장할 때마다 수정 기록(revision)을 하나씩 추가하며, 기록은 수정하지 않음
+   * 처음 수정하는 질문이면 원본도 첫 번째 기록으로 남겨서 언제든 비교/복원 가능
+   * @param {string} questionId - 수정할 질문의 ID
+   * @param {Object} changes - 새 질문 데이터 {title, body}
+   */
+  async function updateQuestion(questionId, changes) {
+    try {
+      // ===== 1단계: 권한 확인: 자신이 작성한 질문만 수정 가능 =====
+      const questionData = await store.getDoc('questions', questionId);
+      if (!questionData) {
+        throw new Error(t('question.error.notFound'));
+      }
+      checkPermission('edit', 'question', questionData);
+
+      // ===== 2단계: 첫 수정이면 원본을 첫 번째 기록으로 남김 =====
+      const path = revisionsPath(questionId);
+      const existing = await store.queryDocs(path, { limit: 1 });
+      const writes = [];
+      if (existing.length === 0) {
+        writes.push({
+          type: 'set',
+          path,
+          id: store.newId(path),
+          data: {
+            title: questionData.title,
+            body: questionData.body,
+            editor: questionData.author,
+            editorId: questionData.authorId,
+            createdAt: questionData.createdAt     // 원본 작성 시각
+          }
+        });
+      }
+
+      // ===== 3단계: 새 기록과 질문 본문 갱신을 한 번의 일괄 쓰기로 처리 =====
+      // 질문 수정이 실패하면 기록도 남지 않으므로, 다시 시도해도 기록이 중복되지 않음
+      const editor = currentUser.displayName || currentUser.email || '';
+      writes.push({
+        type: 'set',
+        path,
+        id: store.newId(path),
+        data: {
+          title: changes.title,
+          body: changes.body,
+          editor,                                 // 수정한 사람 이름
+          editorId: currentUser.uid,              // 수정한 사람의 고유 ID
+          createdAt: store.serverTimestamp()      // 수정 시각
+        }
+      });
+      writes.push({
+        type: 'update',
+        path: 'questions',
+        id: questionId,
+        data: {
+          title: changes.title,
+          body: changes.body,
+          editedAt: store.serverTimestamp()
+        }
+      });
+      await store.batch(writes);
+      
+    } catch (e) {
+      console.error('Failed to update question', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 질문의 수정 기록을 오래된 순서로 로드
+   * @param {string} questionId - 질문 ID
+   * @returns {Promise<Revision[]>} 수정 기록 배열 (첫 번째가 원본)
+   */
+  async function loadRevisions(questionId) {
+    try {
+      return await store.queryDocs(revisionsPath(questionId), { orderBy: ['createdAt', 'asc'] });
+    } catch (e) {
+      console.error('Failed to load revisions', e);
+      return [];  // 에러 시 빈 배열 반환
+    }
+  }
+
+  /**
+   * 질문과 관련된 모든 답변을 삭제
+   * @param {string} questionId - 삭제할 질문의 ID
+   */
+  async function deleteQuestion(questionId) {
+    try {
+      // 로그인 상태 확인
+      if (!currentUser) {
+        throw new Error(t('auth.required'));
+      }
+
+      // ===== 권한 확인: 자신이 작성한 질문만 삭제 가능 =====
+      // 질문 데이터를 조회하여 작성자 확인
+      const questionData = await store.getDoc('questions', questionId);
+      if (questionData) checkPermission('delete', 'question', questionData);
+
+      // ===== 연관 데이터 조회: 답변, 댓글(질문+답변), 수정 기록 =====
+      // 수정 기록 서브컬렉션도 함께 삭제 (Firestore는 서브컬렉션을 자동 삭제하지 않음)
+      const [answers, comments, revisions] = await Promise.all([
+        store.queryDocs('answers', { where: [['questionId', '==', questionId]] }),
+        store.queryDocs('comments', { where: [['questionId', '==', questionId]] }),
+        store.queryDocs(revisionsPath(questionId), {})
+      ]);
+
+      // ===== 질문과 연관 데이터 삭제, 태그별 질문 수 감소를 한 번의 일괄 쓰기로 처리 =====
+      // 중간에 실패해도 답변만 남거나 태그 수가 어긋나는 일이 없도록 전부 반영되거나 전부 남음
+      const writes = [
+        ...answers.map((a) => ({ type: 'delete', path: 'answers', id: a.id })),
+        ...comments.map((c) => ({ type: 'delete', path: 'comments', id: c.id })),
+        ...revisions.map((r) => ({ type: 'delete', path: revisionsPath(questionId), id: r.id })),
+        ...tagCountWrites(questionId, questionData?.tags || [], -1),
+        { type: 'delete', path: 'questions', id: questionId }
+      ];
+      if (writes.length > store.batchLimit) {
+        throw new Error(t('question.error.tooManyRelated', { count: writes.length }));
+      }
+      await store.batch(writes);
+
+      // 질문과 답변의 첨부 파일 삭제 (문서가 모두 지워진 뒤에 정리, 실패해도 삭제는 이미 완료됨)
+      await removeAttachments([questionData, ...answers].flatMap((item) => item?.attachments || []));
+      
+    } catch (e) {
+      console.error('Failed to delete question', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 새로운 답변을 Firestore에 추가
+   * 답변은 별도의 'answers' 컬렉션에 저장하여 serverTimestamp() 사용 가능
+   * @param {string} questionId - 답변이 속한 질문의 ID
+   * @param {Object} answerData - 답변 데이터 {author, body}
+   * @param {File[]} [files] - 첨부 파일
+   */
+  async function addAnswer(questionId, answerData, files = []) {
+    let attachments = [];
+    try {
+      // 로그인 상태 확인
+      if (!currentUser) {
+        throw new Error(t('auth.required'));
+      }
+
+      // ===== 1단계: 답변 데이터 준비 =====
+      const newAnswer = {
+        ...answerData,                    // 사용자 입력 데이터 (author, body)
+        questionId: questionId,           // 어떤 질문에 대한 답변인지 연결
+        authorId: currentUser.uid,        // 답변 작성자의 고유 ID
+        createdAt: store.serverTimestamp(), // 서버에서 생성된 타임스탬프 (정확한 시간)
+        score: 0                          // 초기 투표 점수는 0
+      };
+      
+      // ===== 2단계: 답변 저장과 질문의 답변 수 증가를 한 번에 처리 =====
+      // 답변 수는 읽지 않고 increment로 올려서 동시에 답변이 달려도 누락되지 않음
+      // 질문이 이미 삭제되었으면 일괄 쓰기 전체가 실패하여 고아 답변이 생기지 않음
+      // lastAnswerId: 보안 규칙이 답변 수 변경과 함께 만든 답변을 확인하는 데 사용
+      const answerId = store.newId('answers');
+      const writes = [
+        { type: 'set', path: 'answers', id: answerId, data: newAnswer },
+        { type: 'update', path: 'questions', id: questionId, data: { answerCount: store.increment(1), lastAnswerId: answerId } }
+      ];
+
+      // 권한 확인 (잠긴 질문에는 새 답변 금지)
+      const question = await store.getDoc('questions', questionId);
+      if (question) checkPermission('answer', 'question', question);
+
+      // ===== 3단계: 다른 사람의 질문이면 질문 작성자에게 알림 (답변과 함께 저장) =====
+      if (question && question.authorId && question.authorId !== currentUser.uid) {
+        const path = notificationsPath(question.authorId);
+        writes.push({
+          type: 'set',
+          path,
+          id: store.newId(path),
+          data: {
+            type: 'answer',                    // 알림 종류 (내 질문에 달린 답변)
+            questionId,
+            questionTitle: question.title || '',
+            answerId,
+            actorId: currentUser.uid,          // 답변 작성자
+            actorName: newAnswer.author || '',  // 답변 문서의 작성자 이름과 같아야 함 (보안 규칙)
+            createdAt: store.serverTimestamp(),
+            read: false
+          }
+        });
+      }
+
+      // 첨부 파일 업로드 (권한을 확인한 뒤, 답변과 함께 저장하기 전에)
+      attachments = await uploadAttachments(questionId, files);
+      newAnswer.attachments = attachments;
+
+      try {
+        await store.batch(writes);
+        attachments = [];  // 저장 성공: 아래 오류 처리에서 지우지 않음
+      } catch (e) {
+        if (e.code === 'not-found') throw new Error(t('answer.error.questionDeleted'));
+        throw e;
+      }
+
+      // ===== 4단계: 화면 즉시 업데이트 =====
+      // 구독은 그대로 두고 이 질문의 답변만 다시 불러옴 (답변 수는 질문 구독으로 반영됨)
+      await loadThread(questionId);
+      
+    } catch (e) {
+      console.error('Failed to add answer', e);
+      await removeAttachments(attachments);  // 답변이 저장되지 않았으면 올린 파일도 정리
+      throw e;
+    }
+  }
+
+  /**
+   * 답변 내용 수정
+   * 수정 시각(editedAt)을 함께 기록하여 화면에 "수정됨" 표시
+   * @param {string} answerId - 수정할 답변의 ID
+   * @param {string} body - 새 답변 내용
+   */
+  async function updateAnswer(answerId, body) {
+    try {
+      // ===== 권한 확인: 자신이 작성한 답변만 수정 가능 =====
+      const answerData = await store.getDoc('answers', answerId);
+      if (!answerData) {
+        throw new Error(t('answer.error.notFound'));
+      }
+      checkPermission('edit', 'answer', answerData);
+
+      await store.updateDoc('answers', answerId, {
+        body,                              // 새 답변 내용
+        editedAt: store.serverTimestamp()  // 수정 시각
+      });
+
+      // 수정 내용을 화면에 반영
+      await loadThread(answerData.questionId);
+      
+    } catch (e) {
+      console.error('Failed to update answer', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 답변 삭제 후 질문의 답변 수 감소
+   * @param {string} questionId - 답변이 속한 질문의 ID
+   * @param {string} answerId - 삭제할 답변의 ID
+   */
+  async function deleteAnswer(questionId, answerId) {
+    try {
+      // ===== 1단계: 권한 확인: 자신이 작성한 답변만 삭제 가능 =====
+      const answerData = await store.getDoc('answers', answerId);
+      if (!answerData) return;  // 이미 삭제된 답변
+      checkPermission('delete', 'answer', answerData);
+
+      // ===== 2단계: 답변, 답변에 달린 댓글, 질문의 답변 수 감소를 한 번에 처리 =====
+      // 채택된 답변이 삭제되면 질문은 다시 미해결 상태가 됨
+      const [comments, questionData] = await Promise.all([
+        store.queryDocs('comments', { where: [['targetId', '==', answerId]] }),
+        store.getDoc('questions', questionId)
+      ]);
+      const writes = [
+        ...comments.map((c) => ({ type: 'delete', path: 'comments', id: c.id })),
+        { type: 'delete', path: 'answers', id: answerId }
+      ];
+      if (questionData) {
+        const patch = { answerCount: store.increment(-1), lastAnswerId: answerId };  // 보안 규칙이 함께 지운 답변을 확인
+        if (questionData.acceptedAnswerId === answerId) patch.acceptedAnswerId = null;
+        writes.push({ type: 'update', path: 'questions', id: questionId, data: patch });
+      }
+      await store.batch(writes);
+      await removeAttachments(answerData.attachments || []);
+
+      // ===== 3단계: 화면 즉시 업데이트 =====
+      await loadThread(questionId);
+      
+    } catch (e) {
+      console.error('Failed to delete answer', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 질문 또는 답변에 댓글 추가
+   * 댓글은 answers와 별도의 comments 컬렉션에 저장되어 답변 수에 포함되지 않음
+   * @param {string} questionId - 댓글이 속한 질문 ID (답변 댓글도 질문 ID를 함께 저장)
+   * @param {'question'|'answer'} targetType - 댓글 대상 종류
+   * @param {string} targetId - 댓글 대상 질문/답변 ID
+   * @param {string} body - 댓글 내용
+   */
+  async function addComment(questionId, targetType, targetId, body) {
+    try {
+      // 권한 확인 (로그인 필요)
+      checkPermission('comment', targetType, { id: targetId });
+
+      await store.addDoc('comments', {
+        body,
+        author: currentUser.displayName || currentUser.email || '',
+        authorId: currentUser.uid,
+        createdAt: store.serverTimestamp(),
+        questionId,                        // 질문 삭제 시 함께 지우기 위한 연결
+        targetType,                        // 'question' 또는 'answer'
+        targetId                           // 댓글이 달린 질문/답변 ID
+      });
+
+      // 화면 즉시 업데이트
+      await loadThread(questionId);
+      
+    } catch (e) {
+      console.error('Failed to add comment', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 댓글 삭제 (자신이 작성한 댓글만)
+   * @param {string} commentId - 삭제할 댓글 ID
+   */
+  async function deleteComment(commentId) {
+    try {
+      const comment = await store.getDoc('comments', commentId);
+      if (!comment) return;  // 이미 삭제된 댓글
+      checkPermission('delete', 'comment', comment);
+
+      await store.deleteDoc('comments', commentId);
+      await loadThread(comment.questionId);
+      
+    } catch (e) {
+      console.error('Failed to delete comment', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 특정 질문(과 그 답변들)에 달린 모든 댓글을 작성 순서로 로드
+   * @param {string} questionId - 질문 ID
+   * @returns {Promise<Comment[]>} 댓글 배열
+   */
+  async function loadComments(questionId) {
+    try {
+      const comments = await store.queryDocs('comments', { where: [['questionId', '==', questionId]] });
+      // 답변과 마찬가지로 클라이언트에서 정렬 (Firestore 복합 인덱스 불필요)
+      return comments.sort((a, b) => (toMillis(a.createdAt) || 0) - (toMillis(b.createdAt) || 0));
+    } catch (e) {
+      console.error('Failed to load comments', e);
+      return [];  // 에러 시 빈 배열 반환
+    }
+  }
+
+  /**
+   * 답변 채택 (이미 채택된 답변이면 채택 취소)
+   * 질문 작성자만 가능하며 질문당 하나의 답변만 채택됨
+   * @param {string} questionId - 질문 ID
+   * @param {string} answerId - 채택할 답변 ID
+   */
+  async function acceptAnswer(questionId, answerId) {
+    try {
+      // ===== 권한 확인: 질문 작성자만 채택 가능 =====
+      const questionData = await store.getDoc('questions', questionId);
+      if (!questionData) {
+        throw new Error(t('question.error.notFound'));
+      }
+      checkPermission('accept', 'question', questionData);
+
+      const acceptedAnswerId = questionData.acceptedAnswerId === answerId ? null : answerId;
+      await store.updateDoc('questions', questionId, { acceptedAnswerId });
+      
+    } catch (e) {
+      console.error('Failed to accept answer', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 질문/답변에 투표 (같은 방향으로 다시 누르면 투표 취소)
+   * 투표 문서 ID를 대상+사용자 uid로 고정하여 사용자당 1표만 저장됨
+   * @param {'question'|'answer'} targetType - 투표 대상 종류
+   * @param {string} targetId - 질문/답변 ID
+   * @param {1|-1} value - 추천(1) 또는 비추천(-1)
+   */
+  async function castVote(targetType, targetId, value) {
+    try {
+      // ===== 1단계: 대상 확인: 자신의 글에는 투표 불가 =====
+      const collectionName = targetType === 'question' ? 'questions' : 'answers';
+      const target = await store.getDoc(collectionName, targetId);
+      if (!target) {
+        throw new Error(t('vote.error.notFound'));
+      }
+      checkPermission('vote', targetType, target);
+
+      // ===== 2단계: 기존 투표와 비교하여 점수 변화량 계산 =====
+      const voteId = `${voteKey(targetType, targetId)}_${currentUser.uid}`;
+      const existing = await store.getDoc('votes', voteId);
+      const previous = existing ? existing.value : 0;
+      const next = previous === value ? 0 : value;  // 같은 방향이면 취소
+
+      // ===== 3단계: 투표 문서 저장/삭제와 대상 글의 점수 갱신을 한 번에 처리 =====
+      // 점수는 읽지 않고 increment로 바꿔서 동시에 투표해도 누락되지 않고,
+      // 둘 중 하나만 저장되어 점수와 투표가 어긋나는 일이 없음
+      const writes = [
+        next === 0
+          ? { type: 'delete', path: 'votes', id: voteId }
+          : { type: 'set', path: 'votes', id: voteId, data: { uid: currentUser.uid, targetType, targetId, value: next } },
+        { type: 'update', path: collectionName, id: targetId, data: { score: store.increment(next - previous) } }
+      ];
+      await store.batch(writes);
+
+      // ===== 4단계: 화면 즉시 업데이트 =====
+      // 내 투표 표시는 바로 갱신, 질문 점수는 질문 구독으로 반영되고 답변 점수는 답변만 다시 불러옴
+      if (next === 0) {
+        myVotes.delete(voteKey(targetType, targetId));
+      } else {
+        myVotes.set(voteKey(targetType, targetId), next);
+      }
+      if (targetType === 'answer') {
+        await loadThread(target.questionId);
+      } else {
+        renderFeed();
+      }
+      
+    } catch (e) {
+      console.error('Failed to cast vote', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 현재 사용자의 모든 투표를 로드
+   * @returns {Promise<Map<string, number>>} voteKey → 1 | -1
+   */
+  async function loadMyVotes() {
+    if (!currentUser) return new Map();
+
+    try {
+      const votes = await store.queryDocs('votes', { where: [['uid', '==', currentUser.uid]] });
+      return new Map(votes.map((v) => [voteKey(v.targetType, v.targetId), v.value]));
+    } catch (e) {
+      console.error('Failed to load votes', e);
+      return new Map();  // 에러 시 투표 표시 없이 진행
+    }
+  }
+
+  /**
+   * 특정 질문에 대한 모든 답변을 Firestore에서 로드
    * @param {string} questionId - 답변을 가져올 질문의 ID
    * @returns {Promise<Array>} 답변 배열 (시간순 정렬됨)
    */
   async function loadAnswers(questionId) {
     try {
       // answers 컬렉션에서 특정 질문의 답변만 필터링
-      const answersRef = collection(db, 'answers');
-      
       // ⚠️ 임시 해결책: orderBy 제거하여 Firestore 인덱스 없이 쿼리
-      // 원래: orderBy('createdAt', 'asc') 포함
-      const q = query(answersRef, where('questionId', '==', questionId));
-      const snapshot = await getDocs(q);
-      
-      // 스냅샷을 배열로 변환
-      const answers = [];
-      snapshot.forEach((doc) => {
-        answers.push({
-          id: doc.id,        // 답변 문서의 고유 ID
-          ...doc.data()      // 모든 필드 데이터
-        });
-      });
+      // 원래: orderBy: ['createdAt', 'asc'] 포함
+      const answers = await store.queryDocs('answers', { where: [['questionId', '==', questionId]] });
       
       // ===== 클라이언트에서 정렬 (Firestore 인덱스 불필요) =====
       answers.sort((a, b) => {
@@ -425,288 +1399,3792 @@
     }
   }
 
-    /**
-   * 질문 데이터의 실시간 변경사항을 구독하고 화면에 반영
-   * Firestore의 onSnapshot을 사용하여 실시간 동기화
+  /**
+   * 여러 질문의 답변을 한꺼번에 로드 (검색용, 질문별로 따로 조회하지 않음)
+   * Firestore 'in' 조건은 값 30개까지라서 30개씩 나누어 조회
+   * @param {string[]} questionIds - 질문 ID 배열
+   * @returns {Promise<Answer[]>} 답변 배열
    */
-  function subscribeToQuestions() {
-    // 이전 구독이 있다면 해제 (메모리 누수 방지)
-    if (unsubscribeQuestions) {
-      unsubscribeQuestions();
+  async function loadAnswersForQuestions(questionIds) {
+    const chunks = [];
+    for (let i = 0; i < questionIds.length; i += 30) chunks.push(questionIds.slice(i, i + 30));
+
+    try {
+      const results = await Promise.all(chunks.map((ids) =>
+        store.queryDocs('answers', { where: [['questionId', 'in', ids]] })));
+      return results.flat();
+    } catch (e) {
+      console.error('Failed to load answers for search', e);
+      return [];  // 에러 시 답변 없이 검색
     }
+  }
 
-    // questions 컬렉션 참조 및 쿼리 생성
-    const questionsRef = collection(db, 'questions');
-    const q = query(questionsRef, orderBy('createdAt', 'desc'));  // 최신 질문부터
-    
-    // 실시간 데이터 구독 시작
-    unsubscribeQuestions = onSnapshot(q, (snapshot) => {
-      console.log('🔥 질문 데이터 변경 감지:', snapshot.docs.length, '개');
-      
-      // ===== 1단계: 각 질문에 대한 답변을 비동기로 로드 =====
-      const questions = [];
-      const loadAnswersPromises = snapshot.docs.map(async (doc) => {
-        const data = doc.data();
-        console.log(`📝 질문 ${doc.id} 데이터:`, data);
-        
-        // 각 질문에 대한 답변을 별도 컬렉션에서 로드
-        const answers = await loadAnswers(doc.id);
-        console.log(`💬 질문 ${doc.id}의 답변 ${answers.length}개 로드 완료`);
-        
-        // 질문과 답변을 하나의 객체로 결합
-        return {
-          id: doc.id,
-          ...data,                    // 질문 데이터
-          answers: answers,           // 답변 배열
-          answerCount: answers.length // 답변 수
-        };
-      });
-      
-      // ===== 2단계: 모든 답변 로딩 완료 후 화면 렌더링 =====
-      Promise.all(loadAnswersPromises).then((questionsWithAnswers) => {
-        console.log('🎯 모든 질문과 답변 로딩 완료:', questionsWithAnswers);
-        renderQuestions(questionsWithAnswers);
-        
-      }).catch((error) => {
-        console.error('❌ 답변 로딩 실패:', error);
-        
-        // ===== 3단계: 에러 발생 시 대체 처리 =====
-        // Firestore 인덱스 에러인 경우 특별 처리
-        if (error.message.includes('index') || error.message.includes('Index')) {
-          console.warn('⚠️ Firestore 인덱스가 아직 생성 중입니다. 기본 데이터로 렌더링합니다.');
-        }
-        
-        // 에러가 발생해도 기본 질문 데이터는 렌더링 (답변 없이)
-        const basicQuestions = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          answers: [],        // 답변은 빈 배열
-          answerCount: 0     // 답변 수는 0
-        }));
-        console.log('⚠️ 기본 질문 데이터로 렌더링:', basicQuestions);
-        renderQuestions(basicQuestions);
-      });
-      
-    }, (error) => {
-      // 구독 자체가 실패한 경우
-      console.error('❌ 질문 구독 실패:', error);
+  /**
+   * 질문 목록 실시간 구독을 처음 페이지부터 다시 시작
+   * 전체 컬렉션을 구독하지 않고 PAGE_SIZE개씩 페이지 단위로 구독하며,
+   * 답변/댓글은 질문을 펼치거나 상세 화면을 열 때만 구독 (watchThread)
+   */
+  function subscribeToQuestions() {
+    // 이전 페이지 구독 모두 해제 (메모리 누수 방지)
+    // 새 첫 페이지가 도착할 때까지는 이전에 보이던 질문을 그대로 표시
+    const previousDocs = feedPages.flatMap((page) => page.docs);
+    feedPages.forEach((page) => page.unsubscribe?.());
+    feedPages = [];
+
+    // 내 투표는 구독을 다시 시작할 때(로그인 변경 등) 한 번만 로드
+    loadMyVotes().then((votes) => {
+      myVotes = votes;
+      renderFeed();
     });
 
-    // 구독 해제 함수 반환 (메모리 누수 방지)
-    return unsubscribeQuestions;
+    // 열려 있는 질문의 답변/댓글 구독 확인, 로그인 사용자가 바뀌었으면 presence도 새 사용자로 기록
+    syncOpenQuestions();
+    threadWatchers.forEach((watcher, questionId) => writePresence(questionId));
+
+    subscribePage(undefined, previousDocs);
   }
 
-  // ========================================
-  // UI 렌더링 함수들
-  // ========================================
-  
   /**
-   * 질문 목록을 화면에 렌더링
-   * 검색, 정렬, 필터링을 적용하여 사용자에게 표시
-   * @param {Array} questions - 렌더링할 질문 배열
+   * 질문 목록 한 페이지 구독
+   * 다음 페이지 존재 여부를 알기 위해 PAGE_SIZE + 1개를 요청
+   * @param {any} cursor - 이전 페이지 마지막 질문의 createdAt (첫 페이지면 undefined)
+   * @param {Question[]} [placeholderDocs] - 첫 결과가 오기 전까지 표시할 질문
    */
-  function renderQuestions(questions) {
-    // ===== 1단계: 검색 및 정렬 적용 =====
-    const keyword = (searchInput?.value || '').trim().toLowerCase();  // 검색어
-    const sort = sortSelect?.value || 'newest';                       // 정렬 방식
-    const filteredQuestions = applySort(filterByKeyword(questions, keyword), sort);
+  function subscribePage(cursor, placeholderDocs = []) {
+    /** @type {FeedPage} */
+    const page = { cursor, size: PAGE_SIZE, docs: placeholderDocs, hasMore: false, loaded: false, unsubscribe: null };
+    feedPages.push(page);
+    listenPage(page);
+  }
 
-    // ===== 2단계: 기존 내용 초기화 =====
-    questionList.innerHTML = '';
+  /**
+   * 페이지의 저장소 구독 시작 (이미 구독 중이면 해제 후 다시 구독)
+   * @param {FeedPage} page - 구독할 페이지
+   */
+  function listenPage(page) {
+    page.unsubscribe?.();
 
-    // ===== 3단계: 빈 상태 처리 =====
-    if (filteredQuestions.length === 0) {
-      emptyState.hidden = false;  // "질문이 없습니다" 메시지 표시
-      return;
-    }
-    emptyState.hidden = true;     // 빈 상태 메시지 숨김
+    const options = { orderBy: ['createdAt', 'desc'], limit: page.size + 1 };
+    if (page.cursor !== undefined) options.startAfter = page.cursor;
 
-    // ===== 4단계: 각 질문을 순회하며 DOM 요소 생성 =====
-    for (const q of filteredQuestions) {
-      // 질문 항목의 최상위 컨테이너 (li 요소)
-      const li = document.createElement('li');
-      li.className = 'question-item';
-      li.dataset.id = q.id;  // 데이터 속성으로 질문 ID 저장
+    page.unsubscribe = store.subscribe('questions', options, (docs) => {
+      page.docs = docs.slice(0, page.size);
+      page.hasMore = docs.length > page.size;
+      page.loaded = true;
 
-      // ===== 질문 헤더 영역 생성 =====
-      const head = document.createElement('div');
-      head.className = 'question-head';
+      // 새 질문이 들어와 이 페이지 끝의 질문이 밀려나면 다음 페이지 커서와의 사이에 빈틈이 생김
+      // → 빈틈이 없도록 이 페이지를 한 페이지만큼 늘려서 다시 구독
+      const nextPage = feedPages[feedPages.indexOf(page) + 1];
+      const lastDoc = page.docs[page.docs.length - 1];
+      if (nextPage && page.hasMore && toMillis(lastDoc.createdAt) > toMillis(nextPage.cursor)) {
+        page.size += PAGE_SIZE;
+        listenPage(page);
+        return;
+      }
 
-      // 질문 제목
-      const title = document.createElement('h3');
-      title.className = 'question-title';
-      title.textContent = q.title;
+      // 펼쳐 둔 질문의 답변/댓글은 watchThread()의 구독으로 따로 갱신됨
+      renderFeed();
 
-      // ===== 우측 영역 (통계 + 버튼) =====
-      const right = document.createElement('div');
-      right.style.display = 'flex';
-      right.style.gap = '8px';
-      right.style.alignItems = 'center';
-
-      // 질문 통계 정보 (작성자, 작성일, 답변 수)
-      const stats = document.createElement('div');
-      stats.className = 'question-stats';
-      stats.innerHTML = `<span class="question-meta">작성자 ${escapeHTML(q.author)} · ${formatDate(q.createdAt)}</span> · <span>답변 ${q.answers.length}</span>`;
-
-      // 내용 보기/숨기기 토글 버튼
-      const expandBtn = document.createElement('button');
-      expandBtn.className = 'expand-btn';
-      expandBtn.type = 'button';
-      expandBtn.textContent = '내용 보기';
-      expandBtn.addEventListener('click', () => {
-        // details 영역의 표시/숨김 토글
-        details.hidden = !details.hidden;
-        expandBtn.textContent = details.hidden ? '내용 보기' : '내용 닫기';
-      });
+      // 오프라인에서도 보여줄 수 있도록 첫 페이지 스냅샷 저장
+      if (page === feedPages[0]) saveSnapshot(composeFeed().slice(0, PAGE_SIZE));
+    }, (error) => {
+      // 구독 자체가 실패한 경우 (오프라인이면 캐시된 스냅샷이 그대로 표시됨)
+      console.error('❌ 질문 구독 실패:', error);
+      updateSyncStatus();
+    });
+  }
 
-      // 우측 영역에 요소들 추가
-      right.appendChild(stats);
-      right.appendChild(expandBtn);
+  /**
+   * 다음 페이지 불러오기 (무한 스크롤 / 더 보기 버튼)
+   * 마지막 페이지가 아직 로드 중이거나 더 이상 질문이 없으면 아무것도 하지 않음
+   */
+  function loadNextPage() {
+    const lastPage = feedPages[feedPages.length - 1];
+    if (!lastPage || !lastPage.loaded || !lastPage.hasMore) return;
+
+    const lastDoc = lastPage.docs[lastPage.docs.length - 1];
+    subscribePage(lastDoc.createdAt);
+    updateFeedMore();
+  }
+
+  /**
+   * 질문의 답변과 댓글을 한 번 불러와 캐시 (답변/댓글 작성 후, 데이터 점검 후)
+   * 열려 있어 실시간 구독 중인 질문은 구독으로 갱신되므로 다시 불러오지 않음
+   * @param {string} questionId - 질문 ID
+   */
+  async function loadThread(questionId) {
+    if (threadWatchers.has(questionId)) return;
+    if (loadingThreads.has(questionId)) return;
+    loadingThreads.add(questionId);
+
+    try {
+      const [answers, comments] = await Promise.all([loadAnswers(questionId), loadComments(questionId)]);
+      threads.set(questionId, { answers, comments });
+    } finally {
+      loadingThreads.delete(questionId);
+    }
+    renderFeed();
+  }
+
+  // ========================================
+  // 열린 질문 실시간 구독 (답변/댓글, 함께 보는 사람)
+  // ========================================
 
-      // 헤더에 제목과 우측 영역 추가
-      head.appendChild(title);
-      head.appendChild(right);
+  /**
+   * 열려 있는 질문(펼친 질문, 상세 화면 질문)만 구독하도록 맞춤
+   * 새로 열린 질문은 구독을 시작하고, 닫힌 질문은 구독을 해제하고 presence 문서를 지움
+   */
+  function syncOpenQuestions() {
+    const open = new Set(expandedQuestions);
+    if (detailQuestion) open.add(detailQuestion.id);
 
-      // ===== 질문 상세 내용 영역 생성 =====
-      const details = document.createElement('div');
-      details.hidden = true;  // 초기에는 숨김 상태
+    open.forEach((questionId) => {
+      if (!threadWatchers.has(questionId)) watchThread(questionId);
+    });
+    [...threadWatchers.keys()]
+      .filter((questionId) => !open.has(questionId))
+      .forEach(unwatchThread);
+  }
+
+  /**
+   * 질문 하나의 답변, 댓글, presence 실시간 구독 시작
+   * 답변과 댓글이 모두 도착하면 threads 캐시에 넣고 다시 그림
+   * @param {string} questionId - 질문 ID
+   */
+  function watchThread(questionId) {
+    /** @type {ThreadWatcher} */
+    const watcher = { answers: null, comments: null, presence: [], presenceUid: null, unsubscribe: [] };
+    threadWatchers.set(questionId, watcher);
+
+    const byCreatedAt = (a, b) => (toMillis(a.createdAt) || 0) - (toMillis(b.createdAt) || 0);
+    const update = () => {
+      if (!watcher.answers || !watcher.comments) return;
+      threads.set(questionId, { answers: watcher.answers, comments: watcher.comments });
+      renderFeed();
+    };
+    const onError = (error) => {
+      console.error('❌ 답변/댓글 구독 실패:', error);
+      updateSyncStatus();
+    };
+
+    // 답변: 구독을 시작한 뒤에 다른 사람이 단 답변은 잠깐 강조
+    const where = [['questionId', '==', questionId]];
+    watcher.unsubscribe.push(store.subscribe('answers', { where }, (docs) => {
+      const answers = [...docs].sort(byCreatedAt);
+      if (watcher.answers) markNewAnswers(watcher.answers, answers);
+      watcher.answers = answers;
+      update();
+    }, onError));
+
+    watcher.unsubscribe.push(store.subscribe('comments', { where }, (docs) => {
+      watcher.comments = [...docs].sort(byCreatedAt);
+      update();
+    }, onError));
+
+    // 함께 보는 사람: 질문 항목의 표시만 고침 (항목을 다시 그리지 않음)
+    watcher.unsubscribe.push(store.subscribe('presence', { where }, (docs) => {
+      watcher.presence = docs;
+      renderPresence();
+    }, (error) => console.error('Failed to subscribe to presence', error)));
+
+    writePresence(questionId);
+  }
+
+  /**
+   * 질문 구독 해제 (답변/댓글 캐시는 남겨 다시 펼치면 바로 표시)
+   * @param {string} questionId - 질문 ID
+   */
+  function unwatchThread(questionId) {
+    const watcher = threadWatchers.get(questionId);
+    if (!watcher) return;
+    leavePresence(questionId);
+    watcher.unsubscribe.forEach((unsubscribe) => unsubscribe());
+    threadWatchers.delete(questionId);
+    clearTimeout(typingTimers.get(questionId));
+    typingTimers.delete(questionId);
+  }
+
+  /**
+   * 이전 스냅샷에 없던 답변 중 다른 사람이 단 답변을 잠깐 강조 대상으로 표시
+   * @param {Answer[]} previous - 이전 답변 목록
+   * @param {Answer[]} answers - 새 답변 목록
+   */
+  function markNewAnswers(previous, answers) {
+    const known = new Set(previous.map((a) => a.id));
+    for (const answer of answers) {
+      if (known.has(answer.id) || answer.authorId === currentUser?.uid) continue;
+      newAnswerIds.add(answer.id);
+      setTimeout(() => newAnswerIds.delete(answer.id), NEW_ANSWER_HIGHLIGHT);
+    }
+  }
+
+  /**
+   * 이 탭이 질문을 보고 있다고 presence 문서에 기록 (로그인한 사용자만, 열 때와 PRESENCE_HEARTBEAT마다)
+   * @param {string} questionId - 질문 ID
+   */
+  function writePresence(questionId) {
+    const watcher = threadWatchers.get(questionId);
+    if (!watcher || !currentUser) return;
+
+    // 다른 사용자로 기록해 둔 문서는 지울 수 없으므로 PRESENCE_TIMEOUT이 지나면 무시됨
+    watcher.presenceUid = currentUser.uid;
+    store.setDoc('presence', `${questionId}_${presenceSession}`, {
+      questionId,
+      session: presenceSession,
+      uid: currentUser.uid,
+      typing: typingTimers.has(questionId),
+      updatedAt: store.serverTimestamp(),
+      expiresAt: store.timestamp(now() + PRESENCE_TIMEOUT)  // Firestore TTL 정책용 (오래된 문서 자동 삭제)
+    }).catch((e) => console.error('Failed to write presence', e));
+  }
+
+  /**
+   * 이 탭의 presence 문서 삭제 (질문을 닫을 때, 탭을 닫을 때, 로그아웃하기 전)
+   * @param {string} questionId - 질문 ID
+   */
+  function leavePresence(questionId) {
+    const watcher = threadWatchers.get(questionId);
+    if (!watcher || !watcher.presenceUid || watcher.presenceUid !== currentUser?.uid) return;
+    watcher.presenceUid = null;
+    store.deleteDoc('presence', `${questionId}_${presenceSession}`).catch(() => {});
+  }
+
+  /**
+   * 답변 입력 중임을 표시 (입력이 TYPING_IDLE 동안 없으면 해제)
+   * 상태가 바뀔 때만 기록하므로 글자마다 쓰지 않음
+   * @param {string} questionId - 질문 ID
+   */
+  function noteTyping(questionId) {
+    const wasTyping = typingTimers.has(questionId);
+    clearTimeout(typingTimers.get(questionId));
+    typingTimers.set(questionId, setTimeout(() => stopTyping(questionId), TYPING_IDLE));
+    if (!wasTyping) writePresence(questionId);
+  }
+
+  /**
+   * 답변 입력 중 표시 해제 (입력이 멈췄을 때, 답변을 등록했을 때)
+   * @param {string} questionId - 질문 ID
+   */
+  function stopTyping(questionId) {
+    if (!typingTimers.has(questionId)) return;
+    clearTimeout(typingTimers.get(questionId));
+    typingTimers.delete(questionId);
+    writePresence(questionId);
+  }
+
+  /**
+   * 질문 항목의 "N명이 보는 중 · 누군가 답변을 작성하는 중" 표시 갱신
+   * 나 자신과 PRESENCE_TIMEOUT 동안 갱신되지 않은 문서는 세지 않음
+   */
+  function renderPresence() {
+    const cutoff = now() - PRESENCE_TIMEOUT;
+    for (const el of document.querySelectorAll('.presence')) {
+      const docs = threadWatchers.get(el.dataset.questionId)?.presence || [];
+      const others = docs.filter((p) => p.uid !== currentUser?.uid && (toMillis(p.updatedAt) || 0) > cutoff);
+      const viewers = new Set(others.map((p) => p.uid)).size;
+      const typing = others.some((p) => p.typing);
+
+      const parts = [];
+      if (viewers > 0) parts.push(`👀 ${t('presence.viewing', { count: viewers })}`);
+      if (typing) parts.push(`✍️ ${t('presence.typing')}`);
+      el.textContent = parts.join(' · ');
+      el.hidden = parts.length === 0;
+    }
+  }
+
+  /**
+   * 구독 중인 페이지들과 답변 캐시를 합쳐 화면에 그릴 질문 배열 생성 (상단 고정 질문 먼저)
+   * 새 질문이 앞 페이지로 들어오면 페이지 경계에서 중복될 수 있으므로 ID로 걸러냄
+   * @returns {Array} 답변/댓글이 포함된 질문 배열
+   */
+  function composeFeed() {
+    const seen = new Set();
+    const questions = [];
+
+    for (const page of [{ docs: pinnedQuestions }, ...feedPages]) {
+      for (const doc of page.docs) {
+        if (seen.has(doc.id)) continue;
+        seen.add(doc.id);
+
+        questions.push(withThread(doc));
+      }
+    }
+    return questions;
+  }
+
+  /**
+   * 질문 문서에 캐시된 답변/댓글을 합침
+   * @param {Question} doc - 질문 문서
+   * @returns {Object} 답변/댓글이 포함된 질문
+   */
+  function withThread(doc) {
+    const thread = threads.get(doc.id);
+    return {
+      ...doc,
+      answers: thread ? thread.answers : [],   // 펼치기 전에는 빈 배열
+      comments: thread ? thread.comments : [],
+      threadLoaded: Boolean(thread)            // 답변/댓글을 불러왔는지 여부
+    };
+  }
+
+  /**
+   * 캐시된 데이터로 질문 목록(과 열려 있는 상세 화면) 다시 그리기 (저장소를 다시 조회하지 않음)
+   */
+  function renderFeed() {
+    // 바뀐 항목만 다시 그리고, 입력 중이던 내용과 초점은 patchList()가 유지
+    renderQuestions(composeFeed());
+    updateFeedMore();
+    renderQuestionView();
+  }
+
+  /**
+   * 목록 아래 "더 보기" 영역 표시 상태 갱신
+   */
+  function updateFeedMore() {
+    const lastPage = feedPages[feedPages.length - 1];
+    const loading = Boolean(lastPage && !lastPage.loaded);
+    feedMore.hidden = !lastPage || (!loading && !lastPage.hasMore);
+    loadMoreBtn.disabled = loading;
+    window.qnaI18n.localize(loadMoreBtn, loading ? 'feed.loading' : 'feed.loadMore');
+  }
+
+  // ========================================
+  // 알림 (내 질문에 달린 답변)
+  // ========================================
+
+  /**
+   * 현재 사용자의 알림을 실시간 구독 (로그인 상태가 바뀔 때마다 다시 구독)
+   * 최근 알림 목록과 읽지 않은 알림(개수 표시용)을 따로 구독
+   */
+  function subscribeToNotifications() {
+    unsubscribeNotifications.forEach((unsubscribe) => unsubscribe());
+    unsubscribeNotifications = [];
+    notifications = [];
+    unreadNotificationIds = [];
+    renderNotifications();
+
+    if (!currentUser) return;
+    const path = notificationsPath(currentUser.uid);
+    const onError = (error) => console.error('❌ 알림 구독 실패:', error);
+
+    unsubscribeNotifications.push(
+      store.subscribe(path, { orderBy: ['createdAt', 'desc'], limit: NOTIFICATION_LIMIT }, (docs) => {
+        notifications = docs;
+        renderNotifications();
+      }, onError),
+      store.subscribe(path, { where: [['read', '==', false]] }, (docs) => {
+        unreadNotificationIds = docs.map((n) => n.id);
+        renderNotifications();
+      }, onError)
+    );
+  }
+
+  /**
+   * 알림 하나를 읽음으로 표시
+   * @param {string} notificationId - 알림 ID
+   */
+  async function markNotificationRead(notificationId) {
+    try {
+      if (!currentUser) return;
+      await store.updateDoc(notificationsPath(currentUser.uid), notificationId, { read: true });
+    } catch (e) {
+      console.error('Failed to mark notification as read', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 읽지 않은 알림을 모두 읽음으로 표시 (batchLimit 단위로 나누어 일괄 쓰기)
+   */
+  async function markAllNotificationsRead() {
+    try {
+      if (!currentUser) {
+        throw new Error(t('auth.required'));
+      }
+
+      const path = notificationsPath(currentUser.uid);
+      const unread = await store.queryDocs(path, { where: [['read', '==', false]] });
+      const writes = unread.map((n) => ({ type: 'update', path, id: n.id, data: { read: true } }));
+      for (let i = 0; i < writes.length; i += store.batchLimit) {
+        await store.batch(writes.slice(i, i + store.batchLimit));
+      }
+    } catch (e) {
+      console.error('Failed to mark all notifications as read', e);
+      throw e;
+    }
+  }
+
+  // ========================================
+  // 모더레이션 (신고, 역할, 숨기기/잠금/고정, 관리 기록)
+  // ========================================
+
+  /**
+   * 현재 사용자의 역할(users/{uid}.role)을 실시간 구독 (로그인 상태가 바뀔 때마다 다시 구독)
+   * 역할이 바뀌면 관리 버튼 표시와 목록(숨긴 글 표시 여부)을 다시 그림
+   */
+  function subscribeToRole() {
+    unsubscribeRole?.();
+    unsubscribeRole = null;
+    currentRole = null;
+    updateRoleUI();
+
+    if (!currentUser) return;
+    unsubscribeRole = store.subscribeDoc('users', currentUser.uid, (profile) => {
+      currentRole = profile?.role || null;
+      updateRoleUI();
+      renderFeed();
+      if (moderationView) openModerationView();  // 권한이 바뀌었으면 신고 관리 화면 다시 불러옴
+    }, (error) => console.error('❌ 역할 구독 실패:', error));
+  }
+
+  /**
+   * 상단 고정 질문 실시간 구독 (페이지에 없는 오래된 질문도 목록 맨 위에 표시)
+   */
+  function subscribeToPinned() {
+    store.subscribe('questions', { where: [['pinned', '==', true]] }, (docs) => {
+      pinnedQuestions = docs.sort(byNewest);
+      renderFeed();
+    }, (error) => console.error('❌ 고정 질문 구독 실패:', error));
+  }
+
+  /**
+   * 질문 또는 답변 신고 (사용자당 한 번, 자신의 글은 신고 불가)
+   * @param {'question'|'answer'} targetType - 신고 대상 종류
+   * @param {string} targetId - 질문/답변 ID
+   * @param {string} reason - 신고 사유
+   */
+  async function reportContent(targetType, targetId, reason) {
+    try {
+      // ===== 1단계: 대상 확인 =====
+      const target = await store.getDoc(targetType === 'question' ? 'questions' : 'answers', targetId);
+      if (!target) {
+        throw new Error(t('report.error.notFound'));
+      }
+      checkPermission('report', targetType, target);
+
+      // ===== 2단계: 중복 신고 확인 (문서 ID = 대상 + 신고자) =====
+      const reportId = `${voteKey(targetType, targetId)}_${currentUser.uid}`;
+      if (await store.getDoc('reports', reportId)) {
+        throw new Error(t('report.error.duplicate'));
+      }
+
+      // ===== 3단계: 신고 저장 =====
+      await store.setDoc('reports', reportId, {
+        targetType,
+        targetId,
+        questionId: targetType === 'question' ? targetId : target.questionId,
+        reason,
+        reporterId: currentUser.uid,
+        reporterName: currentUser.displayName || currentUser.email || '',
+        createdAt: store.serverTimestamp(),
+        status: 'open'
+      });
+    } catch (e) {
+      console.error('Failed to report content', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 관리 기록 쓰기 항목 생성 (관리 작업과 같은 일괄 쓰기에 넣어 기록 누락 방지)
+   * @param {Object} entry - { action, targetType, targetId, questionId, reason, role? }
+   * @returns {Object} batch() 쓰기 항목
+   */
+  function moderationLogWrite(entry) {
+    return {
+      type: 'set',
+      path: 'moderationLog',
+      id: store.newId('moderationLog'),
+      data: {
+        reason: '',
+        ...entry,
+        moderatorId: currentUser.uid,
+        moderatorName: currentUser.displayName || currentUser.email || '',
+        createdAt: store.serverTimestamp()
+      }
+    };
+  }
+
+  /**
+   * 질문/답변에 관리 작업 적용 (모더레이터 전용)
+   * 글 변경, 처리된 신고 종료, 관리 기록을 한 번의 일괄 쓰기로 저장
+   * @param {'hide'|'unhide'|'lock'|'unlock'|'pin'|'unpin'|'dismiss'} action - 관리 작업
+   * @param {'question'|'answer'} targetType - 대상 종류 (잠금/고정은 질문만)
+   * @param {string} targetId - 질문/답변 ID
+   * @param {string} [reason] - 작업 사유 (관리 기록에 남음)
+   */
+  async function moderateContent(action, targetType, targetId, reason = '') {
+    try {
+      checkPermission('moderate', targetType);
+      if (!(action in MODERATION_ACTIONS)) {
+        throw new Error(t('moderation.error.unknownAction', { action }));
+      }
+      if (targetType === 'answer' && ['lock', 'unlock', 'pin', 'unpin'].includes(action)) {
+        throw new Error(t('moderation.error.questionOnly'));
+      }
+
+      // ===== 1단계: 대상 확인 =====
+      const path = targetType === 'question' ? 'questions' : 'answers';
+      // 이미 삭제된 글의 신고는 기각(신고 닫기)만 가능
+      const target = await store.getDoc(path, targetId);
+      if (!target && action !== 'dismiss') {
+        throw new Error(t('moderation.error.notFound'));
+      }
+      const questionId = targetType === 'question' ? targetId : target?.questionId || null;
+
+      // ===== 2단계: 글 변경 + 관리 기록 =====
+      const writes = [];
+      const patch = MODERATION_ACTIONS[action];
+      if (patch) writes.push({ type: 'update', path, id: targetId, data: patch });
+      writes.push(moderationLogWrite({ action, targetType, targetId, questionId, reason }));
+
+      // ===== 3단계: 숨기기/기각하면 이 글에 대한 열린 신고를 모두 종료 =====
+      if (action === 'hide' || action === 'dismiss') {
+        const reports = await store.queryDocs('reports', {
+          where: [['targetId', '==', targetId], ['status', '==', 'open']]
+        });
+        reports.forEach((r) => writes.push({ type: 'update', path: 'reports', id: r.id, data: { status: 'resolved' } }));
+      }
+      if (writes.length > store.batchLimit) {
+        throw new Error(t('moderation.error.tooManyReports'));
+      }
+
+      await store.batch(writes);
+
+      // ===== 4단계: 화면 즉시 업데이트 (질문 변경은 질문 구독으로 반영됨) =====
+      if (targetType === 'answer' && questionId) await loadThread(questionId);
+    } catch (e) {
+      console.error('Failed to moderate content', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 사용자 역할 지정/해제 (관리자 전용, 관리 기록에 남음)
+   * 프로필 문서가 있는 사용자(한 번이라도 로그인한 사용자)만 가능
+   * @param {string} uid - 대상 사용자 uid
+   * @param {'moderator'|'admin'|null} role - 새 역할 (null이면 일반 사용자)
+   */
+  async function setUserRole(uid, role) {
+    try {
+      checkPermission('setRole', 'user', { id: uid });
+
+      try {
+        await store.batch([
+          { type: 'update', path: 'users', id: uid, data: { role } },
+          moderationLogWrite({ action: 'role', targetType: 'user', targetId: uid, questionId: null, role })
+        ]);
+      } catch (e) {
+        if (e.code === 'not-found') throw new Error(t('role.error.neverSignedIn'));
+        throw e;
+      }
+    } catch (e) {
+      console.error('Failed to set user role', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 신고 관리 화면 데이터: 열린 신고(대상 글별로 묶음)와 최근 관리 기록
+   * @returns {Promise<{targets:Array<{targetType:string,targetId:string,questionId:string,target:Object|null,reports:Report[]}>, log:ModerationLog[]}>}
+   */
+  async function loadModerationQueue() {
+    try {
+      const [reports, log] = await Promise.all([
+        store.queryDocs('reports', { where: [['status', '==', 'open']] }),
+        store.queryDocs('moderationLog', { orderBy: ['createdAt', 'desc'], limit: MODERATION_LOG_LIMIT })
+      ]);
+
+      // 같은 글에 대한 신고를 하나로 묶음 (신고가 많은 글부터)
+      const groups = new Map();
+      for (const report of reports) {
+        const key = voteKey(report.targetType, report.targetId);
+        if (!groups.has(key)) {
+          groups.set(key, { targetType: report.targetType, targetId: report.targetId, questionId: report.questionId, target: null, reports: [] });
+        }
+        groups.get(key).reports.push(report);
+      }
+      const targets = [...groups.values()].sort((a, b) => b.reports.length - a.reports.length);
+
+      // 신고된 글 내용 (미리보기용, 삭제되었으면 null)
+      await Promise.all(targets.map(async (group) => {
+        group.target = await store.getDoc(group.targetType === 'question' ? 'questions' : 'answers', group.targetId);
+      }));
+
+      return { targets, log };
+    } catch (e) {
+      console.error('Failed to load moderation queue', e);
+      throw e;
+    }
+  }
+
+  // ========================================
+  // 사용자 프로필 (users 컬렉션, 활동 기록, 평판)
+  // ========================================
+
+  /**
+   * 로그인한 사용자의 프로필 문서 저장 (처음 로그인하면 생성, 이름/사진이 바뀌면 갱신)
+   * @param {Object} user - 로그인 사용자
+   */
+  async function saveUserProfile(user) {
+    try {
+      const existing = await store.getDoc('users', user.uid);
+      const displayName = user.displayName || user.email || '';
+      const photoURL = user.photoURL || null;
+
+      if (!existing) {
+        await store.setDoc('users', user.uid, {
+          displayName,
+          photoURL,
+          joinedAt: store.serverTimestamp()  // 처음 로그인한 시각 = 가입일
+        });
+      } else if (existing.displayName !== displayName || existing.photoURL !== photoURL) {
+        await store.updateDoc('users', user.uid, { displayName, photoURL });
+      }
+    } catch (e) {
+      console.error('Failed to save user profile', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 사용자 프로필과 작성한 질문/답변 전체를 불러옴
+   * 답변에는 질문 제목(questionTitle)과 채택 여부(accepted)를 붙여서 반환
+   * @param {string} uid - 사용자 uid
+   * @returns {Promise<{profile:UserProfile|null, questions:Question[], answers:Answer[]}>}
+   */
+  async function loadUserActivity(uid) {
+    try {
+      // orderBy 없이 조회하여 Firestore 복합 인덱스 불필요 (클라이언트에서 정렬)
+      const [profile, questions, answers] = await Promise.all([
+        store.getDoc('users', uid),
+        store.queryDocs('questions', { where: [['authorId', '==', uid]] }),
+        store.queryDocs('answers', { where: [['authorId', '==', uid]] })
+      ]);
+
+      // 답변이 달린 질문 (제목, 채택 여부 확인용). 본인 질문은 이미 불러옴
+      const questionById = new Map(questions.map((q) => [q.id, q]));
+      const otherIds = [...new Set(answers.map((a) => a.questionId))].filter((id) => !questionById.has(id));
+      const others = await Promise.all(otherIds.map((id) => store.getDoc('questions', id)));
+      others.filter(Boolean).forEach((q) => questionById.set(q.id, q));
+
+      const byNewestMillis = (a, b) => (toMillis(b.createdAt) || 0) - (toMillis(a.createdAt) || 0);
+      return {
+        profile,
+        questions: questions.sort(byNewestMillis),
+        answers: answers
+          .map((a) => {
+            const question = questionById.get(a.questionId);
+            return {
+              ...a,
+              questionTitle: question ? question.title : null,  // null이면 삭제된 질문
+              accepted: Boolean(question) && question.acceptedAnswerId === a.id
+            };
+          })
+          .sort(byNewestMillis)
+      };
+    } catch (e) {
+      console.error('Failed to load user activity', e);
+      throw e;
+    }
+  }
+
+  /**
+   * 활동 기록으로 평판 점수 계산 (REPUTATION 가중치 사용, 0 미만으로 내려가지 않음)
+   * @param {Question[]} questions - 작성한 질문
+   * @param {Answer[]} answers - 작성한 답변 (accepted 포함)
+   * @returns {number}
+   */
+  function computeReputation(questions, answers) {
+    let total = 0;
+    for (const q of questions) {
+      total += REPUTATION.question + (q.score || 0) * REPUTATION.questionVote;
+    }
+    for (const a of answers) {
+      total += REPUTATION.answer + (a.score || 0) * REPUTATION.answerVote;
+      if (a.accepted) total += REPUTATION.accepted;
+    }
+    return Math.max(0, total);
+  }
+
+  // ========================================
+  // 해시 라우팅 (질문 상세 화면, 목록 검색 조건 주소)
+  // ========================================
+  //
+  // 주소 형식:
+  // - #/?q=검색어&sort=votes&status=solved&tag=js   질문 목록 (검색/정렬/필터 조건 포함, 없으면 기본값)
+  // - #/questions/{질문 ID}                         질문 상세 화면
+  // - #/questions/{질문 ID}#answer-{답변 ID}        질문 상세 화면에서 해당 답변으로 이동
+  // - #/users/{uid}                                 사용자 프로필 화면
+  // - #/moderation                                  신고 관리 화면 (모더레이터 전용)
+
+  /**
+   * 주소의 해시를 화면 정보로 해석
+   * @param {string} hash - location.hash
+   * @returns {{view:'list', q:string, sort:string, status:string, tag:string} | {view:'question', questionId:string, answerId:string|null} | {view:'user', uid:string} | {view:'moderation'}}
+   */
+  function parseRoute(hash) {
+    const path = String(hash || '').replace(/^#/, '');
+    if (path === '/moderation') return { view: 'moderation' };
+
+    try {
+      const match = /^\/questions\/([^#/?]+)(?:#answer-(.+))?$/.exec(path);
+      if (match) {
+        return {
+          view: 'question',
+          questionId: decodeURIComponent(match[1]),
+          answerId: match[2] ? decodeURIComponent(match[2]) : null
+        };
+      }
+      const userMatch = /^\/users\/([^#/?]+)$/.exec(path);
+      if (userMatch) {
+        return { view: 'user', uid: decodeURIComponent(userMatch[1]) };
+      }
+    } catch (e) {
+      // 잘못된 % 인코딩 → 목록으로
+    }
+
+    const queryStart = path.indexOf('?');
+    const params = new URLSearchParams(queryStart >= 0 ? path.slice(queryStart + 1) : '');
+    return {
+      view: 'list',
+      q: params.get('q') || '',
+      sort: params.get('sort') || '',
+      status: params.get('status') || '',
+      tag: params.get('tag') || ''
+    };
+  }
+
+  /**
+   * 현재 검색/정렬/필터 조건을 목록 주소로 만듦 (기본값인 조건은 생략)
+   * @returns {string} 해시 ('#/' 이면 조건 없음)
+   */
+  function listHash() {
+    const params = new URLSearchParams();
+    const keyword = searchInput.value.trim();
+    if (keyword) params.set('q', keyword);
+    if (sortSelect.value !== 'newest') params.set('sort', sortSelect.value);
+    if (statusSelect.value !== 'all') params.set('status', statusSelect.value);
+    if (activeTag) params.set('tag', activeTag);
+    const query = params.toString();
+    return query ? `#/?${query}` : '#/';
+  }
+
+  /**
+   * 목록 조건이 바뀌면 주소도 바꿈 (검색어를 입력할 때마다 방문 기록이 쌓이지 않도록 replaceState)
+   */
+  function updateListHash() {
+    if (!route || route.view !== 'list') return;
+    const hash = listHash();
+    if ((location.hash || '#/') === hash) return;
+    // 조건이 없으면 해시 없이 원래 주소로 (?backend=local 등 쿼리는 유지)
+    history.replaceState(null, '', hash === '#/' ? location.pathname + location.search : hash);
+  }
+
+  /**
+   * 선택 상자에 있는 값이면 그대로, 없으면 빈 문자열 반환 (주소에 잘못된 값이 들어온 경우)
+   * @param {HTMLSelectElement} select
+   * @param {string} value
+   * @returns {string}
+   */
+  const validOption = (select, value) => [...select.options].some((o) => o.value === value) ? value : '';
+
+  /**
+   * 현재 주소에 맞는 화면 표시 (시작 시, 뒤로/앞으로 가기 등 hashchange 시)
+   */
+  function applyRoute() {
+    const previous = route;
+    route = parseRoute(location.hash);
+
+    // 목록을 떠날 때 스크롤 위치 기억 (목록으로 돌아오면 복원)
+    if (previous && previous.view === 'list' && route.view !== 'list') listScrollY = window.scrollY;
+
+    if (route.view === 'question') {
+      // 목록에서 들어온 경우에만 "목록으로"를 뒤로 가기로 처리 (스크롤 위치 복원)
+      // (같은 질문 안에서 답변 주소만 바뀐 경우는 그대로 유지)
+      if (previous && previous.view !== 'question') enteredFromList = previous.view === 'list';
+      closeUserView();
+      moderationView = null;
+      openQuestionView(route.questionId, route.answerId);
+      return;
+    }
+
+    closeQuestionView();
+
+    if (route.view === 'user') {
+      // 앱 안에서 이동해 온 경우에만 "뒤로"를 뒤로 가기로 처리
+      profileFromApp = Boolean(previous);
+      moderationView = null;
+      openUserView(route.uid);
+      return;
+    }
+
+    closeUserView();
+
+    if (route.view === 'moderation') {
+      openModerationView();
+      return;
+    }
+
+    moderationView = null;
+    showView('list');
+
+    // 주소의 검색어/정렬/필터를 입력창에 반영
+    searchInput.value = route.q;
+    lastSearchText = route.q;
+    sortSelect.value = validOption(sortSelect, route.sort) || 'newest';
+    statusSelect.value = validOption(statusSelect, route.status) || 'all';
+    activeTag = route.tag;
+    renderFeed();
+    renderTagIndex();
+
+    if (previous && previous.view !== 'list') window.scrollTo(0, listScrollY);
+  }
+
+  /**
+   * 화면 하나만 표시 (목록 / 질문 상세 / 사용자 프로필)
+   * @param {'list'|'question'|'user'|'moderation'} view
+   */
+  function showView(view) {
+    listView.hidden = view !== 'list';
+    questionView.hidden = view !== 'question';
+    userView.hidden = view !== 'user';
+    moderationViewEl.hidden = view !== 'moderation';
+  }
+
+  /**
+   * 질문 상세 화면 열기: 질문 문서를 실시간 구독하고 답변/댓글을 불러옴
+   * 목록에 불러오지 않은 질문(다른 페이지, 공유받은 주소)도 바로 열 수 있음
+   * @param {string} questionId - 질문 ID
+   * @param {string|null} answerId - 이동할 답변 ID
+   */
+  function openQuestionView(questionId, answerId) {
+    scrollToAnswerId = answerId;
+
+    if (!detailQuestion || detailQuestion.id !== questionId) {
+      closeQuestionView();
+      const current = { id: questionId, doc: null, loaded: false, unsubscribe: null };
+      detailQuestion = current;
+
+      current.unsubscribe = store.subscribeDoc('questions', questionId, (doc) => {
+        current.doc = doc;
+        current.loaded = true;
+        renderQuestionView();
+      }, (error) => {
+        console.error('❌ 질문 구독 실패:', error);
+        updateSyncStatus();
+      });
+      syncOpenQuestions();  // 답변/댓글 실시간 구독, 함께 보는 사람 표시
+    }
+
+    showView('question');
+    renderQuestionView();
+    if (!answerId) window.scrollTo(0, 0);
+  }
+
+  /**
+   * 질문 상세 화면 닫기 (구독 해제)
+   */
+  function closeQuestionView() {
+    if (detailQuestion) {
+      detailQuestion.unsubscribe?.();
+      detailQuestion = null;
+      syncOpenQuestions();  // 목록에서 펼쳐 두지 않은 질문이면 구독 해제
+    }
+    document.title = baseTitle();
+  }
+
+  /**
+   * 질문 상세 화면 렌더링 (질문 문서/답변이 바뀔 때마다 다시 그림)
+   */
+  function renderQuestionView() {
+    if (!detailQuestion) return;
+    const { id, doc, loaded } = detailQuestion;
+
+    // 전송 대기 중인 답변도 함께 표시 (아직 전송되지 않은 질문이면 outbox에서 찾음)
+    // 숨긴 질문은 모더레이터가 아니면 찾을 수 없는 질문으로 표시
+    const q = filterHidden(mergePendingWrites(doc ? [withThread(doc)] : [])).find((item) => item.id === id);
+
+    // 같은 질문이면 바뀐 경우에만 다시 그림 (입력 중인 답변/댓글 유지)
+    patchList(questionDetail, q ? [{
+      key: q.id,
+      signature: itemSignature(q, true),
+      create: () => createQuestionItem(q, { detail: true })
+    }] : []);
+    renderPresence();
+    questionMissing.hidden = Boolean(q) || !loaded;
+    if (!q) {
+      document.title = baseTitle();
+      return;
+    }
+
+    document.title = `${q.title} - ${baseTitle()}`;
+
+    // 임시 저장글 이어 쓰기로 들어온 경우: 답변 입력창에 한 번만 초점
+    if (resumeAnswerQuestionId === id) {
+      const textarea = questionDetail.querySelector('.answer-form textarea');
+      if (textarea) {
+        resumeAnswerQuestionId = null;
+        textarea.scrollIntoView?.({ block: 'center' });
+        textarea.focus();
+      }
+    }
+
+    // 답변 주소로 들어온 경우: 해당 답변 강조, 답변을 불러온 뒤 한 번만 스크롤
+    if (route.view === 'question' && route.answerId) {
+      questionDetail.querySelectorAll('.answer.targeted').forEach((el) => el.classList.remove('targeted'));
+      const target = document.getElementById(`answer-${route.answerId}`);
+      if (target) {
+        target.classList.add('targeted');
+        if (scrollToAnswerId === route.answerId) {
+          target.scrollIntoView?.({ block: 'center' });
+          scrollToAnswerId = null;
+        }
+      }
+    }
+  }
+
+  /**
+   * 상세 화면의 "목록으로" 버튼 처리
+   * 목록에서 들어왔으면 뒤로 가기(스크롤 위치 유지), 공유받은 주소로 바로 들어왔으면 목록 주소로 이동
+   */
+  function goBackToList() {
+    if (enteredFromList) {
+      enteredFromList = false;
+      history.back();
+    } else {
+      location.hash = listHash();
+    }
+  }
+
+  /**
+   * 사용자 프로필 화면 열기: 프로필과 활동 기록을 불러와서 표시 (화면을 열 때마다 새로 불러옴)
+   * @param {string} uid - 사용자 uid
+   */
+  async function openUserView(uid) {
+    const current = { uid, data: null, loaded: false, failed: false };
+    profileView = current;
+    showView('user');
+    renderUserView();
+    window.scrollTo(0, 0);
+
+    try {
+      current.data = await loadUserActivity(uid);
+    } catch (error) {
+      current.failed = true;
+    }
+    current.loaded = true;
+    // 불러오는 사이에 다른 화면으로 이동했으면 무시
+    if (profileView === current) renderUserView();
+  }
+
+  /**
+   * 사용자 프로필 화면 닫기
+   */
+  function closeUserView() {
+    profileView = null;
+    document.title = baseTitle();
+  }
+
+  /**
+   * 신고 관리 화면 열기: 열린 신고와 최근 관리 기록을 불러와서 표시 (관리 작업 후에도 다시 불러옴)
+   */
+  async function openModerationView() {
+    const current = { data: moderationView?.data || null, loaded: false, failed: false };
+    moderationView = current;
+    showView('moderation');
+    renderModerationView();
+
+    // 권한이 없으면 불러오지 않음 (역할을 불러온 뒤 renderModerationView에서 다시 확인)
+    if (!can('moderate', 'board')) return;
+    try {
+      current.data = await loadModerationQueue();
+    } catch (error) {
+      current.failed = true;
+    }
+    current.loaded = true;
+    if (moderationView === current) renderModerationView();
+  }
+
+  /**
+   * 사용자 프로필 화면의 "뒤로" 버튼 처리
+   * 앱 안에서 이동해 왔으면 뒤로 가기, 공유받은 주소로 바로 들어왔으면 목록으로 이동
+   */
+  function goBackFromProfile() {
+    if (profileFromApp) {
+      profileFromApp = false;
+      history.back();
+    } else {
+      location.hash = listHash();
+    }
+  }
+
+  // ========================================
+  // 관리자 도구 (데이터 정합성 점검)
+  // ========================================
+
+  /**
+   * 답변 수, 태그별 질문 수와 고아 데이터 정리 (관리자 전용)
+   * 예전 방식(읽고 쓰기)으로 틀어진 answerCount와 태그별 질문 수를 실제 값으로 다시 계산하고,
+   * 질문이 삭제되어 남은 답변/댓글과 존재하지 않는 채택 답변 표시를 정리
+   * 여러 번 실행해도 결과가 같으며, 쓰기는 batchLimit 단위로 나누어 적용
+   * @returns {Promise<{questions:number, countsFixed:number, tagsFixed:number, acceptedCleared:number, orphanAnswers:number, orphanComments:number}>} 점검 결과
+   */
+  async function reconcileData() {
+    try {
+      checkPermission('reconcile', 'board');
+
+      // ===== 1단계: 전체 질문, 답변, 댓글, 태그 조회 =====
+      const [questions, answers, comments, tags] = await Promise.all([
+        store.queryDocs('questions', {}),
+        store.queryDocs('answers', {}),
+        store.queryDocs('comments', {}),
+        store.queryDocs('tags', {})
+      ]);
+      const questionIds = new Set(questions.map((q) => q.id));
+      const liveAnswers = answers.filter((a) => questionIds.has(a.questionId));
+      const liveAnswerIds = new Set(liveAnswers.map((a) => a.id));
+      const writes = [];
+
+      // ===== 2단계: 고아 답변/댓글 삭제 =====
+      // 질문이 없는 답변, 질문이 없거나 대상 답변이 없는 댓글
+      const orphanAnswers = answers.filter((a) => !questionIds.has(a.questionId));
+      const orphanComments = comments.filter((c) =>
+        !questionIds.has(c.questionId) || (c.targetType === 'answer' && !liveAnswerIds.has(c.targetId)));
+      orphanAnswers.forEach((a) => writes.push({ type: 'delete', path: 'answers', id: a.id }));
+      orphanComments.forEach((c) => writes.push({ type: 'delete', path: 'comments', id: c.id }));
+
+      // ===== 3단계: 질문별 답변 수와 채택 답변 다시 맞추기 =====
+      const answerCounts = new Map();
+      liveAnswers.forEach((a) => answerCounts.set(a.questionId, (answerCounts.get(a.questionId) || 0) + 1));
+
+      let countsFixed = 0;
+      let acceptedCleared = 0;
+      for (const q of questions) {
+        const patch = {};
+        const actual = answerCounts.get(q.id) || 0;
+        if ((q.answerCount || 0) !== actual) {
+          patch.answerCount = actual;
+          countsFixed++;
+        }
+        const accepted = q.acceptedAnswerId && liveAnswers.find((a) => a.id === q.acceptedAnswerId);
+        if (q.acceptedAnswerId && (!accepted || accepted.questionId !== q.id)) {
+          patch.acceptedAnswerId = null;
+          acceptedCleared++;
+        }
+        if (Object.keys(patch).length > 0) writes.push({ type: 'update', path: 'questions', id: q.id, data: patch });
+      }
+
+      // ===== 4단계: 태그별 질문 수 다시 맞추기 (질문이 없는 태그 문서는 삭제) =====
+      const tagCounts = new Map();
+      questions.forEach((q) => (q.tags || []).forEach((tag) => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+
+      let tagsFixed = 0;
+      for (const tag of tags) {
+        const actual = tagCounts.get(tag.id) || 0;
+        tagCounts.delete(tag.id);
+        if (actual === 0) {
+          writes.push({ type: 'delete', path: 'tags', id: tag.id });
+          tagsFixed++;
+        } else if (tag.count !== actual) {
+          writes.push({ type: 'set', path: 'tags', id: tag.id, data: { count: actual } });
+          tagsFixed++;
+        }
+      }
+      tagCounts.forEach((count, tag) => {
+        writes.push({ type: 'set', path: 'tags', id: tag, data: { count } });
+        tagsFixed++;
+      });
+
+      // ===== 5단계: 나누어서 일괄 쓰기 =====
+      for (let i = 0; i < writes.length; i += store.batchLimit) {
+        await store.batch(writes.slice(i, i + store.batchLimit));
+      }
+
+      return {
+        questions: questions.length,
+        countsFixed,
+        tagsFixed,
+        acceptedCleared,
+        orphanAnswers: orphanAnswers.length,
+        orphanComments: orphanComments.length
+      };
+      
+    } catch (e) {
+      console.error('Failed to reconcile data', e);
+      throw e;
+    }
+  }
+
+  // ========================================
+  // 백업 (내보내기 / 가져오기)
+  // ========================================
+  // 파일 형식은 backup.js, 저장소 읽기/쓰기는 여기서
+
+  // 내보내기 형식 → 파일 확장자, MIME 형식, 변환 함수 (형식 이름은 메시지 키 backup.format.*)
+  const EXPORT_FORMATS = {
+    json: { ext: 'json', type: 'application/json', build: (records, at) => window.qnaBackup.toJSON(records, at) },
+    csv: { ext: 'csv', type: 'text/csv', build: (records) => window.qnaBackup.toCSV(records) },
+    markdown: { ext: 'zip', type: 'application/zip', build: (records, at) => window.qnaBackup.toZip(window.qnaBackup.toMarkdownFiles(records), at) },
+    jsonl: { ext: 'jsonl', type: 'application/x-ndjson', build: (records, at) => window.qnaBackup.toJSONL(records, at) }
+  };
+
+  /**
+   * 전체 질문과 답변을 내보낼 레코드로 불러옴 (모더레이터 이상, 숨긴 글 포함)
+   * @returns {Promise<Array>} backup.js 레코드 (시각은 밀리초)
+   */
+  async function loadBackupRecords() {
+    try {
+      checkPermission('export', 'board');
+
+      const [questions, answers] = await Promise.all([
+        store.queryDocs('questions', {}),
+        store.queryDocs('answers', {})
+      ]);
+      const withMillis = (doc) => ({
+        ...doc,
+        createdAt: toMillis(doc.createdAt),
+        editedAt: doc.editedAt ? toMillis(doc.editedAt) : null
+      });
+      return window.qnaBackup.toRecords(questions.map(withMillis), answers.map(withMillis));
+      
+    } catch (e) {
+      console.error('Failed to load backup records', e);
+      throw e;
+    }
+  }
+
+  /**
+   * JSONL 백업 레코드를 저장소에 복원 (관리자 전용)
+   * - 원래 문서 ID, 작성자, 작성 시각을 그대로 사용
+   * - 이미 있는 질문/답변은 건너뜀 (이미 있는 질문에 빠진 답변만 추가하면 답변 수도 함께 증가)
+   * - 새 질문의 답변 수는 실제로 남게 되는 답변 수로 저장, 태그별 질문 수도 갱신
+   * - 쓰기는 batchLimit 단위로 나누어 적용
+   * @param {Array} records - window.qnaBackup.parseJSONL() 결과
+   * @returns {Promise<{questions:number, answers:number, skipped:number}>} 가져온 결과
+   */
+  async function importBackup(records) {
+    try {
+      checkPermission('import', 'board');
+
+      // ===== 1단계: 이미 있는 질문/답변 ID 조회 =====
+      const [questions, answers] = await Promise.all([
+        store.queryDocs('questions', {}),
+        store.queryDocs('answers', {})
+      ]);
+      const questionIds = new Set(questions.map((q) => q.id));
+      const answerIds = new Set(answers.map((a) => a.id));
+      const existingCounts = new Map();
+      answers.forEach((a) => existingCounts.set(a.questionId, (existingCounts.get(a.questionId) || 0) + 1));
+
+      // 시각은 저장소 타임스탬프로 변환 (수정된 적 없는 글에는 editedAt을 넣지 않음)
+      const withTimes = ({ id, createdAt, editedAt, ...fields }) => ({
+        ...fields,
+        createdAt: store.timestamp(createdAt),
+        ...(editedAt ? { editedAt: store.timestamp(editedAt) } : {})
+      });
+      const writes = [];
+      const tagCounts = new Map();  // 새 질문의 태그 → 늘어날 질문 수
+      const added = { questions: 0, answers: 0 };
+      let skipped = 0;
+
+      // ===== 2단계: 없는 문서만 쓰기 목록에 추가 =====
+      for (const { answers: recordAnswers, ...question } of records) {
+        const newAnswers = recordAnswers.filter((a) => !answerIds.has(a.id));
+        skipped += recordAnswers.length - newAnswers.length;
+
+        for (const answer of newAnswers) {
+          writes.push({ type: 'set', path: 'answers', id: answer.id, data: { score: 0, ...withTimes(answer) } });
+        }
+        added.answers += newAnswers.length;
+
+        if (questionIds.has(question.id)) {
+          skipped++;
+          if (newAnswers.length > 0) {
+            writes.push({ type: 'update', path: 'questions', id: question.id, data: { answerCount: store.increment(newAnswers.length) } });
+          }
+          continue;
+        }
+
+        writes.push({
+          type: 'set',
+          path: 'questions',
+          id: question.id,
+          data: {
+            tags: [],
+            score: 0,
+            acceptedAnswerId: null,
+            ...withTimes(question),
+            answerCount: (existingCounts.get(question.id) || 0) + newAnswers.length
+          }
+        });
+        (question.tags || []).forEach((tag) => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+        added.questions++;
+      }
+
+      // ===== 3단계: 태그별 질문 수 증가, 나누어서 일괄 쓰기 =====
+      tagCounts.forEach((count, tag) => {
+        writes.push({ type: 'merge', path: 'tags', id: tag, data: { count: store.increment(count) } });
+      });
+      for (let i = 0; i < writes.length; i += store.batchLimit) {
+        await store.batch(writes.slice(i, i + store.batchLimit));
+      }
+
+      return { ...added, skipped };
+      
+    } catch (e) {
+      console.error('Failed to import backup', e);
+      throw e;
+    }
+  }
+
+  // ========================================
+  // 오프라인 지원 (스냅샷 캐시 + outbox)
+  // ========================================
+
+  /**
+   * 현재 저장소에 쓸 수 있는 상태인지 확인
+   * 로컬 백엔드는 네트워크와 무관하게 항상 쓸 수 있음
+   * @returns {boolean}
+   */
+  const canReachStore = () => store.kind === 'local' || navigator.onLine;
+
+  /**
+   * 네트워크 문제로 실패한 에러인지 판별 (이 경우 outbox에 보관 후 재시도)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  const isNetworkError = (error) =>
+    !navigator.onLine ||
+    error?.code === 'unavailable' ||
+    error?.code === 'auth/network-request-failed' ||
+    /network|failed to fetch|offline/i.test(error?.message || '');
+
+  /**
+   * 마지막 질문 목록을 localStorage에 저장
+   * 타임스탬프는 JSON으로 저장할 수 있도록 밀리초로 변환
+   * @param {Array} questions - 답변이 포함된 질문 배열
+   */
+  function saveSnapshot(questions) {
+    if (!navigator.onLine && store.kind !== 'local') return;  // 오프라인 캐시 결과로 덮어쓰지 않음
+
+    const plain = questions.map((q) => ({
+      ...q,
+      createdAt: toMillis(q.createdAt),
+      answers: (q.answers || []).map((a) => ({ ...a, createdAt: toMillis(a.createdAt) })),
+      comments: (q.comments || []).map((c) => ({ ...c, createdAt: toMillis(c.createdAt) }))
+    }));
+    try {
+      localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(plain));
+    } catch (e) {
+      console.error('Failed to save question snapshot', e);
+    }
+  }
+
+  /**
+   * localStorage에 저장된 마지막 질문 목록 로드
+   * @returns {Array} 질문 배열 (없으면 빈 배열)
+   */
+  function loadSnapshot() {
+    try {
+      return JSON.parse(localStorage.getItem(SNAPSHOT_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * 마지막 스냅샷을 질문 목록 캐시로 복원 (구독 결과가 오기 전/오프라인 표시용)
+   * 스냅샷 당시 펼쳐서 불러왔던 답변과 댓글도 함께 복원
+   */
+  function restoreSnapshot() {
+    const questions = loadSnapshot();
+    for (const { answers, comments, threadLoaded, ...question } of questions) {
+      if (threadLoaded) threads.set(question.id, { answers, comments: comments || [] });
+    }
+    feedPages = [{
+      cursor: undefined,
+      size: PAGE_SIZE,
+      docs: questions.map(({ answers, comments, threadLoaded, ...question }) => question),
+      hasMore: false,
+      loaded: true,
+      unsubscribe: null
+    }];
+    renderFeed();
+  }
+
+  /**
+   * outbox를 localStorage에서 읽어 옴
+   * @returns {OutboxEntry[]}
+   */
+  function loadOutbox() {
+    try {
+      return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * 현재 outbox를 localStorage에 기록하고 화면에 반영
+   */
+  function saveOutbox() {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+    updateSyncStatus();
+    renderFeed();
+  }
+
+  /**
+   * 질문/답변을 바로 저장하거나, 저장할 수 없으면 outbox에 보관
+   * @param {'question'|'answer'} type - 글 종류
+   * @param {string|null} questionId - 답변이 속한 질문 ID (질문이면 null)
+   * @param {Object} data - 질문/답변 데이터
+   * @param {File[]} [files] - 첨부 파일 (outbox에는 보관할 수 없으므로 바로 저장할 수 있을 때만)
+   * @returns {Promise<boolean>} 바로 저장되었으면 true, outbox에 보관되었으면 false
+   */
+  async function sendOrQueue(type, questionId, data, files = []) {
+    // 아직 전송되지 않은 질문에 단 답변은 질문이 전송된 뒤에 보내야 함
+    const parentPending = type === 'answer' && outbox.some((entry) => entry.id === questionId);
+
+    if (canReachStore() && !parentPending) {
+      try {
+        if (type === 'question') {
+          await saveQuestion(data, files);
+        } else {
+          await addAnswer(questionId, data, files);
+        }
+        return true;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+
+    if (files.length > 0) {
+      throw new Error(t('attachment.error.offline'));
+    }
+
+    outbox.push({
+      id: uid(type === 'question' ? 'pq' : 'pa'),  // 질문이면 임시 질문 ID로도 사용
+      type,
+      questionId,
+      data,
+      uid: currentUser.uid,
+      queuedAt: now()
+    });
+    saveOutbox();
+    return false;
+  }
+
+  /**
+   * outbox에 쌓인 글을 작성 순서대로 전송
+   * - 네트워크 오류가 나면 멈추고 다음 연결 때 이어서 전송
+   * - 다른 사용자가 작성한 글이면 그 사용자가 로그인할 때까지 대기
+   * - 원래 질문이 삭제되었거나 권한이 없으면 충돌로 보고하고 건너뜀
+   */
+  async function flushOutbox() {
+    if (flushingOutbox || outbox.length === 0 || !currentUser || !canReachStore()) return;
+    flushingOutbox = true;
+
+    try {
+      while (outbox.length > 0) {
+        const entry = outbox[0];
+
+        if (entry.uid !== currentUser.uid) {
+          reportConflict(entry, t('sync.conflict.otherAccount'));
+          break;
+        }
+
+        try {
+          if (entry.type === 'question') {
+            const newId = await saveQuestion(entry.data);
+            // 이 질문에 달린 대기 중인 답변들이 실제 질문 ID를 가리키도록 변경
+            outbox.forEach((other) => {
+              if (other.questionId === entry.id) other.questionId = newId;
+            });
+          } else {
+            const parent = await store.getDoc('questions', entry.questionId);
+            if (parent) {
+              await addAnswer(entry.questionId, entry.data);
+            } else {
+              reportConflict(entry, t('sync.conflict.questionDeleted'));
+            }
+          }
+        } catch (error) {
+          if (isNetworkError(error)) break;  // 연결이 다시 끊김: 남은 글은 다음에 전송
+          reportConflict(entry, error.message);
+        }
+
+        outbox.shift();
+        saveOutbox();
+      }
+    } finally {
+      flushingOutbox = false;
+      updateSyncStatus();
+    }
+  }
+
+  /**
+   * 전송 충돌을 목록에 추가 (같은 글에 대한 같은 메시지는 한 번만)
+   * @param {OutboxEntry} entry - 충돌한 글
+   * @param {string} reason - 충돌 이유
+   */
+  function reportConflict(entry, reason) {
+    const message = entry.type === 'question'
+      ? t('sync.conflict.question', { title: entry.data.title, reason })
+      : t('sync.conflict.answer', { body: entry.data.body.slice(0, 30), reason });
+    if (!syncConflictList.includes(message)) syncConflictList.push(message);
+    updateSyncStatus();
+  }
+
+  /**
+   * 오프라인 여부, 대기 중인 글 수, 충돌 목록을 상단 상태 영역에 표시
+   */
+  function updateSyncStatus() {
+    if (!syncStatus) return;
+
+    const offline = !canReachStore();
+    let message = '';
+    if (offline) {
+      message = outbox.length > 0
+        ? t('sync.offlinePending', { count: outbox.length })
+        : t('sync.offline');
+    } else if (outbox.length > 0) {
+      message = t('sync.pending', { count: outbox.length });
+    } else if (syncConflictList.length > 0) {
+      message = t('sync.failed');
+    }
+
+    syncMessage.textContent = message;
+    syncConflicts.innerHTML = '';
+    for (const conflict of syncConflictList) {
+      const li = document.createElement('li');
+      li.textContent = conflict;
+      syncConflicts.appendChild(li);
+    }
+    syncDismiss.hidden = syncConflictList.length === 0;
+    syncStatus.hidden = !message && syncConflictList.length === 0;
+  }
+
+  /**
+   * 서버 데이터에 outbox의 대기 중인 질문/답변을 합쳐서 반환
+   * 대기 중인 항목에는 pending: true 표시
+   * @param {Array} questions - 서버(또는 캐시)에서 받은 질문 배열
+   * @returns {Array} 대기 중인 글이 합쳐진 질문 배열
+   */
+  function mergePendingWrites(questions) {
+    if (outbox.length === 0) return questions;
+
+    const toPending = (entry, extra) => ({
+      ...entry.data,
+      ...extra,
+      id: entry.id,
+      authorId: entry.uid,
+      createdAt: entry.queuedAt,
+      pending: true
+    });
+
+    const merged = questions.map((q) => ({ ...q, answers: [...(q.answers || [])] }));
+    for (const entry of outbox) {
+      if (entry.type === 'question') {
+        merged.push(toPending(entry, { answers: [], answerCount: 0, threadLoaded: true }));
+      } else {
+        const parent = merged.find((q) => q.id === entry.questionId);
+        if (parent) {
+          parent.answers.push(toPending(entry, { questionId: entry.questionId }));
+          parent.answerCount = (parent.answerCount || 0) + 1;
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * 서비스 워커 등록 (앱 셸 캐시 → 오프라인 실행 및 설치 가능)
+   */
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch((error) => {
+      console.error('Failed to register service worker', error);
+    });
+  }
+
+  // ========================================
+  // 임시 저장 (작성 중인 질문/답변)
+  // ========================================
+  // 키: `${사용자}|question` (질문 작성 폼) 또는 `${사용자}|answer:${질문 ID}` (질문별 답변 폼)
+  // 로그인하지 않은 상태에서 쓴 글은 'guest'로 저장했다가 로그인하면 그 사용자의 글로 옮김
+
+  /**
+   * 임시 저장글의 주인 (로그인 사용자 uid, 로그아웃 상태면 'guest')
+   * @returns {string}
+   */
+  const draftOwner = () => (currentUser ? currentUser.uid : 'guest');
+
+  /**
+   * 임시 저장글 키
+   * @param {'question'|'answer'} kind - 글 종류
+   * @param {string|null} [questionId] - 답변이 속한 질문 ID
+   * @param {string} [owner] - 주인 (기본값: 현재 사용자)
+   * @returns {string}
+   */
+  const draftKey = (kind, questionId, owner = draftOwner()) =>
+    `${owner}|${kind === 'question' ? 'question' : `answer:${questionId}`}`;
+
+  /**
+   * 임시 저장글을 localStorage에서 읽어 옴
+   * @returns {Object<string, Draft>}
+   */
+  function loadDrafts() {
+    try {
+      return JSON.parse(localStorage.getItem(DRAFTS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * 현재 임시 저장글을 localStorage에 기록하고 목록에 반영
+   */
+  function saveDrafts() {
+    try {
+      localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    } catch (e) {
+      console.error('Failed to save drafts', e);
+    }
+    renderDrafts();
+  }
+
+  /**
+   * 현재 사용자의 임시 저장글 조회
+   * @param {'question'|'answer'} kind - 글 종류
+   * @param {string|null} [questionId] - 답변이 속한 질문 ID
+   * @returns {Draft|null}
+   */
+  const getDraft = (kind, questionId) => drafts[draftKey(kind, questionId)] || null;
+
+  /**
+   * 작성 중인 내용을 임시 저장 (모든 칸이 비어 있으면 임시 저장글 삭제)
+   * @param {'question'|'answer'} kind - 글 종류
+   * @param {string|null} questionId - 답변이 속한 질문 ID (질문이면 null)
+   * @param {{title?:string, body:string, tags?:string}} fields - 입력 내용
+   * @param {string} [questionTitle] - 답변이 속한 질문 제목 (목록 표시용)
+   */
+  function saveDraft(kind, questionId, fields, questionTitle = '') {
+    const key = draftKey(kind, questionId);
+    if (Object.values(fields).every((value) => !value.trim())) {
+      if (!drafts[key]) return;
+      delete drafts[key];
+    } else {
+      drafts[key] = { owner: draftOwner(), kind, questionId, questionTitle, fields, updatedAt: now() };
+    }
+    saveDrafts();
+  }
+
+  /**
+   * 임시 저장글 삭제 (등록을 마쳤거나 버렸을 때)
+   * @param {string} key - draftKey() 결과
+   */
+  function discardDraft(key) {
+    if (!drafts[key]) return;
+    delete drafts[key];
+    saveDrafts();
+  }
+
+  /**
+   * 로그인하면 로그아웃 상태에서 쓴 임시 저장글을 로그인한 사용자의 글로 옮김
+   * 같은 글(질문 작성 폼 또는 같은 질문의 답변)에 이미 임시 저장글이 있으면 더 최근 것을 남김
+   */
+  function adoptGuestDrafts() {
+    if (!currentUser) return;
+
+    let changed = false;
+    for (const [key, draft] of Object.entries(drafts)) {
+      if (draft.owner !== 'guest') continue;
+      const target = draftKey(draft.kind, draft.questionId);
+      if (!drafts[target] || drafts[target].updatedAt < draft.updatedAt) {
+        drafts[target] = { ...draft, owner: currentUser.uid };
+      }
+      delete drafts[key];
+      changed = true;
+    }
+    if (changed) saveDrafts();
+  }
+
+  /**
+   * 질문 작성 폼 내용을 임시 저장 (제목/내용/태그 입력 이벤트에서 호출)
+   */
+  function saveAskDraft() {
+    saveDraft('question', null, {
+      title: askTitleInput.value,
+      body: askBodyInput.value,
+      tags: askTagsInput.value
+    });
+  }
+
+  /**
+   * 질문 작성 폼을 현재 사용자의 임시 저장글로 채움 (새로고침/로그인/로그아웃 후)
+   * 사용자가 바뀌면 앞 사용자가 쓰던 내용은 폼에서 지움 (임시 저장글은 그대로 남음)
+   */
+  function restoreAskDraft() {
+    const owner = draftOwner();
+    if (draftOwnerShown === owner) return;
+    draftOwnerShown = owner;
+
+    const fields = getDraft('question')?.fields || { title: '', body: '', tags: '' };
+    askTitleInput.value = fields.title || '';
+    askBodyInput.value = fields.body || '';
+    askTagsInput.value = fields.tags || '';
+    askBodyEditor?.reset();
+    scheduleDuplicateCheck();
+  }
+
+  /**
+   * 임시 저장글 이어 쓰기
+   * - 질문: 질문 작성 폼으로 이동하여 제목 입력창에 초점
+   * - 답변: 해당 질문 상세 화면으로 이동하여 답변 입력창에 초점 (답변 폼이 임시 저장글로 채워짐)
+   * @param {Draft} draft
+   */
+  function resumeDraft(draft) {
+    if (draft.kind === 'question') {
+      draftOwnerShown = null;  // 폼에 다른 내용이 있어도 임시 저장글로 다시 채움
+      restoreAskDraft();
+      askForm.scrollIntoView?.({ block: 'start' });
+      askTitleInput.focus();
+      return;
+    }
+
+    resumeAnswerQuestionId = draft.questionId;
+    const hash = questionHash(draft.questionId);
+    if (location.hash === hash) {
+      renderQuestionView();
+    } else {
+      location.hash = hash;
+    }
+  }
+
+  // ========================================
+  // UI 렌더링 함수들
+  // ========================================
+  
+  /**
+   * 질문 목록을 화면에 렌더링
+   * 검색, 정렬, 필터링을 적용하여 사용자에게 표시
+   * @param {Array} questions - 렌더링할 질문 배열
+   */
+  function renderQuestions(questions) {
+    // ===== 1단계: 대기 중인 글 합치기, 검색 및 정렬 적용 =====
+    const query = window.qnaSearch.parseQuery(searchInput?.value || '');  // 검색어 + 연산자
+    const sort = sortSelect?.value || 'newest';                           // 정렬 방식
+    const status = statusSelect?.value || 'all';                          // 해결 상태 필터
+    const merged = mergePendingWrites(questions);
+    const filteredQuestions = pinnedFirst(applySort(
+      filterByTag(filterByStatus(filterBySearch(filterHidden(merged), query), status), activeTag),
+      sort
+    ));
+    
+    // 검색어가 있으면 답변 본문도 검색되도록 답변을 불러옴 (불러온 뒤 다시 렌더링)
+    const hasTextQuery = query.terms.length > 0 || query.phrases.length > 0;
+    if (hasTextQuery) ensureSearchAnswers(merged);
+    
+    // 태그 필터 표시
+    tagFilter.hidden = !activeTag;
+    tagFilterName.textContent = activeTag ? `#${activeTag}` : '';
+
+    // ===== 2단계: 빈 상태 처리 =====
+    emptyState.hidden = filteredQuestions.length > 0;  // "질문이 없습니다" 메시지 표시 여부
+
+    // ===== 3단계: 바뀐 질문 항목만 다시 그림 (펼침 상태, 입력 중인 내용 유지) =====
+    patchList(questionList, filteredQuestions.map((q) => ({
+      key: q.id,
+      signature: itemSignature(q),
+      create: () => createQuestionItem(q)
+    })));
+
+    // ===== 4단계: 검색어 강조 (검색어가 바뀐 항목만 다시 강조) =====
+    for (const li of questionList.children) {
+      applySearchHighlight(li, hasTextQuery ? query : null);
+    }
+    renderPresence();  // 새로 그린 항목에도 함께 보는 사람 표시
+  }
+
+  /**
+   * 질문 항목을 다시 그려야 하는지 판단할 값
+   * 질문 데이터(답변/댓글 포함)와 항목 모양에 영향을 주는 화면 상태(로그인 사용자, 역할, 언어, 태그 필터, 내 투표)를 묶음
+   * 검색어 강조는 applySearchHighlight()가 따로 처리하므로 검색어와 관련도 점수는 포함하지 않음
+   * @param {Object} q - 답변/댓글이 합쳐진 질문
+   * @param {boolean} [detail] - 상세 화면 항목 여부
+   * @returns {string}
+   */
+  function itemSignature(q, detail = false) {
+    const { searchScore, ...data } = q;  // 관련도 점수는 정렬에만 쓰임
+    const votes = [q, ...(q.answers || [])].map((item, i) => myVotes.get(voteKey(i === 0 ? 'question' : 'answer', item.id)) || 0);
+    const attachmentUrls = [q, ...(q.answers || [])]
+      .flatMap((item) => (item.attachments || []).map((a) => store.files.url(a.path, a.url)));
+    return JSON.stringify([
+      data, detail, currentActor(), window.qnaI18n.getLocale(), activeTag, votes, attachmentUrls
+    ]);
+  }
+
+  /**
+   * 목록을 키(질문 ID) 기준으로 맞춰 바뀐 부분만 고침
+   * - 내용(signature)이 같은 항목은 DOM을 그대로 두고 순서만 맞춤
+   * - 새 항목은 만들어 넣고, 목록에서 빠진 항목은 지움
+   * - 내용이 바뀐 항목은 새로 만들되 입력 중인 내용, 열린 폼, 초점을 새 항목으로 옮김
+   * @param {HTMLElement} container - 질문 목록 또는 상세 화면 컨테이너
+   * @param {{key:string, signature:string, create:Function}[]} entries - 표시할 순서대로의 항목
+   */
+  function patchList(container, entries) {
+    const focused = captureFocus(container);
+
+    // 기존 항목을 키로 찾을 수 있게 모음 (다시 쓰이지 않은 요소는 마지막에 지움)
+    const existing = new Map();
+    const stale = new Set(container.children);
+    for (const el of stale) {
+      if (el.dataset.key) existing.set(el.dataset.key, el);
+    }
+
+    const build = (entry) => {
+      const el = entry.create();
+      el.dataset.key = entry.key;
+      el.dataset.signature = entry.signature;
+      return el;
+    };
+
+    let cursor = container.firstElementChild;  // 다음 항목이 들어갈 자리
+    for (const entry of entries) {
+      let el = existing.get(entry.key);
+      existing.delete(entry.key);
+      stale.delete(el);
+
+      if (!el) {
+        el = build(entry);
+      } else if (el.dataset.signature !== entry.signature) {
+        const fresh = build(entry);
+        const discarded = (el.dataset.discardState || '').split(' ').filter(Boolean);
+        restoreUIState(fresh, captureUIState(el, discarded));
+        if (el === cursor) cursor = fresh;
+        el.replaceWith(fresh);
+        el = fresh;
+      }
+
+      if (el === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        container.insertBefore(el, cursor);
+      }
+    }
+    stale.forEach((el) => el.remove());
+
+    restoreFocus(container, focused);
+  }
+
+  /**
+   * 다시 그려도 유지할 요소 표시 (값, 표시/숨김 상태, 초점을 새 항목으로 옮김)
+   * @param {HTMLElement} el - 입력창, 폼, 버튼 등
+   * @param {string} key - 항목 안에서 고유한 키 ('{위젯}:{ID}:{부분}' 형식, discardUIState()가 앞부분으로 찾음)
+   * @param {{value?: boolean}} [options] - value: false면 값은 옮기지 않음 (임시 저장글에서 복원되는 입력창)
+   * @returns {HTMLElement} el
+   */
+  function keepState(el, key, { value = true } = {}) {
+    el.dataset.uiKey = key;
+    if (!value) el.dataset.uiKeepValue = 'false';
+    return el;
+  }
+
+  /**
+   * 항목 안에서 keepState()로 표시한 요소들의 상태 수집
+   * @param {HTMLElement} root - 다시 그리기 전 항목
+   * @param {string[]} [discarded] - 옮기지 않을 키의 앞부분 (저장을 마친 폼)
+   * @returns {Map<string, {value?: string, hidden: boolean}>}
+   */
+  function captureUIState(root, discarded = []) {
+    const state = new Map();
+    for (const el of root.querySelectorAll('[data-ui-key]')) {
+      const key = el.dataset.uiKey;
+      if (discarded.some((prefix) => key.startsWith(`${prefix}:`))) continue;
+      const keepValue = 'value' in el && el.dataset.uiKeepValue !== 'false' && !el.readOnly;
+      state.set(key, keepValue ? { value: el.value, hidden: el.hidden } : { hidden: el.hidden });
+    }
+    return state;
+  }
+
+  /**
+   * captureUIState()로 모은 상태를 새로 만든 항목에 적용
+   * @param {HTMLElement} root - 새로 만든 항목
+   * @param {Map<string, {value?: string, hidden: boolean}>} state
+   */
+  function restoreUIState(root, state) {
+    if (state.size === 0) return;
+    for (const el of root.querySelectorAll('[data-ui-key]')) {
+      const saved = state.get(el.dataset.uiKey);
+      if (!saved) continue;
+      el.hidden = saved.hidden;
+      if (saved.value !== undefined && 'value' in el && !el.readOnly) el.value = saved.value;
+    }
+  }
+
+  /**
+   * 저장을 마친 폼의 상태를 버리고 해당 질문 항목을 새로 그림
+   * 저장하는 동안 스냅샷이 와서 항목이 다시 그려졌으면 입력 내용이 새 항목으로 옮겨져 있으므로 함께 지움
+   * @param {string} questionId - 질문 ID
+   * @param {string} prefix - 버릴 상태 키의 앞부분 (예: 'comment:answer:a1')
+   */
+  function discardUIState(questionId, prefix) {
+    for (const container of [questionList, questionDetail]) {
+      for (const li of container.children) {
+        if (li.dataset.key !== questionId) continue;
+        li.dataset.signature = '';  // 다음 렌더링에서 새로 그림
+        li.dataset.discardState = `${li.dataset.discardState || ''} ${prefix}`.trim();
+      }
+    }
+    renderFeed();
+  }
+
+  /**
+   * 초점이 있는 요소 정보 저장 (항목을 다시 그리거나 옮기면 초점을 잃으므로)
+   * @param {HTMLElement} container
+   * @returns {{key:string, start?:number, end?:number}|null}
+   */
+  function captureFocus(container) {
+    const el = document.activeElement;
+    if (!el?.dataset?.uiKey || !container.contains(el)) return null;
+    return { key: el.dataset.uiKey, start: el.selectionStart, end: el.selectionEnd };
+  }
+
+  /**
+   * 다시 그린 요소에 초점과 커서 위치 복원
+   * @param {HTMLElement} container
+   * @param {{key:string, start?:number, end?:number}|null} focused - captureFocus() 결과
+   */
+  function restoreFocus(container, focused) {
+    if (!focused) return;
+    const el = [...container.querySelectorAll('[data-ui-key]')].find((item) => item.dataset.uiKey === focused.key);
+    if (!el || el === document.activeElement || el.hidden) return;
+    el.focus();
+    if (typeof focused.start === 'number') el.setSelectionRange(focused.start, focused.end);
+  }
+
+  /**
+   * 질문 항목의 제목/본문/답변에서 검색어 강조 (검색어가 바뀌었을 때만 다시 강조)
+   * @param {HTMLElement} li - 질문 항목
+   * @param {Object|null} query - 강조할 검색어 (parseQuery 결과, 없으면 강조 지움)
+   */
+  function applySearchHighlight(li, query) {
+    const queryKey = query ? JSON.stringify([query.terms, query.phrases]) : '';
+    if ((li.dataset.highlight || '') === queryKey) return;
+    li.dataset.highlight = queryKey;
+
+    for (const el of li.querySelectorAll('.question-title, .question-body, .answer-body')) {
+      window.qnaSearch.clearHighlight(el);
+      if (query) window.qnaSearch.highlight(el, query);
+    }
+  }
+
+  /**
+   * 질문 항목(li) 하나 생성: 헤더(제목, 투표, 통계), 본문, 댓글, 답변 목록, 답변 작성 폼
+   * 질문 목록과 질문 상세 화면에서 함께 사용
+   * 검색어 강조는 applySearchHighlight()에서 따로 적용
+   * @param {Object} q - 답변/댓글이 합쳐진 질문 (composeFeed / mergePendingWrites 결과)
+   * @param {{detail?: boolean}} [options] - detail: 상세 화면(항상 펼침)
+   * @returns {HTMLLIElement}
+   */
+  function createQuestionItem(q, options = {}) {
+    // 질문 항목의 최상위 컨테이너 (li 요소)
+    const li = document.createElement('li');
+    li.className = q.pending ? 'question-item pending' : 'question-item';
+    if (q.hidden) li.classList.add('moderated');  // 숨긴 질문 (모더레이터에게만 보임)
+    li.dataset.id = q.id;  // 데이터 속성으로 질문 ID 저장
+
+    // ===== 질문 헤더 영역 생성 =====
+    const head = document.createElement('div');
+    head.className = 'question-head';
+
+    // 질문 제목 (전송된 질문은 상세 화면 고유 주소로 연결)
+    const title = document.createElement('h3');
+    title.className = 'question-title';
+    if (q.pending) {
+      title.textContent = q.title;
+    } else {
+      const link = document.createElement('a');
+      link.className = 'question-link';
+      link.href = questionHash(q.id);
+      link.textContent = q.title;
+      title.appendChild(link);
+    }
+
+    // ===== 우측 영역 (통계 + 버튼) =====
+    const right = document.createElement('div');
+    right.style.display = 'flex';
+    right.style.gap = '8px';
+    right.style.alignItems = 'center';
+
+    // 질문 통계 정보 (작성자, 작성일, 답변 수)
+    const stats = document.createElement('div');
+    stats.className = 'question-stats';
+    const questionMeta = document.createElement('span');
+    questionMeta.className = 'question-meta';
+    questionMeta.append(`${t('question.by')} `, createAuthorLink(q.author, q.authorId), ' · ', createTime(q.createdAt));
+    if (q.editedAt) questionMeta.append(` · ${t('common.edited')}`);
+    const answerCount = document.createElement('span');
+    answerCount.textContent = t('question.answerCount', { count: q.answerCount || 0 });
+    stats.append(questionMeta, ' · ', answerCount);
+    
+    // 답변이 채택된 질문은 "해결됨" 배지 표시
+    if (q.acceptedAnswerId) {
+      const solved = document.createElement('span');
+      solved.className = 'solved-badge';
+      solved.textContent = t('status.solved');
+      stats.prepend(solved);
+    }
+    
+    // 관리 상태 배지 (고정, 잠김, 숨김)
+    if (q.locked) stats.prepend(createStatusBadge(t('status.locked'), 'locked-badge'));
+    if (q.hidden) stats.prepend(createStatusBadge(t('status.hidden'), 'hidden-badge'));
+    if (q.pinned) stats.prepend(createStatusBadge(`📌 ${t('status.pinned')}`, 'pinned-badge'));
+    
+    // 오프라인에서 작성되어 아직 전송되지 않은 질문 표시
+    if (q.pending) stats.appendChild(createPendingBadge());
+
+    // 내용 보기/숨기기 토글 버튼
+    const expandBtn = document.createElement('button');
+    expandBtn.className = 'expand-btn';
+    expandBtn.type = 'button';
+    expandBtn.textContent = expandedQuestions.has(q.id) ? t('question.collapse') : t('question.expand');
+    expandBtn.addEventListener('click', () => {
+      // details 영역의 표시/숨김 토글 (다시 렌더링해도 펼친 상태 유지)
+      details.hidden = !details.hidden;
+      expandBtn.textContent = details.hidden ? t('question.expand') : t('question.collapse');
+      if (details.hidden) {
+        expandedQuestions.delete(q.id);
+      } else {
+        expandedQuestions.add(q.id);
+      }
+      // 펼친 질문만 답변과 댓글을 실시간 구독
+      syncOpenQuestions();
+    });
+
+    // 우측 영역에 요소들 추가 (투표 점수, 통계, 토글 버튼)
+    // 상세 화면은 항상 펼쳐져 있으므로 토글 버튼 없음
+    right.appendChild(createVoteControl('question', q));
+    right.appendChild(stats);
+    if (!options.detail) right.appendChild(expandBtn);
+
+    // 제목 아래에 태그 칩 표시 (클릭하면 해당 태그로 필터링)
+    const titleWrap = document.createElement('div');
+    titleWrap.appendChild(title);
+    if (q.tags && q.tags.length > 0) {
+      const tags = document.createElement('div');
+      tags.className = 'question-tags';
+      q.tags.forEach((tag) => tags.appendChild(createTagChip(tag)));
+      titleWrap.appendChild(tags);
+    }
+
+    // 헤더에 제목과 우측 영역 추가
+    head.appendChild(titleWrap);
+    head.appendChild(right);
+
+    // ===== 질문 상세 내용 영역 생성 =====
+    const details = document.createElement('div');
+    details.hidden = !options.detail && !expandedQuestions.has(q.id);  // 펼친 적 없는 질문은 숨김 상태
+
+    // 질문 본문 내용
+    const body = document.createElement('div');
+    body.className = 'question-body markdown';
+    body.innerHTML = renderMarkdown(q.body);  // markdown.js에서 이스케이프 + sanitize 처리됨
+
+    // ===== 질문 제어 버튼 영역 =====
+    const controls = document.createElement('div');
+    controls.className = 'question-controls';
+
+    // 수정 기록 패널 (수정된 적이 있는 질문만, 열 때 기록을 불러옴)
+    const history = q.editedAt ? createHistoryPanel(q) : null;
+    if (history) {
+      const historyBtn = document.createElement('button');
+      historyBtn.className = 'btn btn-ghost';
+      historyBtn.type = 'button';
+      historyBtn.textContent = t('history.button');
+      historyBtn.addEventListener('click', () => history.toggle());
+      controls.appendChild(historyBtn);
+    }
+
+    // 권한 확인: 수정/삭제 권한이 있는 질문만 버튼 표시 (policy.js, 전송 대기 중인 질문은 제외)
+    const editForm = can('edit', 'question', q) && !q.pending
+      ? createQuestionEditForm(q, body)
+      : null;
+    if (editForm) {
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn btn-ghost';
+      editBtn.type = 'button';
+      editBtn.textContent = t('common.edit');
+      editBtn.addEventListener('click', () => editForm.open());
+      controls.appendChild(editBtn);
+    }
+    if (can('delete', 'question', q) && !q.pending) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-ghost';
+      deleteBtn.type = 'button';
+      deleteBtn.textContent = t('common.delete');
+      deleteBtn.addEventListener('click', () => onDeleteQuestion(q.id));
+      controls.appendChild(deleteBtn);
+    }
+    
+    // 신고 버튼 / 모더레이터 관리 버튼
+    if (!q.pending) controls.appendChild(createModerationControls('question', q));
+
+    // ===== 답변 영역 생성 =====
+    const answers = document.createElement('div');
+    answers.className = 'answers';
+
+    // 답변 헤더 (답변 수 표시)
+    const answersHeader = document.createElement('strong');
+    answersHeader.textContent = t('answer.heading', { count: q.answerCount || 0 });
+
+    // 답변 목록을 담을 컨테이너
+    const answersWrap = document.createElement('div');
+    
+    // 디버깅: 답변 데이터 확인
+    console.log(`Question ${q.id}의 답변 데이터:`, q.answers);
+    
+    if (q.answers && q.answers.length > 0) {
+      // ===== 답변이 있는 경우: 채택된 답변을 맨 위에, 나머지는 점수 높은 순으로 렌더링 =====
+      // (같은 점수는 작성 순서 유지)
+      const isAccepted = (a) => Boolean(q.acceptedAnswerId) && a.id === q.acceptedAnswerId;
+      const orderedAnswers = [...q.answers].sort((a, b) => (isAccepted(b) - isAccepted(a)) || byMostVotes(a, b));
+      for (const a of orderedAnswers) {
+        console.log('답변 렌더링 중:', a);
+        
+        // 개별 답변 컨테이너
+        const ans = document.createElement('div');
+        ans.className = a.pending ? 'answer pending' : 'answer';
+        if (isAccepted(a)) ans.classList.add('accepted');
+        if (newAnswerIds.has(a.id)) ans.classList.add('answer-new');  // 다른 사람이 방금 단 답변
+        if (options.detail) ans.id = `answer-${a.id}`;  // 답변 고유 주소의 이동 위치
+        
+        // 숨긴 답변: 모더레이터가 아니면 내용 대신 안내만 표시 (답변 수와 맞도록 자리는 남김)
+        if (a.hidden) {
+          ans.classList.add('moderated');
+          if (!can('viewHidden', 'board')) {
+            ans.classList.add('moderated-placeholder');
+            ans.textContent = t('answer.hiddenByModerator');
+            answersWrap.appendChild(ans);
+            continue;
+          }
+        }
+        
+        // 답변 메타 정보 (작성자, 작성일)
+        const meta = document.createElement('div');
+        meta.className = 'answer-meta';
+        meta.append(createAuthorLink(a.author, a.authorId), ' · ', createTime(a.createdAt));
+        if (a.editedAt) {
+          // 수정된 답변은 수정 시각 표시
+          const edited = document.createElement('span');
+          edited.className = 'answer-edited';
+          edited.append(` · ${t('common.edited')} `, createTime(a.editedAt));
+          meta.appendChild(edited);
+        }
+        if (a.hidden) meta.appendChild(createStatusBadge(t('status.hidden'), 'hidden-badge'));
+        if (a.pending) {
+          meta.appendChild(createPendingBadge());
+        } else if (!q.pending) {
+          // 답변 고유 주소 (채팅 등에 붙여넣기용)
+          const permalink = document.createElement('a');
+          permalink.className = 'permalink';
+          permalink.href = questionHash(q.id, a.id);
+          permalink.textContent = t('answer.permalink');
+          permalink.title = t('answer.permalinkTitle');
+          meta.append(' · ', permalink);
+        }
+        meta.prepend(createVoteControl('answer', a));
+        
+        // 답변 본문 내용
+        const body = document.createElement('div');
+        body.className = 'answer-body markdown';
+        body.innerHTML = a.body ? renderMarkdown(a.body) : escapeHTML(t('answer.noBody'));
+        
+        // 채택된 답변 표시
+        if (isAccepted(a)) {
+          const acceptedLabel = document.createElement('div');
+          acceptedLabel.className = 'accepted-label';
+          acceptedLabel.textContent = `✔ ${t('answer.accepted')}`;
+          ans.appendChild(acceptedLabel);
+        }
+        
+        // 답변 요소에 메타와 본문 추가
+        ans.appendChild(meta);
+        ans.appendChild(body);
+        if (a.attachments?.length) ans.appendChild(createAttachmentList(a.attachments));
+        
+        // 질문 작성자에게 채택/채택 취소 버튼 표시
+        if (can('accept', 'question', q) && !q.pending && !a.pending) {
+          const acceptBtn = document.createElement('button');
+          acceptBtn.className = 'btn btn-ghost btn-sm accept-btn';
+          acceptBtn.type = 'button';
+          acceptBtn.textContent = isAccepted(a) ? t('answer.unaccept') : t('answer.accept');
+          acceptBtn.addEventListener('click', () => onAcceptAnswer(q.id, a.id));
+          ans.appendChild(acceptBtn);
+        }
+        
+        // 권한 확인: 자신이 작성한 답변만 수정/삭제 버튼 표시 (전송 대기 중인 답변은 제외)
+        if (can('edit', 'answer', a) && !a.pending) {
+          ans.appendChild(createAnswerControls(q.id, a, body));
+        }
+        
+        // 신고 버튼 / 모더레이터 관리 버튼
+        if (!a.pending) ans.appendChild(createModerationControls('answer', a));
+        
+        // 답변에 달린 댓글
+        if (!a.pending) {
+          const answerComments = (q.comments || []).filter((c) => c.targetType === 'answer' && c.targetId === a.id);
+          ans.appendChild(createCommentThread(q.id, 'answer', a.id, answerComments));
+        }
+        answersWrap.appendChild(ans);
+      }
+    } else if (!q.threadLoaded) {
+      // ===== 답변을 아직 불러오지 않은 경우 =====
+      const loadingMsg = document.createElement('div');
+      loadingMsg.className = 'no-answer';
+      loadingMsg.textContent = t('answer.loading');
+      answersWrap.appendChild(loadingMsg);
+    } else {
+      // ===== 답변이 없는 경우: 안내 메시지 표시 =====
+      const noAnswerMsg = document.createElement('div');
+      noAnswerMsg.className = 'no-answer';
+      noAnswerMsg.textContent = t('answer.empty');
+      noAnswerMsg.style.color = '#666';
+      noAnswerMsg.style.fontStyle = 'italic';
+      noAnswerMsg.style.padding = '12px';
+      noAnswerMsg.style.textAlign = 'center';
+      answersWrap.appendChild(noAnswerMsg);
+    }
+
+    // ===== 답변 작성 폼 생성 (잠긴 질문은 안내 문구로 대신) =====
+    let answerForm;
+    if (q.locked) {
+      answerForm = document.createElement('p');
+      answerForm.className = 'locked-note';
+      answerForm.textContent = `🔒 ${t('question.lockedNote')}`;
+    } else {
+      answerForm = createAnswerForm(q.id, q.title);
+    }
+
+    // 함께 보는 사람 표시 (renderPresence()가 채움)
+    const presence = document.createElement('div');
+    presence.className = 'presence';
+    presence.dataset.questionId = q.id;
+    presence.setAttribute('aria-live', 'polite');
+    presence.hidden = true;
+
+    // 답변 영역에 모든 요소들을 순서대로 추가
+    answers.appendChild(answersHeader);    // 답변 헤더
+    answers.appendChild(answersWrap);      // 답변 목록
+    answers.appendChild(presence);         // 함께 보는 사람
+    answers.appendChild(answerForm);       // 답변 작성 폼
+
+    // 상세 내용 영역에 모든 요소들을 순서대로 추가
+    details.appendChild(body);             // 질문 본문
+    if (q.attachments?.length) details.appendChild(createAttachmentList(q.attachments)); // 첨부 파일
+    if (editForm) details.appendChild(editForm.element);   // 질문 수정 폼 (숨김 상태)
+    details.appendChild(controls);         // 제어 버튼
+    if (!q.pending && q.threadLoaded) {
+      // 질문에 달린 댓글 (답변 댓글 제외)
+      const questionComments = (q.comments || []).filter((c) => c.targetType === 'question');
+      details.appendChild(createCommentThread(q.id, 'question', q.id, questionComments));
+    }
+    if (history) details.appendChild(history.element);     // 수정 기록 패널 (숨김 상태)
+    details.appendChild(answers);          // 답변 영역
+
+    // 질문 항목에 헤더와 상세 내용 추가
+    li.appendChild(head);
+    li.appendChild(details);
+    
+    return li;
+  }
+
+  /**
+   * 질문 수정 폼 생성 (작성자에게만 표시)
+   * 열면 본문 자리에 제목/내용 입력창이 나타나고, 저장하면 updateQuestion() 호출
+   * @param {Question} question - 수정할 질문
+   * @param {HTMLElement} bodyEl - 질문 본문 요소 (수정 중에는 숨김)
+   * @returns {{element: HTMLFormElement, open: Function}} 폼 요소와 열기 함수
+   */
+  function createQuestionEditForm(question, bodyEl) {
+    const form = document.createElement('form');
+    form.className = 'question-edit-form';
+    form.hidden = true;
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.placeholder = t('question.titlePlaceholder');
+    titleInput.required = true;
+
+    const bodyInput = document.createElement('textarea');
+    bodyInput.rows = 5;
+    bodyInput.placeholder = t('question.bodyPlaceholder');
+    bodyInput.required = true;
+    const bodyEditor = createMarkdownEditor(bodyInput);
+
+    // 다시 그려도 수정 중인 내용 유지
+    const stateKey = `question-edit:${question.id}`;
+    keepState(form, `${stateKey}:form`);
+    keepState(titleInput, `${stateKey}:title`);
+    keepState(bodyInput, `${stateKey}:body`);
+    keepState(bodyEl, `${stateKey}:view`);
+
+    const actions = document.createElement('div');
+    actions.className = 'form-actions';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn btn-primary';
+    saveBtn.textContent = t('common.save');
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn btn-ghost';
+    cancelBtn.textContent = t('common.cancel');
+
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    form.appendChild(titleInput);
+    form.appendChild(bodyEditor.element);
+    form.appendChild(actions);
+
+    const setEditing = (editing) => {
+      form.hidden = !editing;
+      bodyEl.hidden = editing;
+    };
+
+    cancelBtn.addEventListener('click', () => setEditing(false));
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();  // 기본 폼 제출 동작 방지
+
+      const title = titleInput.value.trim();
+      const body = bodyInput.value.trim();
+      if (!title || !body) return;  // 필수 필드 검증
+      if (title === question.title && body === question.body) {
+        setEditing(false);          // 변경 사항 없음
+        return;
+      }
+
+      try {
+        await updateQuestion(question.id, { title, body });
+        // 성공 시 화면이 자동으로 업데이트됨 (subscribeToQuestions에서), 수정 폼은 닫음
+        discardUIState(question.id, stateKey);
+      } catch (error) {
+        alert(t('question.error.update', { message: error.message }));
+      }
+    });
+
+    return {
+      element: form,
+      open() {
+        titleInput.value = question.title;
+        bodyInput.value = question.body;
+        bodyEditor.reset();
+        setEditing(true);
+        titleInput.focus();
+      }
+    };
+  }
+
+  /**
+   * 질문 수정 기록 패널 생성
+   * - 모든 기록을 목록으로 보여주고, 두 기록을 골라 단어 단위 비교
+   * - 질문 작성자는 이전 기록으로 되돌릴 수 있음 (되돌리기도 새 기록으로 남음)
+   * @param {Question} question - 대상 질문
+   * @returns {{element: HTMLElement, toggle: Function}} 패널 요소와 열기/닫기 함수
+   */
+  function createHistoryPanel(question) {
+    const panel = document.createElement('div');
+    panel.className = 'history-panel';
+    panel.hidden = true;
+
+    const isAuthor = can('edit', 'question', question);  // 되돌리기 = 수정
+
+    /**
+     * 수정 기록을 불러와 패널 내용을 다시 구성
+     */
+    const load = async () => {
+      panel.textContent = t('history.loading');
+      const revisions = await loadRevisions(question.id);
+      panel.innerHTML = '';
+
+      if (revisions.length === 0) {
+        panel.textContent = t('history.empty');
+        return;
+      }
+
+      const label = (i) => `#${i + 1} · ${revisions[i].editor || t('common.noAuthor')} · ${formatDate(revisions[i].createdAt)}`;
+
+      // ===== 1단계: 기록 목록 =====
+      const heading = document.createElement('strong');
+      heading.textContent = t('history.heading', { count: revisions.length });
+
+      const list = document.createElement('ol');
+      list.className = 'history-list';
+      revisions.forEach((revision, i) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.append(`${revision.editor || t('common.noAuthor')} · `, createTime(revision.createdAt));
+        if (i === 0) text.append(` (${t('history.original')})`);
+        item.appendChild(text);
+
+        // 최신 기록이 아닌 경우 작성자에게 되돌리기 버튼 표시
+        if (isAuthor && i < revisions.length - 1) {
+          const rollbackBtn = document.createElement('button');
+          rollbackBtn.className = 'btn btn-ghost btn-sm';
+          rollbackBtn.type = 'button';
+          rollbackBtn.textContent = t('history.rollback');
+          rollbackBtn.addEventListener('click', () => onRollbackQuestion(question.id, revision, i + 1));
+          item.appendChild(rollbackBtn);
+        }
+        list.appendChild(item);
+      });
+
+      // ===== 2단계: 비교할 두 기록 선택 (기본값: 직전 기록 → 최신 기록) =====
+      const compare = document.createElement('div');
+      compare.className = 'history-compare';
+
+      const createSelect = (selectedIndex) => {
+        const select = document.createElement('select');
+        revisions.forEach((_, i) => select.appendChild(new Option(label(i), String(i), false, i === selectedIndex)));
+        return select;
+      };
+      const fromSelect = createSelect(Math.max(0, revisions.length - 2));
+      const toSelect = createSelect(revisions.length - 1);
+      fromSelect.setAttribute('aria-label', t('history.compareFrom'));
+      toSelect.setAttribute('aria-label', t('history.compareTo'));
+
+      const arrow = document.createElement('span');
+      arrow.textContent = '→';
+      compare.appendChild(fromSelect);
+      compare.appendChild(arrow);
+      compare.appendChild(toSelect);
+
+      // ===== 3단계: 단어 단위 비교 결과 =====
+      const diffView = document.createElement('div');
+      diffView.className = 'history-diff';
+
+      const renderDiff = () => {
+        const from = revisions[Number(fromSelect.value)];
+        const to = revisions[Number(toSelect.value)];
+        diffView.innerHTML = '';
+
+        const titleDiff = document.createElement('div');
+        titleDiff.className = 'history-diff-title';
+        appendDiff(titleDiff, diffWords(from.title, to.title));
+
+        const bodyDiff = document.createElement('div');
+        bodyDiff.className = 'history-diff-body';
+        appendDiff(bodyDiff, diffWords(from.body, to.body));
+
+        diffView.appendChild(titleDiff);
+        diffView.appendChild(bodyDiff);
+      };
+      fromSelect.addEventListener('change', renderDiff);
+      toSelect.addEventListener('change', renderDiff);
+      renderDiff();
+
+      panel.appendChild(heading);
+      panel.appendChild(list);
+      panel.appendChild(compare);
+      panel.appendChild(diffView);
+    };
+
+    return {
+      element: panel,
+      toggle() {
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) load();
+      }
+    };
+  }
+
+  /**
+   * 단어 비교 결과를 요소에 추가 (추가된 단어는 <ins>, 삭제된 단어는 <del>)
+   * @param {HTMLElement} container - 결과를 넣을 요소
+   * @param {Array<{type:string,text:string}>} parts - diffWords() 결과
+   */
+  function appendDiff(container, parts) {
+    for (const part of parts) {
+      if (part.type === 'same') {
+        container.appendChild(document.createTextNode(part.text));
+      } else {
+        const el = document.createElement(part.type === 'add' ? 'ins' : 'del');
+        el.textContent = part.text;
+        container.appendChild(el);
+      }
+    }
+  }
+
+  /**
+   * 댓글 목록과 댓글 작성 폼 생성
+   * 처음 COMMENT_PREVIEW_COUNT개만 보여주고 나머지는 "더 보기"로 펼침
+   * @param {string} questionId - 댓글이 속한 질문 ID
+   * @param {'question'|'answer'} targetType - 댓글 대상 종류
+   * @param {string} targetId - 댓글 대상 질문/답변 ID
+   * @param {Comment[]} comments - 대상에 달린 댓글 (작성 순서)
+   * @returns {HTMLDivElement} 댓글 영역
+   */
+  function createCommentThread(questionId, targetType, targetId, comments) {
+    const thread = document.createElement('div');
+    thread.className = 'comments';
+
+    // ===== 1단계: 댓글 목록 =====
+    const list = document.createElement('ul');
+    list.className = 'comment-list';
+
+    comments.forEach((c, i) => {
+      const item = document.createElement('li');
+      item.className = 'comment';
+      item.hidden = i >= COMMENT_PREVIEW_COUNT;  // 처음 몇 개만 표시
+
+      const body = document.createElement('span');
+      body.className = 'comment-body';
+      body.textContent = c.body;
+
+      const meta = document.createElement('span');
+      meta.className = 'comment-meta';
+      meta.append(` – ${c.author || t('common.noAuthor')} · `, createTime(c.createdAt));
+
+      item.appendChild(body);
+      item.appendChild(meta);
+
+      // 권한 확인: 자신이 작성한 댓글만 삭제 버튼 표시
+      if (can('delete', 'comment', c)) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'comment-delete';
+        deleteBtn.type = 'button';
+        deleteBtn.textContent = '×';
+        deleteBtn.setAttribute('aria-label', t('comment.delete'));
+        deleteBtn.addEventListener('click', () => onDeleteComment(c.id));
+        item.appendChild(deleteBtn);
+      }
+
+      list.appendChild(item);
+    });
+
+    thread.appendChild(list);
+
+    // ===== 2단계: 접힌 댓글 펼치기 버튼 =====
+    const hiddenCount = comments.length - COMMENT_PREVIEW_COUNT;
+    if (hiddenCount > 0) {
+      const moreBtn = document.createElement('button');
+      moreBtn.className = 'link-btn';
+      moreBtn.type = 'button';
+      moreBtn.textContent = t('comment.showMore', { count: hiddenCount });
+      moreBtn.addEventListener('click', () => {
+        list.querySelectorAll('.comment').forEach((item) => { item.hidden = false; });
+        moreBtn.remove();
+      });
+      thread.appendChild(moreBtn);
+    }
+
+    // ===== 3단계: 한 줄짜리 댓글 작성 폼 (버튼을 누르면 표시) =====
+    const openBtn = document.createElement('button');
+    openBtn.className = 'link-btn';
+    openBtn.type = 'button';
+    openBtn.textContent = t('comment.open');
+
+    const form = document.createElement('form');
+    form.className = 'comment-form';
+    form.hidden = true;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = t('comment.placeholder');
+    input.required = true;
+    input.maxLength = 500;
+
+    // 다시 그려도 열린 폼과 입력 중인 댓글 유지
+    const stateKey = `comment:${targetType}:${targetId}`;
+    keepState(openBtn, `${stateKey}:open`);
+    keepState(form, `${stateKey}:form`);
+    keepState(input, `${stateKey}:input`);
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'btn btn-ghost btn-sm';
+    submit.textContent = t('comment.submit');
+
+    form.appendChild(input);
+    form.appendChild(submit);
+
+    openBtn.addEventListener('click', () => {
+      // 로그인 상태 확인
+      if (!currentUser) {
+        alert(t('comment.loginRequired'));
+        return;
+      }
+      openBtn.hidden = true;
+      form.hidden = false;
+      input.focus();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();  // 기본 폼 제출 동작 방지
+
+      const body = input.value.trim();
+      if (!body) return;  // 필수 필드 검증
+
+      try {
+        await addComment(questionId, targetType, targetId, body);
+        form.reset();
+        discardUIState(questionId, stateKey);
+      } catch (error) {
+        alert(t('comment.error.create', { message: error.message }));
+      }
+    });
+
+    thread.appendChild(openBtn);
+    thread.appendChild(form);
+    return thread;
+  }
+
+  /**
+   * 클릭하면 해당 태그로 목록을 필터링하는 태그 칩 생성
+   * @param {string} tag - 태그 이름
+   * @param {number} [count] - 태그 목록에서 표시할 질문 수
+   * @returns {HTMLButtonElement} 태그 칩
+   */
+  function createTagChip(tag, count) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = tag === activeTag ? 'tag-chip active' : 'tag-chip';
+    chip.textContent = count === undefined ? `#${tag}` : `#${tag} ${count}`;
+    chip.addEventListener('click', () => setActiveTag(tag));
+    return chip;
+  }
+
+  /**
+   * 태그 필터 설정 후 목록 다시 렌더링
+   * @param {string} tag - 필터링할 태그 ('' 이면 필터 해제)
+   */
+  function setActiveTag(tag) {
+    activeTag = tag;
+    // 상세 화면에서 태그를 누르면 해당 태그로 걸러진 목록으로 이동
+    if (route?.view === 'question') {
+      location.hash = listHash();
+      return;
+    }
+    renderFeed();
+    renderTagIndex();
+    updateListHash();
+  }
+
+  /**
+   * 알림 버튼(읽지 않은 개수)과 알림 목록 렌더링
+   */
+  function renderNotifications() {
+    // 읽지 않은 알림 개수 배지
+    const unread = unreadNotificationIds.length;
+    notifCount.hidden = unread === 0;
+    notifCount.textContent = unread > 99 ? '99+' : String(unread);
+    notifBtn.setAttribute('aria-label', unread > 0 ? t('notification.unreadLabel', { count: unread }) : t('notification.label'));
+    notifReadAll.disabled = unread === 0;
+
+    // 최근 알림 목록 (누르면 해당 답변으로 이동하면서 읽음 처리)
+    notifList.innerHTML = '';
+    notifEmpty.hidden = notifications.length > 0;
+    for (const n of notifications) {
+      const li = document.createElement('li');
+      li.className = n.read ? 'notif-item' : 'notif-item unread';
+
+      const link = document.createElement('a');
+      link.href = questionHash(n.questionId, n.answerId);
+      link.textContent = t('notification.answered', { name: n.actorName || t('notification.someone'), title: n.questionTitle });
+      link.addEventListener('click', () => {
+        closeNotificationPanel();
+        if (!n.read) onReadNotification(n.id);
+      });
+
+      const time = document.createElement('div');
+      time.className = 'notif-time';
+      time.appendChild(createTime(n.createdAt));
+
+      li.appendChild(link);
+      li.appendChild(time);
+      notifList.appendChild(li);
+    }
+  }
+
+  /**
+   * 알림 목록 열기/닫기
+   */
+  function toggleNotificationPanel() {
+    notifPanel.hidden = !notifPanel.hidden;
+    notifBtn.setAttribute('aria-expanded', String(!notifPanel.hidden));
+  }
+
+  /**
+   * 알림 목록 닫기 (바깥 클릭, Esc, 알림 선택 시)
+   */
+  function closeNotificationPanel() {
+    notifPanel.hidden = true;
+    notifBtn.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * 작성자 이름 요소 생성 (작성자 uid가 있으면 프로필 화면 링크)
+   * @param {string} name - 표시할 작성자 이름
+   * @param {string} [authorId] - 작성자 uid
+   * @returns {HTMLElement}
+   */
+  function createAuthorLink(name, authorId) {
+    const el = document.createElement(authorId ? 'a' : 'span');
+    el.className = 'author-link';
+    el.textContent = name || t('common.noAuthor');
+    if (authorId) el.href = userHash(authorId);
+    return el;
+  }
+
+  /**
+   * 사용자 프로필 화면 렌더링: 프로필 카드(사진, 이름, 가입일, 평판) + 작성한 질문/답변 목록
+   */
+  function renderUserView() {
+    if (!profileView) return;
+    const { uid, data, loaded, failed } = profileView;
+    userProfile.innerHTML = '';
+
+    if (!loaded || failed) {
+      const message = document.createElement('p');
+      message.className = 'empty-state';
+      message.textContent = failed ? t('profile.loadFailed') : t('profile.loading');
+      userProfile.appendChild(message);
+      return;
+    }
+
+    const { profile } = data;
+    // 숨긴 글은 평판에 넣지 않고, 모더레이터가 아니면 목록에도 표시하지 않음
+    const questions = filterHidden(data.questions);
+    const answers = filterHidden(data.answers);
+    const visibleForReputation = (items) => items.filter((item) => !item.hidden);
+    // 프로필 문서가 없는 사용자(이 기능 이전에만 활동한 사용자)는 작성한 글의 작성자 이름 사용
+    const name = profile?.displayName || questions[0]?.author || answers[0]?.author || t('profile.unknownUser');
+    if (!profile && questions.length === 0 && answers.length === 0) {
+      const missing = document.createElement('p');
+      missing.className = 'empty-state';
+      missing.textContent = t('profile.notFound');
+      userProfile.appendChild(missing);
+      return;
+    }
+    document.title = `${name} - ${baseTitle()}`;
+
+    // ===== 프로필 카드 =====
+    const card = document.createElement('div');
+    card.className = 'profile-card';
+
+    // 사진이 없으면 이름 첫 글자로 대신 표시
+    let avatar;
+    if (profile?.photoURL) {
+      avatar = document.createElement('img');
+      avatar.src = profile.photoURL;
+      avatar.alt = '';
+      avatar.referrerPolicy = 'no-referrer';  // Google 프로필 사진은 referrer가 있으면 막히는 경우가 있음
+    } else {
+      avatar = document.createElement('span');
+      avatar.textContent = name.charAt(0).toUpperCase();
+    }
+    avatar.className = 'profile-avatar';
+
+    const info = document.createElement('div');
+    const heading = document.createElement('h2');
+    heading.className = 'profile-name';
+    heading.textContent = name;
+    const joined = document.createElement('p');
+    joined.className = 'question-meta';
+    if (profile?.joinedAt) {
+      joined.append(`${t('profile.joined')} `, createTime(profile.joinedAt));
+    } else {
+      joined.textContent = t('profile.joinedUnknown');
+    }
+    info.append(heading, joined);
+    if (currentUser && currentUser.uid === uid) {
+      const mine = document.createElement('span');
+      mine.className = 'tag-chip';
+      mine.textContent = t('profile.mine');
+      heading.append(' ', mine);
+    }
+    if (profile?.role) {
+      heading.append(' ', createStatusBadge(roleLabel(profile.role), 'role-badge'));
+    }
+    
+    // 관리자에게 역할 지정/해제 버튼 표시 (자기 자신 제외, 프로필 문서가 있는 사용자만)
+    if (profile && can('setRole', 'user', profile)) {
+      const roleControls = document.createElement('div');
+      roleControls.className = 'mod-controls';
+      const roleBtn = document.createElement('button');
+      roleBtn.className = 'btn btn-ghost btn-sm';
+      roleBtn.type = 'button';
+      const nextRole = profile.role ? null : 'moderator';
+      roleBtn.textContent = nextRole ? t('role.grantModerator') : t('role.revoke', { role: roleLabel(profile.role) });
+      roleBtn.addEventListener('click', () => onSetRole(uid, nextRole));
+      roleControls.appendChild(roleBtn);
+      info.appendChild(roleControls);
+    }
+
+    // 활동 요약 (평판, 질문 수, 답변 수, 채택된 답변 수)
+    const stats = document.createElement('dl');
+    stats.className = 'profile-stats';
+    const acceptedCount = answers.filter((a) => a.accepted).length;
+    [
+      [t('profile.stats.reputation'), computeReputation(visibleForReputation(questions), visibleForReputation(answers))],
+      [t('profile.stats.questions'), questions.length],
+      [t('profile.stats.answers'), answers.length],
+      [t('profile.stats.accepted'), acceptedCount]
+    ].forEach(([label, value]) => {
+      const item = document.createElement('div');
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      item.append(dd, dt);
+      stats.appendChild(item);
+    });
+    stats.title = t('profile.reputationHelp', REPUTATION);
+
+    card.append(avatar, info, stats);
+    userProfile.appendChild(card);
+
+    // ===== 작성한 질문 / 답변 목록 =====
+    userProfile.appendChild(createActivityList(t('profile.questions', { count: questions.length }), questions, (q) => ({
+      href: questionHash(q.id),
+      title: q.title,
+      meta: `${t('vote.score', { count: q.score || 0 })} · ${t('question.answerCount', { count: q.answerCount || 0 })}`,
+      time: q.createdAt,
+      badge: q.hidden ? t('status.hidden') : q.acceptedAnswerId ? t('status.solved') : ''
+    })));
+    userProfile.appendChild(createActivityList(t('profile.answers', { count: answers.length }), answers, (a) => ({
+      href: a.questionTitle === null ? '' : questionHash(a.questionId, a.id),
+      title: a.questionTitle === null ? `(${t('profile.deletedQuestion')})` : a.questionTitle,
+      meta: t('vote.score', { count: a.score || 0 }),
+      time: a.createdAt,
+      badge: a.hidden ? t('status.hidden') : a.accepted ? t('status.accepted') : ''
+    })));
+  }
+
+  /**
+   * 프로필 화면의 활동 목록(질문 또는 답변) 생성
+   * @param {string} heading - 목록 제목
+   * @param {Array} items - 질문 또는 답변 배열
+   * @param {(item:Object) => {href:string, title:string, meta:string, time:any, badge:string}} describe - 항목 표시 정보 (time: 작성 시각)
+   * @returns {HTMLElement}
+   */
+  function createActivityList(heading, items, describe) {
+    const section = document.createElement('section');
+    section.className = 'profile-activity';
+    const title = document.createElement('h3');
+    title.textContent = heading;
+    section.appendChild(title);
+
+    if (items.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = t('profile.activityEmpty');
+      section.appendChild(empty);
+      return section;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'activity-list';
+    for (const item of items) {
+      const { href, title: text, meta, time, badge } = describe(item);
+      const li = document.createElement('li');
+      const link = document.createElement(href ? 'a' : 'span');
+      link.className = 'question-link';
+      link.textContent = text;
+      if (href) link.href = href;
+      const info = document.createElement('span');
+      info.className = 'question-meta';
+      info.append(`${meta} · `, createTime(time));
+      li.append(link, ' ', info);
+      if (badge) {
+        const mark = document.createElement('span');
+        mark.className = 'solved-badge';
+        mark.textContent = badge;
+        li.appendChild(mark);
+      }
+      list.appendChild(li);
+    }
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * 신고 관리 화면 렌더링: 신고된 글(대상별로 묶음, 처리 버튼) + 최근 관리 기록
+   */
+  function renderModerationView() {
+    if (!moderationView) return;
+    const { data, failed } = moderationView;
+    document.title = `${t('moderation.title')} - ${baseTitle()}`;
+    moderationContent.innerHTML = '';
+
+    const showMessage = (text) => {
+      const message = document.createElement('p');
+      message.className = 'empty-state';
+      message.textContent = text;
+      moderationContent.appendChild(message);
+    };
+    if (!can('moderate', 'board')) {
+      showMessage(t('moderation.forbidden'));
+      return;
+    }
+    if (failed || !data) {
+      showMessage(failed ? t('moderation.loadFailed') : t('moderation.loading'));
+      return;
+    }
+
+    // ===== 신고된 글 =====
+    const reportsSection = document.createElement('section');
+    reportsSection.className = 'profile-activity';
+    const reportsTitle = document.createElement('h3');
+    reportsTitle.textContent = t('moderation.reportedHeading', { count: data.targets.length });
+    reportsSection.appendChild(reportsTitle);
+
+    if (data.targets.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = t('moderation.noReports');
+      reportsSection.appendChild(empty);
+    }
+
+    const reportList = document.createElement('ul');
+    reportList.className = 'report-list';
+    for (const group of data.targets) {
+      const { targetType, targetId, questionId, target, reports } = group;
+      const li = document.createElement('li');
+      li.className = 'report-item';
+
+      // 대상 글 (질문은 제목, 답변은 본문 앞부분)
+      const head = document.createElement('div');
+      head.className = 'report-head';
+      const kind = document.createElement('strong');
+      kind.textContent = t(`common.${targetType}`);
+      const link = document.createElement(target ? 'a' : 'span');
+      link.className = 'question-link';
+      if (target) {
+        link.href = targetType === 'question' ? questionHash(targetId) : questionHash(questionId, targetId);
+        link.textContent = targetType === 'question' ? target.title : truncate(target.body, 80);
+      } else {
+        link.textContent = `(${t('moderation.deletedTarget')})`;
+      }
+      head.append(kind, ' ', link, ' ');
+      if (target) head.append(createAuthorLink(target.author, target.authorId), ' ');
+      if (target?.hidden) head.appendChild(createStatusBadge(t('status.hidden'), 'hidden-badge'));
+      head.appendChild(createStatusBadge(t('moderation.reportCount', { count: reports.length }), 'report-badge'));
+      li.appendChild(head);
+
+      if (target && targetType === 'question') {
+        const preview = document.createElement('p');
+        preview.className = 'report-preview';
+        preview.textContent = truncate(target.body, 200);
+        li.appendChild(preview);
+      }
+
+      // 신고 사유
+      const reasons = document.createElement('ul');
+      reasons.className = 'report-reasons';
+      for (const report of reports) {
+        const item = document.createElement('li');
+        item.append(`${report.reporterName || t('moderation.anonymous')}: ${report.reason} · `, createTime(report.createdAt));
+        reasons.appendChild(item);
+      }
+      li.appendChild(reasons);
+
+      // 처리 버튼 (숨기기 = 신고도 함께 처리, 기각 = 글은 그대로 두고 신고만 처리)
+      const actions = document.createElement('div');
+      actions.className = 'mod-controls';
+      if (target && !target.hidden) {
+        const hideBtn = document.createElement('button');
+        hideBtn.className = 'btn btn-ghost btn-sm';
+        hideBtn.type = 'button';
+        hideBtn.textContent = t('moderation.button.hide');
+        hideBtn.addEventListener('click', () => onModerate('hide', targetType, targetId));
+        actions.appendChild(hideBtn);
+      }
+      const dismissBtn = document.createElement('button');
+      dismissBtn.className = 'btn btn-ghost btn-sm';
+      dismissBtn.type = 'button';
+      dismissBtn.textContent = target ? t('moderation.action.dismiss') : t('moderation.close');
+      dismissBtn.addEventListener('click', () => onModerate('dismiss', targetType, targetId));
+      actions.appendChild(dismissBtn);
+      li.appendChild(actions);
+
+      reportList.appendChild(li);
+    }
+    reportsSection.appendChild(reportList);
+    moderationContent.appendChild(reportsSection);
+
+    // ===== 관리 기록 =====
+    const logSection = document.createElement('section');
+    logSection.className = 'profile-activity';
+    const logTitle = document.createElement('h3');
+    logTitle.textContent = t('moderation.logHeading', { count: MODERATION_LOG_LIMIT });
+    logSection.appendChild(logTitle);
+
+    if (data.log.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty-state';
+      empty.textContent = t('moderation.logEmpty');
+      logSection.appendChild(empty);
+    }
+
+    const logList = document.createElement('ul');
+    logList.className = 'activity-list moderation-log';
+    for (const entry of data.log) {
+      const li = document.createElement('li');
+      const info = document.createElement('span');
+      info.className = 'question-meta';
+      info.append(createTime(entry.createdAt), ` · ${entry.moderatorName || entry.moderatorId}`);
+      const action = document.createElement('strong');
+      action.textContent = entry.action === 'role'
+        ? `${moderationLabel('role')} → ${roleLabel(entry.role)}`
+        : moderationLabel(entry.action);
+
+      // 대상: 사용자는 프로필, 질문/답변은 고유 주소
+      const target = document.createElement('a');
+      target.className = 'question-link';
+      if (entry.targetType === 'user') {
+        target.href = userHash(entry.targetId);
+        target.textContent = t('moderation.userProfile');
+      } else if (entry.questionId) {
+        target.href = entry.targetType === 'question' ? questionHash(entry.targetId) : questionHash(entry.questionId, entry.targetId);
+        target.textContent = t(`common.${entry.targetType}`);
+      }
+      li.append(info, ' ', action, ' ', target);
+      if (entry.reason) li.append(` – ${entry.reason}`);
+      logList.appendChild(li);
+    }
+    logSection.appendChild(logList);
+    moderationContent.appendChild(logSection);
+
+    // ===== 백업 (내보내기 / 가져오기) =====
+    moderationContent.appendChild(createBackupSection());
+  }
+
+  /**
+   * 백업 영역 생성: 형식을 골라 내보내기, JSONL 백업 가져오기 (관리자만)
+   * @returns {HTMLElement}
+   */
+  function createBackupSection() {
+    const section = document.createElement('section');
+    section.className = 'profile-activity backup-section';
+    const title = document.createElement('h3');
+    title.textContent = t('backup.heading');
+    section.appendChild(title);
+
+    // 내보내기: 형식 선택 + 버튼
+    const exportRow = document.createElement('div');
+    exportRow.className = 'mod-controls';
+    const formatSelect = document.createElement('select');
+    formatSelect.setAttribute('aria-label', t('backup.formatLabel'));
+    for (const value of Object.keys(EXPORT_FORMATS)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = t(`backup.format.${value}`);
+      formatSelect.appendChild(option);
+    }
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.className = 'btn btn-ghost btn-sm';
+    exportBtn.textContent = t('backup.export');
+    exportBtn.addEventListener('click', () => onExport(formatSelect.value, exportBtn));
+    exportRow.append(formatSelect, exportBtn);
+    section.appendChild(exportRow);
+
+    // 가져오기: JSONL 파일 선택 (관리자만)
+    if (can('import', 'board')) {
+      const importRow = document.createElement('div');
+      importRow.className = 'mod-controls';
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.jsonl,application/x-ndjson';
+      fileInput.hidden = true;
+      const importBtn = document.createElement('button');
+      importBtn.type = 'button';
+      importBtn.className = 'btn btn-ghost btn-sm';
+      importBtn.textContent = t('backup.import');
+      importBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (file) onImport(file, importBtn);
+      });
+      const hint = document.createElement('small');
+      hint.className = 'md-hint';
+      hint.textContent = t('backup.importHint');
+      importRow.append(fileInput, importBtn, hint);
+      section.appendChild(importRow);
+    }
+    return section;
+  }
+
+  /**
+   * 질문 작성 폼 아래 비슷한 질문 목록 표시 (답변 수, 해결 여부, 질문 링크)
+   * @param {Array} questions - findSimilarQuestions() 결과 (빈 배열이면 숨김)
+   */
+  function renderDuplicateSuggestions(questions) {
+    duplicateList.innerHTML = '';
+    duplicatePanel.hidden = questions.length === 0;
+
+    for (const q of questions) {
+      const li = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'question-link';
+      link.href = questionHash(q.id);
+      link.target = '_blank';  // 작성 중인 내용을 잃지 않도록 새 탭에서 열기
+      link.rel = 'noopener';
+      link.textContent = q.title;
+      const meta = document.createElement('span');
+      meta.className = 'question-meta';
+      meta.textContent = t('question.answerCount', { count: q.answerCount || 0 });
+      li.append(link, ' ', meta);
+      if (q.acceptedAnswerId) li.append(' ', createStatusBadge(t('status.solved'), 'solved-badge'));
+      duplicateList.appendChild(li);
+    }
+  }
+
+  /**
+   * 입력이 잠시 멈추면 비슷한 질문 다시 찾기 (제목/내용 입력 이벤트에서 호출)
+   */
+  function scheduleDuplicateCheck() {
+    clearTimeout(duplicateTimer);
+    duplicateTimer = setTimeout(() => {
+      renderDuplicateSuggestions(findSimilarQuestions(askTitleInput.value, askBodyInput.value));
+    }, DUPLICATE_DELAY);
+  }
+
+  /**
+   * 현재 사용자의 임시 저장글 목록 표시 (최근에 고친 글부터, 없으면 영역을 숨김)
+   * 각 글마다 이어 쓰기 / 삭제 버튼
+   */
+  function renderDrafts() {
+    if (!draftsSection) return;
+
+    const owner = draftOwner();
+    const mine = Object.entries(drafts)
+      .filter(([, draft]) => draft.owner === owner)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt);
+
+    draftList.innerHTML = '';
+    draftsSection.hidden = mine.length === 0;
+
+    for (const [key, draft] of mine) {
+      const li = document.createElement('li');
+      li.className = 'draft-item';
+
+      const label = document.createElement('strong');
+      label.textContent = draft.kind === 'question'
+        ? t('draft.question', { title: draft.fields.title.trim() || `(${t('draft.untitled')})` })
+        : t('draft.answer', { title: draft.questionTitle || `(${t('draft.untitledQuestion')})` });
+
+      const snippet = document.createElement('span');
+      snippet.className = 'draft-snippet';
+      snippet.textContent = truncate(draft.fields.body, 60);
+
+      const meta = document.createElement('span');
+      meta.className = 'question-meta';
+      meta.append(`${t('draft.saved')} `, createTime(draft.updatedAt));
+
+      const resumeBtn = document.createElement('button');
+      resumeBtn.type = 'button';
+      resumeBtn.className = 'btn btn-ghost btn-sm';
+      resumeBtn.textContent = t('draft.resume');
+      resumeBtn.addEventListener('click', () => resumeDraft(draft));
+
+      const discardBtn = document.createElement('button');
+      discardBtn.type = 'button';
+      discardBtn.className = 'btn btn-ghost btn-sm';
+      discardBtn.textContent = t('common.delete');
+      discardBtn.addEventListener('click', () => {
+        if (!confirm(t('draft.confirmDelete'))) return;
+        discardDraft(key);
+        // 화면에 열려 있는 폼에서도 지움
+        if (draft.kind === 'question') {
+          draftOwnerShown = null;
+          restoreAskDraft();
+        } else {
+          discardUIState(draft.questionId, `answer:${draft.questionId}`);
+        }
+      });
+
+      li.append(label, ' ', snippet, ' ', meta, ' ', resumeBtn, ' ', discardBtn);
+      draftList.appendChild(li);
+    }
+  }
+
+  /**
+   * 전체 태그 목록(태그별 질문 수)을 렌더링
+   */
+  function renderTagIndex() {
+    if (!tagIndex) return;
+
+    tagIndex.innerHTML = '';
+    for (const tag of allTags) {
+      const li = document.createElement('li');
+      li.appendChild(createTagChip(tag.id, tag.count));
+      tagIndex.appendChild(li);
+    }
+    tagIndexEmpty.hidden = allTags.length > 0;
+  }
+
+  /**
+   * 태그 입력창 자동완성 목록 갱신
+   * datalist는 입력값 전체와 비교하므로, 이미 입력한 태그들 뒤에 후보 태그를 붙인 값을 제안
+   */
+  function updateTagSuggestions() {
+    if (!tagSuggestions) return;
+
+    const parts = askTagsInput.value.split(',');
+    const typed = parts.pop().trim().toLowerCase();                     // 입력 중인 태그
+    const prefix = parts.map((part) => part.trim()).filter(Boolean);    // 이미 입력한 태그들
+    const used = new Set(prefix.map((tag) => tag.toLowerCase()));
+
+    tagSuggestions.innerHTML = '';
+    allTags
+      .filter((tag) => !used.has(tag.id) && tag.id.startsWith(typed.replace(/^#+/, '')))
+      .slice(0, 10)
+      .forEach((tag) => {
+        const option = document.createElement('option');
+        option.value = [...prefix, tag.id].join(', ');
+        option.label = t('tag.questionCount', { count: tag.count });
+        tagSuggestions.appendChild(option);
+      });
+  }
+
+  /**
+   * 추천/비추천 버튼과 점수 표시 생성
+   * 현재 사용자가 투표한 방향의 버튼은 강조 표시
+   * @param {'question'|'answer'} targetType - 투표 대상 종류
+   * @param {Question|Answer} item - 질문 또는 답변
+   * @returns {HTMLSpanElement} 투표 컨트롤
+   */
+  function createVoteControl(targetType, item) {
+    const wrap = document.createElement('span');
+    wrap.className = 'vote';
+
+    const myVote = myVotes.get(voteKey(targetType, item.id)) || 0;
+    // 전송 대기 중인 글, 자신의 글에는 투표 불가
+    const disabled = item.pending || (currentUser && !can('vote', targetType, item));
+
+    const createButton = (value, label, text) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = myVote === value ? 'vote-btn active' : 'vote-btn';
+      btn.textContent = text;
+      btn.setAttribute('aria-label', label);
+      btn.setAttribute('aria-pressed', String(myVote === value));
+      btn.disabled = Boolean(disabled);
+      btn.addEventListener('click', () => onVote(targetType, item.id, value));
+      return btn;
+    };
+
+    const score = document.createElement('span');
+    score.className = 'vote-score';
+    score.textContent = String(item.score || 0);
+
+    wrap.appendChild(createButton(1, t('vote.up'), '▲'));
+    wrap.appendChild(score);
+    wrap.appendChild(createButton(-1, t('vote.down'), '▼'));
+    return wrap;
+  }
+
+  /**
+   * textarea를 "작성 / 미리보기" 탭이 있는 Markdown 편집기로 감쌈
+   * 미리보기 탭은 입력 중인 내용을 본문과 같은 렌더러로 보여줌
+   * @param {HTMLTextAreaElement} textarea - 편집할 입력창
+   * @returns {{element: HTMLDivElement, reset: Function}} 편집기 요소와 작성 탭으로 되돌리는 함수
+   */
+  function createMarkdownEditor(textarea) {
+    const editor = document.createElement('div');
+    editor.className = 'md-editor';
+
+    // ===== 1단계: 작성/미리보기 탭 =====
+    const tabs = document.createElement('div');
+    tabs.className = 'md-tabs';
+    tabs.setAttribute('role', 'tablist');
+
+    // 질문 작성 폼의 편집기는 다시 그리지 않으므로 언어를 바꾸면 translateDocument()로 번역되도록 localize() 사용
+    const createTab = (key) => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'md-tab';
+      window.qnaI18n.localize(tab, key);
+      tab.setAttribute('role', 'tab');
+      tabs.appendChild(tab);
+      return tab;
+    };
+    const writeTab = createTab('editor.write');
+    const previewTab = createTab('editor.preview');
+
+    // ===== 2단계: 미리보기 영역과 문법 안내 =====
+    const preview = document.createElement('div');
+    preview.className = 'md-preview markdown';
+    preview.hidden = true;
+
+    const hint = document.createElement('small');
+    hint.className = 'md-hint';
+    window.qnaI18n.localize(hint, 'editor.hint');
+
+    const showPreview = (show) => {
+      if (show) {
+        preview.innerHTML = textarea.value.trim()
+          ? renderMarkdown(textarea.value)
+          : `<p class="md-empty">${escapeHTML(t('editor.previewEmpty'))}</p>`;
+      }
+      preview.hidden = !show;
+      textarea.hidden = show;
+      writeTab.classList.toggle('active', !show);
+      previewTab.classList.toggle('active', show);
+      writeTab.setAttribute('aria-selected', String(!show));
+      previewTab.setAttribute('aria-selected', String(show));
+    };
+
+    writeTab.addEventListener('click', () => {
+      showPreview(false);
+      textarea.focus();
+    });
+    previewTab.addEventListener('click', () => showPreview(true));
+    // 미리보기 중에 빈 내용으로 제출하면 입력창이 보이도록 작성 탭으로 전환
+    textarea.addEventListener('invalid', () => showPreview(false));
+
+    editor.appendChild(tabs);
+    editor.appendChild(textarea);
+    editor.appendChild(preview);
+    editor.appendChild(hint);
+    showPreview(false);
+
+    return {
+      element: editor,
+      reset: () => showPreview(false)
+    };
+  }
+
+  /**
+   * 고른 파일의 미리보기 URL (파일마다 한 번만 만들고 releasePreview()로 해제)
+   * @param {File} file
+   * @returns {string}
+   */
+  function previewUrl(file) {
+    if (!previewUrls.has(file)) previewUrls.set(file, URL.createObjectURL(file));
+    return previewUrls.get(file);
+  }
+
+  function releasePreview(file) {
+    if (!previewUrls.has(file)) return;
+    URL.revokeObjectURL(previewUrls.get(file));
+    previewUrls.delete(file);
+  }
+
+  /**
+   * 첨부 파일 선택 영역 생성 (파일 선택 버튼, 폼에 끌어다 놓기, 입력창에 붙여넣기)
+   * 고른 파일은 등록할 때 올리고, 그 전에는 썸네일/이름만 보여줌
+   * @param {HTMLElement} dropTarget - 파일을 끌어다 놓을 영역 (작성 폼)
+   * @param {HTMLTextAreaElement} textarea - 이미지를 붙여넣을 입력창
+   * @param {Object} [options]
+   * @param {File[]} [options.files] - 처음부터 골라 둔 파일 (다시 렌더링된 답변 폼)
+   * @param {Function} [options.onChange] - 고른 파일이 바뀔 때 호출 (files 배열 전달)
+   * @returns {{element: HTMLDivElement, files: () => File[], reset: Function}}
+   */
+  function createAttachmentPicker(dropTarget, textarea, options = {}) {
+    let files = [...(options.files || [])];
+
+    const picker = document.createElement('div');
+    picker.className = 'attachment-picker';
+
+    // ===== 1단계: 파일 선택 버튼과 제한 안내 =====
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = ATTACHMENT_TYPES.join(',');
+    input.hidden = true;
+
+    const pickBtn = document.createElement('button');
+    pickBtn.type = 'button';
+    pickBtn.className = 'btn btn-ghost btn-sm';
+    window.qnaI18n.localize(pickBtn, 'attachment.pick');
+    pickBtn.addEventListener('click', () => input.click());
+
+    const hint = document.createElement('small');
+    hint.className = 'md-hint';
+    window.qnaI18n.localize(hint, 'attachment.hint', { size: formatFileSize(ATTACHMENT_MAX_SIZE), count: MAX_ATTACHMENTS });
+
+    const list = document.createElement('ul');
+    list.className = 'attachment-list';
+
+    // ===== 2단계: 고른 파일 목록 (이미지는 썸네일, 파일마다 빼기 버튼) =====
+    const render = () => {
+      list.innerHTML = '';
+      for (const file of files) {
+        const li = document.createElement('li');
+        li.className = 'attachment-item';
+        if (isImageType(file.type)) {
+          const img = document.createElement('img');
+          img.className = 'attachment-thumb-img';
+          img.src = previewUrl(file);
+          img.alt = file.name;
+          li.appendChild(img);
+        }
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.textContent = `${file.name} (${formatFileSize(file.size)})`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'comment-delete';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', t('attachment.remove', { name: file.name }));
+        removeBtn.addEventListener('click', () => {
+          files = files.filter((f) => f !== file);
+          releasePreview(file);
+          changed();
+        });
+
+        li.append(name, removeBtn);
+        list.appendChild(li);
+      }
+    };
+
+    const changed = () => {
+      render();
+      options.onChange?.([...files]);
+    };
+
+    // 형식/크기/개수 제한을 넘는 파일은 빼고 한 번에 안내
+    const add = (incoming) => {
+      const problems = [];
+      for (const file of incoming) {
+        const problem = validateAttachment(file);
+        if (problem) {
+          problems.push(`${file.name}: ${problem}`);
+        } else if (files.length >= MAX_ATTACHMENTS) {
+          problems.push(t('attachment.error.tooMany', { count: MAX_ATTACHMENTS }));
+          break;
+        } else {
+          files.push(file);
+        }
+      }
+      changed();
+      if (problems.length > 0) alert(problems.join('\n'));
+    };
+
+    // ===== 3단계: 선택, 끌어다 놓기, 붙여넣기 이벤트 =====
+    input.addEventListener('change', () => {
+      add([...input.files]);
+      input.value = '';  // 같은 파일을 다시 고를 수 있도록
+    });
+
+    const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+    dropTarget.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dropTarget.classList.add('drop-active');
+    });
+    dropTarget.addEventListener('dragleave', (e) => {
+      if (!dropTarget.contains(e.relatedTarget)) dropTarget.classList.remove('drop-active');
+    });
+    dropTarget.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dropTarget.classList.remove('drop-active');
+      add([...e.dataTransfer.files]);
+    });
+
+    // 클립보드에 파일(스크린샷 등)이 있으면 글자 대신 첨부 파일로 추가
+    textarea.addEventListener('paste', (e) => {
+      const pasted = [...(e.clipboardData?.files || [])];
+      if (pasted.length === 0) return;
+      e.preventDefault();
+      add(pasted);
+    });
+
+    picker.append(input, pickBtn, ' ', hint, list);
+    render();
+
+    return {
+      element: picker,
+      files: () => [...files],
+      reset() {
+        files.forEach(releasePreview);
+        files = [];
+        changed();
+      }
+    };
+  }
+
+  /**
+   * 질문/답변에 저장된 첨부 파일 목록 (이미지는 썸네일 → 크게 보기, 그 외는 내려받기 링크)
+   * @param {Attachment[]} attachments
+   * @returns {HTMLUListElement}
+   */
+  function createAttachmentList(attachments) {
+    const list = document.createElement('ul');
+    list.className = 'attachments';
+
+    for (const attachment of attachments) {
+      // 문서에 저장된 URL은 사용자가 쓴 값이므로 http(s)/blob 주소만 사용
+      const url = store.files.url(attachment.path, attachment.url);
+      if (!/^(https?:|blob:)/.test(url)) continue;
+
+      const li = document.createElement('li');
+      if (isImageType(attachment.type)) {
+        const thumb = document.createElement('button');
+        thumb.type = 'button';
+        thumb.className = 'attachment-thumb';
+        thumb.title = attachment.name;
+        thumb.setAttribute('aria-label', t('attachment.enlarge', { name: attachment.name }));
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = attachment.name;
+        img.loading = 'lazy';
+        thumb.appendChild(img);
+        thumb.addEventListener('click', () => openLightbox(url, attachment.name));
+        li.appendChild(thumb);
+      } else {
+        const link = document.createElement('a');
+        link.className = 'attachment-file';
+        link.href = url;
+        link.download = attachment.name;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = `📄 ${attachment.name} (${formatFileSize(attachment.size)})`;
+        li.appendChild(link);
+      }
+      list.appendChild(li);
+    }
+    return list;
+  }
+
+  /**
+   * 첨부 이미지 크게 보기 (Esc, 닫기 버튼, 바깥 영역 클릭으로 닫음)
+   * @param {string} url - 이미지 주소
+   * @param {string} name - 파일 이름
+   */
+  function openLightbox(url, name) {
+    lightboxReturnFocus = document.activeElement;
+    lightboxImg.src = url;
+    lightboxImg.alt = name;
+    lightboxCaption.textContent = name;
+    lightbox.hidden = false;
+    lightboxClose.focus();
+  }
+
+  function closeLightbox() {
+    if (lightbox.hidden) return;
+    lightbox.hidden = true;
+    lightboxImg.removeAttribute('src');
+    lightboxReturnFocus?.focus?.();
+    lightboxReturnFocus = null;
+  }
+
+  /**
+   * 관리 상태 배지 생성 (고정, 잠김, 숨김)
+   * @param {string} text - 배지 문구
+   * @param {string} className - 배지 종류 클래스
+   * @returns {HTMLSpanElement}
+   */
+  function createStatusBadge(text, className) {
+    const badge = document.createElement('span');
+    badge.className = `status-badge ${className}`;
+    badge.textContent = text;
+    return badge;
+  }
+
+  /**
+   * 신고 버튼과 모더레이터 관리 버튼 생성
+   * 신고: 로그인한 사용자가 다른 사람의 글에만. 관리: 모더레이터에게만 (잠금/고정은 질문만)
+   * @param {'question'|'answer'} targetType - 대상 종류
+   * @param {Object} item - 질문 또는 답변
+   * @returns {HTMLElement}
+   */
+  function createModerationControls(targetType, item) {
+    const controls = document.createElement('div');
+    controls.className = 'mod-controls';
+
+    const addButton = (text, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-ghost btn-sm';
+      btn.type = 'button';
+      btn.textContent = text;
+      btn.addEventListener('click', onClick);
+      controls.appendChild(btn);
+    };
+
+    if (can('report', targetType, item)) {
+      addButton(t('report.button'), () => onReport(targetType, item.id));
+    }
+
+    if (can('moderate', targetType)) {
+      addButton(t(item.hidden ? 'moderation.button.unhide' : 'moderation.button.hide'), () => onModerate(item.hidden ? 'unhide' : 'hide', targetType, item.id));
+      if (targetType === 'question') {
+        addButton(t(item.locked ? 'moderation.button.unlock' : 'moderation.button.lock'), () => onModerate(item.locked ? 'unlock' : 'lock', targetType, item.id));
+        addButton(t(item.pinned ? 'moderation.button.unpin' : 'moderation.button.pin'), () => onModerate(item.pinned ? 'unpin' : 'pin', targetType, item.id));
+      }
+    }
+    return controls;
+  }
+
+  /**
+   * "전송 대기" 배지 생성 (오프라인에서 작성된 질문/답변 표시용)
+   * @returns {HTMLSpanElement}
+   */
+  function createPendingBadge() {
+    const badge = document.createElement('span');
+    badge.className = 'pending-badge';
+    badge.textContent = t('sync.pendingBadge');
+    badge.title = t('sync.pendingBadgeTitle');
+    return badge;
+  }
+
+  // ========================================
+  // 데이터 처리 및 유틸리티 함수들
+  // ========================================
+  
+  /**
+   * Markdown 원문을 안전한 HTML로 변환 (markdown.js의 렌더러 사용)
+   * 렌더러를 불러오지 못한 경우에는 이스케이프한 원문을 그대로 표시
+   * @param {string} text - Markdown 원문
+   * @returns {string} 안전한 HTML
+   */
+  function renderMarkdown(text) {
+    if (window.qnaMarkdown) return window.qnaMarkdown.render(text);
+    return `<p>${escapeHTML(text).replace(/\n/g, '<br>')}</p>`;
+  }
+
+  /**
+   * HTML 특수문자를 이스케이프하여 XSS 공격 방지
+   * @param {string} str - 이스케이프할 문자열
+   * @returns {string} 이스케이프된 문자열
+   */
+  function escapeHTML(str) {
+    return String(str).replace(/[&<>"]/g, (c) => ({ 
+      '&': '&amp;', 
+      '<': '&lt;', 
+      '>': '&gt;', 
+      '"': '&quot;' 
+    }[c]));
+  }
+
+  /**
+   * 검색 색인에 질문 목록 반영 (목록에 없는 질문은 색인에서 빠짐)
+   * @param {Array} questions - 답변이 합쳐진 질문 배열
+   */
+  function indexQuestions(questions) {
+    searchIndex.update(questions.map((q) => ({
+      id: q.id,
+      title: q.title,
+      body: q.body,
+      author: q.author,
+      tags: q.tags,
+      answers: answerBodies(q)
+    })));
+  }
+
+  /**
+   * 작성 중인 질문과 비슷한 질문 찾기 (불러온 질문 중에서, 숨긴 글과 전송 대기 중인 글 제외)
+   * @param {string} title - 작성 중인 제목
+   * @param {string} body - 작성 중인 내용
+   * @returns {Array} 유사도(similarity)가 붙은 질문 배열 (유사도 높은 순)
+   */
+  function findSimilarQuestions(title, body) {
+    if (!title.trim() && !body.trim()) return [];
+
+    const questions = filterHidden(mergePendingWrites(composeFeed())).filter((q) => !q.pending);
+    indexQuestions(questions);
+    const byId = new Map(questions.map((q) => [q.id, q]));
+    return searchIndex.similar({ title, body })
+      .filter((result) => byId.has(result.id))
+      .map((result) => ({ ...byId.get(result.id), similarity: result.similarity }));
+  }
+
+  /**
+   * 검색어와 검색 연산자로 질문을 필터링 (search.js의 색인 사용)
+   * 제목, 내용, 작성자, 태그, 답변 본문을 검색하며 일치한 질문에는 관련도 점수(searchScore)를 붙임
+   * @param {Array} questions - 필터링할 질문 배열
+   * @param {Object} query - window.qnaSearch.parseQuery() 결과
+   * @returns {Array} 필터링된 질문 배열
+   */
+  function filterBySearch(questions, query) {
+    if (window.qnaSearch.isEmptyQuery(query)) return questions;  // 검색어가 없으면 모든 질문 반환
+
+    // ===== 1단계: 색인 갱신 (내용이 바뀐 질문만 다시 토큰화됨) 후 검색어로 점수 계산 =====
+    indexQuestions(questions);
+    const scores = searchIndex.search(query);  // 검색어 없이 연산자만 있으면 null
+
+    // ===== 2단계: 연산자 조건 적용 =====
+    const normalize = (text) => String(text || '').normalize('NFKC').toLowerCase();
+    return questions
+      .filter((q) => {
+        if (scores && !scores.has(q.id)) return false;
+        if (query.author && !normalize(q.author).includes(query.author)) return false;
+        if (query.tag && !(q.tags || []).includes(query.tag)) return false;
+        if (!query.is.every((status) => matchesStatus(q, status))) return false;
+        const created = toMillis(q.createdAt) || 0;
+        if (query.before !== null && created >= query.before) return false;
+        if (query.after !== null && created < query.after) return false;
+        return true;
+      })
+      .map((q) => ({ ...q, searchScore: scores ? scores.get(q.id) : 0 }));
+  }
+
+  /**
+   * 검색에 사용할 질문의 답변 본문 목록
+   * 펼쳐서 불러온 답변이 있으면 그것을, 없으면 검색용으로 불러온 답변 본문을 사용
+   * @param {Object} q - 질문
+   * @returns {string[]}
+   */
+  function answerBodies(q) {
+    if (q.threadLoaded) return q.answers.map((a) => a.body);
+    return searchAnswers.get(q.id)?.bodies || [];
+  }
+
+  /**
+   * 검색 중일 때 아직 답변 본문이 없는 질문들의 답변을 한꺼번에 불러옴
+   * 불러온 뒤 목록을 다시 그려 답변 본문도 검색되도록 함
+   * @param {Array} questions - 화면에 불러온 질문 배열
+   */
+  async function ensureSearchAnswers(questions) {
+    if (loadingSearchAnswers) return;
+
+    // 답변이 있는데 아직 불러오지 않았거나, 불러온 뒤 답변 수가 바뀐 질문만
+    const targets = questions.filter((q) =>
+      !q.pending && !q.threadLoaded && (q.answerCount || 0) > 0 &&
+      searchAnswers.get(q.id)?.answerCount !== q.answerCount);
+    if (targets.length === 0) return;
+
+    loadingSearchAnswers = true;
+    try {
+      const answers = await loadAnswersForQuestions(targets.map((q) => q.id));
+      for (const q of targets) {
+        searchAnswers.set(q.id, {
+          answerCount: q.answerCount,  // 이 값이 바뀌면 다시 불러옴
+          bodies: answers.filter((a) => a.questionId === q.id).map((a) => a.body)
+        });
+      }
+    } finally {
+      loadingSearchAnswers = false;
+    }
+    renderFeed();
+  }
+
+  /**
+   * 두 문자열을 단어 단위로 비교 (최장 공통 부분열, LCS)
+   * 공백도 토큰으로 유지하여 결과를 이어 붙이면 원문이 그대로 복원됨
+   * @param {string} before - 이전 문자열
+   * @param {string} after - 이후 문자열
+   * @returns {Array<{type:'same'|'add'|'del',text:string}>} 비교 결과 조각들
+   */
+  function diffWords(before, after) {
+    const a = String(before || '').split(/(\s+)/).filter(Boolean);
+    const b = String(after || '').split(/(\s+)/).filter(Boolean);
+
+    // ===== 1단계: LCS 길이 테이블 (뒤에서부터 채움) =====
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    // ===== 2단계: 테이블을 따라가며 같은 종류의 조각끼리 합침 =====
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        parts.push({ type, text });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push('same', a[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push('del', a[i++]);
+      } else {
+        push('add', b[j++]);
+      }
+    }
+    while (i < a.length) push('del', a[i++]);
+    while (j < b.length) push('add', b[j++]);
 
-      // 질문 본문 내용
-      const body = document.createElement('div');
-      body.className = 'question-body';
-      body.textContent = q.body;
+    return parts;
+  }
 
-      // ===== 질문 제어 버튼 영역 =====
-      const controls = document.createElement('div');
-      controls.className = 'question-controls';
+  /**
+   * 숨긴 글 제외 (모더레이터에게는 숨긴 글도 표시)
+   * @param {Array} items - 질문 또는 답변 배열
+   * @returns {Array}
+   */
+  function filterHidden(items) {
+    if (can('viewHidden', 'board')) return items;
+    return items.filter((item) => !item.hidden);
+  }
 
-      // 권한 확인: 자신이 작성한 질문만 삭제 버튼 표시
-      if (currentUser && q.authorId === currentUser.uid) {
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn btn-ghost';
-        deleteBtn.type = 'button';
-        deleteBtn.textContent = '삭제';
-        deleteBtn.addEventListener('click', () => onDeleteQuestion(q.id));
-        controls.appendChild(deleteBtn);
-      }
-
-      // ===== 답변 영역 생성 =====
-      const answers = document.createElement('div');
-      answers.className = 'answers';
-
-      // 답변 헤더 (답변 수 표시)
-      const answersHeader = document.createElement('strong');
-      answersHeader.textContent = `답변 (${q.answers.length})`;
-
-      // 답변 목록을 담을 컨테이너
-      const answersWrap = document.createElement('div');
-      
-      // 디버깅: 답변 데이터 확인
-      console.log(`Question ${q.id}의 답변 데이터:`, q.answers);
-      
-      if (q.answers && q.answers.length > 0) {
-        // ===== 답변이 있는 경우: 각 답변을 순회하며 렌더링 =====
-        for (const a of q.answers) {
-          console.log('답변 렌더링 중:', a);
-          
-          // 개별 답변 컨테이너
-          const ans = document.createElement('div');
-          ans.className = 'answer';
-          
-          // 답변 메타 정보 (작성자, 작성일)
-          const meta = document.createElement('div');
-          meta.className = 'answer-meta';
-          meta.textContent = `${a.author || '작성자 없음'} · ${formatDate(a.createdAt)}`;
-          
-          // 답변 본문 내용
-          const body = document.createElement('div');
-          body.className = 'answer-body';
-          body.textContent = a.body || '내용 없음';
-          
-          // 답변 요소에 메타와 본문 추가
-          ans.appendChild(meta);
-          ans.appendChild(body);
-          answersWrap.appendChild(ans);
-        }
-      } else {
-        // ===== 답변이 없는 경우: 안내 메시지 표시 =====
-        const noAnswerMsg = document.createElement('div');
-        noAnswerMsg.className = 'no-answer';
-        noAnswerMsg.textContent = '아직 답변이 없습니다.';
-        noAnswerMsg.style.color = '#666';
-        noAnswerMsg.style.fontStyle = 'italic';
-        noAnswerMsg.style.padding = '12px';
-        noAnswerMsg.style.textAlign = 'center';
-        answersWrap.appendChild(noAnswerMsg);
-      }
-
-      // ===== 답변 작성 폼 생성 =====
-      const answerForm = createAnswerForm(q.id);
-
-      // 답변 영역에 모든 요소들을 순서대로 추가
-      answers.appendChild(answersHeader);    // 답변 헤더
-      answers.appendChild(answersWrap);      // 답변 목록
-      answers.appendChild(answerForm);       // 답변 작성 폼
-
-      // 상세 내용 영역에 모든 요소들을 순서대로 추가
-      details.appendChild(body);             // 질문 본문
-      details.appendChild(controls);         // 제어 버튼
-      details.appendChild(answers);          // 답변 영역
-
-      // 질문 항목에 헤더와 상세 내용 추가
-      li.appendChild(head);
-      li.appendChild(details);
-      
-      // 질문 목록에 완성된 질문 항목 추가
-      questionList.appendChild(li);
-    }
+  /**
+   * 상단 고정 질문을 맨 앞으로 (각 그룹 안의 정렬 순서는 유지)
+   * @param {Array} questions - 정렬된 질문 배열
+   * @returns {Array}
+   */
+  function pinnedFirst(questions) {
+    return [...questions.filter((q) => q.pinned), ...questions.filter((q) => !q.pinned)];
   }
 
-  // ========================================
-  // 데이터 처리 및 유틸리티 함수들
-  // ========================================
-  
   /**
-   * HTML 특수문자를 이스케이프하여 XSS 공격 방지
-   * @param {string} str - 이스케이프할 문자열
-   * @returns {string} 이스케이프된 문자열
+   * 태그를 기준으로 질문을 필터링
+   * @param {Array} questions - 필터링할 질문 배열
+   * @param {string} tag - 태그 ('' 이면 필터링하지 않음)
+   * @returns {Array} 필터링된 질문 배열
    */
-  function escapeHTML(str) {
-    return String(str).replace(/[&<>"]/g, (c) => ({ 
-      '&': '&amp;', 
-      '<': '&lt;', 
-      '>': '&gt;', 
-      '"': '&quot;' 
-    }[c]));
+  function filterByTag(questions, tag) {
+    if (!tag) return questions;
+    return questions.filter((q) => (q.tags || []).includes(tag));
   }
 
   /**
-   * 검색어를 기준으로 질문을 필터링
+   * 해결 상태를 기준으로 질문을 필터링
    * @param {Array} questions - 필터링할 질문 배열
-   * @param {string} keyword - 검색 키워드
+   * @param {string} status - 'all', 'unanswered', 'unsolved', 'solved'
    * @returns {Array} 필터링된 질문 배열
    */
-  function filterByKeyword(questions, keyword) {
-    if (!keyword) return questions;  // 검색어가 없으면 모든 질문 반환
-    
-    return questions.filter((q) =>
-      q.title.toLowerCase().includes(keyword) ||    // 제목에서 검색
-      q.body.toLowerCase().includes(keyword) ||     // 내용에서 검색
-      q.author.toLowerCase().includes(keyword)      // 작성자에서 검색
-    );
+  function filterByStatus(questions, status) {
+    if (status === 'all') return questions;  // 전체
+    return questions.filter((q) => matchesStatus(q, status));
+  }
+
+  /**
+   * 질문이 해결 상태 조건에 맞는지 확인 (상태 필터와 검색 연산자 is:에서 사용)
+   * @param {Object} q - 질문
+   * @param {string} status - 'unanswered', 'answered', 'unsolved', 'solved'
+   * @returns {boolean}
+   */
+  function matchesStatus(q, status) {
+    if (status === 'unanswered') return (q.answerCount || 0) === 0;  // 답변 없음
+    if (status === 'answered') return (q.answerCount || 0) > 0;      // 답변 있음
+    if (status === 'unsolved') return !q.acceptedAnswerId;          // 채택된 답변 없음
+    if (status === 'solved') return Boolean(q.acceptedAnswerId);    // 채택된 답변 있음
+    return true;
   }
 
   /**
    * 질문 배열을 지정된 기준에 따라 정렬
    * @param {Array} questions - 정렬할 질문 배열
-   * @param {string} sort - 정렬 방식 ('newest', 'oldest', 'mostAnswers')
+   * @param {string} sort - 정렬 방식 ('relevance', 'newest', 'oldest', 'mostAnswers', 'votes')
    * @returns {Array} 정렬된 질문 배열
    */
   function applySort(questions, sort) {
     const copy = [...questions];  // 원본 배열 복사 (불변성 유지)
     
+    if (sort === 'relevance') return copy.sort((a, b) => byRelevance(a, b) || byNewest(a, b)); // 관련도순 (같으면 최신순)
     if (sort === 'oldest') return copy.sort(byOldest);           // 오래된순
     if (sort === 'mostAnswers') return copy.sort(byMostAnswers); // 답변 많은순
+    if (sort === 'votes') return copy.sort(byMostVotes);         // 추천순
     return copy.sort(byNewest);                                  // 기본값: 최신순
   }
 
@@ -721,39 +5199,65 @@
   async function onCreateQuestion(e) {
     e.preventDefault();  // 기본 폼 제출 동작 방지
     
-    // 로그인 상태 확인
-    if (!currentUser) {
-      alert('질문을 작성하려면 로그인이 필요합니다.');
-      return;
-    }
-
     // ===== 1단계: 폼 데이터 검증 =====
     const author = askAuthorInput.value.trim();
     const title = askTitleInput.value.trim();
     const body = askBodyInput.value.trim();
+    const tags = parseTags(askTagsInput.value);
     
     // 필수 필드 검증
     if (!author || !title || !body) return;
+    
+    // 아주 비슷한 질문이 있으면 등록 전에 확인 (확인 = 등록하지 않고 비슷한 질문 보기)
+    clearTimeout(duplicateTimer);
+    const similar = findSimilarQuestions(title, body);
+    renderDuplicateSuggestions(similar);
+    const likely = similar.filter((q) => q.similarity >= DUPLICATE_CONFIRM_SIMILARITY);
+    if (likely.length > 0) {
+      const list = likely.map((q) => {
+        const status = [t('question.answerCount', { count: q.answerCount || 0 })];
+        if (q.acceptedAnswerId) status.push(t('status.solved'));
+        return `- ${q.title} (${status.join(', ')})`;
+      }).join('\n');
+      const answered = confirm(t('duplicate.confirm', { list }));
+      if (answered) {
+        duplicatePanel.scrollIntoView?.({ block: 'nearest' });
+        duplicateList.querySelector('a')?.focus();
+        return;
+      }
+    }
 
+    // 로그인하지 않았으면 작성자 이름으로 게스트 로그인 (실패해도 작성 중인 내용은 임시 저장되어 있음)
+    if (!(await ensureSignedIn(author))) return;
+
+    const submitBtn = askForm.querySelector('button[type="submit"]');
     try {
       // ===== 2단계: 질문 데이터 객체 생성 =====
       const questionData = {
         author,    // 작성자
         title,     // 제목
-        body       // 내용
+        body,      // 내용
+        tags       // 태그 배열
       };
 
-      // ===== 3단계: Firestore에 질문 저장 =====
-      await saveQuestion(questionData);
+      // ===== 3단계: 질문 저장 (오프라인이면 outbox에 보관, 첨부 파일을 올리는 동안 중복 제출 방지) =====
+      submitBtn.disabled = true;
+      await sendOrQueue('question', null, questionData, askAttachments?.files() || []);
       
-      // ===== 4단계: 폼 초기화 =====
+      // ===== 4단계: 폼 초기화, 임시 저장글 삭제 =====
       askForm.reset();
+      askBodyEditor?.reset();
+      askAttachments?.reset();
+      renderDuplicateSuggestions([]);
+      discardDraft(draftKey('question'));
       
       // 로그인된 사용자의 경우 작성자 필드 자동 설정
       askAuthorInput.value = currentUser.displayName || currentUser.email || '';
       
     } catch (error) {
-      alert('질문 등록에 실패했습니다: ' + error.message);
+      alert(t('question.error.create', { message: error.message }));
+    } finally {
+      submitBtn.disabled = false;
     }
   }
 
@@ -763,26 +5267,366 @@
    */
   async function onDeleteQuestion(id) {
     // 사용자 확인 대화상자
-    const ok = confirm('정말 이 질문을 삭제하시겠습니까?');
+    const ok = confirm(t('question.confirmDelete'));
     if (!ok) return;  // 취소 시 함수 종료
 
     try {
       // Firestore에서 질문 및 관련 답변 삭제
       await deleteQuestion(id);
       
+      // 상세 화면에서 삭제했으면 목록으로 이동
+      if (route.view === 'question' && route.questionId === id) location.hash = listHash();
+      
       // 성공 시 화면이 자동으로 업데이트됨 (subscribeToQuestions에서)
       
     } catch (error) {
-      alert('질문 삭제에 실패했습니다: ' + error.message);
+      alert(t('question.error.delete', { message: error.message }));
+    }
+  }
+
+  /**
+   * 알림 하나 읽음 처리 (알림을 눌러 답변으로 이동할 때)
+   * @param {string} notificationId - 알림 ID
+   */
+  async function onReadNotification(notificationId) {
+    try {
+      await markNotificationRead(notificationId);
+    } catch (error) {
+      // 이동은 이미 되었으므로 읽음 표시 실패는 알리지 않음 (다음에 다시 시도 가능)
+    }
+  }
+
+  /**
+   * 모든 알림 읽음 처리
+   */
+  async function onMarkAllNotificationsRead() {
+    try {
+      await markAllNotificationsRead();
+    } catch (error) {
+      alert(t('notification.error.read', { message: error.message }));
+    }
+  }
+
+  /**
+   * 신고 버튼 클릭 처리: 사유를 입력받아 신고
+   * @param {'question'|'answer'} targetType - 신고 대상 종류
+   * @param {string} targetId - 질문/답변 ID
+   */
+  async function onReport(targetType, targetId) {
+    const input = prompt(t('report.prompt'));
+    if (input === null) return;  // 취소
+    const reason = input.trim();
+    if (!reason) {
+      alert(t('report.reasonRequired'));
+      return;
+    }
+
+    try {
+      await reportContent(targetType, targetId, reason);
+      alert(t('report.done'));
+    } catch (error) {
+      alert(t('report.error.failed', { message: error.message }));
+    }
+  }
+
+  /**
+   * 모더레이터 관리 버튼 클릭 처리 (숨기기/잠금은 사유를 입력받아 기록에 남김)
+   * @param {string} action - 관리 작업 (MODERATION_ACTIONS 키)
+   * @param {'question'|'answer'} targetType - 대상 종류
+   * @param {string} targetId - 질문/답변 ID
+   */
+  async function onModerate(action, targetType, targetId) {
+    let reason = '';
+    if (action === 'hide' || action === 'lock' || action === 'dismiss') {
+      const input = prompt(t('moderation.reasonPrompt', { action: moderationLabel(action) }), '');
+      if (input === null) return;  // 취소
+      reason = input.trim();
+    }
+
+    try {
+      await moderateContent(action, targetType, targetId, reason);
+      if (moderationView) openModerationView();  // 신고 관리 화면이면 목록 새로 고침
+    } catch (error) {
+      alert(t('moderation.error.failed', { message: error.message }));
+    }
+  }
+
+  /**
+   * 프로필 화면의 역할 변경 버튼 처리 (관리자 전용)
+   * @param {string} uid - 대상 사용자 uid
+   * @param {'moderator'|'admin'|null} role - 새 역할
+   */
+  async function onSetRole(uid, role) {
+    if (!confirm(t('role.confirmChange', { role: roleLabel(role) }))) return;
+
+    try {
+      await setUserRole(uid, role);
+      if (profileView && profileView.uid === uid) openUserView(uid);  // 역할 표시 새로 고침
+    } catch (error) {
+      alert(t('role.error.failed', { message: error.message }));
+    }
+  }
+
+  /**
+   * 데이터 점검 처리 (관리자 전용)
+   * 답변 수와 태그별 질문 수를 다시 계산하고 고아 답변/댓글을 정리한 뒤 결과를 알림
+   */
+  async function onReconcile() {
+    const ok = confirm(t('reconcile.confirm'));
+    if (!ok) return;
+
+    reconcileBtn.disabled = true;
+    try {
+      const report = await reconcileData();
+      alert(t('reconcile.done', report));
+    } catch (error) {
+      alert(t('reconcile.error.failed', { message: error.message }));
+    } finally {
+      reconcileBtn.disabled = false;
+    }
+  }
+
+  /**
+   * 백업 내보내기 처리: 전체 질문/답변을 골라 둔 형식의 파일로 내려받기
+   * @param {string} formatKey - EXPORT_FORMATS 키
+   * @param {HTMLButtonElement} button - 진행 중에 비활성화할 버튼
+   */
+  async function onExport(formatKey, button) {
+    const format = EXPORT_FORMATS[formatKey];
+    button.disabled = true;
+    try {
+      const records = await loadBackupRecords();
+      const exportedAt = now();
+      const date = new Date(exportedAt).toISOString().slice(0, 10);
+      downloadFile(`qna-backup-${date}.${format.ext}`, format.build(records, exportedAt), format.type);
+    } catch (error) {
+      alert(t('backup.error.export', { message: error.message }));
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * 백업 가져오기 처리: 파일 전체를 먼저 검사하고, 문제가 없을 때만 확인 후 복원
+   * @param {File} file - JSONL 백업 파일
+   * @param {HTMLButtonElement} button - 진행 중에 비활성화할 버튼
+   */
+  async function onImport(file, button) {
+    const { records, errors } = window.qnaBackup.parseJSONL(await file.text());
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 10);
+      if (errors.length > 10) shown.push(t('backup.moreErrors', { count: errors.length - 10 }));
+      alert(t('backup.invalidFile', { errors: shown.join('\n') }));
+      return;
+    }
+
+    const answerCount = records.reduce((sum, record) => sum + record.answers.length, 0);
+    const ok = confirm(t('backup.confirmImport', {
+      questions: t('backup.questionCount', { count: records.length }),
+      answers: t('backup.answerCount', { count: answerCount })
+    }));
+    if (!ok) return;
+
+    button.disabled = true;
+    try {
+      const result = await importBackup(records);
+      alert(t('backup.importDone', result));
+    } catch (error) {
+      alert(t('backup.error.import', { message: error.message }));
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * 질문을 이전 수정 기록으로 되돌리기
+   * 기록을 지우지 않고 해당 버전의 내용으로 새 기록을 추가함
+   * @param {string} questionId - 질문 ID
+   * @param {Revision} revision - 되돌릴 기록
+   * @param {number} number - 기록 번호 (확인 메시지용, 1부터 시작)
+   */
+  async function onRollbackQuestion(questionId, revision, number) {
+    const ok = confirm(t('history.confirmRollback', { number }));
+    if (!ok) return;
+
+    try {
+      await updateQuestion(questionId, { title: revision.title, body: revision.body });
+    } catch (error) {
+      alert(t('history.error.rollback', { message: error.message }));
+    }
+  }
+
+  /**
+   * 댓글 삭제 처리
+   * @param {string} commentId - 삭제할 댓글 ID
+   */
+  async function onDeleteComment(commentId) {
+    const ok = confirm(t('comment.confirmDelete'));
+    if (!ok) return;
+
+    try {
+      await deleteComment(commentId);
+    } catch (error) {
+      alert(t('comment.error.delete', { message: error.message }));
+    }
+  }
+
+  /**
+   * 답변 채택 버튼 클릭 처리
+   * @param {string} questionId - 질문 ID
+   * @param {string} answerId - 채택할 답변 ID
+   */
+  async function onAcceptAnswer(questionId, answerId) {
+    try {
+      await acceptAnswer(questionId, answerId);
+      // 성공 시 화면이 자동으로 업데이트됨 (subscribeToQuestions에서)
+    } catch (error) {
+      alert(t('answer.error.accept', { message: error.message }));
+    }
+  }
+
+  /**
+   * 투표 버튼 클릭 처리
+   * @param {'question'|'answer'} targetType - 투표 대상 종류
+   * @param {string} targetId - 질문/답변 ID
+   * @param {1|-1} value - 추천(1) 또는 비추천(-1)
+   */
+  async function onVote(targetType, targetId, value) {
+    // 로그인 상태 확인
+    if (!currentUser) {
+      alert(t('vote.loginRequired'));
+      return;
+    }
+
+    try {
+      await castVote(targetType, targetId, value);
+    } catch (error) {
+      alert(t('vote.error.failed', { message: error.message }));
+    }
+  }
+
+  /**
+   * 답변 삭제 처리
+   * @param {string} questionId - 답변이 속한 질문의 ID
+   * @param {string} answerId - 삭제할 답변의 ID
+   */
+  async function onDeleteAnswer(questionId, answerId) {
+    // 사용자 확인 대화상자
+    const ok = confirm(t('answer.confirmDelete'));
+    if (!ok) return;  // 취소 시 함수 종료
+
+    try {
+      await deleteAnswer(questionId, answerId);
+    } catch (error) {
+      alert(t('answer.error.delete', { message: error.message }));
     }
   }
 
+  /**
+   * 답변 수정/삭제 버튼 영역 생성
+   * 수정 버튼을 누르면 답변 본문 자리에 입력창을 띄워 그 자리에서 수정
+   * @param {string} questionId - 답변이 속한 질문의 ID
+   * @param {Answer} answer - 답변 데이터
+   * @param {HTMLElement} bodyEl - 답변 본문 요소 (수정 중에는 숨김)
+   * @returns {HTMLDivElement} 버튼 영역
+   */
+  function createAnswerControls(questionId, answer, bodyEl) {
+    const controls = document.createElement('div');
+    controls.className = 'answer-controls';
+
+    // ===== 수정 버튼 =====
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-ghost btn-sm';
+    editBtn.type = 'button';
+    editBtn.textContent = t('common.edit');
+
+    // ===== 삭제 버튼 =====
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-ghost btn-sm';
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = t('common.delete');
+    deleteBtn.addEventListener('click', () => onDeleteAnswer(questionId, answer.id));
+
+    // ===== 인라인 수정 폼 =====
+    const editForm = document.createElement('form');
+    editForm.className = 'answer-edit-form';
+    editForm.hidden = true;
+
+    const input = document.createElement('textarea');
+    input.rows = 3;
+    input.required = true;
+    const inputEditor = createMarkdownEditor(input);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn btn-primary btn-sm';
+    saveBtn.textContent = t('common.save');
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn btn-ghost btn-sm';
+    cancelBtn.textContent = t('common.cancel');
+
+    editForm.appendChild(inputEditor.element);
+    editForm.appendChild(saveBtn);
+    editForm.appendChild(cancelBtn);
+
+    // 다시 그려도 수정 중인 내용 유지
+    const stateKey = `answer-edit:${answer.id}`;
+    keepState(editForm, `${stateKey}:form`);
+    keepState(input, `${stateKey}:input`);
+    keepState(bodyEl, `${stateKey}:view`);
+    keepState(editBtn, `${stateKey}:edit`);
+    keepState(deleteBtn, `${stateKey}:delete`);
+
+    // 수정 모드 전환: 본문/버튼 숨기고 입력창 표시
+    const setEditing = (editing) => {
+      editForm.hidden = !editing;
+      bodyEl.hidden = editing;
+      editBtn.hidden = editing;
+      deleteBtn.hidden = editing;
+    };
+
+    editBtn.addEventListener('click', () => {
+      input.value = answer.body || '';
+      inputEditor.reset();
+      setEditing(true);
+      input.focus();
+    });
+    cancelBtn.addEventListener('click', () => setEditing(false));
+
+    editForm.addEventListener('submit', async (e) => {
+      e.preventDefault();  // 기본 폼 제출 동작 방지
+
+      const newBody = input.value.trim();
+      if (!newBody) return;  // 필수 필드 검증
+      if (newBody === answer.body) {
+        setEditing(false);   // 변경 사항 없음
+        return;
+      }
+
+      try {
+        await updateAnswer(answer.id, newBody);
+        discardUIState(questionId, stateKey);  // 수정 폼 닫기
+      } catch (error) {
+        alert(t('answer.error.update', { message: error.message }));
+      }
+    });
+
+    controls.appendChild(editBtn);
+    controls.appendChild(deleteBtn);
+    controls.appendChild(editForm);
+    return controls;
+  }
+
   /**
    * 답변 작성 폼을 동적으로 생성
+   * 입력 내용은 질문별로 임시 저장되고, 폼을 다시 만들 때 임시 저장글로 채워짐
    * @param {string} questionId - 답변이 속할 질문의 ID
+   * @param {string} questionTitle - 질문 제목 (임시 저장글 목록 표시용)
    * @returns {HTMLFormElement} 생성된 답변 작성 폼
    */
-  function createAnswerForm(questionId) {
+  function createAnswerForm(questionId, questionTitle) {
     // ===== 1단계: 폼 컨테이너 생성 =====
     const form = document.createElement('form');
     form.className = 'answer-form';
@@ -795,8 +5639,9 @@
     // ===== 3단계: 작성자 입력 필드 생성 =====
     const author = document.createElement('input');
     author.type = 'text';
-    author.placeholder = '작성자';
+    author.placeholder = t('answer.authorPlaceholder');
     author.required = true;
+    keepState(author, `answer:${questionId}:author`);
     
     // 로그인된 사용자의 경우 자동 설정 및 읽기 전용
     if (currentUser) {
@@ -804,39 +5649,56 @@
       author.readOnly = true;  // 로그인된 사용자는 작성자 변경 불가
     }
 
-    // ===== 4단계: 답변 내용 입력 필드 생성 =====
-    const body = document.createElement('input');
-    body.type = 'text';
-    body.placeholder = '답변 내용';
+    // ===== 4단계: 답변 내용 입력 필드 생성 (여러 줄 Markdown 편집기) =====
+    const body = document.createElement('textarea');
+    body.rows = 4;
+    body.placeholder = t('answer.bodyPlaceholder');
     body.required = true;
+    keepState(body, `answer:${questionId}:body`, { value: false });  // 내용은 임시 저장글에서 복원
+    body.value = getDraft('answer', questionId)?.fields.body || '';
+    body.addEventListener('input', () => {
+      saveDraft('answer', questionId, { body: body.value }, questionTitle);
+      noteTyping(questionId);  // 함께 보는 사람에게 "답변 작성 중" 표시
+    });
+    const bodyEditor = createMarkdownEditor(body);
+
+    // 첨부 파일 (고른 파일은 폼을 다시 그려도 유지)
+    const attachmentPicker = createAttachmentPicker(form, body, {
+      files: answerFiles.get(questionId),
+      onChange: (files) => {
+        if (files.length > 0) {
+          answerFiles.set(questionId, files);
+        } else {
+          answerFiles.delete(questionId);
+        }
+      }
+    });
 
     // ===== 5단계: 제출 버튼 생성 =====
     const submit = document.createElement('button');
     submit.type = 'submit';
     submit.className = 'btn btn-primary';
-    submit.textContent = '답변 등록';
+    submit.textContent = t('answer.submit');
 
     // ===== 6단계: DOM 구조 구성 =====
     row.appendChild(author);
-    row.appendChild(body);
     form.appendChild(row);
+    form.appendChild(bodyEditor.element);
+    form.appendChild(attachmentPicker.element);
     form.appendChild(submit);
 
     // ===== 7단계: 폼 제출 이벤트 리스너 등록 =====
     form.addEventListener('submit', async (e) => {
       e.preventDefault();  // 기본 폼 제출 동작 방지
       
-      // 로그인 상태 확인
-      if (!currentUser) {
-        alert('답변을 작성하려면 로그인이 필요합니다.');
-        return;
-      }
-
       // ===== 폼 데이터 검증 =====
       const a = author.value.trim();
       const b = body.value.trim();
       if (!a || !b) return;  // 필수 필드 검증
 
+      // 로그인하지 않았으면 작성자 이름으로 게스트 로그인 (실패해도 작성 중인 내용은 임시 저장되어 있음)
+      if (!(await ensureSignedIn(a))) return;
+
       try {
         // ===== 답변 데이터 객체 생성 =====
         const answerData = {
@@ -845,11 +5707,18 @@
           body: b          // 답변 내용
         };
 
-        // ===== Firestore에 답변 저장 =====
-        await addAnswer(questionId, answerData);
+        // ===== 답변 저장 (오프라인이면 outbox에 보관, 첨부 파일을 올리는 동안 중복 제출 방지) =====
+        submit.disabled = true;
+        await sendOrQueue('answer', questionId, answerData, attachmentPicker.files());
         
-        // ===== 폼 초기화 =====
+        // ===== 폼 초기화, 임시 저장글 삭제 =====
         form.reset();
+        bodyEditor.reset();
+        attachmentPicker.reset();
+        discardDraft(draftKey('answer', questionId));
+        stopTyping(questionId);
+        // 저장하면서 답변 목록이 다시 그려졌으므로 새 폼에 남은 임시 저장 내용도 지움
+        discardUIState(questionId, `answer:${questionId}`);
         
         // 로그인된 사용자의 경우 작성자 필드 자동 설정
         if (currentUser) {
@@ -857,13 +5726,54 @@
         }
         
       } catch (error) {
-        alert('답변 등록에 실패했습니다: ' + error.message);
+        alert(t('answer.error.create', { message: error.message }));
+      } finally {
+        submit.disabled = false;
       }
     });
 
     return form;
   }
 
+  // ========================================
+  // 언어 전환
+  // ========================================
+
+  /**
+   * 언어 선택 처리
+   * 정적 HTML과 localize()로 만든 요소는 i18n.js가 다시 번역하고,
+   * 나머지 화면(목록, 상세, 프로필 등)은 현재 화면만 새 언어로 다시 그림
+   */
+  function onChangeLocale() {
+    window.qnaI18n.setLocale(localeSelect.value);
+
+    // ===== 1단계: 헤더, 상태 표시, 작성 폼 주변 =====
+    if (currentUser) updateAuthUI(currentUser);
+    updateFeedMore();
+    updateSyncStatus();
+    renderNotifications();
+    renderDrafts();
+    renderTagIndex();
+    updateTagSuggestions();
+    scheduleDuplicateCheck();
+
+    // ===== 2단계: 현재 화면 =====
+    switch (route?.view) {
+      case 'question':
+        renderQuestionView();
+        break;
+      case 'user':
+        renderUserView();
+        break;
+      case 'moderation':
+        renderModerationView();
+        break;
+      default:
+        document.title = baseTitle();
+        renderFeed();
+    }
+  }
+
   // ========================================
   // 이벤트 바인딩 및 초기화
   // ========================================
@@ -877,40 +5787,208 @@
     askForm?.addEventListener('submit', onCreateQuestion);
     
     // ===== 검색 및 정렬 이벤트 =====
+    // 이미 불러온 질문 안에서 다시 걸러 그리기만 함 (저장소를 다시 조회하지 않음)
+    // 검색을 시작하면 관련도순, 검색어를 지우면 최신순으로 자동 전환 (직접 고른 정렬은 유지)
+    // 검색/정렬/필터 조건은 주소에도 반영하여 걸러진 목록을 공유할 수 있도록 함
     searchInput?.addEventListener('input', () => {
-      // 실시간 검색: 입력할 때마다 전체 데이터를 다시 렌더링
-      subscribeToQuestions();
+      const hadKeyword = Boolean(lastSearchText.trim());
+      const hasKeyword = Boolean(searchInput.value.trim());
+      if (hasKeyword && !hadKeyword && sortSelect.value === 'newest') sortSelect.value = 'relevance';
+      if (!hasKeyword && hadKeyword && sortSelect.value === 'relevance') sortSelect.value = 'newest';
+      lastSearchText = searchInput.value;
+      renderFeed();
+      updateListHash();
     });
-    
     sortSelect?.addEventListener('change', () => {
-      // 정렬 변경: 선택할 때마다 전체 데이터를 다시 렌더링
-      subscribeToQuestions();
+      renderFeed();
+      updateListHash();
+    });
+    
+    // ===== 태그 관련 이벤트 =====
+    askTagsInput?.addEventListener('input', updateTagSuggestions);
+    
+    // ===== 중복 질문 추천 이벤트 =====
+    askTitleInput?.addEventListener('input', scheduleDuplicateCheck);
+    askBodyInput?.addEventListener('input', scheduleDuplicateCheck);
+    
+    // ===== 임시 저장 이벤트 =====
+    // 질문 작성 폼은 입력할 때마다 저장 (답변 폼은 createAnswerForm에서 등록)
+    for (const input of [askTitleInput, askBodyInput, askTagsInput]) {
+      input?.addEventListener('input', saveAskDraft);
+    }
+    tagFilterClear?.addEventListener('click', () => setActiveTag(''));
+    
+    statusSelect?.addEventListener('change', () => {
+      renderFeed();
+      updateListHash();
     });
     
+    // ===== 화면 이동 이벤트 (해시 라우팅) =====
+    window.addEventListener('hashchange', applyRoute);
+    backToListBtn?.addEventListener('click', goBackToList);
+    profileBackBtn?.addEventListener('click', goBackFromProfile);
+    
+    // ===== 질문 목록 페이지 이벤트 =====
+    // 목록 끝의 "더 보기" 영역이 화면에 들어오면 다음 페이지 자동 로드 (무한 스크롤)
+    loadMoreBtn?.addEventListener('click', loadNextPage);
+    if ('IntersectionObserver' in window && feedMore) {
+      const observer = new IntersectionObserver((entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadNextPage();
+      }, { rootMargin: '200px' });
+      observer.observe(feedMore);
+    }
+    
     // ===== 인증 관련 이벤트 =====
-    loginBtn?.addEventListener('click', signInWithGoogle);
+    loginBtn?.addEventListener('click', toggleLoginPanel);
+    googleLoginBtn?.addEventListener('click', signInWithGoogle);
+    emailLoginForm?.addEventListener('submit', onEmailSignIn);
+    emailSignupBtn?.addEventListener('click', onEmailSignUp);
+    linkGoogleBtn?.addEventListener('click', onLinkGoogle);
     logoutBtn?.addEventListener('click', signOutUser);
+    reconcileBtn?.addEventListener('click', onReconcile);
+    
+    // ===== 알림 이벤트 =====
+    notifBtn?.addEventListener('click', toggleNotificationPanel);
+    notifReadAll?.addEventListener('click', onMarkAllNotificationsRead);
+    // 알림 목록/로그인 방법 패널 바깥을 누르거나 Esc를 누르면 닫기
+    document.addEventListener('click', (e) => {
+      if (!notifPanel.hidden && !notifPanel.contains(e.target) && !notifBtn.contains(e.target)) closeNotificationPanel();
+      if (!loginPanel.hidden && !loginBox.contains(e.target)) closeLoginPanel();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        closeNotificationPanel();
+        closeLoginPanel();
+        closeLightbox();
+      }
+    });
+    
+    // ===== 첨부 이미지 크게 보기 이벤트 =====
+    // 닫기 버튼 또는 이미지 바깥(어두운 배경)을 누르면 닫기
+    lightboxClose?.addEventListener('click', closeLightbox);
+    lightbox?.addEventListener('click', (e) => {
+      if (e.target === lightbox) closeLightbox();
+    });
+    
+    // ===== 온라인/오프라인 전환 이벤트 =====
+    window.addEventListener('online', () => {
+      updateSyncStatus();
+      flushOutbox();          // 연결이 돌아오면 대기 중인 글 전송
+      subscribeToQuestions(); // 최신 데이터 다시 구독
+    });
+    window.addEventListener('offline', updateSyncStatus);
+
+    // ===== 함께 보는 사람 (presence) =====
+    // 탭을 닫거나 다른 페이지로 떠나면 presence 문서 삭제 (끝내 지우지 못한 문서는 PRESENCE_TIMEOUT 뒤 무시됨)
+    window.addEventListener('pagehide', () => {
+      threadWatchers.forEach((watcher, questionId) => leavePresence(questionId));
+    });
+    // 뒤로 가기 캐시에서 되살아난 탭은 다시 기록
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) threadWatchers.forEach((watcher, questionId) => writePresence(questionId));
+    });
+    
+    syncDismiss?.addEventListener('click', () => {
+      syncConflictList = [];
+      updateSyncStatus();
+    });
+    
+    // ===== 언어 선택 이벤트 =====
+    localeSelect?.addEventListener('change', onChangeLocale);
   }
 
   /**
    * 애플리케이션 초기화 함수
-   * 이벤트 바인딩과 Firebase 인증 상태 감지를 설정
+   * 저장소 생성, 이벤트 바인딩, 인증 상태 감지를 설정
    */
-  function init() {
-    // ===== 1단계: 모든 이벤트 리스너 등록 =====
+  async function init() {
+    // ===== 1단계: 저장소 백엔드 생성 =====
+    try {
+      const firebase = await window.firebaseReady;
+      store = await window.qnaStorage.createStorage(window.qnaBackend, firebase);
+    } catch (error) {
+      console.error('저장소 초기화 실패:', error);
+      alert(t('storage.error.init', { message: error.message }));
+      return;
+    }
+    
+    if (store.kind === 'local' && storageNote) {
+      window.qnaI18n.localize(storageNote, 'footer.localNote');
+    }
+    
+    // 언어 선택 목록 (각 언어는 자기 언어 이름으로 표시)
+    if (localeSelect) {
+      for (const [value, name] of Object.entries(window.qnaI18n.LOCALES)) {
+        localeSelect.add(new Option(name, value));
+      }
+      localeSelect.value = window.qnaI18n.getLocale();
+    }
+    
+    // 질문 작성 폼의 내용 입력창을 Markdown 편집기로 교체 (원래 자리에 삽입)
+    const askBodyRow = askBodyInput.parentNode;
+    askBodyEditor = createMarkdownEditor(askBodyInput);
+    askBodyRow.appendChild(askBodyEditor.element);
+    
+    // 질문 작성 폼 첨부 파일 (폼 어디에나 끌어다 놓기, 내용 입력창에 붙여넣기)
+    askAttachments = createAttachmentPicker(askForm, askBodyInput);
+    askBodyRow.appendChild(askAttachments.element);
+    
+    // 오프라인 실행 준비: 서비스 워커 등록, outbox 복원, 마지막 스냅샷 먼저 표시
+    registerServiceWorker();
+    outbox = loadOutbox();
+    drafts = loadDrafts();
+    restoreSnapshot();
+    updateSyncStatus();
+    
+    // 태그 목록, 상단 고정 질문 구독 (로그인 상태와 무관)
+    subscribeToTags();
+    subscribeToPinned();
+
+    // 주소에 맞는 화면 표시 (질문 상세 주소로 바로 들어온 경우 포함)
+    applyRoute();
+
+    // ===== 2단계: 모든 이벤트 리스너 등록 =====
     bindEvents();
     
-    // ===== 2단계: Firebase 인증 상태 변경 감지 설정 =====
-    onAuthStateChanged(auth, (user) => {
+    // 화면을 다시 그리지 않아도 상대 시각이 흘러가도록 주기적으로 갱신
+    setInterval(() => window.qnaI18n.refreshTimes(), TIME_REFRESH_INTERVAL);
+
+    // 열린 질문의 presence를 주기적으로 갱신하고, 오래된 다른 사람의 presence는 표시에서 뺌
+    setInterval(() => {
+      threadWatchers.forEach((watcher, questionId) => writePresence(questionId));
+      renderPresence();
+    }, PRESENCE_HEARTBEAT);
+    
+    // ===== 3단계: 인증 상태 변경 감지 설정 =====
+    // 팝업이 막혀 리다이렉트로 로그인/계정 연결을 했으면 실패 이유 표시 (성공하면 onChange로 반영됨)
+    store.auth.redirectResult().catch((error) => {
+      console.error('리다이렉트 로그인 실패:', error);
+      alert(authErrorMessage(error));
+    });
+    
+    store.auth.onChange((user) => {
       // 사용자 인증 상태가 변경될 때마다 호출됨
       updateAuthUI(user);  // UI 업데이트
       
+      // 임시 저장글: 로그인 전에 쓴 글을 옮기고 이 사용자의 작성 중인 질문 복원
+      adoptGuestDrafts();
+      restoreAskDraft();
+      renderDrafts();
+      
       // 실시간 데이터 구독 시작 (로그인/로그아웃 상태와 관계없이)
+      subscribeToRole();
       subscribeToQuestions();
+      subscribeToNotifications();
+      
+      // 처음 로그인하면 사용자 프로필 문서 생성 (이름/사진이 바뀌었으면 갱신)
+      if (user) saveUserProfile(user).catch(() => {});
+      
+      // 로그인되어 있으면 대기 중인 글 전송 시도
+      flushOutbox();
     });
   }
 
-  // ===== 3단계: DOM 로딩 완료 시점에 초기화 실행 =====
+  // ===== DOM 로딩 완료 시점에 초기화 실행 =====
   if (document.readyState === 'loading') {
     // DOM이 아직 로딩 중인 경우: DOMContentLoaded 이벤트 대기
     document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,477 @@
+(function () {
+  /**
+   * Q&A 게시판 클라이언트 검색
+   *
+   * 서버 검색 없이 불러온 질문과 답변으로 브라우저 안에서 검색 색인을 만듭니다.
+   *
+   * 색인 방식:
+   * - 한글은 띄어쓰기/조사와 관계없이 찾을 수 있도록 1글자 + 2글자(bigram) 조각으로 색인
+   * - 영문/숫자는 부분 문자열로 찾을 수 있도록 3글자(trigram) 조각 + 앞 1~2글자로 색인
+   * - 검색어의 한글 단어는 끝의 조사(에서, 으로, 는 ...)를 떼고 찾음
+   * - 모든 검색어 조각이 들어 있는 글만 결과에 포함하고, 일치한 위치(제목 > 태그 > 본문 > 답변)로 점수 계산
+   *
+   * 검색 연산자:
+   * - "정확한 문구"        문구가 그대로 들어 있는 글
+   * - author:이름           작성자 이름에 포함
+   * - tag:태그              태그가 정확히 일치
+   * - is:unanswered | is:answered | is:solved | is:unsolved
+   * - before:2024-05-01     해당 날짜 이전에 작성 (그날 0시 전)
+   * - after:2024-05-01      해당 날짜 이후에 작성 (다음 날 0시부터)
+   *
+   * 사용법:
+   * - const index = window.qnaSearch.createIndex();
+   * - index.update(docs)   docs: [{ id, title, body, author, tags, answers: [본문...] }]
+   * - index.search(window.qnaSearch.parseQuery(text)) → Map(id → 점수), 검색어가 없으면 null
+   * - index.similar({ title, body }) → 비슷한 질문 [{ id, similarity }] (중복 질문 추천, 일부 단어만 겹쳐도 찾음)
+   * - window.qnaSearch.highlight(element, query) → 요소 안의 일치 부분을 <mark>로 표시
+   */
+
+  // ========================================
+  // 토큰화
+  // ========================================
+
+  const HANGUL = /[가-힣ㄱ-ㆎ]/;
+  const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+  // 검색어 끝에서 떼어 낼 조사 (긴 것부터 확인)
+  const PARTICLES = [
+    '에서부터', '으로부터', '이라는', '에서는', '에게서', '한테서', '까지는', '부터는',
+    '에서', '에게', '한테', '으로', '까지', '부터', '처럼', '보다', '라는', '이나', '이랑', '하고', '에는', '으로는', '로는',
+    '은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과', '도', '만', '나', '랑'
+  ];
+
+  // 일치한 필드별 가중치
+  const FIELD_WEIGHTS = { title: 5, tags: 4, body: 2, author: 2, answers: 1 };
+
+  // 비슷한 질문 찾기: 단어가 일치한 필드별 점수 (제목에 있으면 1, 본문에만 있으면 0.5)
+  const SIMILAR_WEIGHTS = { title: 1, tags: 0.75, body: 0.5 };
+  const SIMILAR_BODY_TERMS = 8;      // 본문에서 비교에 쓸 앞쪽 단어 수 (긴 본문이 유사도를 희석하지 않도록)
+  const SIMILAR_MIN = 0.4;           // 이 유사도 미만은 결과에서 제외
+  const SIMILAR_LIMIT = 5;           // 최대 결과 수
+
+  // 비슷한 질문 찾기에서 무시할 흔한 단어 (질문 문장에 늘 들어가는 말)
+  const STOPWORDS = new Set([
+    '어떻게', '왜', '무엇', '뭔가', '방법', '질문', '문제', '하나요', '되나요', '있나요', '없나요', '안돼요', '안됨',
+    '하는', '하면', '해야', '합니다', '입니다', '있습니다', '없습니다', '좀', '그냥', '이거', '이런', '저는', '제가',
+    'how', 'what', 'why', 'the', 'and', 'for', 'with', 'not', 'does', 'can', 'use', 'using', 'from', 'this', 'that'
+  ]);
+
+  /**
+   * 검색용 정규화 (대소문자, 전각/반각, 자모 조합 차이 제거)
+   * @param {string} text
+   * @returns {string}
+   */
+  const normalize = (text) => String(text || '').normalize('NFKC').toLowerCase();
+
+  /**
+   * 문자열을 단어 배열로 분리 (문장부호/공백 기준)
+   * @param {string} text - 정규화된 문자열
+   * @returns {string[]}
+   */
+  const splitWords = (text) => text.match(WORD_PATTERN) || [];
+
+  /**
+   * 한글/영문이 섞인 단어를 같은 종류의 글자끼리 나눔 (예: "firebase로" → "firebase", "로")
+   * @param {string} word
+   * @returns {string[]}
+   */
+  const splitScripts = (word) => word.match(/[가-힣ㄱ-ㆎ]+|[^가-힣ㄱ-ㆎ]+/g) || [];
+
+  /**
+   * 단어 하나를 색인용 조각(gram)으로 분해
+   * @param {string} word - 한 종류의 글자로만 된 단어
+   * @returns {string[]} 조각 배열
+   */
+  function wordGrams(word) {
+    const chars = [...word];
+    const grams = [];
+    if (HANGUL.test(word)) {
+      // 한글: 1글자 + 2글자 조각
+      chars.forEach((c, i) => {
+        grams.push(c);
+        if (i + 1 < chars.length) grams.push(c + chars[i + 1]);
+      });
+    } else {
+      // 영문/숫자: 앞 1~2글자(짧은 검색어용) + 3글자 조각
+      grams.push(chars[0]);
+      if (chars.length >= 2) grams.push(chars[0] + chars[1]);
+      for (let i = 0; i + 3 <= chars.length; i++) grams.push(chars.slice(i, i + 3).join(''));
+    }
+    return grams;
+  }
+
+  /**
+   * 색인할 문서 텍스트를 조각 집합으로 변환
+   * 영문 1~2글자 조각은 단어 시작에서만 만들어지므로 "ja"는 "java"와 일치하지만 "aja"와는 일치하지 않음
+   * 한글은 띄어쓰기를 지운 문장으로도 2글자 조각을 만들어 "구글로그인"이 "구글 로그인"과 일치하도록 함
+   * @param {string} text
+   * @returns {Set<string>}
+   */
+  function textGrams(text) {
+    const grams = new Set();
+    const normalized = normalize(text);
+    for (const word of splitWords(normalized)) {
+      for (const part of splitScripts(word)) {
+        wordGrams(part).forEach((g) => grams.add(g));
+      }
+    }
+    for (const run of normalized.replace(/\s+/g, '').match(/[가-힣ㄱ-ㆎ]+/g) || []) {
+      wordGrams(run).forEach((g) => grams.add(g));
+    }
+    return grams;
+  }
+
+  /**
+   * 한글 검색어 끝의 조사를 떼어 냄 (떼고 나서 1글자 이상 남을 때만)
+   * @param {string} word
+   * @returns {string}
+   */
+  function stripParticle(word) {
+    if (!HANGUL.test(word)) return word;
+    for (const particle of PARTICLES) {
+      if (word.length > particle.length && word.endsWith(particle)) {
+        return word.slice(0, -particle.length);
+      }
+    }
+    return word;
+  }
+
+  /**
+   * 검색어 단어를 찾을 조각 목록으로 변환
+   * 한글은 1글자면 그 글자, 2글자 이상이면 2글자 조각들
+   * 영문은 2글자 이하면 앞부분 조각, 3글자 이상이면 3글자 조각들
+   * @param {string} term - 정규화된 검색어 단어 (조사 제거 후)
+   * @returns {string[]}
+   */
+  function termGrams(term) {
+    const grams = [];
+    for (const part of splitScripts(term)) {
+      const chars = [...part];
+      if (HANGUL.test(part)) {
+        if (chars.length === 1) grams.push(part);
+        for (let i = 0; i + 2 <= chars.length; i++) grams.push(chars[i] + chars[i + 1]);
+      } else if (chars.length <= 2) {
+        grams.push(part);
+      } else {
+        for (let i = 0; i + 3 <= chars.length; i++) grams.push(chars.slice(i, i + 3).join(''));
+      }
+    }
+    return grams;
+  }
+
+  // ========================================
+  // 검색어 해석
+  // ========================================
+
+  /**
+   * 'YYYY-MM-DD' 날짜를 그날 0시(로컬 시간) 밀리초로 변환
+   * @param {string} value
+   * @returns {number|null} 형식이 틀리면 null
+   */
+  function parseDate(value) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isNaN(date.getTime()) ? null : date.getTime();
+  }
+
+  /**
+   * @typedef {Object} SearchQuery
+   * @property {string[]} terms - 일반 검색어 (정규화, 조사 제거)
+   * @property {string[]} phrases - "정확한 문구" (정규화)
+   * @property {string|null} author - author: 값
+   * @property {string|null} tag - tag: 값
+   * @property {string[]} is - is: 값들 (unanswered, answered, solved, unsolved)
+   * @property {number|null} before - before: 날짜 (그날 0시 밀리초)
+   * @property {number|null} after - after: 날짜 (다음 날 0시 밀리초)
+   */
+
+  /**
+   * 검색 입력을 검색어와 연산자로 해석
+   * 알 수 없는 연산자(foo:bar)나 형식이 틀린 날짜는 일반 검색어로 취급
+   * @param {string} input - 검색창 입력
+   * @returns {SearchQuery}
+   */
+  function parseQuery(input) {
+    const query = { terms: [], phrases: [], author: null, tag: null, is: [], before: null, after: null };
+    const pattern = /(\w+):"([^"]*)"|"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(input || '')))) {
+      if (match[3] !== undefined) {
+        // "정확한 문구" (닫는 따옴표가 없으면 끝까지)
+        const phrase = normalize(match[3]).trim();
+        if (phrase) query.phrases.push(phrase);
+        continue;
+      }
+
+      // 연산자: name:value 또는 name:"공백 포함 값"
+      const operator = match[1] !== undefined ? [null, match[1], match[2]] : /^(\w+):(.+)$/.exec(match[4]);
+      if (operator) {
+        const name = operator[1].toLowerCase();
+        const value = normalize(operator[2]).trim();
+        if (name === 'author' && value) { query.author = value; continue; }
+        if (name === 'tag' && value) { query.tag = value.replace(/^#/, ''); continue; }
+        if (name === 'is' && ['unanswered', 'answered', 'solved', 'unsolved'].includes(value)) { query.is.push(value); continue; }
+        if (name === 'before' && parseDate(value) !== null) { query.before = parseDate(value); continue; }
+        if (name === 'after' && parseDate(value) !== null) { query.after = parseDate(value) + 24 * 60 * 60 * 1000; continue; }
+      }
+
+      const raw = match[4] !== undefined ? match[4] : `${match[1]} ${match[2]}`;
+      for (const word of splitWords(normalize(raw))) {
+        query.terms.push(stripParticle(word));
+      }
+    }
+    return query;
+  }
+
+  /**
+   * 검색어나 연산자가 하나라도 있는지 확인
+   * @param {SearchQuery} query
+   * @returns {boolean}
+   */
+  const isEmptyQuery = (query) =>
+    query.terms.length === 0 && query.phrases.length === 0 && !query.author && !query.tag &&
+    query.is.length === 0 && query.before === null && query.after === null;
+
+  // ========================================
+  // 검색 색인
+  // ========================================
+
+  /**
+   * 문서의 필드별 원문 (색인 대상)
+   * @param {Object} doc - { title, body, author, tags, answers }
+   * @returns {Object<string, string>}
+   */
+  const docFields = (doc) => ({
+    title: doc.title || '',
+    tags: (doc.tags || []).join(' '),
+    body: doc.body || '',
+    author: doc.author || '',
+    answers: (doc.answers || []).join('\n')
+  });
+
+  /**
+   * 검색 색인 생성
+   * update()로 문서를 넣으면 내용이 바뀐 문서만 다시 토큰화하여 역색인(조각 → 문서)을 갱신
+   * @returns {{update: Function, search: Function, similar: Function}}
+   */
+  function createIndex() {
+    /** @type {Map<string, {signature:string, fields:Object, normalized:Object, grams:Object<string, Set<string>>}>} 문서 ID → 색인 정보 */
+    const entries = new Map();
+    /** @type {Map<string, Set<string>>} 조각 → 문서 ID 집합 */
+    const postings = new Map();
+
+    const addPostings = (id, grams) => {
+      for (const gram of grams) {
+        if (!postings.has(gram)) postings.set(gram, new Set());
+        postings.get(gram).add(id);
+      }
+    };
+    const removePostings = (id, grams) => {
+      for (const gram of grams) {
+        const ids = postings.get(gram);
+        if (!ids) continue;
+        ids.delete(id);
+        if (ids.size === 0) postings.delete(gram);
+      }
+    };
+    const allGrams = (entry) => Object.values(entry.grams).flatMap((set) => [...set]);
+
+    /**
+     * 색인할 문서 목록 반영 (목록에 없는 문서는 색인에서 제거)
+     * @param {Array<{id:string}>} docs
+     */
+    function update(docs) {
+      const seen = new Set();
+      for (const doc of docs) {
+        seen.add(doc.id);
+        const fields = docFields(doc);
+        const signature = JSON.stringify(fields);
+        const current = entries.get(doc.id);
+        if (current && current.signature === signature) continue;
+
+        if (current) removePostings(doc.id, allGrams(current));
+        const grams = {};
+        const normalized = {};
+        for (const [field, text] of Object.entries(fields)) {
+          grams[field] = textGrams(text);
+          normalized[field] = normalize(text);
+        }
+        const entry = { signature, fields, normalized, grams };
+        entries.set(doc.id, entry);
+        addPostings(doc.id, allGrams(entry));
+      }
+
+      for (const [id, entry] of entries) {
+        if (!seen.has(id)) {
+          removePostings(id, allGrams(entry));
+          entries.delete(id);
+        }
+      }
+    }
+
+    /**
+     * 검색어(terms/phrases)로 문서 점수 계산
+     * 연산자(author:, is: 등)는 문서의 다른 필드가 필요하므로 호출하는 쪽에서 걸러냄
+     * @param {SearchQuery} query
+     * @returns {Map<string, number>|null} 일치한 문서 ID → 점수 (검색어가 없으면 null → 모든 문서)
+     */
+    function search(query) {
+      if (query.terms.length === 0 && query.phrases.length === 0) return null;
+
+      // ===== 1단계: 역색인으로 후보 문서 좁히기 (모든 검색어 조각을 가진 문서) =====
+      const phraseWords = query.phrases.flatMap(splitWords);
+      const required = [...query.terms, ...phraseWords].flatMap(termGrams);
+      let candidates = null;
+      for (const gram of new Set(required)) {
+        const ids = postings.get(gram);
+        if (!ids) return new Map();
+        candidates = candidates ? new Set([...candidates].filter((id) => ids.has(id))) : new Set(ids);
+        if (candidates.size === 0) return new Map();
+      }
+      if (candidates === null) candidates = new Set(entries.keys());
+
+      // ===== 2단계: 문구 확인 및 점수 계산 =====
+      const scores = new Map();
+      for (const id of candidates) {
+        const entry = entries.get(id);
+        const texts = Object.values(entry.normalized);
+        if (!query.phrases.every((phrase) => texts.some((text) => text.includes(phrase)))) continue;
+
+        let score = 0;
+        for (const term of query.terms) {
+          const grams = termGrams(term);
+          for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            if (grams.every((g) => entry.grams[field].has(g))) {
+              score += weight;
+              // 단어가 그대로 들어 있으면 조각만 흩어져 일치한 경우보다 높게
+              if (entry.normalized[field].includes(term)) score += weight;
+            }
+          }
+        }
+        for (const phrase of query.phrases) {
+          for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            if (entry.normalized[field].includes(phrase)) score += weight * 2;
+          }
+        }
+        scores.set(id, score);
+      }
+      return scores;
+    }
+
+    /**
+     * 작성 중인 질문과 비슷한 문서 찾기 (중복 질문 추천)
+     * 검색과 달리 모든 단어가 일치하지 않아도 되며, 일치한 단어 비율(제목 일치가 더 높음)로 유사도 계산
+     * @param {{title:string, body?:string}} draft - 작성 중인 제목/본문
+     * @param {{limit?:number, min?:number}} [options] - 최대 결과 수, 최소 유사도(0~1)
+     * @returns {Array<{id:string, similarity:number}>} 유사도 높은 순
+     */
+    function similar(draft, options = {}) {
+      const limit = options.limit || SIMILAR_LIMIT;
+      const min = options.min ?? SIMILAR_MIN;
+
+      // ===== 1단계: 비교할 단어 (제목 전체 + 본문 앞부분, 조사/흔한 단어/1글자 제외) =====
+      const toTerms = (text) => splitWords(normalize(text))
+        .map(stripParticle)
+        .filter((term) => [...term].length >= 2 && !STOPWORDS.has(term));
+      const bodyTerms = toTerms(draft.body).slice(0, SIMILAR_BODY_TERMS);
+      const terms = [...new Set([...toTerms(draft.title), ...bodyTerms])];
+      if (terms.length === 0) return [];
+
+      // ===== 2단계: 단어 조각이 하나라도 있는 문서만 후보로 =====
+      const termGramList = terms.map((term) => ({ term, grams: termGrams(term) }));
+      const candidates = new Set();
+      for (const { grams } of termGramList) {
+        for (const gram of grams) postings.get(gram)?.forEach((id) => candidates.add(id));
+      }
+
+      // ===== 3단계: 단어별로 가장 높은 필드 점수를 더해 평균 =====
+      const results = [];
+      for (const id of candidates) {
+        const entry = entries.get(id);
+        let matched = 0;
+        for (const { grams } of termGramList) {
+          let best = 0;
+          for (const [field, weight] of Object.entries(SIMILAR_WEIGHTS)) {
+            if (weight > best && grams.every((g) => entry.grams[field].has(g))) best = weight;
+          }
+          matched += best;
+        }
+        const similarity = matched / terms.length;
+        if (similarity >= min) results.push({ id, similarity });
+      }
+      return results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    }
+
+    return { update, search, similar };
+  }
+
+  // ========================================
+  // 검색 결과 강조 표시
+  // ========================================
+
+  /**
+   * 정규식 특수문자 이스케이프
+   * @param {string} text
+   * @returns {string}
+   */
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  /**
+   * 요소 안의 텍스트에서 검색어/문구와 일치하는 부분을 <mark class="search-hit">로 감쌈
+   * 텍스트 노드만 나누어 감싸므로 Markdown으로 렌더링된 HTML 구조와 링크는 그대로 유지됨
+   * @param {HTMLElement} element - 강조할 요소
+   * @param {SearchQuery} query - parseQuery() 결과
+   */
+  function highlight(element, query) {
+    const needles = [...query.phrases, ...query.terms].filter(Boolean).sort((a, b) => b.length - a.length);
+    if (!element || needles.length === 0) return;
+    const pattern = new RegExp(needles.map(escapeRegExp).join('|'), 'giu');
+
+    // 순회 중에 노드를 바꾸지 않도록 텍스트 노드를 먼저 모음
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    for (const node of nodes) {
+      const text = node.nodeValue;
+      const source = normalize(text);
+      // NFKC 정규화로 길이가 달라지는 글자가 있으면 위치를 맞출 수 없으므로 건너뜀
+      if (source.length !== text.length) continue;
+
+      pattern.lastIndex = 0;
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      let match;
+      while ((match = pattern.exec(source))) {
+        if (match[0].length === 0) { pattern.lastIndex++; continue; }
+        fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+        const mark = document.createElement('mark');
+        mark.className = 'search-hit';
+        mark.textContent = text.slice(match.index, match.index + match[0].length);
+        fragment.appendChild(mark);
+        last = match.index + match[0].length;
+      }
+      if (last === 0) continue;
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(fragment, node);
+    }
+  }
+
+  /**
+   * highlight()가 넣은 <mark class="search-hit">를 풀어 원래 텍스트로 되돌림
+   * 나뉜 텍스트 노드를 다시 합치므로 다른 검색어로 다시 강조할 수 있음
+   * @param {HTMLElement} element - 강조를 지울 요소
+   */
+  function clearHighlight(element) {
+    if (!element) return;
+    const marks = element.querySelectorAll('mark.search-hit');
+    if (marks.length === 0) return;
+    marks.forEach((mark) => mark.replaceWith(document.createTextNode(mark.textContent)));
+    element.normalize();
+  }
+
+  // 전역 변수로 검색 함수 제공 (script.js에서 사용)
+  window.qnaSearch = { parseQuery, isEmptyQuery, createIndex, highlight, clearHighlight };
+})();
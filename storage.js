@@ -0,0 +1,747 @@
+(function () {
+  /**
+   * Q&A 게시판 저장소 백엔드
+   *
+   * script.js의 데이터 함수들은 Firestore를 직접 호출하지 않고
+   * 이 파일이 제공하는 저장소 인터페이스를 통해서만 데이터에 접근합니다.
+   *
+   * 제공하는 백엔드:
+   * - firestore: Firebase Firestore + Auth (index.html에서 만든 window.firebaseApp 사용)
+   * - local: 메모리 + IndexedDB 영속화. Firebase 프로젝트 없이 데모/테스트/폐쇄망에서 사용
+   *
+   * 저장소 인터페이스:
+   * - kind                                        백엔드 이름 ('firestore' | 'local')
+   * - getDoc(path, id)                            문서 하나 조회 (없으면 null)
+   * - queryDocs(path, options)                    조건에 맞는 문서 배열 조회
+   * - subscribe(path, options, onNext, onError)   실시간 구독, 구독 해제 함수 반환
+   * - subscribeDoc(path, id, onNext, onError)     문서 하나 실시간 구독 (없으면 null 전달), 구독 해제 함수 반환
+   * - addDoc(path, data)                          새 문서 추가 후 문서 ID 반환
+   * - setDoc(path, id, data)                      지정한 ID로 문서 생성 또는 덮어쓰기
+   * - updateDoc(path, id, patch)                  문서 일부 필드 수정
+   * - deleteDoc(path, id)                         문서 삭제
+   * - batch(writes)                               여러 쓰기를 원자적으로 적용 (전부 성공 또는 전부 실패)
+   * - batchLimit                                  batch() 한 번에 넣을 수 있는 최대 쓰기 수
+   * - newId(path)                                 새 문서 ID 생성 (batch로 문서를 추가할 때 사용)
+   * - serverTimestamp()                           저장 시점 타임스탬프 값
+   * - timestamp(millis)                           지정한 시각(밀리초)의 타임스탬프 값 (백업 가져오기에서 원래 작성 시각 유지)
+   * - increment(n)                                숫자 필드를 n만큼 원자적으로 증감하는 값 (읽지 않고 갱신)
+   * - auth.onChange(callback)                     로그인 상태 변경 구독
+   * - auth.signInWithGoogle()                     Google 로그인 (팝업이 막히면 리다이렉트로 진행)
+   * - auth.signInWithEmail(email, password)       이메일/비밀번호 로그인
+   * - auth.signUpWithEmail(email, password, name) 이메일/비밀번호 계정 만들기
+   * - auth.signInAsGuest(nickname)                게스트(익명) 로그인, 닉네임을 표시 이름으로 저장
+   * - auth.linkGuestToGoogle()                    게스트 계정에 Google 계정 연결 (uid가 그대로라 쓴 글이 함께 옮겨짐)
+   * - auth.redirectResult()                       리다이렉트로 진행한 로그인/연결 결과 (실패하면 예외)
+   * - auth.signOut()                              로그아웃
+   *   로그인 함수는 로그인한 사용자를 반환 (리다이렉트로 페이지를 떠나는 중이면 null)
+   * - files.upload(path, file)                    첨부 파일 업로드 후 다운로드 URL 반환
+   * - files.url(path, url)                        화면에 표시할 URL (upload()가 반환한 url을 함께 전달)
+   * - files.remove(path)                          첨부 파일 삭제 (이미 없으면 무시)
+   *
+   * 조회 옵션(options):
+   * - where: [[필드, 연산자, 값], ...]  연산자: == != < <= > >= in array-contains
+   * - orderBy: [필드, 'asc' | 'desc']
+   * - startAfter: orderBy 필드 값. 이 값 다음 문서부터 조회 (페이지 커서)
+   * - limit: 최대 문서 수
+   *
+   * 일괄 쓰기(writes) 항목:
+   * - { type: 'set', path, id, data } / { type: 'update', path, id, data } / { type: 'delete', path, id }
+   * - { type: 'merge', path, id, data }: 필드 일부만 쓰고 문서가 없으면 생성 (increment(n)은 없던 필드를 0으로 보고 더함)
+   * - update 대상 문서가 없으면 batch 전체가 실패 (error.code === 'not-found')
+   *
+   * 문서는 항상 { ...필드, id } 형태의 일반 객체로 반환됩니다 (id는 항상 문서 ID).
+   */
+
+  const BATCH_LIMIT = 500;  // Firestore writeBatch 한 번에 허용되는 최대 쓰기 수
+  const MIN_PASSWORD_LENGTH = 6;  // Firebase Auth 비밀번호 최소 길이 (로컬 백엔드도 같게)
+
+  // 팝업 로그인이 안 될 때 리다이렉트로 다시 시도할 오류 코드 (팝업 차단, 팝업을 지원하지 않는 환경)
+  const POPUP_FALLBACK_CODES = ['auth/popup-blocked', 'auth/operation-not-supported-in-this-environment'];
+
+  /**
+   * 일괄 쓰기 크기 확인 (두 백엔드가 같은 제한을 갖도록)
+   * @param {Array} writes - 일괄 쓰기 항목
+   */
+  const checkBatchSize = (writes) => {
+    if (writes.length > BATCH_LIMIT) {
+      throw new Error(`한 번에 처리할 수 있는 쓰기 수(${BATCH_LIMIT}개)를 넘었습니다: ${writes.length}개`);
+    }
+  };
+
+  // ========================================
+  // Firestore 백엔드
+  // ========================================
+
+  /**
+   * Firebase Firestore + Auth 기반 저장소 생성
+   * @param {Object} firebase - index.html에서 초기화한 window.firebaseApp
+   * @returns {Object} 저장소 인터페이스
+   */
+  function createFirestoreStorage(firebase) {
+    const {
+      db,
+      auth,
+      collection,
+      addDoc,
+      setDoc,
+      getDoc,
+      getDocs,
+      deleteDoc,
+      doc,
+      updateDoc,
+      writeBatch,
+      onSnapshot,
+      query,
+      orderBy,
+      where,
+      limit,
+      startAfter,
+      serverTimestamp,
+      Timestamp,
+      increment,
+      signInWithPopup,
+      signInWithRedirect,
+      getRedirectResult,
+      GoogleAuthProvider,
+      signInAnonymously,
+      signInWithEmailAndPassword,
+      createUserWithEmailAndPassword,
+      linkWithPopup,
+      linkWithRedirect,
+      updateProfile,
+      signOut,
+      onAuthStateChanged,
+      storage,
+      storageRef,
+      uploadBytes,
+      getDownloadURL,
+      deleteObject
+    } = firebase;
+
+    /**
+     * 조회 옵션을 Firestore 쿼리로 변환
+     * @param {string} path - 컬렉션 경로
+     * @param {Object} options - 조회 옵션
+     */
+    const buildQuery = (path, options = {}) => {
+      const constraints = [];
+      for (const [field, op, value] of options.where || []) {
+        constraints.push(where(field, op, value));
+      }
+      if (options.orderBy) constraints.push(orderBy(options.orderBy[0], options.orderBy[1] || 'asc'));
+      if (options.startAfter !== undefined) constraints.push(startAfter(options.startAfter));
+      if (options.limit) constraints.push(limit(options.limit));
+      return query(collection(db, path), ...constraints);
+    };
+
+    // 아직 서버에서 확정되지 않은 serverTimestamp()는 추정값으로 읽어서
+    // 방금 작성한 문서도 정렬/표시가 가능하도록 함
+    const toPlain = (snap) => ({ ...snap.data({ serverTimestamps: 'estimate' }), id: snap.id });
+
+    return {
+      kind: 'firestore',
+
+      async getDoc(path, id) {
+        const snap = await getDoc(doc(db, path, id));
+        return snap.exists() ? toPlain(snap) : null;
+      },
+
+      async queryDocs(path, options) {
+        const snapshot = await getDocs(buildQuery(path, options));
+        return snapshot.docs.map(toPlain);
+      },
+
+      subscribe(path, options, onNext, onError) {
+        return onSnapshot(buildQuery(path, options), (snapshot) => {
+          onNext(snapshot.docs.map(toPlain));
+        }, onError);
+      },
+
+      subscribeDoc(path, id, onNext, onError) {
+        return onSnapshot(doc(db, path, id), (snap) => {
+          onNext(snap.exists() ? toPlain(snap) : null);
+        }, onError);
+      },
+
+      async addDoc(path, data) {
+        const docRef = await addDoc(collection(db, path), data);
+        return docRef.id;
+      },
+
+      async setDoc(path, id, data) {
+        await setDoc(doc(db, path, id), data);
+      },
+
+      async updateDoc(path, id, patch) {
+        await updateDoc(doc(db, path, id), patch);
+      },
+
+      async deleteDoc(path, id) {
+        await deleteDoc(doc(db, path, id));
+      },
+
+      async batch(writes) {
+        checkBatchSize(writes);
+        const batch = writeBatch(db);
+        for (const { type, path, id, data } of writes) {
+          const ref = doc(db, path, id);
+          if (type === 'set') batch.set(ref, data);
+          else if (type === 'merge') batch.set(ref, data, { merge: true });
+          else if (type === 'update') batch.update(ref, data);
+          else batch.delete(ref);
+        }
+        await batch.commit();
+      },
+
+      batchLimit: BATCH_LIMIT,
+
+      newId: (path) => doc(collection(db, path)).id,
+
+      serverTimestamp: () => serverTimestamp(),
+
+      timestamp: (millis) => Timestamp.fromMillis(millis),
+
+      increment: (n) => increment(n),
+
+      auth: {
+        onChange: (callback) => onAuthStateChanged(auth, callback),
+
+        async signInWithGoogle() {
+          const provider = new GoogleAuthProvider();
+          try {
+            return (await signInWithPopup(auth, provider)).user;
+          } catch (error) {
+            if (!POPUP_FALLBACK_CODES.includes(error.code)) throw error;
+            await signInWithRedirect(auth, provider);  // 페이지가 Google 로그인 화면으로 이동
+            return null;
+          }
+        },
+
+        signInWithEmail: async (email, password) => (await signInWithEmailAndPassword(auth, email, password)).user,
+
+        async signUpWithEmail(email, password, displayName) {
+          const { user } = await createUserWithEmailAndPassword(auth, email, password);
+          await updateProfile(user, { displayName });
+          return user;
+        },
+
+        // 익명 로그인 직후에는 이름이 없으므로 바로 닉네임을 표시 이름으로 저장
+        async signInAsGuest(nickname) {
+          const { user } = await signInAnonymously(auth);
+          await updateProfile(user, { displayName: nickname });
+          return user;
+        },
+
+        async linkGuestToGoogle() {
+          const provider = new GoogleAuthProvider();
+          try {
+            return (await linkWithPopup(auth.currentUser, provider)).user;
+          } catch (error) {
+            if (!POPUP_FALLBACK_CODES.includes(error.code)) throw error;
+            await linkWithRedirect(auth.currentUser, provider);
+            return null;
+          }
+        },
+
+        redirectResult: async () => (await getRedirectResult(auth))?.user || null,
+
+        signOut: () => signOut(auth)
+      },
+
+      // Firebase Storage (다운로드 URL은 문서에 저장해 두고 그대로 사용)
+      files: {
+        async upload(path, file) {
+          const ref = storageRef(storage, path);
+          await uploadBytes(ref, file, { contentType: file.type });
+          return getDownloadURL(ref);
+        },
+        url: (path, url) => url,
+        async remove(path) {
+          try {
+            await deleteObject(storageRef(storage, path));
+          } catch (e) {
+            if (e.code !== 'storage/object-not-found') throw e;
+          }
+        }
+      }
+    };
+  }
+
+  // ========================================
+  // 로컬 백엔드 (메모리 + IndexedDB)
+  // ========================================
+
+  const LOCAL_DB_NAME = 'qna-board';          // IndexedDB 데이터베이스 이름
+  const LOCAL_STORE_NAME = 'docs';            // 모든 문서를 담는 object store
+  const LOCAL_FILE_STORE_NAME = 'files';      // 첨부 파일(Blob)을 담는 object store
+  const LOCAL_USER_KEY = 'qna-local-user';    // 로컬 로그인 사용자 (localStorage)
+  const LOCAL_ACCOUNTS_KEY = 'qna-local-accounts'; // 로컬 이메일 계정 (이메일 → { uid, displayName })
+  const LOCAL_CHANNEL = 'qna-local';          // 탭 간 변경사항 공유 채널
+
+  /**
+   * Firestore 자동 ID와 비슷한 20자리 무작위 ID 생성
+   * @returns {string} 문서 ID
+   */
+  const autoId = () => {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let id = '';
+    for (let i = 0; i < 20; i++) id += chars[Math.floor(Math.random() * chars.length)];
+    return id;
+  };
+
+  /**
+   * 문서 데이터 복사 (저장소 내부 객체가 밖에서 변경되지 않도록)
+   */
+  const clone = (data) => JSON.parse(JSON.stringify(data));
+
+  const INCREMENT_KEY = '__increment';  // increment(n) 값 표시 (JSON으로 복사해도 유지됨)
+
+  /**
+   * 현재 문서에 필드 값들을 덮어쓰되, increment(n) 값은 기존 숫자에 더해서 반영
+   * @param {Object|undefined} current - 현재 문서 데이터
+   * @param {Object} fields - 새 필드 값
+   * @returns {Object} 새 문서 데이터
+   */
+  function applyFields(current, fields) {
+    const result = { ...current };
+    for (const [field, value] of Object.entries(fields)) {
+      const isIncrement = value !== null && typeof value === 'object' && INCREMENT_KEY in value;
+      result[field] = isIncrement ? (Number(current?.[field]) || 0) + value[INCREMENT_KEY] : value;
+    }
+    return result;
+  }
+
+  /**
+   * where 조건 하나를 문서 데이터에 적용
+   * @param {Object} data - 문서 데이터
+   * @param {Array} condition - [필드, 연산자, 값]
+   * @returns {boolean} 조건 만족 여부
+   */
+  function matchesCondition(data, [field, op, value]) {
+    const actual = data[field];
+    switch (op) {
+      case '==': return actual === value;
+      case '!=': return actual !== value;
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      case 'in': return value.includes(actual);
+      case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+      default: throw new Error(`지원하지 않는 조건 연산자: ${op}`);
+    }
+  }
+
+  /**
+   * 메모리에 있는 문서들에 조회 옵션을 적용
+   * @param {Map<string, Object>} docs - 컬렉션의 문서들 (id → 데이터)
+   * @param {Object} options - 조회 옵션
+   * @returns {Array} { id, ...data } 배열
+   */
+  function runLocalQuery(docs, options = {}) {
+    let results = [];
+    for (const [id, data] of docs || []) {
+      if ((options.where || []).every((condition) => matchesCondition(data, condition))) {
+        results.push({ ...clone(data), id });
+      }
+    }
+
+    if (options.orderBy) {
+      const [field, dir = 'asc'] = options.orderBy;
+      const sign = dir === 'desc' ? -1 : 1;
+      results.sort((a, b) => {
+        const av = a[field] ?? 0;
+        const bv = b[field] ?? 0;
+        return av < bv ? -sign : av > bv ? sign : 0;
+      });
+
+      // 커서: 정렬 방향 기준으로 startAfter 값보다 뒤에 있는 문서만 남김
+      if (options.startAfter !== undefined) {
+        const cursor = options.startAfter;
+        results = results.filter((item) => sign * ((item[field] ?? 0) - cursor) > 0);
+      }
+    }
+
+    if (options.limit) results = results.slice(0, options.limit);
+    return results;
+  }
+
+  /**
+   * IndexedDB 열기 (지원하지 않는 환경이면 null → 메모리 전용으로 동작)
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openLocalDatabase() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const request = indexedDB.open(LOCAL_DB_NAME, 2);
+      request.onupgradeneeded = (event) => {
+        // 버전 1: 문서, 버전 2: 첨부 파일
+        if (event.oldVersion < 1) request.result.createObjectStore(LOCAL_STORE_NAME, { keyPath: 'key' });
+        if (event.oldVersion < 2) request.result.createObjectStore(LOCAL_FILE_STORE_NAME, { keyPath: 'path' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Failed to open IndexedDB', request.error);
+        resolve(null);  // 메모리에만 저장
+      };
+    });
+  }
+
+  /**
+   * 메모리 + IndexedDB 기반 저장소 생성
+   * 시작 시 IndexedDB의 모든 문서를 메모리로 읽어 오고, 이후 쓰기는
+   * 메모리에 즉시 반영한 뒤 IndexedDB에 기록합니다.
+   * 같은 브라우저의 다른 탭에는 BroadcastChannel로 변경사항을 전달합니다.
+   * @returns {Promise<Object>} 저장소 인터페이스
+   */
+  async function createLocalStorage() {
+    /** @type {Map<string, Map<string, Object>>} 컬렉션 경로 → (문서 ID → 데이터) */
+    const collections = new Map();
+    /** @type {Set<{path:string, options?:Object, docId?:string, onNext:Function}>} 실시간 구독 목록 (docId가 있으면 문서 하나 구독) */
+    const listeners = new Set();
+    /** @type {Set<Function>} 로그인 상태 구독 목록 */
+    const authListeners = new Set();
+    /** @type {Map<string, string>} 첨부 파일 경로 → 이 탭에서 만든 blob: URL */
+    const fileUrls = new Map();
+
+    const idb = await openLocalDatabase();
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(LOCAL_CHANNEL) : null;
+
+    // ===== 1단계: IndexedDB에 저장된 문서를 메모리로 적재 =====
+    if (idb) {
+      const records = await new Promise((resolve, reject) => {
+        const request = idb.transaction(LOCAL_STORE_NAME).objectStore(LOCAL_STORE_NAME).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      for (const { path, id, data } of records) {
+        if (!collections.has(path)) collections.set(path, new Map());
+        collections.get(path).set(id, data);
+      }
+
+      // 첨부 파일은 탭마다 blob: URL을 새로 만들어 사용 (blob: URL은 탭을 닫으면 사라짐)
+      const files = await new Promise((resolve, reject) => {
+        const request = idb.transaction(LOCAL_FILE_STORE_NAME).objectStore(LOCAL_FILE_STORE_NAME).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      for (const { path, blob } of files) fileUrls.set(path, URL.createObjectURL(blob));
+    }
+
+    /**
+     * 해당 컬렉션을 구독 중인 리스너들에게 최신 결과 전달
+     * @param {string} path - 변경된 컬렉션 경로
+     */
+    const notify = (path) => {
+      for (const listener of listeners) {
+        if (listener.path === path) {
+          listener.onNext(listener.docId ? readDoc(path, listener.docId) : runLocalQuery(collections.get(path), listener.options));
+        }
+      }
+    };
+
+    /**
+     * 문서 하나를 { ...데이터, id } 형태로 읽기 (없으면 null)
+     */
+    const readDoc = (path, id) => {
+      const data = collections.get(path)?.get(id);
+      return data ? { ...clone(data), id } : null;
+    };
+
+    /**
+     * 메모리에 문서 반영 (data가 null이면 삭제)
+     */
+    const applyChange = (path, id, data) => {
+      if (!collections.has(path)) collections.set(path, new Map());
+      if (data === null) {
+        collections.get(path).delete(id);
+      } else {
+        collections.get(path).set(id, data);
+      }
+      notify(path);
+    };
+
+    /**
+     * 문서 변경들을 메모리, IndexedDB, 다른 탭에 모두 반영
+     * IndexedDB에는 하나의 트랜잭션으로 기록하여 일부만 저장되지 않도록 함
+     * @param {Array<{path:string, id:string, data:Object|null}>} changes - 변경 목록 (data가 null이면 삭제)
+     */
+    const writeChanges = (changes) => {
+      for (const { path, id, data } of changes) {
+        applyChange(path, id, data);
+        channel?.postMessage({ path, id, data });
+      }
+
+      if (!idb) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const tx = idb.transaction(LOCAL_STORE_NAME, 'readwrite');
+        const objectStore = tx.objectStore(LOCAL_STORE_NAME);
+        for (const { path, id, data } of changes) {
+          if (data === null) {
+            objectStore.delete(`${path}/${id}`);
+          } else {
+            objectStore.put({ key: `${path}/${id}`, path, id, data });
+          }
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    };
+
+    const writeChange = (path, id, data) => writeChanges([{ path, id, data }]);
+
+    /**
+     * 첨부 파일을 이 탭의 blob: URL 목록에 반영 (blob이 null이면 삭제)
+     */
+    const applyFileChange = (path, blob) => {
+      if (fileUrls.has(path)) URL.revokeObjectURL(fileUrls.get(path));
+      if (blob) {
+        fileUrls.set(path, URL.createObjectURL(blob));
+      } else {
+        fileUrls.delete(path);
+      }
+    };
+
+    /**
+     * 첨부 파일을 IndexedDB와 다른 탭에 반영 (blob이 null이면 삭제)
+     */
+    const writeFile = (path, blob) => {
+      applyFileChange(path, blob);
+      channel?.postMessage({ file: path, blob });
+
+      if (!idb) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const tx = idb.transaction(LOCAL_FILE_STORE_NAME, 'readwrite');
+        const objectStore = tx.objectStore(LOCAL_FILE_STORE_NAME);
+        if (blob) {
+          objectStore.put({ path, blob });
+        } else {
+          objectStore.delete(path);
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    };
+
+    /**
+     * 문서가 없을 때 던지는 에러 (Firestore와 같은 error.code 사용)
+     */
+    const notFound = (path, id) => {
+      const error = new Error(`문서를 찾을 수 없습니다: ${path}/${id}`);
+      error.code = 'not-found';
+      return error;
+    };
+
+    // 다른 탭에서 변경된 문서를 메모리에 반영 (IndexedDB는 보낸 탭이 이미 기록함)
+    if (channel) {
+      channel.onmessage = (event) => {
+        if (event.data.file) {
+          applyFileChange(event.data.file, event.data.blob);
+          return;
+        }
+        const { path, id, data } = event.data;
+        applyChange(path, id, data);
+      };
+    }
+
+    // ===== 2단계: 로컬 로그인 (Google 대신 이름만 입력, 이메일 계정은 비밀번호를 확인하지 않음) =====
+    const readUser = () => {
+      try {
+        return JSON.parse(localStorage.getItem(LOCAL_USER_KEY));
+      } catch (e) {
+        return null;
+      }
+    };
+    const setUser = (user) => {
+      if (user) {
+        localStorage.setItem(LOCAL_USER_KEY, JSON.stringify(user));
+      } else {
+        localStorage.removeItem(LOCAL_USER_KEY);
+      }
+      authListeners.forEach((callback) => callback(user));
+      return user;
+    };
+    const readAccounts = () => {
+      try {
+        return JSON.parse(localStorage.getItem(LOCAL_ACCOUNTS_KEY)) || {};
+      } catch (e) {
+        return {};
+      }
+    };
+    // Firebase Auth와 같은 오류 코드 (script.js가 같은 메시지로 안내)
+    const authError = (code) => {
+      const error = new Error(code);
+      error.code = code;
+      return error;
+    };
+    const promptName = () => {
+      const name = (prompt(window.qnaI18n.t('auth.localPrompt')) || '').trim();
+      if (!name) {
+        const error = new Error(window.qnaI18n.t('auth.error.cancelled'));
+        error.code = 'auth/cancelled-popup-request';
+        throw error;
+      }
+      return name;
+    };
+
+    return {
+      kind: 'local',
+
+      async getDoc(path, id) {
+        return readDoc(path, id);
+      },
+
+      async queryDocs(path, options) {
+        return runLocalQuery(collections.get(path), options);
+      },
+
+      subscribe(path, options, onNext) {
+        const listener = { path, options, onNext };
+        listeners.add(listener);
+        // Firestore onSnapshot처럼 첫 결과도 비동기로 전달
+        queueMicrotask(() => {
+          if (listeners.has(listener)) onNext(runLocalQuery(collections.get(path), options));
+        });
+        return () => listeners.delete(listener);
+      },
+
+      subscribeDoc(path, id, onNext) {
+        const listener = { path, docId: id, onNext };
+        listeners.add(listener);
+        queueMicrotask(() => {
+          if (listeners.has(listener)) onNext(readDoc(path, id));
+        });
+        return () => listeners.delete(listener);
+      },
+
+      async addDoc(path, data) {
+        const id = autoId();
+        await writeChange(path, id, clone(data));
+        return id;
+      },
+
+      async setDoc(path, id, data) {
+        await writeChange(path, id, applyFields({}, clone(data)));
+      },
+
+      async updateDoc(path, id, patch) {
+        const current = collections.get(path)?.get(id);
+        if (!current) throw notFound(path, id);
+        await writeChange(path, id, applyFields(current, clone(patch)));
+      },
+
+      async deleteDoc(path, id) {
+        await writeChange(path, id, null);
+      },
+
+      async batch(writes) {
+        checkBatchSize(writes);
+
+        // 모든 쓰기를 먼저 계산하고 검증한 뒤 한 번에 반영 (중간에 실패하면 아무것도 바뀌지 않음)
+        const staged = new Map();  // `${path}/${id}` → { path, id, data }
+        const read = (path, id) => {
+          const key = `${path}/${id}`;
+          return staged.has(key) ? staged.get(key).data : collections.get(path)?.get(id) || null;
+        };
+        for (const { type, path, id, data } of writes) {
+          let next = null;
+          if (type === 'set') {
+            next = applyFields({}, clone(data));
+          } else if (type === 'merge') {
+            next = applyFields(read(path, id) || {}, clone(data));
+          } else if (type === 'update') {
+            const current = read(path, id);
+            if (!current) throw notFound(path, id);
+            next = applyFields(current, clone(data));
+          }
+          staged.set(`${path}/${id}`, { path, id, data: next });
+        }
+
+        await writeChanges([...staged.values()]);
+      },
+
+      batchLimit: BATCH_LIMIT,
+
+      newId: () => autoId(),
+
+      serverTimestamp: () => Date.now(),
+
+      timestamp: (millis) => millis,
+
+      increment: (n) => ({ [INCREMENT_KEY]: n }),
+
+      auth: {
+        onChange(callback) {
+          authListeners.add(callback);
+          queueMicrotask(() => callback(readUser()));
+          return () => authListeners.delete(callback);
+        },
+        async signInWithGoogle() {
+          // 같은 이름이면 같은 사용자로 취급 (데모용)
+          const name = promptName();
+          return setUser({ uid: `local:${name}`, displayName: name, email: null });
+        },
+        async signInWithEmail(email) {
+          const account = readAccounts()[email];
+          if (!account) throw authError('auth/invalid-credential');
+          return setUser({ uid: account.uid, displayName: account.displayName, email });
+        },
+        async signUpWithEmail(email, password, displayName) {
+          const accounts = readAccounts();
+          if (accounts[email]) throw authError('auth/email-already-in-use');
+          if (password.length < MIN_PASSWORD_LENGTH) throw authError('auth/weak-password');
+          accounts[email] = { uid: `local-email:${autoId()}`, displayName };
+          localStorage.setItem(LOCAL_ACCOUNTS_KEY, JSON.stringify(accounts));
+          return setUser({ uid: accounts[email].uid, displayName, email });
+        },
+        async signInAsGuest(nickname) {
+          return setUser({ uid: `local-guest:${autoId()}`, displayName: nickname, email: null, isAnonymous: true });
+        },
+        // uid는 그대로 두고 게스트 표시만 없앰 (Firebase처럼 게스트 닉네임 유지)
+        async linkGuestToGoogle() {
+          const user = readUser();
+          if (!user?.isAnonymous) throw authError('auth/provider-already-linked');
+          return setUser({ ...user, isAnonymous: false });
+        },
+        async redirectResult() {
+          return null;
+        },
+        async signOut() {
+          setUser(null);
+        }
+      },
+
+      // 첨부 파일은 IndexedDB에 Blob으로 저장 (문서에는 'local-file:경로'를 URL로 기록)
+      files: {
+        async upload(path, file) {
+          await writeFile(path, file);
+          return `local-file:${path}`;
+        },
+        url: (path) => fileUrls.get(path) || '',
+        async remove(path) {
+          await writeFile(path, null);
+        }
+      }
+    };
+  }
+
+  // ========================================
+  // 백엔드 선택
+  // ========================================
+
+  /**
+   * 이름에 해당하는 저장소 백엔드 생성
+   * @param {string} kind - 'firestore' 또는 'local'
+   * @param {Object|null} firebase - firestore 백엔드에서 사용할 window.firebaseApp
+   * @returns {Promise<Object>} 저장소 인터페이스
+   */
+  async function createStorage(kind, firebase) {
+    if (kind === 'local') return createLocalStorage();
+    if (!firebase) throw new Error('Firebase가 초기화되지 않았습니다.');
+    return createFirestoreStorage(firebase);
+  }
+
+  // 전역 변수로 저장소 생성 함수 제공 (script.js에서 사용)
+  window.qnaStorage = { createStorage };
+})();
@@ -0,0 +1,105 @@
+/**
+ * Q&A 게시판 서비스 워커
+ *
+ * - 앱 셸(index.html, script.js, i18n.js, storage.js, policy.js, markdown.js, style.css 등)을 미리 캐시하여 오프라인에서도 실행
+ * - 앱 셸은 네트워크 우선, 실패 시 캐시 사용 (온라인이면 항상 최신 버전)
+ * - gstatic의 Firebase SDK 모듈은 버전이 URL에 고정되어 있으므로 캐시 우선
+ * - Firestore/Auth API 요청은 가로채지 않음 (오프라인 쓰기는 script.js의 outbox가 처리)
+ */
+
+const CACHE_NAME = 'qna-shell-v6';
+
+// 설치 시 미리 캐시할 앱 셸 파일들
+const APP_SHELL = [
+  './',
+  './index.html',
+  './style.css',
+  './i18n.js',
+  './storage.js',
+  './policy.js',
+  './markdown.js',
+  './search.js',
+  './backup.js',
+  './script.js',
+  './manifest.webmanifest',
+  './icon.svg'
+];
+
+const FIREBASE_SDK_PREFIX = 'https://www.gstatic.com/firebasejs/';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // 이전 버전의 캐시 정리
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // ===== Firebase SDK: 캐시 우선 =====
+  if (request.url.startsWith(FIREBASE_SDK_PREFIX)) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  // ===== 앱 셸: 네트워크 우선, 실패 시 캐시 =====
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+/**
+ * 캐시에 있으면 캐시 응답, 없으면 네트워크에서 받아 캐시에 저장
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * 네트워크 응답을 우선 사용하고 캐시를 갱신, 오프라인이면 캐시 응답
+ * ?backend=local 같은 쿼리가 붙은 페이지 요청도 캐시된 index.html로 응답
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('./index.html');
+      if (shell) return shell;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,36 @@
+// markdown.js 단위 테스트 (브라우저 대신 jsdom에서 실행)
+//
+// 실행: npm run test:unit
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+let render;
+
+before(() => {
+  const dom = new JSDOM('<!DOCTYPE html>', { runScripts: 'outside-only' });
+  dom.window.eval(fs.readFileSync(path.join(__dirname, '..', 'markdown.js'), 'utf8'));
+  render = dom.window.qnaMarkdown.render;
+});
+
+describe('renderInline', () => {
+  it('인라인 코드와 링크를 변환', () => {
+    assert.equal(render('`a*b*`'), '<p><code>a*b*</code></p>');
+    assert.match(render('[문서](https://example.com)'), /<a href="https:\/\/example\.com"[^>]*>문서<\/a>/);
+  });
+
+  it('링크 텍스트 안의 인라인 코드를 복원', () => {
+    const html = render('[`code`](https://example.com)');
+    assert.match(html, /<a href="https:\/\/example\.com"[^>]*><code>code<\/code><\/a>/);
+    assert.doesNotMatch(html, /\u0000/);
+  });
+
+  it('허용되지 않은 주소의 링크는 만들지 않음', () => {
+    const html = render('[`x`](javascript:alert(1))');
+    assert.doesNotMatch(html, /<a /);
+    assert.doesNotMatch(html, /\u0000/);
+  });
+});
@@ -0,0 +1,589 @@
+// firestore.rules 테스트: policy.js의 작업마다 허용/거부, 답변 수/점수/태그 수/알림/수정 기록 조작 거부
+//
+// 각 요청은 script.js가 보내는 쓰기(일괄 쓰기 단위 포함)와 같은 모양으로 만듦
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const {
+  collection, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where, serverTimestamp, increment, Timestamp
+} = require('firebase/firestore');
+const { CREATED_AT, FIXTURE, createTestEnv, signedIn, seed, commitBatch } = require('./setup');
+
+let env;
+const as = (uid, kind) => signedIn(env, uid, kind).firestore();
+const anonymous = () => env.unauthenticatedContext().firestore();
+
+// script.js saveQuestion()이 만드는 질문 문서
+const newQuestion = (uid, fields = {}) => ({
+  title: '새 질문', body: '본문', author: uid, authorId: uid, createdAt: serverTimestamp(),
+  answerCount: 0, score: 0, acceptedAnswerId: null, tags: [], attachments: [], ...fields
+});
+
+// script.js addAnswer()가 만드는 답변 문서
+const newAnswer = (uid, questionId) => ({
+  body: '새 답변', author: uid, authorId: uid, createdAt: serverTimestamp(),
+  questionId, score: 0, attachments: []
+});
+
+// script.js addComment()가 만드는 댓글 문서
+const newComment = (uid, targetType, targetId) => ({
+  body: '새 댓글', author: uid, authorId: uid, createdAt: serverTimestamp(),
+  questionId: 'q1', targetType, targetId
+});
+
+// script.js reportContent()가 만드는 신고 문서
+const newReport = (uid, targetType, targetId) => ({
+  targetType, targetId, questionId: 'q1', reason: 'spam', reporterId: uid, reporterName: uid,
+  createdAt: serverTimestamp(), status: 'open'
+});
+
+// script.js moderationLogWrite()가 만드는 관리 기록
+const logEntry = (uid, fields) => ({
+  reason: '', ...fields, moderatorId: uid, moderatorName: uid, createdAt: serverTimestamp()
+});
+
+// script.js addAnswer(): 답변 + 질문의 답변 수 +1
+const addAnswer = (db, answerId, questionId) => commitBatch(db, (batch) => {
+  batch.set(doc(db, 'answers', answerId), newAnswer('bob', questionId));
+  batch.update(doc(db, 'questions', questionId), { answerCount: increment(1), lastAnswerId: answerId });
+});
+
+// script.js castVote(): 투표 문서 + 대상 글의 점수
+const vote = (db, uid, targetType, targetId, value, scoreDelta) => commitBatch(db, (batch) => {
+  const voteRef = doc(db, 'votes', `${targetType}_${targetId}_${uid}`);
+  if (value === 0) batch.delete(voteRef);
+  else batch.set(voteRef, { uid, targetType, targetId, value });
+  batch.update(doc(db, targetType === 'question' ? 'questions' : 'answers', targetId), { score: increment(scoreDelta) });
+});
+
+before(async () => {
+  env = await createTestEnv();
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+beforeEach(async () => {
+  await seed(env);
+});
+
+describe('question', () => {
+  it('create: 로그인 사용자가 본인 이름으로, 태그별 질문 수와 함께', async () => {
+    const db = as('alice');
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'questions', 'q2'), newQuestion('alice', { tags: ['js', 'css'] }));
+      batch.set(doc(db, 'tags', 'js'), { count: increment(1), lastQuestionId: 'q2' }, { merge: true });
+      batch.set(doc(db, 'tags', 'css'), { count: increment(1), lastQuestionId: 'q2' }, { merge: true });
+    }));
+  });
+
+  it('create 거부: 로그아웃, 다른 사람 이름, 답변 수/점수/관리 필드 지정', async () => {
+    await assertFails(setDoc(doc(anonymous(), 'questions', 'q2'), newQuestion('alice')));
+    await assertFails(setDoc(doc(as('alice'), 'questions', 'q2'), newQuestion('bob')));
+    await assertFails(setDoc(doc(as('alice'), 'questions', 'q2'), newQuestion('alice', { answerCount: 3 })));
+    await assertFails(setDoc(doc(as('alice'), 'questions', 'q2'), newQuestion('alice', { score: 10 })));
+    await assertFails(setDoc(doc(as('alice'), 'questions', 'q2'), newQuestion('alice', { pinned: true })));
+  });
+
+  it('edit: 작성자만, 태그는 변경 불가', async () => {
+    const patch = { title: '수정', body: '수정된 본문', editedAt: serverTimestamp() };
+    await assertSucceeds(updateDoc(doc(as('alice'), 'questions', 'q1'), patch));
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), patch));
+    await assertFails(updateDoc(doc(as('alice'), 'questions', 'q1'), { tags: ['css'] }));
+  });
+
+  it('delete: 작성자가 답변/댓글, 태그별 질문 수 감소와 함께', async () => {
+    const db = as('alice');
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.delete(doc(db, 'answers', 'a1'));
+      batch.delete(doc(db, 'comments', 'c1'));
+      batch.set(doc(db, 'tags', 'js'), { count: increment(-1), lastQuestionId: 'q1' }, { merge: true });
+      batch.delete(doc(db, 'questions', 'q1'));
+    }));
+  });
+
+  it('delete 거부: 작성자가 아님, 질문은 남기고 다른 사람의 답변만 삭제', async () => {
+    await assertFails(deleteDoc(doc(as('bob'), 'questions', 'q1')));
+    await assertFails(deleteDoc(doc(as('alice'), 'answers', 'a1')));
+  });
+
+  it('accept: 작성자만', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), 'questions', 'q1'), { acceptedAnswerId: 'a1' }));
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { acceptedAnswerId: 'a1' }));
+  });
+
+  it('answer: 로그인 사용자가 답변 수 +1과 함께', async () => {
+    await assertSucceeds(addAnswer(as('bob'), 'a2', 'q1'));
+  });
+
+  it('answer 거부: 로그아웃, 잠긴 질문', async () => {
+    await assertFails(addAnswer(anonymous(), 'a2', 'q1'));
+    await assertFails(addAnswer(as('bob'), 'a2', 'locked'));
+  });
+
+  it('comment: 로그인 사용자가 본인 이름으로', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'comments', 'c2'), newComment('bob', 'question', 'q1')));
+    await assertFails(setDoc(doc(anonymous(), 'comments', 'c2'), newComment('bob', 'question', 'q1')));
+    await assertFails(setDoc(doc(as('bob'), 'comments', 'c2'), newComment('alice', 'question', 'q1')));
+  });
+
+  it('vote: 다른 사람의 질문에 투표 문서와 점수를 함께', async () => {
+    await assertSucceeds(vote(as('bob'), 'bob', 'question', 'q1', 1, 1));
+  });
+
+  it('vote 거부: 자신의 질문', async () => {
+    await assertFails(vote(as('alice'), 'alice', 'question', 'q1', 1, 1));
+  });
+
+  it('report: 다른 사람의 질문만', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'reports', 'question_q1_bob'), newReport('bob', 'question', 'q1')));
+    await assertFails(setDoc(doc(as('alice'), 'reports', 'question_q1_alice'), newReport('alice', 'question', 'q1')));
+  });
+
+  it('moderate: 모더레이터가 숨기기/잠금/고정 + 관리 기록', async () => {
+    const db = as('mod');
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.update(doc(db, 'questions', 'q1'), { hidden: true, locked: true, pinned: true });
+      batch.set(doc(db, 'moderationLog', 'l1'), logEntry('mod', { action: 'hide', targetType: 'question', targetId: 'q1', questionId: 'q1' }));
+    }));
+  });
+
+  it('moderate 거부: 일반 사용자, 작성자', async () => {
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { hidden: true }));
+    await assertFails(updateDoc(doc(as('alice'), 'questions', 'q1'), { pinned: true }));
+    await assertFails(setDoc(doc(as('bob'), 'moderationLog', 'l1'), logEntry('bob', { action: 'hide' })));
+  });
+});
+
+describe('answer', () => {
+  it('edit: 작성자만', async () => {
+    const patch = { body: '수정된 답변', editedAt: serverTimestamp() };
+    await assertSucceeds(updateDoc(doc(as('bob'), 'answers', 'a1'), patch));
+    await assertFails(updateDoc(doc(as('alice'), 'answers', 'a1'), patch));
+  });
+
+  it('delete: 작성자가 질문의 답변 수 -1과 함께 (채택된 답변이면 채택 해제)', async () => {
+    const db = as('bob');
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.delete(doc(db, 'answers', 'a1'));
+      batch.update(doc(db, 'questions', 'q1'), { answerCount: increment(-1), lastAnswerId: 'a1' });
+    }));
+
+    await seed(env, { 'questions/q1': { ...FIXTURE['questions/q1'], answerCount: 1, acceptedAnswerId: 'a1' } });
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.delete(doc(db, 'answers', 'a1'));
+      batch.update(doc(db, 'questions', 'q1'), { answerCount: increment(-1), lastAnswerId: 'a1', acceptedAnswerId: null });
+    }));
+  });
+
+  it('delete 거부: 작성자가 아님, 답변 수를 줄이지 않음', async () => {
+    const alice = as('alice');
+    await assertFails(commitBatch(alice, (batch) => {
+      batch.delete(doc(alice, 'answers', 'a1'));
+      batch.update(doc(alice, 'questions', 'q1'), { answerCount: increment(-1), lastAnswerId: 'a1' });
+    }));
+    await assertFails(deleteDoc(doc(as('bob'), 'answers', 'a1')));
+  });
+
+  it('comment: 로그인 사용자만', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'comments', 'c2'), newComment('alice', 'answer', 'a1')));
+    await assertFails(setDoc(doc(anonymous(), 'comments', 'c2'), newComment('alice', 'answer', 'a1')));
+  });
+
+  it('vote: 다른 사람의 답변만', async () => {
+    await assertSucceeds(vote(as('alice'), 'alice', 'answer', 'a1', -1, -1));
+    await assertFails(vote(as('bob'), 'bob', 'answer', 'a1', 1, 1));
+  });
+
+  it('report: 다른 사람의 답변만', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), 'reports', 'answer_a1_alice'), newReport('alice', 'answer', 'a1')));
+    await assertFails(setDoc(doc(as('bob'), 'reports', 'answer_a1_bob'), newReport('bob', 'answer', 'a1')));
+  });
+
+  it('moderate: 모더레이터만 숨기기', async () => {
+    await assertSucceeds(updateDoc(doc(as('mod'), 'answers', 'a1'), { hidden: true }));
+    await assertFails(updateDoc(doc(as('alice'), 'answers', 'a1'), { hidden: true }));
+  });
+});
+
+describe('comment', () => {
+  it('delete: 작성자만 (질문 작성자는 질문과 함께)', async () => {
+    await assertFails(deleteDoc(doc(as('carol'), 'comments', 'c1')));
+    await assertSucceeds(deleteDoc(doc(as('bob'), 'comments', 'c1')));
+  });
+});
+
+describe('user', () => {
+  it('setRole: 관리자가 다른 사용자의 역할 지정 + 관리 기록', async () => {
+    const db = as('admin');
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.update(doc(db, 'users', 'alice'), { role: 'moderator' });
+      batch.set(doc(db, 'moderationLog', 'l1'), logEntry('admin', { action: 'role', targetType: 'user', targetId: 'alice', questionId: null, role: 'moderator' }));
+    }));
+  });
+
+  it('setRole 거부: 관리자 본인, 모더레이터, 본인이 스스로', async () => {
+    await assertFails(updateDoc(doc(as('admin'), 'users', 'admin'), { role: null }));
+    await assertFails(updateDoc(doc(as('mod'), 'users', 'alice'), { role: 'moderator' }));
+    await assertFails(updateDoc(doc(as('alice'), 'users', 'alice'), { role: 'admin' }));
+    await assertFails(setDoc(doc(as('carol'), 'users', 'carol'), { displayName: 'carol', role: 'admin', joinedAt: serverTimestamp() }));
+  });
+});
+
+describe('board', () => {
+  it('reconcile: 관리자는 답변 수/태그 수를 실제 값으로 고치고 고아 문서 삭제', async () => {
+    const db = as('admin');
+    await assertSucceeds(updateDoc(doc(db, 'questions', 'q1'), { answerCount: 5, acceptedAnswerId: null }));
+    await assertSucceeds(setDoc(doc(db, 'tags', 'js'), { count: 3 }));
+    await assertSucceeds(deleteDoc(doc(db, 'tags', 'js')));
+    await assertSucceeds(deleteDoc(doc(db, 'answers', 'a1')));
+  });
+
+  it('reconcile 거부: 일반 사용자, 모더레이터', async () => {
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { answerCount: 5 }));
+    await assertFails(updateDoc(doc(as('mod'), 'questions', 'q1'), { answerCount: 5 }));
+    await assertFails(deleteDoc(doc(as('mod'), 'answers', 'a1')));
+  });
+
+  it('moderate: 모더레이터만 신고 목록 조회, 신고 종료, 관리 기록 조회', async () => {
+    await seed(env, { 'reports/question_q1_bob': { ...newReport('bob', 'question', 'q1'), createdAt: CREATED_AT } });
+    await assertSucceeds(getDocs(collection(as('mod'), 'reports')));
+    await assertSucceeds(getDocs(collection(as('mod'), 'moderationLog')));
+    await assertSucceeds(updateDoc(doc(as('mod'), 'reports', 'question_q1_bob'), { status: 'resolved' }));
+
+    await assertFails(getDocs(collection(as('bob'), 'reports')));
+    await assertFails(getDocs(collection(as('bob'), 'moderationLog')));
+    await assertFails(updateDoc(doc(as('bob'), 'reports', 'question_q1_bob'), { status: 'resolved' }));
+    // 신고자는 중복 확인용으로 자기 신고 문서만 조회
+    await assertSucceeds(getDoc(doc(as('bob'), 'reports', 'question_q1_bob')));
+    await assertFails(getDoc(doc(as('alice'), 'reports', 'question_q1_bob')));
+  });
+
+  it('viewHidden / export: 글은 공개라 누구나 읽고 (화면에서만 거름), 관리 데이터는 거부', async () => {
+    await seed(env, { 'questions/hidden': { ...FIXTURE['questions/q1'], hidden: true } });
+    await assertSucceeds(getDocs(collection(anonymous(), 'questions')));
+    await assertSucceeds(getDocs(collection(anonymous(), 'answers')));
+    await assertSucceeds(getDoc(doc(anonymous(), 'questions', 'hidden')));
+    await assertFails(getDocs(collection(anonymous(), 'reports')));
+    await assertFails(getDocs(collection(as('alice'), 'moderationLog')));
+  });
+});
+
+describe('게스트(익명 로그인)와 이메일 로그인', () => {
+  it('게스트: 질문, 답변, 댓글, 프로필 작성', async () => {
+    const db = as('guest', 'guest');
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'questions', 'q2'), newQuestion('guest', { author: '손님', tags: ['js'] }));
+      batch.set(doc(db, 'tags', 'js'), { count: increment(1), lastQuestionId: 'q2' }, { merge: true });
+    }));
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'answers', 'a2'), newAnswer('guest', 'q1'));
+      batch.update(doc(db, 'questions', 'q1'), { answerCount: increment(1), lastAnswerId: 'a2' });
+    }));
+    await assertSucceeds(setDoc(doc(db, 'comments', 'c2'), newComment('guest', 'answer', 'a1')));
+    await assertSucceeds(setDoc(doc(db, 'users', 'guest'), { displayName: '손님', photoURL: null, joinedAt: serverTimestamp() }));
+  });
+
+  it('게스트 거부: 투표, 신고', async () => {
+    const db = as('guest', 'guest');
+    await assertFails(vote(db, 'guest', 'question', 'q1', 1, 1));
+    await assertFails(vote(db, 'guest', 'answer', 'a1', -1, -1));
+    await assertFails(setDoc(doc(db, 'reports', 'question_q1_guest'), newReport('guest', 'question', 'q1')));
+  });
+
+  it('이메일/비밀번호 로그인: 계정 사용자로 투표, 신고', async () => {
+    const db = as('carol', 'email');
+    await assertSucceeds(vote(db, 'carol', 'question', 'q1', 1, 1));
+    await assertSucceeds(setDoc(doc(db, 'reports', 'answer_a1_carol'), newReport('carol', 'answer', 'a1')));
+  });
+
+  it('게스트 계정을 Google에 연결하면 같은 uid로 글을 계속 관리하고 투표 가능', async () => {
+    await seed(env, { 'questions/q2': { ...FIXTURE['questions/q1'], author: '손님', authorId: 'guest', tags: [], answerCount: 0 } });
+    const linked = as('guest', 'member');
+    await assertSucceeds(updateDoc(doc(linked, 'questions', 'q2'), { body: '수정', editedAt: serverTimestamp() }));
+    await assertSucceeds(vote(linked, 'guest', 'question', 'q1', 1, 1));
+  });
+});
+
+describe('presence (함께 보는 사람)', () => {
+  // script.js writePresence()가 쓰는 문서 (문서 ID = questionId_session)
+  const presence = (uid, fields = {}) => ({
+    questionId: 'q1', session: 's1', uid, typing: false, updatedAt: serverTimestamp(),
+    expiresAt: Timestamp.fromMillis(Date.now() + 60 * 1000), ...fields
+  });
+  const seeded = { 'presence/q1_s1': { ...presence('bob'), updatedAt: CREATED_AT } };
+
+  it('읽기: 누구나 질문별로 조회', async () => {
+    await seed(env, seeded);
+    await assertSucceeds(getDocs(query(collection(anonymous(), 'presence'), where('questionId', '==', 'q1'))));
+  });
+
+  it('기록/삭제: 로그인 사용자(게스트 포함)가 본인 문서만', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'presence', 'q1_s1'), presence('bob')));
+    await assertSucceeds(setDoc(doc(as('bob'), 'presence', 'q1_s1'), presence('bob', { typing: true })));
+    await assertSucceeds(setDoc(doc(as('guest', 'guest'), 'presence', 'q1_s2'), presence('guest', { session: 's2' })));
+    await assertSucceeds(deleteDoc(doc(as('bob'), 'presence', 'q1_s1')));
+  });
+
+  it('기록 거부: 로그아웃, 다른 사람 uid, 다른 사람의 문서 덮어쓰기', async () => {
+    await seed(env, seeded);
+    await assertFails(setDoc(doc(anonymous(), 'presence', 'q1_s2'), presence('bob', { session: 's2' })));
+    await assertFails(setDoc(doc(as('alice'), 'presence', 'q1_s2'), presence('bob', { session: 's2' })));
+    await assertFails(setDoc(doc(as('alice'), 'presence', 'q1_s1'), presence('alice')));
+  });
+
+  it('기록 거부: 문서 ID 불일치, 허용되지 않은 필드, 잘못된 형식, 클라이언트 시각', async () => {
+    const db = as('bob');
+    await assertFails(setDoc(doc(db, 'presence', 'q2_s1'), presence('bob')));
+    await assertFails(setDoc(doc(db, 'presence', 'q1_s1'), presence('bob', { name: 'bob' })));
+    await assertFails(setDoc(doc(db, 'presence', 'q1_s1'), presence('bob', { typing: 'yes' })));
+    await assertFails(setDoc(doc(db, 'presence', 'q1_s1'), presence('bob', { updatedAt: CREATED_AT })));
+  });
+
+  it('삭제 거부: 다른 사람의 문서, 로그아웃', async () => {
+    await seed(env, seeded);
+    await assertFails(deleteDoc(doc(as('alice'), 'presence', 'q1_s1')));
+    await assertFails(deleteDoc(doc(anonymous(), 'presence', 'q1_s1')));
+  });
+});
+
+describe('board.import', () => {
+  // script.js importBackup(): 원래 작성자/작성 시각으로 질문과 답변 생성, 기존 질문의 답변 수와 태그 수 증가
+  const importBatch = (db) => commitBatch(db, (batch) => {
+    batch.set(doc(db, 'questions', 'old'), {
+      title: '가져온 질문', body: '본문', author: 'carol', authorId: 'carol', createdAt: CREATED_AT,
+      tags: ['js'], score: 0, acceptedAnswerId: null, answerCount: 1
+    });
+    batch.set(doc(db, 'answers', 'old-a'), {
+      score: 0, body: '가져온 답변', author: 'dave', authorId: 'dave', createdAt: CREATED_AT, questionId: 'old'
+    });
+    batch.set(doc(db, 'answers', 'old-b'), {
+      score: 0, body: '가져온 답변', author: 'dave', authorId: 'dave', createdAt: CREATED_AT, questionId: 'q1'
+    });
+    batch.update(doc(db, 'questions', 'q1'), { answerCount: increment(1) });
+    batch.set(doc(db, 'tags', 'js'), { count: increment(1) }, { merge: true });
+  });
+
+  it('import: 관리자만 다른 사람 이름과 원래 작성 시각으로', async () => {
+    await assertSucceeds(importBatch(as('admin')));
+  });
+
+  it('import 거부: 모더레이터, 일반 사용자, 게스트', async () => {
+    await assertFails(importBatch(as('mod')));
+    await assertFails(importBatch(as('bob')));
+    await assertFails(importBatch(as('guest', 'guest')));
+    await assertFails(setDoc(doc(as('bob'), 'questions', 'old'), newQuestion('bob', { createdAt: CREATED_AT })));
+    await assertFails(commitBatch(as('bob'), (batch, db) => {
+      batch.set(doc(db, 'answers', 'old-b'), { ...newAnswer('bob', 'q1'), createdAt: CREATED_AT });
+      batch.update(doc(db, 'questions', 'q1'), { answerCount: increment(1), lastAnswerId: 'old-b' });
+    }));
+  });
+});
+
+describe('답변 수 조작 거부 (답변 문서와 같은 일괄 쓰기에서만 ±1)', () => {
+  it('답변 없이 답변 수 증가', async () => {
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { answerCount: increment(1) }));
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { answerCount: increment(1), lastAnswerId: 'a1' }));
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { answerCount: increment(1), lastAnswerId: 'nope' }));
+  });
+
+  it('답변을 지우지 않고 답변 수 감소, 채택 해제', async () => {
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { answerCount: increment(-1), lastAnswerId: 'a1' }));
+    await seed(env, { 'questions/q1': { ...FIXTURE['questions/q1'], acceptedAnswerId: 'a1' } });
+    const db = as('carol');
+    await assertFails(updateDoc(doc(db, 'questions', 'q1'), { acceptedAnswerId: null }));
+  });
+
+  it('답변 수를 올리지 않은 답변, 다른 질문의 답변 수 증가', async () => {
+    await assertFails(setDoc(doc(as('bob'), 'answers', 'a2'), newAnswer('bob', 'q1')));
+    const db = as('bob');
+    await assertFails(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'answers', 'a2'), newAnswer('bob', 'q1'));
+      batch.update(doc(db, 'questions', 'locked'), { answerCount: increment(1), lastAnswerId: 'a2' });
+    }));
+  });
+
+  it('답변 하나로 답변 수 +2', async () => {
+    const db = as('bob');
+    await assertFails(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'answers', 'a2'), newAnswer('bob', 'q1'));
+      batch.update(doc(db, 'questions', 'q1'), { answerCount: increment(2), lastAnswerId: 'a2' });
+    }));
+  });
+});
+
+describe('점수 조작 거부 (내 투표 문서 변화만큼만)', () => {
+  it('추천 ↔ 비추천 전환, 투표 취소', async () => {
+    await seed(env, {
+      'votes/question_q1_bob': { uid: 'bob', targetType: 'question', targetId: 'q1', value: 1 },
+      'questions/q1': { ...FIXTURE['questions/q1'], score: 1 }
+    });
+    await assertSucceeds(vote(as('bob'), 'bob', 'question', 'q1', -1, -2));
+    await assertSucceeds(vote(as('bob'), 'bob', 'question', 'q1', 0, 1));
+  });
+
+  it('투표 없이 점수 변경, 투표와 다른 점수 변경', async () => {
+    await assertFails(updateDoc(doc(as('bob'), 'questions', 'q1'), { score: increment(2) }));
+    await assertFails(updateDoc(doc(as('bob'), 'answers', 'a1'), { score: increment(-1) }));
+    await assertFails(vote(as('bob'), 'bob', 'question', 'q1', -1, 1));
+    await assertFails(vote(as('bob'), 'bob', 'question', 'q1', 1, 2));
+  });
+
+  it('점수 없이 투표 문서만 쓰거나 지움', async () => {
+    await assertFails(setDoc(doc(as('bob'), 'votes', 'question_q1_bob'), { uid: 'bob', targetType: 'question', targetId: 'q1', value: 1 }));
+    await seed(env, { 'votes/question_q1_bob': { uid: 'bob', targetType: 'question', targetId: 'q1', value: 1 } });
+    await assertFails(deleteDoc(doc(as('bob'), 'votes', 'question_q1_bob')));
+  });
+
+  it('다른 사람 이름의 투표, 범위를 벗어난 값', async () => {
+    const db = as('carol');
+    await assertFails(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'votes', 'question_q1_bob'), { uid: 'bob', targetType: 'question', targetId: 'q1', value: 1 });
+      batch.update(doc(db, 'questions', 'q1'), { score: increment(1) });
+    }));
+    await assertFails(vote(as('carol'), 'carol', 'question', 'q1', 5, 5));
+  });
+});
+
+describe('태그별 질문 수 조작 거부 (질문 작성/삭제와 같은 일괄 쓰기에서만 ±1)', () => {
+  it('질문 없이 태그 수 변경', async () => {
+    const db = as('bob');
+    await assertFails(setDoc(doc(db, 'tags', 'js'), { count: increment(1), lastQuestionId: 'q1' }, { merge: true }));
+    await assertFails(setDoc(doc(db, 'tags', 'js'), { count: increment(-1), lastQuestionId: 'q1' }, { merge: true }));
+    await assertFails(setDoc(doc(db, 'tags', 'js'), { count: 100 }));
+    await assertFails(setDoc(doc(db, 'tags', 'new'), { count: 1, lastQuestionId: 'nope' }));
+  });
+
+  it('질문에 없는 태그, ±1이 아닌 변경', async () => {
+    const db = as('alice');
+    await assertFails(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'questions', 'q2'), newQuestion('alice', { tags: ['js'] }));
+      batch.set(doc(db, 'tags', 'css'), { count: increment(1), lastQuestionId: 'q2' }, { merge: true });
+    }));
+    await assertFails(commitBatch(db, (batch) => {
+      batch.set(doc(db, 'questions', 'q2'), newQuestion('alice', { tags: ['js'] }));
+      batch.set(doc(db, 'tags', 'js'), { count: increment(5), lastQuestionId: 'q2' }, { merge: true });
+    }));
+  });
+
+  it('태그 문서 삭제는 관리자만', async () => {
+    await assertFails(deleteDoc(doc(as('alice'), 'tags', 'js')));
+    await assertSucceeds(deleteDoc(doc(as('admin'), 'tags', 'js')));
+  });
+});
+
+describe('투표 조회 (내 투표 문서 ID로만)', () => {
+  it('아직 투표하지 않은 글의 내 투표, 내 투표 목록', async () => {
+    await assertSucceeds(getDoc(doc(as('bob'), 'votes', 'question_q1_bob')));
+    await seed(env, { 'votes/question_q1_bob': { uid: 'bob', targetType: 'question', targetId: 'q1', value: 1 } });
+    await assertSucceeds(getDoc(doc(as('bob'), 'votes', 'question_q1_bob')));
+    await assertSucceeds(getDocs(query(collection(as('bob'), 'votes'), where('uid', '==', 'bob'))));
+  });
+
+  it('거부: 다른 사람의 투표, 다른 사람의 투표 목록, 로그아웃', async () => {
+    await seed(env, { 'votes/question_q1_bob': { uid: 'bob', targetType: 'question', targetId: 'q1', value: 1 } });
+    await assertFails(getDoc(doc(as('alice'), 'votes', 'question_q1_bob')));
+    await assertFails(getDocs(query(collection(as('alice'), 'votes'), where('uid', '==', 'bob'))));
+    await assertFails(getDoc(doc(anonymous(), 'votes', 'question_q1_bob')));
+  });
+});
+
+describe('알림 (답변과 같은 일괄 쓰기에서 질문 작성자에게만)', () => {
+  // script.js addAnswer()가 만드는 알림 (bob이 alice의 질문 q1에 답변)
+  const newNotification = (answerId, fields = {}) => ({
+    type: 'answer', questionId: 'q1', questionTitle: '질문', answerId, actorId: 'bob', actorName: 'bob',
+    createdAt: serverTimestamp(), read: false, ...fields
+  });
+
+  // 답변 + 답변 수 +1 + 알림
+  const answerWithNotification = (db, recipient, fields) => commitBatch(db, (batch) => {
+    batch.set(doc(db, 'answers', 'a2'), newAnswer('bob', 'q1'));
+    batch.update(doc(db, 'questions', 'q1'), { answerCount: increment(1), lastAnswerId: 'a2' });
+    batch.set(doc(db, 'users', recipient, 'notifications', 'n1'), newNotification('a2', fields));
+  });
+
+  it('create: 답변 작성자가 답변과 함께', async () => {
+    await assertSucceeds(answerWithNotification(as('bob'), 'alice'));
+  });
+
+  it('create 거부: 답변 없이, 이미 있는 답변으로', async () => {
+    const db = as('bob');
+    await assertFails(setDoc(doc(db, 'users', 'alice', 'notifications', 'n1'), newNotification('nope')));
+    await assertFails(setDoc(doc(db, 'users', 'alice', 'notifications', 'n1'), newNotification('a1')));
+  });
+
+  it('create 거부: 질문 작성자가 아닌 사람, 다른 제목/이름, 허용되지 않은 필드, 클라이언트 시각', async () => {
+    await assertFails(answerWithNotification(as('bob'), 'mod'));
+    await assertFails(answerWithNotification(as('bob'), 'alice', { questionTitle: '비밀번호를 확인하세요' }));
+    await assertFails(answerWithNotification(as('bob'), 'alice', { actorName: 'admin' }));
+    await assertFails(answerWithNotification(as('bob'), 'alice', { link: 'https://example.com' }));
+    await assertFails(answerWithNotification(as('bob'), 'alice', { createdAt: CREATED_AT }));
+    await assertFails(answerWithNotification(as('bob'), 'alice', { read: true }));
+  });
+});
+
+describe('수정 기록 (질문 수정과 같은 일괄 쓰기에서만)', () => {
+  const revisionsPath = 'questions/q1/revisions';
+
+  // script.js updateQuestion(): (첫 수정이면 원본 기록) + 새 기록 + 질문 수정
+  const editQuestion = (db, { original = true, ...fields } = {}) => commitBatch(db, (batch) => {
+    if (original) {
+      batch.set(doc(db, revisionsPath, 'r0'), {
+        title: '질문', body: '본문', editor: 'alice', editorId: 'alice', createdAt: CREATED_AT
+      });
+    }
+    batch.set(doc(db, revisionsPath, 'r1'), {
+      title: '수정', body: '수정된 본문', editor: 'alice', editorId: 'alice', createdAt: serverTimestamp(), ...fields
+    });
+    batch.update(doc(db, 'questions', 'q1'), { title: '수정', body: '수정된 본문', editedAt: serverTimestamp() });
+  });
+
+  it('create: 작성자가 원본 기록, 새 기록, 질문 수정을 함께', async () => {
+    await assertSucceeds(editQuestion(as('alice')));
+  });
+
+  it('create: 두 번째 수정부터는 새 기록만', async () => {
+    await seed(env, { [`${revisionsPath}/r0`]: { title: '질문', body: '본문', editor: 'alice', editorId: 'alice', createdAt: CREATED_AT } });
+    await assertSucceeds(editQuestion(as('alice'), { original: false }));
+  });
+
+  it('create 거부: 질문 수정 없이, 작성자가 아님, 다른 사람 이름', async () => {
+    await assertFails(setDoc(doc(as('alice'), revisionsPath, 'r1'), {
+      title: '수정', body: '수정된 본문', editor: 'alice', editorId: 'alice', createdAt: serverTimestamp()
+    }));
+    await assertFails(editQuestion(as('bob'), { editor: 'bob', editorId: 'bob' }));
+    await assertFails(editQuestion(as('alice'), { editor: 'bob', editorId: 'bob' }));
+  });
+
+  it('create 거부: 질문과 다른 내용, 허용되지 않은 필드, 클라이언트 시각, 꾸며낸 원본', async () => {
+    const db = as('alice');
+    await assertFails(editQuestion(db, { body: '다른 본문' }));
+    await assertFails(editQuestion(db, { note: '메모' }));
+    await assertFails(editQuestion(db, { createdAt: Timestamp.fromMillis(Date.UTC(2020, 0, 1)) }));
+    await assertFails(setDoc(doc(db, revisionsPath, 'r0'), {
+      title: '가짜 원본', body: '본문', editor: 'alice', editorId: 'alice', createdAt: CREATED_AT
+    }));
+  });
+
+  it('delete: 작성자는 질문과 함께, 관리자', async () => {
+    const extra = { [`${revisionsPath}/r0`]: { title: '질문', body: '본문', editor: 'alice', editorId: 'alice', createdAt: CREATED_AT } };
+    await seed(env, extra);
+    const db = as('alice');
+    await assertSucceeds(commitBatch(db, (batch) => {
+      batch.delete(doc(db, 'answers', 'a1'));
+      batch.delete(doc(db, 'comments', 'c1'));
+      batch.delete(doc(db, revisionsPath, 'r0'));
+      batch.set(doc(db, 'tags', 'js'), { count: increment(-1), lastQuestionId: 'q1' }, { merge: true });
+      batch.delete(doc(db, 'questions', 'q1'));
+    }));
+    await seed(env, extra);
+    await assertSucceeds(deleteDoc(doc(as('admin'), revisionsPath, 'r0')));
+  });
+
+  it('delete 거부: 질문을 남긴 채 기록만 삭제, 작성자가 아님', async () => {
+    await seed(env, { [`${revisionsPath}/r0`]: { title: '질문', body: '본문', editor: 'alice', editorId: 'alice', createdAt: CREATED_AT } });
+    await assertFails(deleteDoc(doc(as('alice'), revisionsPath, 'r0')));
+    await assertFails(deleteDoc(doc(as('bob'), revisionsPath, 'r0')));
+  });
+});
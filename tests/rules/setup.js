@@ -0,0 +1,96 @@
+// 보안 규칙 테스트 공통 준비 (Firebase 에뮬레이터에서 실행)
+//
+// 실행: npm run test:rules (firebase emulators:exec가 에뮬레이터 주소를 환경 변수로 넘겨줌)
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { Timestamp, doc, setDoc, writeBatch } = require('firebase/firestore');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PROJECT_ID = 'demo-qna';
+
+// 로그인 방식별 토큰 (게스트 = 익명 로그인)
+const PROVIDERS = {
+  member: 'google.com',
+  email: 'password',
+  guest: 'anonymous'
+};
+
+/**
+ * 테스트 환경 생성 (규칙 파일은 저장소의 firestore.rules / storage.rules)
+ * @param {{storage?: boolean}} [options] - storage: Storage 규칙도 불러옴
+ */
+function createTestEnv({ storage = false } = {}) {
+  const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: read('firestore.rules') },
+    ...(storage ? { storage: { rules: read('storage.rules') } } : {})
+  });
+}
+
+/**
+ * 로그인한 사용자의 컨텍스트
+ * @param {Object} env - 테스트 환경
+ * @param {string} uid - 사용자 uid
+ * @param {'member'|'email'|'guest'} [kind] - 로그인 방식
+ */
+function signedIn(env, uid, kind = 'member') {
+  return env.authenticatedContext(uid, { firebase: { sign_in_provider: PROVIDERS[kind] } });
+}
+
+// 기본 데이터
+// - alice: 질문 q1(태그 js, 답변 1개) 작성자, bob: 답변 a1과 댓글 c1 작성자
+// - locked: 모더레이터가 잠근 질문, mod: 모더레이터, admin: 관리자
+const CREATED_AT = Timestamp.fromMillis(Date.UTC(2024, 0, 1));
+
+const FIXTURE = {
+  'users/alice': { displayName: 'alice', photoURL: null, joinedAt: CREATED_AT },
+  'users/bob': { displayName: 'bob', photoURL: null, joinedAt: CREATED_AT },
+  'users/mod': { displayName: 'mod', photoURL: null, joinedAt: CREATED_AT, role: 'moderator' },
+  'users/admin': { displayName: 'admin', photoURL: null, joinedAt: CREATED_AT, role: 'admin' },
+  'questions/q1': {
+    title: '질문', body: '본문', author: 'alice', authorId: 'alice', createdAt: CREATED_AT,
+    answerCount: 1, score: 0, acceptedAnswerId: null, tags: ['js'], attachments: []
+  },
+  'questions/locked': {
+    title: '잠긴 질문', body: '본문', author: 'alice', authorId: 'alice', createdAt: CREATED_AT,
+    answerCount: 0, score: 0, acceptedAnswerId: null, tags: [], attachments: [], locked: true
+  },
+  'answers/a1': {
+    body: '답변', author: 'bob', authorId: 'bob', createdAt: CREATED_AT,
+    questionId: 'q1', score: 0, attachments: []
+  },
+  'comments/c1': {
+    body: '댓글', author: 'bob', authorId: 'bob', createdAt: CREATED_AT,
+    questionId: 'q1', targetType: 'question', targetId: 'q1'
+  },
+  'tags/js': { count: 1 }
+};
+
+/**
+ * 에뮬레이터 데이터를 비우고 기본 데이터 + extra 문서를 규칙 없이 씀
+ * @param {Object} env - 테스트 환경
+ * @param {Object<string, Object>} [extra] - 문서 경로 → 데이터
+ */
+async function seed(env, extra = {}) {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await Promise.all(Object.entries({ ...FIXTURE, ...extra }).map(([docPath, data]) => setDoc(doc(db, docPath), data)));
+  });
+}
+
+/**
+ * 일괄 쓰기 실행 (script.js의 store.batch()와 같은 단위로 보냄)
+ * @param {Object} db - 컨텍스트의 Firestore
+ * @param {Function} fill - (batch, db) => void
+ */
+function commitBatch(db, fill) {
+  const batch = writeBatch(db);
+  fill(batch, db);
+  return batch.commit();
+}
+
+module.exports = { PROJECT_ID, CREATED_AT, FIXTURE, createTestEnv, signedIn, seed, commitBatch };
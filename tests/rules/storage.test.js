@@ -0,0 +1,74 @@
+// storage.rules 테스트: 첨부 파일 올리기/삭제 (attachments/{질문 ID}/{올린 사람 uid}/{파일 ID})
+//
+// 삭제 규칙이 Firestore의 질문/사용자 문서를 확인하므로 두 에뮬레이터를 함께 사용
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { ref, uploadBytes, getMetadata, deleteObject } = require('firebase/storage');
+const { createTestEnv, signedIn, seed } = require('./setup');
+
+const MAX_SIZE = 5 * 1024 * 1024;  // script.js ATTACHMENT_MAX_SIZE
+
+let env;
+const as = (uid, kind) => signedIn(env, uid, kind).storage();
+const anonymous = () => env.unauthenticatedContext().storage();
+const upload = (storage, path, size = 16, contentType = 'image/png') =>
+  uploadBytes(ref(storage, path), new Uint8Array(size), { contentType });
+
+before(async () => {
+  env = await createTestEnv({ storage: true });
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+// 질문 q1(alice)에 alice와 bob이 올린 파일, 이미 삭제된 질문 gone에 alice가 올린 파일
+beforeEach(async () => {
+  await seed(env);
+  await env.clearStorage();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const storage = context.storage();
+    await Promise.all([
+      upload(storage, 'attachments/q1/alice/f1'),
+      upload(storage, 'attachments/q1/bob/f1', 16, 'application/pdf'),
+      upload(storage, 'attachments/gone/alice/f1')
+    ]);
+  });
+});
+
+describe('attachments', () => {
+  it('read: 누구나', async () => {
+    await assertSucceeds(getMetadata(ref(anonymous(), 'attachments/q1/alice/f1')));
+  });
+
+  it('create: 로그인 사용자가 자기 uid 경로에 허용된 형식만 (게스트 포함)', async () => {
+    await assertSucceeds(upload(as('bob'), 'attachments/q1/bob/f2'));
+    await assertSucceeds(upload(as('bob'), 'attachments/q1/bob/f3', MAX_SIZE, 'application/zip'));
+    await assertSucceeds(upload(as('guest', 'guest'), 'attachments/q1/guest/f1', 16, 'text/plain'));
+  });
+
+  it('create 거부: 로그아웃, 다른 사람 uid 경로, 5MB 초과, 허용되지 않은 형식, 덮어쓰기', async () => {
+    await assertFails(upload(anonymous(), 'attachments/q1/bob/f2'));
+    await assertFails(upload(as('bob'), 'attachments/q1/alice/f2'));
+    await assertFails(upload(as('bob'), 'attachments/q1/bob/f2', MAX_SIZE + 1));
+    await assertFails(upload(as('bob'), 'attachments/q1/bob/f2', 16, 'text/html'));
+    await assertFails(upload(as('bob'), 'attachments/q1/bob/f2', 16, 'image/svg+xml'));
+    await assertFails(upload(as('bob'), 'attachments/q1/bob/f1'));
+  });
+
+  it('delete: 올린 사람, 관리자', async () => {
+    await assertSucceeds(deleteObject(ref(as('bob'), 'attachments/q1/bob/f1')));
+    await assertSucceeds(deleteObject(ref(as('admin'), 'attachments/q1/alice/f1')));
+  });
+
+  it('delete: 질문이 삭제된 뒤 남은 파일은 누구나 정리', async () => {
+    await assertSucceeds(deleteObject(ref(as('bob'), 'attachments/gone/alice/f1')));
+  });
+
+  it('delete 거부: 질문이 남아 있는 다른 사람의 파일 (질문 작성자, 모더레이터 포함), 로그아웃', async () => {
+    await assertFails(deleteObject(ref(as('alice'), 'attachments/q1/bob/f1')));
+    await assertFails(deleteObject(ref(as('mod'), 'attachments/q1/bob/f1')));
+    await assertFails(deleteObject(ref(anonymous(), 'attachments/gone/alice/f1')));
+  });
+});